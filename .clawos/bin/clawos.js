@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+/**
+ * @module bin/clawos
+ * @description Executable entry point for the `clawos` CLI. See {@link module:cli}.
+ */
+
+import { runCli } from '../cli/index.js';
+
+process.exitCode = await runCli(process.argv.slice(2));
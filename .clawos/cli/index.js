@@ -0,0 +1,627 @@
+/**
+ * @module cli
+ * @description The `clawos` command-line interface. A thin layer over the
+ * core engines — every subcommand delegates to {@link PipelineExecutor},
+ * {@link ElicitationEngine}, {@link StructureValidator} or
+ * {@link IntegrityChecker} and maps the outcome to an exit code.
+ *
+ * Subcommands:
+ *   clawos init "<description>"                 Interactive elicitation + full pipeline
+ *   clawos generate --profile <file> --out <dir> Generate from a saved RequirementsProfile
+ *   clawos validate <dir>                       Structure + integrity checks
+ *   clawos resume <runId>                       Resume an interrupted run
+ *
+ * `--out <dir>` is the output root for `init` and `generate` alike: the
+ * framework is written to `<dir>/<name>` (default `./generated/<name>`).
+ *
+ * Global flags: `--json` (machine-readable stdout), `--dry-run`
+ * (mapped to {@link PipelineExecutor#setDryRun}), `--serve [host:]port`
+ * (streams the run's events, see {@link EventStreamServer}), `--trace <file>`
+ * with `--trace-format chrome|otlp` (writes a timing trace, see
+ * {@link EventTracer}), `--help`, `--version`.
+ *
+ * Exit codes:
+ *   0 - Success.
+ *   1 - The pipeline or validation failed.
+ *   2 - Usage error (unknown command, missing argument, bad flag).
+ */
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import { Phase } from '../core/orchestrator/phase-manager.js';
+import { MasterOrchestrator } from '../core/orchestrator/master-orchestrator.js';
+import { PipelineExecutor } from '../core/orchestrator/pipeline-executor.js';
+import { StructureValidator } from '../core/validator/structure-validator.js';
+import { IntegrityChecker } from '../core/validator/integrity-checker.js';
+import { getEventBus } from '../core/events/event-bus.js';
+import { publishValidation } from '../core/events/event-bridge.js';
+import { EventStreamServer } from '../core/events/event-stream-server.js';
+import { EventTracer } from '../core/events/event-tracer.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** CLI version (kept in sync with the package version). */
+const CLI_VERSION = '1.0.0';
+
+/**
+ * Process exit codes.
+ * @readonly
+ * @enum {number}
+ */
+export const ExitCode = Object.freeze({
+  SUCCESS: 0,
+  FAILURE: 1,
+  USAGE:   2,
+});
+
+/** Flags accepted by every subcommand (node:util parseArgs format). */
+const OPTIONS = Object.freeze({
+  help:      { type: 'boolean', short: 'h' },
+  version:   { type: 'boolean', short: 'v' },
+  json:      { type: 'boolean' },
+  'dry-run': { type: 'boolean' },
+  yes:       { type: 'boolean', short: 'y' },
+  out:       { type: 'string',  short: 'o' },
+  profile:   { type: 'string',  short: 'p' },
+  serve:     { type: 'string' },
+  trace:     { type: 'string' },
+  'trace-format': { type: 'string' },
+});
+
+/** Formats accepted by `--trace-format`, mapped to their EventTracer writer. */
+const TRACE_WRITERS = Object.freeze({
+  chrome: 'writeChromeTrace',
+  otlp:   'writeOTLP',
+});
+
+const USAGE = `Usage: clawos <command> [options]
+
+Commands:
+  init "<description>"              Describe a framework, answer questions, generate it
+  generate --profile <file>         Generate from a RequirementsProfile JSON file
+  validate <dir>                    Run structure and integrity checks on a framework
+  resume <runId>                    Resume an interrupted pipeline run
+
+Options:
+  -o, --out <dir>       Output root (init, generate); the framework is written
+                        to <dir>/<name>. Default: ./generated
+  -p, --profile <file>  RequirementsProfile JSON (generate)
+  -y, --yes             Accept default answers without prompting (init)
+      --dry-run         Preview the generated files without writing them
+      --serve <[host:]port>
+                        Stream run events over HTTP (Server-Sent Events) while
+                        the pipeline runs; host defaults to 127.0.0.1
+      --trace <file>    Write a timing trace of the run (phases, generator
+                        steps, file writes, hooks) to <file>
+      --trace-format <chrome|otlp>
+                        Chrome trace_event JSON for Perfetto (default) or
+                        OpenTelemetry OTLP-JSON
+      --json            Print machine-readable JSON to stdout
+  -h, --help            Show this help
+  -v, --version         Show the version
+`;
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} CliIO
+ * @property {NodeJS.ReadableStream} stdin
+ * @property {NodeJS.WritableStream} stdout
+ * @property {NodeJS.WritableStream} stderr
+ */
+
+/**
+ * @typedef {Object} ParsedCommand
+ * @property {string}   command     - Subcommand name.
+ * @property {string[]} positionals - Remaining positional arguments.
+ * @property {Record<string, string|boolean|undefined>} flags
+ */
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Error raised for invalid invocations; mapped to {@link ExitCode.USAGE}.
+ */
+class UsageError extends Error {
+  /** @param {string} message */
+  constructor(message) {
+    super(message);
+    this.name = 'UsageError';
+  }
+}
+
+/**
+ * Writes a line to a stream.
+ *
+ * @param {NodeJS.WritableStream} stream
+ * @param {string} [text='']
+ */
+function println(stream, text = '') {
+  stream.write(`${text}\n`);
+}
+
+/**
+ * Parses argv into a subcommand, its positionals and flags.
+ *
+ * @param {string[]} argv - Arguments without the node/script prefix.
+ * @returns {ParsedCommand}
+ * @throws {UsageError} On unknown flags.
+ */
+function parseCommand(argv) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+  } catch (err) {
+    throw new UsageError(err.message);
+  }
+
+  const [command = '', ...positionals] = parsed.positionals;
+  return { command, positionals, flags: parsed.values };
+}
+
+/**
+ * Converts a typed answer into the value the question expects. Numeric
+ * answers to choice questions select an option by its 1-based index.
+ * An empty answer returns null so the engine applies the default.
+ *
+ * @param {{ type: string, options: string[] }} question
+ * @param {string} raw
+ * @returns {*}
+ */
+function coerceAnswer(question, raw) {
+  const answer = raw.trim();
+  if (answer === '') return null;
+
+  const byIndex = (token) => {
+    const index = Number(token);
+    return Number.isInteger(index) && question.options[index - 1] !== undefined
+      ? question.options[index - 1]
+      : token;
+  };
+
+  switch (question.type) {
+    case 'choice':
+      return byIndex(answer);
+    case 'multi-choice':
+      return answer.split(',').map((t) => byIndex(t.trim())).filter(Boolean);
+    default:
+      return answer;
+  }
+}
+
+/**
+ * Formats a question prompt for the terminal.
+ *
+ * @param {{ text: string, type: string, options: string[], default: * }} question
+ * @returns {string}
+ */
+function formatQuestion(question) {
+  const lines = [`? ${question.text}`];
+
+  if (question.options.length > 0) {
+    question.options.forEach((option, i) => lines.push(`  ${i + 1}) ${option}`));
+  }
+
+  const fallback = Array.isArray(question.default)
+    ? question.default.join(', ')
+    : String(question.default ?? '');
+  const hint = question.type === 'confirm' ? '(y/n) ' : '';
+
+  return `${lines.join('\n')}\n${hint}[${fallback}] > `;
+}
+
+/**
+ * Creates a PipelineExecutor whose orchestrator runs the built-in handlers.
+ *
+ * @param {Object} flags
+ * @param {import('../core/orchestrator/phase-handlers.js').DefaultHandlerOptions} handlerOptions
+ * @param {Record<string, Function>} [handlers] - Per-phase handler overrides.
+ * @returns {PipelineExecutor}
+ */
+function createExecutor(flags, handlerOptions, handlers) {
+  const orchestrator = new MasterOrchestrator({
+    defaultHandlers: handlerOptions,
+    handlers,
+  });
+  return wrapExecutor(flags, orchestrator, { ...handlerOptions, overrides: handlers });
+}
+
+/**
+ * Wraps an orchestrator in a PipelineExecutor configured from the flags.
+ *
+ * @param {Object} flags
+ * @param {MasterOrchestrator} orchestrator
+ * @param {import('../core/orchestrator/phase-handlers.js').DefaultHandlerOptions} [handlerOptions]
+ *   Handler options a `--dry-run` previews with.
+ * @returns {PipelineExecutor}
+ */
+function wrapExecutor(flags, orchestrator, handlerOptions) {
+  return new PipelineExecutor({ orchestrator, handlerOptions }).setDryRun(flags['dry-run']);
+}
+
+/**
+ * Builds the elicitation prompt for interactive commands. With `--yes` no
+ * prompt is created and every question takes its default.
+ *
+ * @param {Object} flags
+ * @param {CliIO} io
+ * @returns {{ askQuestion?: Function, close: () => void }}
+ */
+function createPrompter(flags, io) {
+  if (flags.yes) {
+    return { askQuestion: undefined, close: () => {} };
+  }
+
+  // Keep stdout clean for --json: prompts go to stderr.
+  const promptStream = flags.json ? io.stderr : io.stdout;
+  const rl = createInterface({ input: io.stdin, terminal: false });
+
+  // The async iterator buffers lines, so piped answers are not dropped.
+  // Once input ends every remaining question takes its default.
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    askQuestion: async (question) => {
+      promptStream.write(formatQuestion(question));
+      const { value, done } = await lines.next();
+      return done ? null : coerceAnswer(question, value);
+    },
+    close: () => rl.close(),
+  };
+}
+
+/**
+ * Runs `run` with an {@link EventStreamServer} listening when `--serve` is
+ * given, closing it once the run settles.
+ *
+ * @param {Object} flags
+ * @param {CliIO} io
+ * @param {() => Promise<number>} run
+ * @returns {Promise<number>}
+ * @throws {UsageError} If `--serve` is not `[host:]port`.
+ */
+async function withEventStream(flags, io, run) {
+  if (flags.serve === undefined) return run();
+
+  const match = /^(?:(.+):)?(\d+)$/.exec(flags.serve);
+  const port = match ? Number(match[2]) : NaN;
+  if (!match || port > 65535) {
+    throw new UsageError(`--serve expects [host:]port, got "${flags.serve}".`);
+  }
+
+  const server = new EventStreamServer({ host: match[1]?.replace(/^\[|\]$/g, '') ?? '127.0.0.1', port });
+  const { url } = await server.listen();
+  println(io.stderr, `Streaming events at ${url}/events`);
+  try {
+    return await run();
+  } finally {
+    await server.close();
+  }
+}
+
+/**
+ * Runs `run` with an {@link EventTracer} recording when `--trace` is given,
+ * and writes the trace once the run settles (also when it fails).
+ *
+ * @param {Object} flags
+ * @param {CliIO} io
+ * @param {PipelineExecutor} executor - Its hooks are traced too.
+ * @param {() => Promise<number>} run
+ * @returns {Promise<number>}
+ * @throws {UsageError} If `--trace-format` is unknown or given without `--trace`.
+ */
+async function withTrace(flags, io, executor, run) {
+  const format = flags['trace-format'] ?? 'chrome';
+  if (!Object.hasOwn(TRACE_WRITERS, format)) {
+    throw new UsageError(`--trace-format expects one of ${Object.keys(TRACE_WRITERS).join(', ')}, got "${format}".`);
+  }
+  if (flags.trace === undefined) {
+    if (flags['trace-format'] !== undefined) throw new UsageError('--trace-format requires --trace <file>.');
+    return run();
+  }
+
+  const tracer = new EventTracer().start();
+  tracer.attachExecutor(executor);
+  try {
+    return await run();
+  } finally {
+    tracer.stop();
+    const file = await tracer[TRACE_WRITERS[format]](flags.trace);
+    println(io.stderr, `Trace written to ${file}`);
+  }
+}
+
+/**
+ * Reports a failure that happened before the pipeline could run.
+ *
+ * @param {string} runId
+ * @param {string} message
+ * @param {Object} flags
+ * @param {CliIO} io
+ * @returns {number}
+ */
+function reportFailure(runId, message, flags, io) {
+  if (flags.json) {
+    println(io.stdout, JSON.stringify({ success: false, runId, errors: [{ phase: 'unknown', message }] }, null, 2));
+  } else {
+    println(io.stderr, message);
+  }
+  return ExitCode.FAILURE;
+}
+
+/**
+ * Prints a pipeline result and returns the matching exit code.
+ *
+ * @param {import('../core/orchestrator/pipeline-executor.js').PipelineResult} result
+ * @param {Object} flags
+ * @param {CliIO} io
+ * @returns {number}
+ */
+function reportPipeline(result, flags, io) {
+  if (flags.json) {
+    // The dry-run file map is a Map.
+    const replacer = (_key, value) => (value instanceof Map ? Object.fromEntries(value) : value);
+    println(io.stdout, JSON.stringify(result, replacer, 2));
+    return result.success ? ExitCode.SUCCESS : ExitCode.FAILURE;
+  }
+
+  for (const entry of result.timing) {
+    println(io.stdout, `  ${entry.status.padEnd(10)} ${entry.phase.padEnd(10)} ${entry.durationMs ?? 0}ms`);
+  }
+
+  if (!result.success) {
+    for (const err of result.errors) {
+      println(io.stderr, `Error [${err.phase}]: ${err.message}`);
+    }
+    println(io.stderr, `Run ${result.runId} failed.`);
+    return ExitCode.FAILURE;
+  }
+
+  const { preview } = result;
+  if (preview) {
+    const { diff, validation } = preview;
+    println(io.stdout, `Dry run: would write ${preview.files.size} files to ${preview.outputPath}`);
+    println(io.stdout, `  ${diff.added.length} added, ${diff.modified.length} modified, ${diff.unchanged.length} unchanged, ${diff.removed.length} removed`);
+    println(io.stdout, `  validation score ${validation.score}/100, ${validation.errors.length} errors, ${validation.warnings.length} warnings`);
+    return ExitCode.SUCCESS;
+  }
+
+  const report = result.data.finalReport;
+  if (report && typeof report === 'object') {
+    println(io.stdout, `Generated ${report.totalFiles} files in ${report.outputPath}`);
+  }
+  println(io.stdout, `Run ${result.runId} completed in ${result.totalDurationMs}ms.`);
+  return ExitCode.SUCCESS;
+}
+
+// ---------------------------------------------------------------------------
+// Subcommands
+// ---------------------------------------------------------------------------
+
+/**
+ * `clawos init "<description>"` — interactive elicitation followed by the
+ * full pipeline.
+ *
+ * @param {ParsedCommand} cmd
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function initCommand({ positionals, flags }, io) {
+  const description = positionals.join(' ').trim();
+  if (!description) {
+    throw new UsageError('init requires a description, e.g. clawos init "REST API framework"');
+  }
+
+  const prompter = createPrompter(flags, io);
+
+  try {
+    const executor = createExecutor(flags, { askQuestion: prompter.askQuestion });
+    // The output root travels in the context so `resume` writes to the same place.
+    const result = await withTrace(flags, io, executor, () => withEventStream(flags, io, () => executor.run({
+      userInput: description,
+      ...(flags.out ? { outputDir: path.resolve(flags.out) } : {}),
+    })));
+    return reportPipeline(result, flags, io);
+  } finally {
+    prompter.close();
+  }
+}
+
+/**
+ * `clawos generate --profile profile.json --out dir` — skips discovery and
+ * elicitation by seeding both phases from a saved RequirementsProfile.
+ *
+ * @param {ParsedCommand} cmd
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function generateCommand({ flags }, io) {
+  if (!flags.profile) {
+    throw new UsageError('generate requires --profile <file>');
+  }
+
+  let profile;
+  try {
+    profile = JSON.parse(await readFile(flags.profile, 'utf-8'));
+  } catch (err) {
+    throw new UsageError(`Cannot read profile "${flags.profile}": ${err.message}`);
+  }
+  if (!profile || typeof profile !== 'object' || !profile.name || !profile.domain) {
+    throw new UsageError(`Profile "${flags.profile}" must define at least "name" and "domain".`);
+  }
+
+  const handlers = {
+    [Phase.DISCOVER]: async () => ({
+      domain: profile.domain,
+      constraints: { scope: profile.scalability ?? 'medium' },
+      requirements: { description: profile.description ?? '' },
+      detectedPatterns: {},
+    }),
+    [Phase.ELICIT]: async () => ({
+      refinedRequirements: profile,
+      userPreferences: {
+        language: profile.language,
+        architecture: profile.architecture,
+        testing: profile.testing,
+        deployment: profile.deployment,
+        claudeCode: profile.claudeCode,
+        executionMode: profile.executionMode,
+      },
+      clarifications: {},
+    }),
+  };
+
+  const executor = createExecutor(flags, {}, handlers);
+  const result = await withTrace(flags, io, executor, () => withEventStream(flags, io, () => executor.run({
+    userInput: profile.description || profile.name,
+    ...(flags.out ? { outputDir: path.resolve(flags.out) } : {}),
+  })));
+  return reportPipeline(result, flags, io);
+}
+
+/**
+ * `clawos validate <dir>` — structure validation plus integrity checks, both
+ * also published as VALIDATION_* events on the shared event bus.
+ *
+ * @param {ParsedCommand} cmd
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function validateCommand({ positionals, flags }, io) {
+  const [dir] = positionals;
+  if (!dir) {
+    throw new UsageError('validate requires a directory, e.g. clawos validate ./my-framework');
+  }
+
+  const bus = getEventBus();
+  const meta = { runId: null, phase: null };
+  const structure = publishValidation(bus, meta, dir, () => new StructureValidator().validate(dir, {}), {
+    validator: 'structure',
+  });
+  const integrity = publishValidation(bus, meta, dir, () => new IntegrityChecker().check(dir), {
+    validator: 'integrity',
+  });
+  const valid = structure.valid && integrity.valid;
+
+  if (flags.json) {
+    println(io.stdout, JSON.stringify({ valid, structure, integrity }, null, 2));
+  } else {
+    println(io.stdout, `Structure: score ${structure.score}/100, ${structure.errors.length} errors, ${structure.warnings.length} warnings`);
+    println(io.stdout, `Integrity: score ${integrity.score}/100, ${integrity.errors.length} errors, ${integrity.warnings.length} warnings`);
+    for (const entry of [...structure.errors, ...integrity.errors]) {
+      println(io.stderr, `  error   ${entry.file}: ${entry.message}`);
+    }
+    for (const entry of [...structure.warnings, ...integrity.warnings]) {
+      println(io.stdout, `  warning ${entry.file}: ${entry.message}`);
+    }
+  }
+
+  return valid ? ExitCode.SUCCESS : ExitCode.FAILURE;
+}
+
+/**
+ * `clawos resume <runId>` — restores an interrupted run from its checkpoint
+ * in `.clawos/runs` and continues from the first incomplete phase.
+ *
+ * @param {ParsedCommand} cmd
+ * @param {CliIO} io
+ * @returns {Promise<number>}
+ */
+async function resumeCommand({ positionals, flags }, io) {
+  const [runId] = positionals;
+  if (!runId) {
+    throw new UsageError('resume requires a run id, e.g. clawos resume run_abc123');
+  }
+
+  const prompter = createPrompter(flags, io);
+
+  try {
+    let orchestrator;
+    try {
+      orchestrator = MasterOrchestrator.restore(runId, {
+        defaultHandlers: { outputDir: flags.out, askQuestion: prompter.askQuestion },
+      });
+    } catch (err) {
+      return reportFailure(runId, `Run "${runId}" cannot be resumed: ${err.message}`, flags, io);
+    }
+
+    const check = orchestrator.canResume();
+    if (!check.canResume) {
+      return reportFailure(runId, `Run "${runId}" cannot be resumed: ${check.reason}`, flags, io);
+    }
+
+    if (!flags.json) {
+      println(io.stdout, `Resuming run ${runId} from phase ${orchestrator.currentPhase}.`);
+    }
+    const executor = wrapExecutor(flags, orchestrator);
+    const result = await withTrace(flags, io, executor, () => withEventStream(flags, io, () => executor.resume()));
+    return reportPipeline(result, flags, io);
+  } finally {
+    prompter.close();
+  }
+}
+
+/** @type {Record<string, (cmd: ParsedCommand, io: CliIO) => Promise<number>>} */
+const COMMANDS = Object.freeze({
+  init: initCommand,
+  generate: generateCommand,
+  validate: validateCommand,
+  resume: resumeCommand,
+});
+
+// ---------------------------------------------------------------------------
+// Entry point
+// ---------------------------------------------------------------------------
+
+/**
+ * Runs the CLI and resolves with the process exit code. Never calls
+ * `process.exit` itself so it can be embedded and tested.
+ *
+ * @param {string[]} argv - Arguments without the node/script prefix.
+ * @param {Partial<CliIO>} [io] - Streams (default: the process streams).
+ * @returns {Promise<number>}
+ */
+export async function runCli(argv, io = {}) {
+  const streams = {
+    stdin: io.stdin ?? process.stdin,
+    stdout: io.stdout ?? process.stdout,
+    stderr: io.stderr ?? process.stderr,
+  };
+
+  try {
+    const cmd = parseCommand(argv);
+
+    if (cmd.flags.version) {
+      println(streams.stdout, CLI_VERSION);
+      return ExitCode.SUCCESS;
+    }
+    if (cmd.flags.help || !cmd.command) {
+      streams.stdout.write(USAGE);
+      return cmd.command || cmd.flags.help ? ExitCode.SUCCESS : ExitCode.USAGE;
+    }
+
+    const handler = COMMANDS[cmd.command];
+    if (!handler) {
+      throw new UsageError(`Unknown command "${cmd.command}".`);
+    }
+
+    return await handler(cmd, streams);
+  } catch (err) {
+    if (err instanceof UsageError) {
+      println(streams.stderr, `clawos: ${err.message}`);
+      println(streams.stderr, 'Run "clawos --help" for usage.');
+      return ExitCode.USAGE;
+    }
+    println(streams.stderr, `clawos: ${err.message}`);
+    return ExitCode.FAILURE;
+  }
+}
+
+export default runCli;
@@ -1519,6 +1519,19 @@ Provide:
  * adding tests, scaffolding components, or managing data pipelines.
  */
 class CommandGenerator {
+  /** @type {Pick<typeof fs, 'mkdir'|'writeFile'>} */
+  #fs;
+
+  /**
+   * @param {Object} [options]
+   * @param {Pick<typeof fs, 'mkdir'|'writeFile'>} [options.fs] - File system
+   *   command files are written to, e.g. the `promises` of a VirtualFileSystem.
+   *   Defaults to `node:fs`.
+   */
+  constructor(options = {}) {
+    this.#fs = options.fs ?? fs;
+  }
+
   // -----------------------------------------------------------------------
   // Public API
   // -----------------------------------------------------------------------
@@ -1552,7 +1565,7 @@ class CommandGenerator {
 
     // Ensure output directory exists (if writing to disk)
     if (outputPath) {
-      await fs.mkdir(outputPath, { recursive: true });
+      await this.#fs.mkdir(outputPath, { recursive: true });
     }
 
     // --- Base commands (always generated) ---
@@ -1606,7 +1619,7 @@ class CommandGenerator {
     const fullPath = outputPath ? path.join(outputPath, filename) : '';
 
     if (outputPath) {
-      await fs.writeFile(fullPath, content, 'utf-8');
+      await this.#fs.writeFile(fullPath, content, 'utf-8');
     }
 
     return {
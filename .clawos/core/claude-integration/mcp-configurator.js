@@ -176,6 +176,19 @@ const DEFAULT_SERVERS = ['filesystem', 'github'];
  * configuration file that enables Claude Code to leverage those servers.
  */
 class McpConfigurator {
+  /** @type {Pick<typeof fs, 'mkdir'|'writeFile'>} */
+  #fs;
+
+  /**
+   * @param {Object} [options]
+   * @param {Pick<typeof fs, 'mkdir'|'writeFile'>} [options.fs] - File system
+   *   `.claude/mcp.json` are written to, e.g. the `promises` of a VirtualFileSystem.
+   *   Defaults to `node:fs`.
+   */
+  constructor(options = {}) {
+    this.#fs = options.fs ?? fs;
+  }
+
   // -----------------------------------------------------------------------
   // Public API
   // -----------------------------------------------------------------------
@@ -213,10 +226,10 @@ class McpConfigurator {
     // Write to disk if outputDir is provided
     if (outputDir) {
       const claudeDir = path.join(outputDir, '.claude');
-      await fs.mkdir(claudeDir, { recursive: true });
+      await this.#fs.mkdir(claudeDir, { recursive: true });
 
       const outputPath = path.join(claudeDir, 'mcp.json');
-      await fs.writeFile(outputPath, configJson, 'utf-8');
+      await this.#fs.writeFile(outputPath, configJson, 'utf-8');
       result.outputPath = outputPath;
     }
 
@@ -1,26 +1,44 @@
 /**
  * @module config-resolver
- * @description Three-layer hierarchical configuration resolver for ClawOS.
+ * @description Layered hierarchical configuration resolver for ClawOS.
  *
- * Configuration is merged from three layers with increasing precedence:
+ * Configuration is merged from five layers with increasing precedence:
  *   L1 (Framework)  - Built-in defaults from the schema ({@link config-schema}).
  *   L2 (Project)    - Project-level overrides from `.clawos-config.yaml`.
  *   L3 (User)       - User preferences from `~/.clawos/preferences.yaml`.
+ *   L4 (Env)        - `CLAWOS_*` environment variables, e.g.
+ *                     `CLAWOS_GENERATION__LANGUAGE=typescript` (`__` separates
+ *                     path segments; values are coerced to the field's type).
+ *   L5 (Overrides)  - Programmatic overrides passed to `resolve()` or `set()`
+ *                     (CLI flags, tests).
  *
- * Deep merge follows L3 > L2 > L1 precedence (user wins over project wins
- * over framework defaults).
+ * Deep merge follows L5 > L4 > L3 > L2 > L1 precedence. `explain(path)`
+ * reports which layer supplied each resolved value.
+ *
+ * Long-running processes can call `watch()` to hot-reload when the project or
+ * user config file changes. Each change is re-resolved and re-validated; valid
+ * results replace the active config and emit `config:changed` (and
+ * `ClawEvent.CONFIG_CHANGED` on the {@link ClawEventBus}) with a diff of the
+ * changed paths, while invalid edits are rejected and the last good config
+ * stays active.
  *
  * Additional capabilities:
- *   - Simple YAML parsing (no external dependencies)
+ *   - YAML 1.2 parsing via {@link module:yaml} (block sequences, block
+ *     scalars, anchors, flow collections; no external dependencies). A
+ *     multi-document file is merged document by document, later documents
+ *     winning.
  *   - Environment variable interpolation (`${ENV_VAR}` syntax)
  *   - Schema validation via {@link config-schema}
  *   - In-memory cache with configurable TTL
  */
 
-import { readFileSync, existsSync } from 'node:fs';
-import { join } from 'node:path';
+import { readFileSync, existsSync, watch } from 'node:fs';
+import { EventEmitter } from 'node:events';
+import { join, dirname, basename } from 'node:path';
 import { homedir } from 'node:os';
-import { getDefaults, validateConfig } from './config-schema.js';
+import { CONFIG_SCHEMA, FieldType, getDefaults, validateConfig } from './config-schema.js';
+import { parseYaml, parseAllYaml } from './yaml.js';
+import { ClawEvent, getEventBus } from '../events/event-bus.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -35,111 +53,48 @@ const PROJECT_CONFIG_FILE = '.clawos-config.yaml';
 /** Relative path under the user's home directory for user preferences. */
 const USER_CONFIG_PATH = '.clawos/preferences.yaml';
 
+/** Delay that coalesces bursts of file events (editors write several times). */
+const DEFAULT_WATCH_DEBOUNCE_MS = 100;
+
+/** Prefix of environment variables read into the L4 layer. */
+const ENV_PREFIX = 'CLAWOS_';
+
+/** Separator between path segments in L4 variable names. */
+const ENV_PATH_SEPARATOR = '__';
+
+/**
+ * Configuration layers, lowest precedence first.
+ * @readonly
+ * @enum {string}
+ */
+export const ConfigLayer = Object.freeze({
+  FRAMEWORK: 'L1',
+  PROJECT:   'L2',
+  USER:      'L3',
+  ENV:       'L4',
+  OVERRIDE:  'L5',
+});
+
 // ---------------------------------------------------------------------------
-// Minimal YAML Parser
+// YAML parsing
 // ---------------------------------------------------------------------------
 
 /**
- * A minimal YAML parser that handles the subset of YAML used by ClawOS config
- * files. Supports:
- *   - Key-value pairs (scalars: string, number, boolean, null)
- *   - Nested objects (indentation-based)
- *   - Single-line comments (# ...)
- *   - Unquoted and quoted strings (single / double)
- *   - Flow-style inline arrays: [a, b, c]
+ * Parses a YAML config document into an object.
  *
- * Does NOT support: multi-line strings, anchors/aliases, tags, block arrays
- * with `-` notation, or multi-document streams. For those, a full YAML library
- * would be required.
+ * @deprecated Kept for callers of the original minimal parser; it now
+ * delegates to {@link parseYaml}, which supports the full grammar described in
+ * {@link module:yaml}. Unlike `parseYaml`, it returns `{}` for empty input.
  *
  * @param {string} yamlText - Raw YAML text.
  * @returns {Record<string, *>} Parsed object.
+ * @throws {YamlError} On malformed input.
  */
 export function parseSimpleYaml(yamlText) {
   if (!yamlText || typeof yamlText !== 'string') {
     return {};
   }
-
-  const lines = yamlText.split('\n');
-  const root = {};
-
-  /**
-   * Stack of { indent, obj } to track nesting.
-   * @type {Array<{ indent: number, obj: Record<string, *> }>}
-   */
-  const stack = [{ indent: -1, obj: root }];
-
-  for (let i = 0; i < lines.length; i++) {
-    const raw = lines[i];
-
-    // Strip full-line comments and blank lines.
-    const stripped = raw.replace(/#.*$/, '');
-    if (stripped.trim().length === 0) continue;
-
-    // Calculate indentation (number of leading spaces).
-    const indent = raw.search(/\S/);
-    if (indent === -1) continue;
-
-    // Find the key-value separator.
-    const colonIdx = stripped.indexOf(':');
-    if (colonIdx === -1) continue;
-
-    const key = stripped.slice(0, colonIdx).trim();
-    const rawValue = stripped.slice(colonIdx + 1).trim();
-
-    // Pop the stack back to the correct parent.
-    while (stack.length > 1 && stack[stack.length - 1].indent >= indent) {
-      stack.pop();
-    }
-
-    const parent = stack[stack.length - 1].obj;
-
-    if (rawValue === '' || rawValue === undefined) {
-      // This key introduces a nested object.
-      const child = {};
-      parent[key] = child;
-      stack.push({ indent, obj: child });
-    } else {
-      // Scalar value.
-      parent[key] = parseScalar(rawValue);
-    }
-  }
-
-  return root;
-}
-
-/**
- * Parses a raw YAML scalar string into its JavaScript equivalent.
- *
- * @param {string} raw - The raw string value.
- * @returns {string|number|boolean|null|string[]}
- */
-function parseScalar(raw) {
-  if (raw === 'null' || raw === '~') return null;
-  if (raw === 'true') return true;
-  if (raw === 'false') return false;
-
-  // Inline array: [a, b, c]
-  if (raw.startsWith('[') && raw.endsWith(']')) {
-    const inner = raw.slice(1, -1).trim();
-    if (inner.length === 0) return [];
-    return inner.split(',').map((s) => parseScalar(s.trim()));
-  }
-
-  // Quoted strings.
-  if (
-    (raw.startsWith('"') && raw.endsWith('"')) ||
-    (raw.startsWith("'") && raw.endsWith("'"))
-  ) {
-    return raw.slice(1, -1);
-  }
-
-  // Number.
-  if (/^-?\d+(\.\d+)?$/.test(raw)) {
-    return Number(raw);
-  }
-
-  return raw;
+  return parseYaml(yamlText) ?? {};
 }
 
 // ---------------------------------------------------------------------------
@@ -267,23 +222,244 @@ function setByPath(obj, path, value) {
   current[segments[segments.length - 1]] = value;
 }
 
+/**
+ * Lists the dot-paths of every leaf under `obj`. Arrays, empty objects and
+ * scalars are leaves (arrays are replaced, never merged).
+ *
+ * @param {*}      obj
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+function leafPaths(obj, prefix) {
+  if (obj === null || typeof obj !== 'object' || Array.isArray(obj) || Object.keys(obj).length === 0) {
+    return prefix ? [prefix] : [];
+  }
+  return Object.keys(obj).flatMap((key) => leafPaths(obj[key], prefix ? `${prefix}.${key}` : key));
+}
+
+/**
+ * Expands dot-path keys (`{ 'generation.language': 'ts' }`) into a nested
+ * object; nested keys are kept as-is.
+ *
+ * @param {Record<string, *>} overrides
+ * @returns {Record<string, *>}
+ */
+function expandOverrides(overrides) {
+  const result = {};
+  for (const [key, value] of Object.entries(overrides)) {
+    if (key.includes('.')) {
+      setByPath(result, key, value);
+    } else {
+      result[key] = value !== null && typeof value === 'object' && !Array.isArray(value)
+        ? deepMerge(result[key] ?? {}, expandOverrides(value))
+        : value;
+    }
+  }
+  return result;
+}
+
+/**
+ * @typedef {Object} ConfigChange
+ * @property {string} path   - Dot-path of the changed value.
+ * @property {*}      before - Previous value (`undefined` if added).
+ * @property {*}      after  - New value (`undefined` if removed).
+ */
+
+/**
+ * Lists the leaf values that differ between two resolved configs.
+ *
+ * @param {Record<string, *>} before
+ * @param {Record<string, *>} after
+ * @returns {ConfigChange[]}
+ */
+function diffConfigs(before, after) {
+  const paths = new Set([...leafPaths(before, ''), ...leafPaths(after, '')]);
+  /** @type {ConfigChange[]} */
+  const changes = [];
+
+  for (const path of paths) {
+    const previous = getByPath(before, path);
+    const next = getByPath(after, path);
+    if (JSON.stringify(previous) !== JSON.stringify(next)) {
+      changes.push({ path, before: previous, after: next });
+    }
+  }
+
+  return changes;
+}
+
+// ---------------------------------------------------------------------------
+// Environment layer (L4)
+// ---------------------------------------------------------------------------
+
+/**
+ * Finds the schema key for an environment variable path segment. Matching is
+ * case-insensitive and ignores underscores, so `CLAUDE_CODE` matches
+ * `claudeCode` and `INCLUDETESTS` matches `includeTests`.
+ *
+ * @param {Record<string, import('./config-schema.js').SchemaField>} schema
+ * @param {string} segment
+ * @returns {string|undefined}
+ */
+function findSchemaKey(schema, segment) {
+  const wanted = segment.replace(/_/g, '').toLowerCase();
+  return Object.keys(schema).find((key) => key.toLowerCase() === wanted);
+}
+
+/**
+ * Coerces a raw environment string to the {@link FieldType} of a field.
+ *
+ * @param {string} raw
+ * @param {import('./config-schema.js').SchemaField} field
+ * @returns {{ value: * } | { error: string }}
+ */
+function coerceEnvValue(raw, field) {
+  const text = raw.trim();
+
+  switch (field.type) {
+    case FieldType.STRING:
+      return { value: raw };
+
+    case FieldType.NUMBER: {
+      const value = Number(text);
+      return text !== '' && Number.isFinite(value) ? { value } : { error: `"${raw}" is not a number` };
+    }
+
+    case FieldType.BOOLEAN:
+      if (/^(?:true|1|yes|on)$/i.test(text)) return { value: true };
+      if (/^(?:false|0|no|off)$/i.test(text)) return { value: false };
+      return { error: `"${raw}" is not a boolean (use true/false, 1/0, yes/no or on/off)` };
+
+    case FieldType.ARRAY:
+      if (text.startsWith('[')) {
+        try {
+          const value = JSON.parse(text);
+          if (Array.isArray(value)) return { value };
+        } catch {
+          // Reported below.
+        }
+        return { error: `"${raw}" is not a JSON array` };
+      }
+      return { value: text === '' ? [] : text.split(',').map((item) => item.trim()) };
+
+    case FieldType.OBJECT:
+      try {
+        const value = JSON.parse(text);
+        if (value !== null && typeof value === 'object' && !Array.isArray(value)) return { value };
+      } catch {
+        // Reported below.
+      }
+      return { error: `"${raw}" is not a JSON object` };
+
+    default:
+      return { value: raw };
+  }
+}
+
+/**
+ * Builds the L4 layer from `CLAWOS_*` variables. Each variable name after
+ * the prefix is split on `__` and matched against {@link CONFIG_SCHEMA};
+ * variables that match no field, or whose value cannot be coerced, are
+ * skipped with a warning.
+ *
+ * @param {Record<string, string|undefined>} env
+ * @param {string[]} warnings - Accumulator for warnings.
+ * @returns {{ data: Record<string, *>, sources: Map<string, string> }}
+ *          The layer and, per dot-path, the variable that set it.
+ */
+function readEnvLayer(env, warnings) {
+  const data = {};
+  /** @type {Map<string, string>} */
+  const sources = new Map();
+
+  const names = Object.keys(env).filter((name) => name.startsWith(ENV_PREFIX) && env[name] !== undefined).sort();
+
+  for (const name of names) {
+    const segments = name.slice(ENV_PREFIX.length).split(ENV_PATH_SEPARATOR);
+    let schema = CONFIG_SCHEMA;
+    let field = null;
+    const path = [];
+
+    for (const segment of segments) {
+      const key = schema ? findSchemaKey(schema, segment) : undefined;
+      if (!key) {
+        field = null;
+        break;
+      }
+      field = schema[key];
+      path.push(key);
+      schema = field.properties ?? null;
+    }
+
+    if (!field) {
+      warnings.push(`Environment variable "${name}" does not match any config field; ignored.`);
+      continue;
+    }
+
+    const coerced = coerceEnvValue(env[name], field);
+    if ('error' in coerced) {
+      warnings.push(`Environment variable "${name}": ${coerced.error}; ignored.`);
+      continue;
+    }
+
+    const dotPath = path.join('.');
+    setByPath(data, dotPath, coerced.value);
+    for (const leaf of leafPaths(coerced.value, dotPath)) sources.set(leaf, name);
+  }
+
+  return { data, sources };
+}
+
 // ---------------------------------------------------------------------------
 // ConfigResolver class
 // ---------------------------------------------------------------------------
 
 /**
- * Three-layer hierarchical configuration resolver.
+ * @typedef {Object} LayerContribution
+ * @property {string} layer  - One of {@link ConfigLayer}.
+ * @property {string} source - File path, environment variable, or description.
+ * @property {*}      value  - The value this layer set (before interpolation).
+ */
+
+/**
+ * @typedef {Object} Resolution
+ * @property {Record<string, *>} config     - Merged, interpolated config.
+ * @property {import('./config-schema.js').ValidationResult} validation
+ * @property {string[]}          warnings
+ * @property {string[]}          unreadable - Config files that failed to load.
+ * @property {Array<{ layer: string, source: string, data: Record<string, *>, sources?: Map<string, string> }>} layers
+ */
+
+/**
+ * @typedef {Object} ConfigExplanation
+ * @property {string}              path   - Dot-path of the resolved value.
+ * @property {*}                   value  - The final (interpolated) value.
+ * @property {string}              layer  - Layer that supplied it ({@link ConfigLayer}).
+ * @property {string}              source - Where that layer got it from.
+ * @property {LayerContribution[]} layers - Every layer that set the path,
+ *                                          lowest precedence first.
+ */
+
+/**
+ * Five-layer hierarchical configuration resolver.
  *
  * Usage:
  * ```js
  * const resolver = new ConfigResolver({ projectRoot: process.cwd() });
  * const config = resolver.resolve();
  * const lang = resolver.get('generation.language'); // 'javascript'
+ *
+ * resolver.resolve({ 'generation.includeTests': false }); // L5 overrides
+ * resolver.explain('generation.language');
+ * // [{ path: 'generation.language', value: 'typescript', layer: 'L4',
+ * //    source: 'CLAWOS_GENERATION__LANGUAGE', layers: [...] }]
  * ```
  *
- * @fires ConfigResolver does not emit events (stateless utility).
+ * @fires ConfigResolver#config:changed  - A watched file changed and the new config is valid.
+ * @fires ConfigResolver#config:rejected - A watched file changed but the result is
+ *        unreadable or invalid; the previous config stays active.
  */
-export class ConfigResolver {
+export class ConfigResolver extends EventEmitter {
   /** @type {string} */
   #projectRoot;
 
@@ -299,18 +475,48 @@ export class ConfigResolver {
   /** @type {string[]} */
   #warnings;
 
+  /** @type {Record<string, string|undefined>} */
+  #env;
+
+  /** L5 overrides from `resolve(overrides)` and `set()`. @type {Record<string, *>} */
+  #overrides;
+
+  /**
+   * Layers used by the last resolution, lowest precedence first.
+   * @type {Array<{ layer: string, source: string, data: Record<string, *>, sources?: Map<string, string> }>}
+   */
+  #layers;
+
+  /** @type {import('node:fs').FSWatcher[]} */
+  #watchers = [];
+
+  /** @type {NodeJS.Timeout|null} */
+  #reloadTimer = null;
+
+  /** Watched files changed since the last hot reload. @type {Set<string>} */
+  #pendingFiles = new Set();
+
+  /** @type {import('../events/event-bus.js').ClawEventBus|null} */
+  #eventBus = null;
+
   /**
    * @param {Object}  [options]
    * @param {string}  [options.projectRoot=process.cwd()] - Path to the project root
    *                   where `.clawos-config.yaml` is expected.
    * @param {number}  [options.cacheTtlMs]                - Cache TTL in ms.
+   * @param {Record<string, string|undefined>} [options.env=process.env] -
+   *                   Environment read for the L4 layer.
    */
   constructor(options = {}) {
+    super();
     this.#projectRoot = options.projectRoot ?? process.cwd();
     this.#cacheTtlMs = options.cacheTtlMs ?? DEFAULT_CACHE_TTL_MS;
+    this.#env = options.env ?? process.env;
     this.#cache = null;
     this.#cacheTimestamp = 0;
     this.#warnings = [];
+    this.#overrides = {};
+    this.#layers = [];
   }
 
   // -----------------------------------------------------------------------
@@ -319,14 +525,25 @@ export class ConfigResolver {
 
   /**
    * Resolves the full configuration by merging L1 defaults, L2 project config,
-   * and L3 user preferences. The result is cached until TTL expiry or an
-   * explicit {@link reload}.
+   * L3 user preferences, L4 `CLAWOS_*` environment variables and L5
+   * overrides. The result is cached until TTL expiry or an explicit
+   * {@link reload}.
    *
+   * @param {Record<string, *>} [overrides] - Replaces the L5 layer for this and
+   *        later calls (pass `{}` to clear it). Keys may be nested objects or
+   *        dot-paths such as `'generation.language'`.
    * @returns {{ config: Record<string, *>, validation: import('./config-schema.js').ValidationResult, warnings: string[] }}
    */
-  resolve() {
-    // Return cache if still valid.
-    if (this.#cache && Date.now() - this.#cacheTimestamp < this.#cacheTtlMs) {
+  resolve(overrides) {
+    if (overrides !== undefined) {
+      this.#overrides = expandOverrides(overrides ?? {});
+      this.#cache = null;
+    }
+
+    // Return cache if still valid. While watching, the cache only changes
+    // through hot reloads so that an invalid edit never becomes active.
+    const fresh = this.#watchers.length > 0 || Date.now() - this.#cacheTimestamp < this.#cacheTtlMs;
+    if (this.#cache && fresh) {
       return {
         config: this.#cache,
         validation: validateConfig(this.#cache),
@@ -334,35 +551,13 @@ export class ConfigResolver {
       };
     }
 
-    this.#warnings = [];
-
-    // L1 - Framework defaults.
-    const l1 = this.getDefaults();
-
-    // L2 - Project-level config.
-    const l2 = this.#loadProjectConfig();
-
-    // L3 - User-level preferences.
-    const l3 = this.#loadUserConfig();
-
-    // Merge: L1 <- L2 <- L3  (higher layers win).
-    let merged = deepMerge({ ...l1 }, l2);
-    merged = deepMerge(merged, l3);
-
-    // Interpolate environment variables.
-    merged = interpolateEnvVars(merged, this.#warnings);
-
-    // Validate against schema.
-    const validation = validateConfig(merged);
-
-    // Cache the result.
-    this.#cache = merged;
-    this.#cacheTimestamp = Date.now();
+    const result = this.#compute();
+    this.#commit(result);
 
     return {
-      config: merged,
-      validation,
-      warnings: [...this.#warnings],
+      config: result.config,
+      validation: result.validation,
+      warnings: [...result.warnings],
     };
   }
 
@@ -380,22 +575,132 @@ export class ConfigResolver {
 
   /**
    * Sets a runtime override for a config value (in-memory only, not persisted).
-   * Useful for CLI flag overrides or one-off test scenarios.
+   * Useful for CLI flag overrides or one-off test scenarios. The value is
+   * recorded in the L5 layer, so it survives {@link reload}.
    *
    * @param {string} path  - Dot-separated config path.
    * @param {*}      value - The value to set.
    */
   set(path, value) {
+    setByPath(this.#overrides, path, value);
+
     // Ensure the cache is warm.
     if (!this.#cache) {
       this.resolve();
+      return;
     }
     setByPath(this.#cache, path, value);
   }
 
+  /**
+   * Reports which layer supplied each resolved value at or below `path`.
+   * Triggers a {@link resolve} if the cache is cold.
+   *
+   * @param {string} [path] - Dot-separated config path; omit for every value.
+   * @returns {ConfigExplanation[]} One entry per leaf value, empty if the path
+   *          does not exist.
+   */
+  explain(path) {
+    const { config } = this.resolve();
+    const root = path ? getByPath(config, path) : config;
+    if (root === undefined) return [];
+
+    return leafPaths(root, path ?? '').map((leaf) => {
+      /** @type {LayerContribution[]} */
+      const layers = [];
+      for (const entry of this.#layers) {
+        const value = getByPath(entry.data, leaf);
+        if (value === undefined) continue;
+        layers.push({ layer: entry.layer, source: entry.sources?.get(leaf) ?? entry.source, value });
+      }
+
+      const winner = layers[layers.length - 1];
+      return {
+        path: leaf,
+        value: getByPath(config, leaf),
+        layer: winner?.layer ?? ConfigLayer.FRAMEWORK,
+        source: winner?.source ?? 'schema defaults',
+        layers,
+      };
+    });
+  }
+
+  /**
+   * Starts watching the project (`.clawos-config.yaml`) and user
+   * (`~/.clawos/preferences.yaml`) config files. On change the configuration
+   * is re-resolved and re-validated:
+   *   - valid: it becomes the active config and `config:changed` is emitted
+   *     with `{ files, changes, config }` (nothing is emitted if no resolved
+   *     value changed);
+   *   - unreadable or failing validation: `config:rejected` is emitted with
+   *     `{ files, errors, warnings }` and the last good config stays active.
+   * Both are also published on the event bus as {@link ClawEvent.CONFIG_CHANGED}
+   * and {@link ClawEvent.CONFIG_REJECTED}.
+   *
+   * The directories are watched rather than the files, so editors that save
+   * by replacing the file are handled. A directory that does not exist yet
+   * (e.g. `~/.clawos`) is not watched.
+   *
+   * @param {Object}  [options]
+   * @param {number}  [options.debounceMs=100] - Quiet period before reloading.
+   * @param {boolean} [options.persistent=true] - Keep the process alive while watching.
+   * @param {import('../events/event-bus.js').ClawEventBus} [options.eventBus] -
+   *        Bus to publish on (defaults to the shared {@link getEventBus} instance).
+   * @returns {this}
+   */
+  watch(options = {}) {
+    if (this.#watchers.length > 0) return this;
+
+    const debounceMs = options.debounceMs ?? DEFAULT_WATCH_DEBOUNCE_MS;
+    const persistent = options.persistent ?? true;
+    this.#eventBus = options.eventBus ?? getEventBus();
+
+    // Establish the baseline that the first change is diffed against.
+    this.resolve();
+
+    const files = [join(this.#projectRoot, PROJECT_CONFIG_FILE), join(homedir(), USER_CONFIG_PATH)];
+    for (const file of files) {
+      const dir = dirname(file);
+      if (!existsSync(dir)) continue;
+
+      const watcher = watch(dir, { persistent }, (_eventType, filename) => {
+        if (filename && filename.toString() !== basename(file)) return;
+        this.#pendingFiles.add(file);
+        clearTimeout(this.#reloadTimer);
+        this.#reloadTimer = setTimeout(() => this.#hotReload(), debounceMs);
+        if (!persistent) this.#reloadTimer.unref();
+      });
+      watcher.on('error', (err) => {
+        this.#warnings.push(`Stopped watching "${dir}": ${err.message}`);
+      });
+      this.#watchers.push(watcher);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stops watching config files. Pending reloads are discarded.
+   */
+  unwatch() {
+    for (const watcher of this.#watchers) {
+      watcher.close();
+    }
+    this.#watchers = [];
+    clearTimeout(this.#reloadTimer);
+    this.#reloadTimer = null;
+    this.#pendingFiles.clear();
+  }
+
+  /** Whether config files are being watched. @returns {boolean} */
+  get watching() {
+    return this.#watchers.length > 0;
+  }
+
   /**
    * Invalidates the in-memory cache so that the next {@link resolve} call
-   * re-reads all config sources from disk.
+   * re-reads all config sources from disk and the environment. L5 overrides
+   * are kept.
    */
   reload() {
     this.#cache = null;
@@ -416,51 +721,161 @@ export class ConfigResolver {
   // Private helpers
   // -----------------------------------------------------------------------
 
+  /**
+   * Reads and merges all layers without touching the cache.
+   *
+   * @returns {Resolution}
+   */
+  #compute() {
+    /** @type {string[]} */
+    const warnings = [];
+    /** @type {string[]} */
+    const unreadable = [];
+
+    // L1 - Framework defaults.
+    const l1 = this.getDefaults();
+
+    // L2 - Project-level config.
+    const l2 = this.#loadProjectConfig(warnings, unreadable);
+
+    // L3 - User-level preferences.
+    const l3 = this.#loadUserConfig(warnings, unreadable);
+
+    // L4 - CLAWOS_* environment variables.
+    const l4 = readEnvLayer(this.#env, warnings);
+
+    // L5 - Programmatic overrides.
+    const l5 = this.#overrides;
+
+    const layers = [
+      { layer: ConfigLayer.FRAMEWORK, source: 'schema defaults', data: l1 },
+      { layer: ConfigLayer.PROJECT, source: join(this.#projectRoot, PROJECT_CONFIG_FILE), data: l2 },
+      { layer: ConfigLayer.USER, source: join(homedir(), USER_CONFIG_PATH), data: l3 },
+      { layer: ConfigLayer.ENV, source: 'environment', data: l4.data, sources: l4.sources },
+      { layer: ConfigLayer.OVERRIDE, source: 'programmatic override', data: l5 },
+    ];
+
+    // Merge: L1 <- L2 <- L3 <- L4 <- L5  (higher layers win).
+    let merged = { ...l1 };
+    for (const { data } of layers.slice(1)) {
+      merged = deepMerge(merged, data);
+    }
+
+    // Interpolate environment variables.
+    merged = interpolateEnvVars(merged, warnings);
+
+    // Validate against schema.
+    const validation = validateConfig(merged);
+
+    return { config: merged, validation, warnings, unreadable, layers };
+  }
+
+  /**
+   * Makes a computed resolution the active (cached) one.
+   *
+   * @param {Resolution} result
+   */
+  #commit(result) {
+    this.#cache = result.config;
+    this.#cacheTimestamp = Date.now();
+    this.#warnings = [...result.warnings];
+    this.#layers = result.layers;
+  }
+
+  /**
+   * Re-resolves after a watched file changed and either activates the result
+   * or rejects it.
+   */
+  #hotReload() {
+    this.#reloadTimer = null;
+    const files = [...this.#pendingFiles];
+    this.#pendingFiles.clear();
+
+    const next = this.#compute();
+
+    if (next.unreadable.length > 0 || !next.validation.valid) {
+      const payload = { files, errors: next.validation.errors, warnings: next.warnings };
+      this.emit('config:rejected', payload);
+      this.#eventBus?.emit(ClawEvent.CONFIG_REJECTED, payload);
+      return;
+    }
+
+    const changes = diffConfigs(this.#cache ?? {}, next.config);
+    this.#commit(next);
+    if (changes.length === 0) return;
+
+    const payload = { files, changes, config: next.config };
+    this.emit('config:changed', payload);
+    this.#eventBus?.emit(ClawEvent.CONFIG_CHANGED, payload);
+  }
+
   /**
    * Loads and parses the project-level config file (`.clawos-config.yaml`).
    *
+   * @param {string[]} warnings   - Accumulator for warnings.
+   * @param {string[]} unreadable - Accumulator for files that failed to load.
    * @returns {Record<string, *>} Parsed config or empty object if the file
    *          does not exist.
    */
-  #loadProjectConfig() {
+  #loadProjectConfig(warnings, unreadable) {
     const filePath = join(this.#projectRoot, PROJECT_CONFIG_FILE);
-    return this.#loadYamlFile(filePath, 'project');
+    return this.#loadYamlFile(filePath, 'project', warnings, unreadable);
   }
 
   /**
    * Loads and parses the user-level preferences file
    * (`~/.clawos/preferences.yaml`).
    *
+   * @param {string[]} warnings   - Accumulator for warnings.
+   * @param {string[]} unreadable - Accumulator for files that failed to load.
    * @returns {Record<string, *>} Parsed config or empty object if the file
    *          does not exist.
    */
-  #loadUserConfig() {
+  #loadUserConfig(warnings, unreadable) {
     const filePath = join(homedir(), USER_CONFIG_PATH);
-    return this.#loadYamlFile(filePath, 'user');
+    return this.#loadYamlFile(filePath, 'user', warnings, unreadable);
   }
 
   /**
    * Reads and parses a YAML file. Returns an empty object and logs a warning
-   * if the file is missing or unparseable.
+   * if the file is missing or unparseable; parse warnings carry the line and
+   * column reported by the YAML parser.
    *
-   * @param {string} filePath - Absolute path to the YAML file.
-   * @param {string} label    - Human-readable layer label for warnings.
+   * @param {string}   filePath   - Absolute path to the YAML file.
+   * @param {string}   label      - Human-readable layer label for warnings.
+   * @param {string[]} warnings   - Accumulator for warnings.
+   * @param {string[]} unreadable - Accumulator for files that failed to load.
    * @returns {Record<string, *>}
    */
-  #loadYamlFile(filePath, label) {
+  #loadYamlFile(filePath, label, warnings, unreadable) {
     if (!existsSync(filePath)) {
       return {};
     }
 
+    let documents;
     try {
       const raw = readFileSync(filePath, 'utf-8');
-      return parseSimpleYaml(raw);
+      documents = parseAllYaml(raw, { filename: filePath });
     } catch (err) {
-      this.#warnings.push(
+      warnings.push(
         `Failed to read ${label} config at "${filePath}": ${err.message}`,
       );
+      unreadable.push(filePath);
       return {};
     }
+
+    let config = {};
+    for (const doc of documents) {
+      if (doc === null) continue;
+      if (typeof doc !== 'object' || Array.isArray(doc)) {
+        warnings.push(
+          `Ignoring ${label} config document in "${filePath}": expected a mapping, got ${Array.isArray(doc) ? 'a sequence' : typeof doc}.`,
+        );
+        continue;
+      }
+      config = deepMerge(config, doc);
+    }
+    return config;
   }
 }
 
@@ -6,12 +6,14 @@
  * configuration objects and to derive sensible defaults.
  *
  * Every schema field follows the shape:
- *   { type, default, description, required?, enum?, validate? }
+ *   { type, default, description, required?, enum?, validate?, jsonSchema? }
  *
  * The module exports:
  *   - CONFIG_SCHEMA  - The complete schema tree
  *   - validateConfig - Validates a config object against the schema
  *   - getDefaults    - Derives a defaults object from the schema
+ *   - toJsonSchema   - Exports the schema as JSON Schema (draft 2020-12) for
+ *                      editor autocompletion of `.clawos-config.yaml`
  */
 
 // ---------------------------------------------------------------------------
@@ -43,6 +45,8 @@ export const FieldType = Object.freeze({
  * @property {boolean}      [required]  - Whether the field is required.
  * @property {Array<*>}     [enum]      - Allowed values (for constrained choices).
  * @property {Function}     [validate]  - Custom validation function (value) => true | string.
+ * @property {Record<string, *>} [jsonSchema] - Extra JSON Schema keywords expressing
+ *                                             `validate` in the exported schema.
  * @property {Record<string, SchemaField>} [properties] - Child schema for nested objects.
  */
 
@@ -69,6 +73,7 @@ export const CONFIG_SCHEMA = Object.freeze({
           typeof v === 'string' && v.length > 0
             ? true
             : 'baseDir must be a non-empty string',
+        jsonSchema: { minLength: 1 },
       },
       overwrite: {
         type: FieldType.BOOLEAN,
@@ -242,9 +247,14 @@ export function getDefaults() {
 
 /**
  * @typedef {Object} ValidationError
- * @property {string} path     - Dot-separated path to the offending field.
- * @property {string} message  - Human-readable error description.
- * @property {string} type     - Error category: 'type' | 'enum' | 'required' | 'custom'.
+ * @property {string} path       - Dot-separated path to the offending field.
+ * @property {string} pointer    - JSON pointer (RFC 6901) to the field, e.g. `/generation/language`.
+ * @property {string} message    - Human-readable error description.
+ * @property {string} type       - Error category: 'type' | 'enum' | 'required' | 'custom' | 'unknown'.
+ * @property {string|Array<*>} [expected] - Expected {@link FieldType}, or the allowed enum values.
+ * @property {string} [actual]   - Actual type of the value (`null` and `array` are distinguished).
+ * @property {*}      [value]    - The offending value (type, enum and custom errors).
+ * @property {string} [suggestion] - Closest valid key or enum value, for likely typos.
  */
 
 /**
@@ -277,6 +287,91 @@ function matchesType(value, expectedType) {
   }
 }
 
+/**
+ * Describes the type of a value in {@link FieldType} terms.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function actualType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return FieldType.ARRAY;
+  if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+  return typeof value;
+}
+
+/**
+ * Builds a JSON pointer from a dot-separated path.
+ *
+ * @param {string} path
+ * @returns {string}
+ */
+function toPointer(path) {
+  if (!path) return '';
+  return path
+    .split('.')
+    .map((segment) => `/${segment.replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+/**
+ * Levenshtein edit distance between two strings.
+ *
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns the candidate closest to `input` when it is a plausible typo
+ * (case-insensitive match, or within a third of the input's length in edits).
+ *
+ * @param {string}   input
+ * @param {string[]} candidates
+ * @returns {string|undefined}
+ */
+function suggest(input, candidates) {
+  const needle = input.toLowerCase();
+  let best;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(needle, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(1, Math.floor(needle.length / 3)) ? best : undefined;
+}
+
+/**
+ * Appends a "did you mean" hint to a message.
+ *
+ * @param {string} message
+ * @param {string|undefined} suggestion
+ * @returns {string}
+ */
+function withSuggestion(message, suggestion) {
+  return suggestion === undefined ? message : `${message} Did you mean "${suggestion}"?`;
+}
+
 /**
  * Recursively validates a config object against a schema tree.
  *
@@ -289,11 +384,19 @@ function validateTree(config, schema, prefix, errors) {
   // Check for required fields that are missing from config.
   for (const [key, field] of Object.entries(schema)) {
     const path = prefix ? `${prefix}.${key}` : key;
+    const pointer = toPointer(path);
     const value = config?.[key];
 
     // Required check.
     if (field.required && (value === undefined || value === null)) {
-      errors.push({ path, message: `Required field "${path}" is missing.`, type: 'required' });
+      errors.push({
+        path,
+        pointer,
+        message: `Required field "${path}" is missing.`,
+        type: 'required',
+        expected: field.type,
+        actual: actualType(value),
+      });
       continue;
     }
 
@@ -306,18 +409,33 @@ function validateTree(config, schema, prefix, errors) {
     if (!matchesType(value, field.type)) {
       errors.push({
         path,
-        message: `Expected type "${field.type}" for "${path}", got "${typeof value}".`,
+        pointer,
+        message: `Expected type "${field.type}" for "${path}", got "${actualType(value)}".`,
         type: 'type',
+        expected: field.type,
+        actual: actualType(value),
+        value,
       });
       continue; // Skip deeper checks if type is wrong.
     }
 
     // Enum check.
     if (field.enum && !field.enum.includes(value)) {
+      const suggestion = typeof value === 'string'
+        ? suggest(value, field.enum.filter((option) => typeof option === 'string'))
+        : undefined;
       errors.push({
         path,
-        message: `Value "${value}" for "${path}" is not one of: [${field.enum.join(', ')}].`,
+        pointer,
+        message: withSuggestion(
+          `Value "${value}" for "${path}" is not one of: [${field.enum.join(', ')}].`,
+          suggestion,
+        ),
         type: 'enum',
+        expected: [...field.enum],
+        actual: actualType(value),
+        value,
+        ...(suggestion !== undefined && { suggestion }),
       });
     }
 
@@ -327,8 +445,12 @@ function validateTree(config, schema, prefix, errors) {
       if (result !== true) {
         errors.push({
           path,
+          pointer,
           message: typeof result === 'string' ? result : `Custom validation failed for "${path}".`,
           type: 'custom',
+          expected: field.type,
+          actual: actualType(value),
+          value,
         });
       }
     }
@@ -341,13 +463,18 @@ function validateTree(config, schema, prefix, errors) {
 
   // Warn about unknown keys in config that are not in the schema.
   if (config && typeof config === 'object') {
+    const known = Object.keys(schema);
     for (const key of Object.keys(config)) {
       const path = prefix ? `${prefix}.${key}` : key;
-      if (!schema[key]) {
+      if (!Object.prototype.hasOwnProperty.call(schema, key)) {
+        const suggestion = suggest(key, known);
         errors.push({
           path,
-          message: `Unknown configuration key "${path}".`,
+          pointer: toPointer(path),
+          message: withSuggestion(`Unknown configuration key "${path}".`, suggestion),
           type: 'unknown',
+          actual: actualType(config[key]),
+          ...(suggestion !== undefined && { suggestion }),
         });
       }
     }
@@ -371,4 +498,78 @@ export function validateConfig(config) {
   };
 }
 
+// ---------------------------------------------------------------------------
+// JSON Schema export
+// ---------------------------------------------------------------------------
+
+/** JSON Schema dialect used by {@link toJsonSchema}. */
+export const JSON_SCHEMA_DIALECT = 'https://json-schema.org/draft/2020-12/schema';
+
+/**
+ * Converts one schema field (and its children) to JSON Schema.
+ *
+ * @param {SchemaField} field
+ * @returns {Record<string, *>}
+ */
+function fieldToJsonSchema(field) {
+  /** @type {Record<string, *>} */
+  const out = { type: field.type };
+  if (field.description) out.description = field.description;
+
+  if (field.type === FieldType.OBJECT && field.properties) {
+    out.properties = treeToJsonSchema(field.properties);
+    const required = Object.keys(field.properties).filter((key) => field.properties[key].required);
+    if (required.length > 0) out.required = required;
+    out.additionalProperties = false;
+  } else if (field.default !== undefined) {
+    out.default = field.default;
+  }
+
+  if (field.enum) out.enum = [...field.enum];
+  if (field.jsonSchema) Object.assign(out, field.jsonSchema);
+
+  return out;
+}
+
+/**
+ * @param {Record<string, SchemaField>} schema
+ * @returns {Record<string, Record<string, *>>}
+ */
+function treeToJsonSchema(schema) {
+  return Object.fromEntries(
+    Object.entries(schema).map(([key, field]) => [key, fieldToJsonSchema(field)]),
+  );
+}
+
+/**
+ * Exports {@link CONFIG_SCHEMA} as a JSON Schema (draft 2020-12) document.
+ * Point an editor at it to get completion and validation for
+ * `.clawos-config.yaml`, e.g. with the YAML language server:
+ *
+ * ```yaml
+ * # yaml-language-server: $schema=./clawos-config.schema.json
+ * ```
+ *
+ * Custom `validate` functions cannot be exported; fields describe their
+ * constraint with `jsonSchema` keywords instead.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.id] - Optional `$id` for the document.
+ * @returns {Record<string, *>}
+ */
+export function toJsonSchema(options = {}) {
+  const required = Object.keys(CONFIG_SCHEMA).filter((key) => CONFIG_SCHEMA[key].required);
+
+  return {
+    $schema: JSON_SCHEMA_DIALECT,
+    ...(options.id && { $id: options.id }),
+    title: 'ClawOS configuration',
+    description: 'Project (.clawos-config.yaml) and user (~/.clawos/preferences.yaml) configuration for ClawOS.',
+    type: FieldType.OBJECT,
+    properties: treeToJsonSchema(CONFIG_SCHEMA),
+    ...(required.length > 0 && { required }),
+    additionalProperties: false,
+  };
+}
+
 export default CONFIG_SCHEMA;
@@ -0,0 +1,1574 @@
+/**
+ * @module yaml
+ * @description Zero-dependency YAML 1.2 parser and serializer used for
+ * ClawOS configuration files (`.clawos-config.yaml`, user preferences) and for
+ * the YAML files the generator emits (docker-compose, GitHub Actions, config).
+ *
+ * Supported when parsing:
+ *   - Block mappings and block sequences (including compact `- key: value`)
+ *   - Flow mappings and sequences (`{ a: 1 }`, `[a, b]`), across lines
+ *   - Plain, single-quoted and double-quoted scalars (with escapes and folding)
+ *   - Literal (`|`) and folded (`>`) block scalars with chomping and
+ *     indentation indicators
+ *   - Anchors (`&name`), aliases (`*name`) and merge keys (`<<: *name`)
+ *   - Core schema tags (`!!str`, `!!int`, `!!float`, `!!bool`, `!!null`,
+ *     `!!seq`, `!!map`)
+ *   - Multi-document streams (`---` / `...`) and directives
+ *
+ * Not supported: explicit `? ` keys, collections as mapping keys and custom
+ * tags. Anything outside the supported grammar raises a {@link YamlError}
+ * carrying the 1-based line and column of the offending character.
+ *
+ * Plain scalars resolve with the YAML 1.2 core schema, so `on`, `yes` and
+ * `no` stay strings while `~`, `true`, `0x1F` and `.inf` do not. Mapping keys
+ * are always JavaScript strings and keep their source spelling.
+ *
+ * Usage:
+ * ```js
+ * import { parseYaml, stringifyYaml } from './yaml.js';
+ *
+ * const config = parseYaml(readFileSync(file, 'utf-8'), { filename: file });
+ * writeFileSync(file, stringifyYaml(config));
+ * ```
+ */
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Prefix of the core schema tags (`!!str` expands to `tag:yaml.org,2002:str`). */
+const CORE_TAG = 'tag:yaml.org,2002:';
+
+/** Core schema resolution patterns for plain scalars. */
+const NULL_PATTERN = /^(?:~|null|Null|NULL)?$/;
+const TRUE_PATTERN = /^(?:true|True|TRUE)$/;
+const FALSE_PATTERN = /^(?:false|False|FALSE)$/;
+const INT_PATTERN = /^[-+]?[0-9]+$/;
+const OCT_PATTERN = /^0o[0-7]+$/;
+const HEX_PATTERN = /^0x[0-9a-fA-F]+$/;
+const FLOAT_PATTERN = /^[-+]?(?:\.[0-9]+|[0-9]+(?:\.[0-9]*)?)(?:[eE][-+]?[0-9]+)?$/;
+const INF_PATTERN = /^[-+]?\.(?:inf|Inf|INF)$/;
+const NAN_PATTERN = /^\.(?:nan|NaN|NAN)$/;
+
+/**
+ * Plain scalars that YAML 1.1 readers (older docker-compose, PyYAML) resolve
+ * to booleans or base-60 numbers. The serializer quotes such values even
+ * though YAML 1.2 reads them as strings.
+ */
+const YAML11_AMBIGUOUS = /^(?:y|Y|yes|Yes|YES|n|N|no|No|NO|on|On|ON|off|Off|OFF|[-+]?[0-9][0-9_]*(?::[0-5]?[0-9])+(?:\.[0-9_]*)?)$/;
+
+/** Characters that may not appear unescaped in YAML output. */
+const NON_PRINTABLE = /[\x00-\x08\x0b\x0c\x0e-\x1f\x7f-\x84\x86-\x9f\ufeff\ufffe\uffff]/;
+
+/** Flow indicators — they end anchors, tags and plain scalars inside `[]`/`{}`. */
+const FLOW_INDICATORS = ',[]{}';
+
+/** Double-quoted escape sequences (character after the backslash -> value). */
+const ESCAPES = {
+  '0': '\0',
+  a: '\x07',
+  b: '\b',
+  t: '\t',
+  '\t': '\t',
+  n: '\n',
+  v: '\v',
+  f: '\f',
+  r: '\r',
+  e: '\x1b',
+  ' ': ' ',
+  '"': '"',
+  '/': '/',
+  '\\': '\\',
+  N: '\x85',
+  _: '\xa0',
+  L: '\u2028',
+  P: '\u2029',
+};
+
+/** Hex digit counts for the `\x`, `\u` and `\U` escapes. */
+const HEX_ESCAPES = { x: 2, u: 4, U: 8 };
+
+// ---------------------------------------------------------------------------
+// YamlError
+// ---------------------------------------------------------------------------
+
+/**
+ * Raised for malformed YAML. The message ends with the location, e.g.
+ * `[YAML] Unknown alias "*base" (.clawos-config.yaml:4:12)`.
+ */
+export class YamlError extends Error {
+  /**
+   * @param {string} reason - What went wrong, without the location.
+   * @param {Object} location
+   * @param {number} location.line      - 1-based line.
+   * @param {number} location.column    - 1-based column.
+   * @param {string} [location.filename]
+   * @param {string} [location.snippet] - Offending source line with a caret underneath.
+   */
+  constructor(reason, { line, column, filename, snippet = '' }) {
+    const where = filename ? `${filename}:${line}:${column}` : `line ${line}, column ${column}`;
+    super(`[YAML] ${reason} (${where})`);
+    this.name = 'YamlError';
+    this.code = 'YAML_PARSE_ERROR';
+    this.reason = reason;
+    this.line = line;
+    this.column = column;
+    this.filename = filename ?? null;
+    this.snippet = snippet;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Scalar resolution
+// ---------------------------------------------------------------------------
+
+/**
+ * Resolves a plain (unquoted) scalar with the YAML 1.2 core schema.
+ *
+ * @param {string} text
+ * @returns {string|number|boolean|null}
+ */
+export function resolvePlainScalar(text) {
+  if (NULL_PATTERN.test(text)) return null;
+  if (TRUE_PATTERN.test(text)) return true;
+  if (FALSE_PATTERN.test(text)) return false;
+  if (INT_PATTERN.test(text) || FLOAT_PATTERN.test(text)) return Number(text);
+  if (OCT_PATTERN.test(text)) return parseInt(text.slice(2), 8);
+  if (HEX_PATTERN.test(text)) return parseInt(text.slice(2), 16);
+  if (INF_PATTERN.test(text)) return text.startsWith('-') ? -Infinity : Infinity;
+  if (NAN_PATTERN.test(text)) return NaN;
+  return text;
+}
+
+/**
+ * @param {string|undefined} ch
+ * @returns {boolean} True for a space, tab, line break or end of input.
+ */
+function isWhitespaceOrEnd(ch) {
+  return ch === undefined || ch === ' ' || ch === '\t' || ch === '\n';
+}
+
+/**
+ * @param {string|undefined} ch
+ * @returns {boolean}
+ */
+function isFlowIndicator(ch) {
+  return ch !== undefined && FLOW_INDICATORS.includes(ch);
+}
+
+/**
+ * Assigns a key without letting `__proto__` reach the prototype setter.
+ *
+ * @param {Record<string, *>} target
+ * @param {string} key
+ * @param {*} value
+ */
+function defineKey(target, key, value) {
+  if (key === '__proto__') {
+    Object.defineProperty(target, key, { value, enumerable: true, writable: true, configurable: true });
+  } else {
+    target[key] = value;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Parser
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} NodeProperties
+ * @property {string|null} anchor - Anchor name without `&`.
+ * @property {string|null} tag    - Expanded tag (`!!str` -> `tag:yaml.org,2002:str`).
+ * @property {number}      pos    - Offset of the first property.
+ */
+
+/**
+ * Collects the entries of one mapping, rejecting duplicate keys and applying
+ * `<<` merge keys once all explicit entries are known (explicit keys win).
+ */
+class MappingBuilder {
+  /** @type {Parser} */
+  #parser;
+  /** @type {Map<string, *>} */
+  #entries = new Map();
+  /** @type {Array<{ value: *, pos: number }>} */
+  #merges = [];
+
+  /** @param {Parser} parser */
+  constructor(parser) {
+    this.#parser = parser;
+  }
+
+  /**
+   * @param {string}  key
+   * @param {*}       value
+   * @param {number}  pos     - Offset of the key, for diagnostics.
+   * @param {boolean} isMerge - True for an unquoted, untagged `<<` key.
+   */
+  add(key, value, pos, isMerge) {
+    if (isMerge) {
+      this.#merges.push({ value, pos });
+      return;
+    }
+    if (this.#entries.has(key)) {
+      this.#parser.fail(`Duplicate mapping key "${key}"`, pos);
+    }
+    this.#entries.set(key, value);
+  }
+
+  /** @returns {Record<string, *>} */
+  build() {
+    const result = {};
+
+    for (const { value, pos } of this.#merges) {
+      const sources = Array.isArray(value) ? value : [value];
+      for (const source of sources) {
+        if (source === null || typeof source !== 'object' || Array.isArray(source)) {
+          this.#parser.fail('Merge key "<<" expects a mapping or a sequence of mappings', pos);
+        }
+        for (const [key, inherited] of Object.entries(source)) {
+          if (!Object.prototype.hasOwnProperty.call(result, key)) defineKey(result, key, inherited);
+        }
+      }
+    }
+
+    for (const [key, value] of this.#entries) {
+      defineKey(result, key, value);
+    }
+    return result;
+  }
+}
+
+/**
+ * Recursive-descent parser over a whole YAML stream. Block structure is
+ * tracked by column: a block collection's indentation is the column of its
+ * first key or `-`, and a nested node must start to the right of its parent
+ * (a sequence used as a mapping value may also start at the key's column).
+ */
+class Parser {
+  /** @type {string} */
+  src;
+  /** @type {number} */
+  pos = 0;
+  /** @type {string|undefined} */
+  #filename;
+  /** @type {Map<string, *>} */
+  #anchors = new Map();
+
+  /**
+   * @param {string} text
+   * @param {string} [filename]
+   */
+  constructor(text, filename) {
+    this.src = text.replace(/^\ufeff/, '').replace(/\r\n?/g, '\n');
+    this.#filename = filename;
+  }
+
+  // -------------------------------------------------------------------------
+  // Diagnostics and low-level scanning
+  // -------------------------------------------------------------------------
+
+  /**
+   * Throws a {@link YamlError} located at `pos`.
+   *
+   * @param {string} reason
+   * @param {number} [pos=this.pos]
+   * @returns {never}
+   */
+  fail(reason, pos = this.pos) {
+    const offset = Math.min(pos, this.src.length);
+    const lineStart = this.src.lastIndexOf('\n', offset - 1) + 1;
+    const lineEnd = this.src.indexOf('\n', offset);
+    const lineText = this.src.slice(lineStart, lineEnd === -1 ? undefined : lineEnd);
+    let line = 1;
+    for (let i = 0; i < lineStart; i++) {
+      if (this.src[i] === '\n') line++;
+    }
+    const column = offset - lineStart + 1;
+
+    throw new YamlError(reason, {
+      line,
+      column,
+      filename: this.#filename,
+      snippet: `${lineText}\n${' '.repeat(column - 1)}^`,
+    });
+  }
+
+  /** @returns {string|undefined} */
+  peek(offset = 0) {
+    return this.src[this.pos + offset];
+  }
+
+  /** @returns {boolean} */
+  eof() {
+    return this.pos >= this.src.length;
+  }
+
+  /** 0-based column of `pos`. @returns {number} */
+  column(pos = this.pos) {
+    return pos - (this.src.lastIndexOf('\n', pos - 1) + 1);
+  }
+
+  /** Skips spaces and tabs on the current line. */
+  skipInline() {
+    while (this.peek() === ' ' || this.peek() === '\t') this.pos++;
+  }
+
+  /** Skips a `#` comment up to (not including) the line break. */
+  skipComment() {
+    if (this.peek() !== '#') return;
+    const end = this.src.indexOf('\n', this.pos);
+    this.pos = end === -1 ? this.src.length : end;
+  }
+
+  /**
+   * True when nothing but whitespace and an optional comment remains on the
+   * current line.
+   *
+   * @returns {boolean}
+   */
+  atLineEnd() {
+    let p = this.pos;
+    while (this.src[p] === ' ' || this.src[p] === '\t') p++;
+    const ch = this.src[p];
+    return ch === undefined || ch === '\n' || (ch === '#' && (p === this.pos ? this.precededByWhitespace(p) : true));
+  }
+
+  /**
+   * @param {number} p
+   * @returns {boolean} True if `p` is at a line start or after a space/tab.
+   */
+  precededByWhitespace(p) {
+    const prev = this.src[p - 1];
+    return prev === undefined || prev === ' ' || prev === '\t' || prev === '\n';
+  }
+
+  /** Skips whitespace, comments and line breaks up to the next content. */
+  skipToContent() {
+    for (;;) {
+      this.skipInline();
+      if (this.peek() === '#') this.skipComment();
+      if (this.peek() !== '\n') return;
+      this.pos++;
+    }
+  }
+
+  /** Rejects the rest of the line unless it is blank or a comment. */
+  expectLineEnd() {
+    this.skipInline();
+    if (this.peek() === '#' && !this.precededByWhitespace(this.pos)) {
+      this.fail('Comments must be separated from content by whitespace');
+    }
+    if (!this.atLineEnd()) this.fail(`Unexpected "${this.peek()}" after a complete value`);
+  }
+
+  /** @returns {boolean} True if `pos` is the first non-blank of its line. */
+  atLineStartContent() {
+    for (let p = this.pos - 1; p >= 0 && this.src[p] !== '\n'; p--) {
+      if (this.src[p] !== ' ' && this.src[p] !== '\t') return false;
+    }
+    return true;
+  }
+
+  /** @returns {boolean} True at a `---` or `...` marker in column 0. */
+  atDocumentBoundary() {
+    if (this.column() !== 0) return false;
+    const marker = this.src.slice(this.pos, this.pos + 3);
+    return (marker === '---' || marker === '...') && isWhitespaceOrEnd(this.peek(3));
+  }
+
+  /** @returns {boolean} True at a `- ` block sequence entry indicator. */
+  atSequenceEntry() {
+    return this.peek() === '-' && isWhitespaceOrEnd(this.peek(1));
+  }
+
+  /** Rejects tabs in block indentation, which YAML forbids. */
+  checkIndentation() {
+    for (let p = this.pos - 1; p >= 0 && this.src[p] !== '\n'; p--) {
+      if (this.src[p] === '\t') this.fail('Tabs are not allowed in indentation', p);
+    }
+  }
+
+  /**
+   * Moves to the next content line and reports whether it continues a block
+   * collection indented at `indent`.
+   *
+   * @param {number} indent
+   * @returns {boolean}
+   */
+  continuesBlock(indent) {
+    this.skipInline();
+    // A nested block that ended stops at the next line's content; anything
+    // else left on the current line is an error.
+    if (!this.atLineStartContent() && !this.atLineEnd()) {
+      this.fail(`Unexpected "${this.peek()}" after a complete value`);
+    }
+    this.skipToContent();
+    if (this.eof() || this.atDocumentBoundary()) return false;
+    const col = this.column();
+    if (col > indent) this.fail('Bad indentation: content is indented deeper than its block');
+    if (col === indent) this.checkIndentation();
+    return col === indent;
+  }
+
+  // -------------------------------------------------------------------------
+  // Documents
+  // -------------------------------------------------------------------------
+
+  /** @returns {Array<*>} One value per document. */
+  parseStream() {
+    const documents = [];
+    this.skipToContent();
+
+    while (!this.eof()) {
+      let sawDirective = false;
+      while (this.peek() === '%' && this.column() === 0) {
+        sawDirective = true;
+        const end = this.src.indexOf('\n', this.pos);
+        this.pos = end === -1 ? this.src.length : end;
+        this.skipToContent();
+      }
+
+      if (this.atDocumentBoundary() && this.src.startsWith('---', this.pos)) {
+        this.pos += 3;
+      } else if (sawDirective) {
+        this.fail('Expected "---" after directives');
+      } else if (this.atDocumentBoundary()) {
+        // A bare `...` closes an empty document.
+        this.pos += 3;
+        this.expectLineEnd();
+        this.skipToContent();
+        continue;
+      }
+
+      this.#anchors = new Map();
+      const value = this.parseBlockNode(-1);
+      documents.push(value);
+
+      this.skipInline();
+      if (!this.atLineStartContent() && !this.atLineEnd()) {
+        this.fail(`Unexpected "${this.peek()}" after a complete value`);
+      }
+      this.skipToContent();
+      if (this.eof()) break;
+      if (!this.atDocumentBoundary()) {
+        this.fail('Unexpected content after the end of the document');
+      }
+      if (this.src.startsWith('...', this.pos)) {
+        this.pos += 3;
+        this.expectLineEnd();
+        this.skipToContent();
+      }
+    }
+
+    return documents;
+  }
+
+  // -------------------------------------------------------------------------
+  // Block nodes
+  // -------------------------------------------------------------------------
+
+  /**
+   * Parses the node that follows an indicator (`key:`, `- `, `---`) and
+   * belongs to a parent indented at `parentIndent`. The node either starts
+   * on the same line or on a following, further-indented line.
+   *
+   * @param {number} parentIndent
+   * @param {Object} [options]
+   * @param {boolean} [options.compact=true] - Allow a collection to start on
+   *   the same line (true after `- `, false after `key:`).
+   * @param {boolean} [options.sequenceAtIndent=false] - Allow a block
+   *   sequence at `parentIndent` (a mapping value).
+   * @returns {*}
+   */
+  parseBlockNode(parentIndent, { compact = true, sequenceAtIndent = false } = {}) {
+    this.skipInline();
+    if (this.atLineEnd()) {
+      return this.parseIndentedNode(parentIndent, sequenceAtIndent, null);
+    }
+    return this.parseBlockContent(parentIndent, compact, sequenceAtIndent);
+  }
+
+  /**
+   * Parses a node that starts on a following line, or returns null for an
+   * empty node.
+   *
+   * @param {number} parentIndent
+   * @param {boolean} sequenceAtIndent
+   * @param {NodeProperties|null} props - Properties already read on the previous line.
+   * @returns {*}
+   */
+  parseIndentedNode(parentIndent, sequenceAtIndent, props) {
+    const resume = this.pos;
+    this.skipToContent();
+    const col = this.column();
+    const nested = !this.eof() && !this.atDocumentBoundary() && (
+      col > parentIndent || (sequenceAtIndent && col === parentIndent && this.atSequenceEntry())
+    );
+
+    if (!nested) {
+      this.pos = resume;
+      return this.finishNode(props, { kind: 'scalar', text: '', plain: true });
+    }
+
+    this.checkIndentation();
+    if (props) {
+      if (this.atSequenceEntry()) return this.finishNode(props, { kind: 'collection', value: this.parseBlockSequence(col) });
+      if (this.scanImplicitKey()) return this.finishNode(props, { kind: 'collection', value: this.parseBlockMapping(col) });
+      return this.finishNode(props, this.parseScalarOrFlow(parentIndent));
+    }
+    return this.parseBlockContent(parentIndent, true, sequenceAtIndent);
+  }
+
+  /**
+   * Parses block content starting at `pos`.
+   *
+   * @param {number}  parentIndent
+   * @param {boolean} allowCollections - Whether a block mapping or sequence may start here.
+   * @param {boolean} sequenceAtIndent
+   * @returns {*}
+   */
+  parseBlockContent(parentIndent, allowCollections, sequenceAtIndent) {
+    const col = this.column();
+
+    if (this.atSequenceEntry()) {
+      if (!allowCollections) this.fail('Block sequence entries are not allowed here; start the sequence on a new line');
+      return this.parseBlockSequence(col);
+    }
+    if (this.peek() === '?' && isWhitespaceOrEnd(this.peek(1))) {
+      this.fail('Explicit mapping keys ("? ") are not supported');
+    }
+    if (this.scanImplicitKey()) {
+      if (!allowCollections) this.fail('Mapping values are not allowed here; start the mapping on a new line');
+      return this.parseBlockMapping(col);
+    }
+
+    const props = this.parseProperties(false);
+    if (props && this.atLineEnd()) {
+      return this.parseIndentedNode(parentIndent, sequenceAtIndent, props);
+    }
+    return this.finishNode(props, this.parseScalarOrFlow(parentIndent));
+  }
+
+  /**
+   * Parses an alias, flow collection, quoted, block or plain scalar in block
+   * context.
+   *
+   * @param {number} parentIndent
+   * @returns {{ kind: 'scalar', text: string, plain: boolean } | { kind: 'collection'|'alias', value: * }}
+   */
+  parseScalarOrFlow(parentIndent) {
+    const ch = this.peek();
+
+    if (ch === '*') return { kind: 'alias', value: this.parseAlias() };
+    if (ch === '[' || ch === '{') {
+      const value = ch === '[' ? this.parseFlowSequence() : this.parseFlowMapping();
+      this.expectLineEnd();
+      return { kind: 'collection', value };
+    }
+    if (ch === '|' || ch === '>') return { kind: 'scalar', text: this.parseBlockScalar(parentIndent), plain: false };
+    if (ch === '"' || ch === "'") {
+      const text = ch === '"' ? this.parseDoubleQuoted() : this.parseSingleQuoted();
+      this.expectLineEnd();
+      return { kind: 'scalar', text, plain: false };
+    }
+    return { kind: 'scalar', text: this.parsePlainBlock(parentIndent), plain: true };
+  }
+
+  /**
+   * Looks ahead (without consuming) for `key:` on the current line.
+   *
+   * @returns {boolean}
+   */
+  scanImplicitKey() {
+    const { src } = this;
+    let p = this.pos;
+
+    while (src[p] === '&' || src[p] === '!') {
+      while (!isWhitespaceOrEnd(src[p])) p++;
+      while (src[p] === ' ' || src[p] === '\t') p++;
+    }
+
+    const ch = src[p];
+    if (ch === '"' || ch === "'") {
+      p++;
+      while (p < src.length && src[p] !== '\n') {
+        if (ch === '"' && src[p] === '\\') {
+          p += 2;
+          continue;
+        }
+        if (src[p] === ch) {
+          if (ch === "'" && src[p + 1] === "'") {
+            p += 2;
+            continue;
+          }
+          break;
+        }
+        p++;
+      }
+      if (src[p] !== ch) return false;
+      p++;
+      while (src[p] === ' ' || src[p] === '\t') p++;
+      return src[p] === ':' && isWhitespaceOrEnd(src[p + 1]);
+    }
+
+    if (ch === undefined || ch === '\n' || ch === '#' || ch === '[' || ch === '{' || ch === '|' || ch === '>') {
+      return false;
+    }
+
+    for (; p < src.length && src[p] !== '\n'; p++) {
+      if (src[p] === ':' && isWhitespaceOrEnd(src[p + 1])) return true;
+      if ((src[p] === ' ' || src[p] === '\t') && src[p + 1] === '#') return false;
+    }
+    return false;
+  }
+
+  /**
+   * @param {number} indent - Column of the first `-`.
+   * @returns {Array<*>}
+   */
+  parseBlockSequence(indent) {
+    const items = [];
+    do {
+      if (!this.atSequenceEntry()) break;
+      this.pos++;
+      items.push(this.parseBlockNode(indent, { compact: true }));
+    } while (this.continuesBlock(indent));
+    return items;
+  }
+
+  /**
+   * @param {number} indent - Column of the first key.
+   * @returns {Record<string, *>}
+   */
+  parseBlockMapping(indent) {
+    const builder = new MappingBuilder(this);
+    do {
+      if (!this.scanImplicitKey()) {
+        this.fail(this.atSequenceEntry()
+          ? 'Block sequence entry found where a mapping key was expected'
+          : 'Expected a mapping key followed by ":"');
+      }
+      const keyPos = this.pos;
+      const { key, isMerge } = this.parseBlockKey();
+      const value = this.parseBlockNode(indent, { compact: false, sequenceAtIndent: true });
+      builder.add(key, value, keyPos, isMerge);
+    } while (this.continuesBlock(indent));
+    return builder.build();
+  }
+
+  /**
+   * Parses `key:` (the lookahead already confirmed it) and consumes the colon.
+   *
+   * @returns {{ key: string, isMerge: boolean }}
+   */
+  parseBlockKey() {
+    const props = this.parseProperties(false);
+    const ch = this.peek();
+    let node;
+
+    if (ch === '"' || ch === "'") {
+      node = { kind: 'scalar', text: ch === '"' ? this.parseDoubleQuoted() : this.parseSingleQuoted(), plain: false };
+    } else if (ch === '*') {
+      node = { kind: 'alias', value: this.parseAlias() };
+    } else {
+      const start = this.pos;
+      while (!(this.peek() === ':' && isWhitespaceOrEnd(this.peek(1)))) this.pos++;
+      node = { kind: 'scalar', text: this.src.slice(start, this.pos).trimEnd(), plain: true };
+    }
+
+    this.skipInline();
+    this.pos++; // ':'
+    return this.keyFromNode(props, node);
+  }
+
+  /**
+   * Converts a parsed key node into a mapping key. Scalars keep their source
+   * spelling (`1.0` stays `"1.0"`); only an untagged plain `<<` is a merge key.
+   *
+   * @param {NodeProperties|null} props
+   * @param {{ kind: string, text?: string, plain?: boolean, value?: * }} node
+   * @returns {{ key: string, isMerge: boolean }}
+   */
+  keyFromNode(props, node) {
+    if (node.kind === 'collection') {
+      this.fail('Collections are not supported as mapping keys', props?.pos ?? this.pos);
+    }
+    const isMerge = node.kind === 'scalar' && node.plain && !props?.tag && node.text === '<<';
+    const key = node.kind === 'scalar' && !props?.tag ? node.text : String(this.finishNode(props, node));
+    if (props?.anchor && !props.tag) this.#anchors.set(props.anchor, key);
+    return { key, isMerge };
+  }
+
+  // -------------------------------------------------------------------------
+  // Scalars
+  // -------------------------------------------------------------------------
+
+  /**
+   * Plain scalar in block context. Continuation lines indented deeper than
+   * the parent are folded into the value.
+   *
+   * @param {number} parentIndent
+   * @returns {string}
+   */
+  parsePlainBlock(parentIndent) {
+    const ch = this.peek();
+    if (ch === '@' || ch === '`') this.fail(`Plain scalars cannot start with the reserved indicator "${ch}"`);
+    if (ch === ',' || ch === ']' || ch === '}') this.fail(`Unexpected "${ch}"`);
+    if (ch === '%' && this.column() === 0) this.fail('Directives are only allowed before "---"');
+
+    let { text, commented } = this.readPlainLine();
+
+    // A comment ends a plain scalar; otherwise deeper lines continue it.
+    while (!commented && this.peek() === '\n') {
+      const resume = this.pos;
+      let breaks = 0;
+      while (this.peek() === '\n') {
+        this.pos++;
+        breaks++;
+        this.skipInline();
+      }
+      const continues = !this.eof() && this.peek() !== '#' && this.column() > parentIndent &&
+        !this.atDocumentBoundary() && !(this.column() === 0 && this.peek() === '%');
+      if (!continues) {
+        this.pos = resume;
+        break;
+      }
+      if (this.scanImplicitKey()) this.fail('Mapping values are not allowed in a multi-line plain scalar');
+      const next = this.readPlainLine();
+      text += (breaks > 1 ? '\n'.repeat(breaks - 1) : ' ') + next.text;
+      commented = next.commented;
+    }
+
+    return text;
+  }
+
+  /**
+   * Reads plain scalar text up to a comment or the end of the line.
+   *
+   * @returns {{ text: string, commented: boolean }}
+   */
+  readPlainLine() {
+    const start = this.pos;
+    while (!this.eof() && this.peek() !== '\n') {
+      if ((this.peek() === ' ' || this.peek() === '\t') && this.peek(1) === '#') break;
+      this.pos++;
+    }
+    const text = this.src.slice(start, this.pos).trim();
+    this.skipInline();
+    const commented = this.peek() === '#';
+    this.skipComment();
+    return { text, commented };
+  }
+
+  /**
+   * Literal (`|`) or folded (`>`) block scalar, including its header.
+   *
+   * @param {number} parentIndent
+   * @returns {string}
+   */
+  parseBlockScalar(parentIndent) {
+    const literal = this.peek() === '|';
+    this.pos++;
+
+    let chomp = 'clip';
+    let explicitIndent = null;
+    for (let i = 0; i < 2; i++) {
+      const ch = this.peek();
+      if ((ch === '-' || ch === '+') && chomp === 'clip') {
+        chomp = ch === '-' ? 'strip' : 'keep';
+        this.pos++;
+      } else if (ch >= '1' && ch <= '9' && explicitIndent === null) {
+        explicitIndent = Number(ch);
+        this.pos++;
+      }
+    }
+    if (!isWhitespaceOrEnd(this.peek())) this.fail(`Invalid block scalar header character "${this.peek()}"`);
+    this.expectLineEnd();
+    this.skipInline();
+    this.skipComment();
+    if (this.peek() === '\n') this.pos++;
+
+    let contentIndent = explicitIndent === null ? null : Math.max(parentIndent, 0) + explicitIndent;
+    /** @type {string[]} */
+    const lines = [];
+
+    while (!this.eof()) {
+      const lineStart = this.pos;
+      let spaces = 0;
+      while (this.src[lineStart + spaces] === ' ') spaces++;
+      const lineEnd = this.src.indexOf('\n', lineStart);
+      const end = lineEnd === -1 ? this.src.length : lineEnd;
+      const blank = this.src.slice(lineStart + spaces, end).trim() === '' && this.src[lineStart + spaces] !== '\t';
+
+      if (!blank) {
+        if (contentIndent === null) {
+          if (spaces <= parentIndent) break;
+          contentIndent = spaces;
+        }
+        if (spaces < contentIndent) break;
+        if (spaces === 0 && this.atDocumentBoundary()) break;
+      }
+
+      lines.push(blank && spaces <= (contentIndent ?? spaces) ? '' : this.src.slice(lineStart + (contentIndent ?? 0), end));
+      this.pos = lineEnd === -1 ? this.src.length : lineEnd + 1;
+    }
+
+    // The terminating line belongs to the parent; step back onto the
+    // preceding line break so the parent sees a finished line.
+    if (!this.eof()) this.pos--;
+
+    let trailing = 0;
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+      trailing++;
+    }
+
+    const body = literal ? lines.join('\n') : foldLines(lines);
+    if (chomp === 'strip') return body;
+    if (chomp === 'keep') return lines.length > 0 ? `${body}\n${'\n'.repeat(trailing)}` : '\n'.repeat(trailing);
+    return lines.length > 0 ? `${body}\n` : '';
+  }
+
+  /** @returns {string} */
+  parseDoubleQuoted() {
+    const start = this.pos;
+    this.pos++;
+    let out = '';
+    /** Start of unescaped trailing whitespace in `out`, trimmed at a line break. */
+    let trailingFrom = null;
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === undefined) this.fail('Unterminated double-quoted string', start);
+      if (ch === '"') {
+        this.pos++;
+        return out;
+      }
+
+      if (ch === '\\') {
+        const next = this.peek(1);
+        if (next === '\n') {
+          this.pos += 2;
+          this.skipInline();
+          trailingFrom = null;
+          continue;
+        }
+        if (next in HEX_ESCAPES) {
+          const digits = this.src.slice(this.pos + 2, this.pos + 2 + HEX_ESCAPES[next]);
+          if (digits.length !== HEX_ESCAPES[next] || !/^[0-9a-fA-F]+$/.test(digits)) {
+            this.fail(`Invalid \\${next} escape sequence`);
+          }
+          out += String.fromCodePoint(parseInt(digits, 16));
+          this.pos += 2 + digits.length;
+        } else if (next !== undefined && Object.prototype.hasOwnProperty.call(ESCAPES, next)) {
+          out += ESCAPES[next];
+          this.pos += 2;
+        } else {
+          this.fail(`Unknown escape sequence "\\${next ?? ''}"`);
+        }
+        trailingFrom = null;
+        continue;
+      }
+
+      if (ch === '\n') {
+        out = this.foldQuotedBreak(out, trailingFrom);
+        trailingFrom = null;
+        continue;
+      }
+
+      if (ch === ' ' || ch === '\t') {
+        trailingFrom ??= out.length;
+      } else {
+        trailingFrom = null;
+      }
+      out += ch;
+      this.pos++;
+    }
+  }
+
+  /** @returns {string} */
+  parseSingleQuoted() {
+    const start = this.pos;
+    this.pos++;
+    let out = '';
+    let trailingFrom = null;
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === undefined) this.fail('Unterminated single-quoted string', start);
+      if (ch === "'") {
+        if (this.peek(1) === "'") {
+          out += "'";
+          this.pos += 2;
+          trailingFrom = null;
+          continue;
+        }
+        this.pos++;
+        return out;
+      }
+      if (ch === '\n') {
+        out = this.foldQuotedBreak(out, trailingFrom);
+        trailingFrom = null;
+        continue;
+      }
+      if (ch === ' ' || ch === '\t') {
+        trailingFrom ??= out.length;
+      } else {
+        trailingFrom = null;
+      }
+      out += ch;
+      this.pos++;
+    }
+  }
+
+  /**
+   * Folds a line break inside a quoted scalar: one break becomes a space,
+   * `n` consecutive breaks become `n - 1` newlines.
+   *
+   * @param {string}      out          - Text collected so far.
+   * @param {number|null} trailingFrom - Where unescaped trailing whitespace starts.
+   * @returns {string}
+   */
+  foldQuotedBreak(out, trailingFrom) {
+    const trimmed = trailingFrom === null ? out : out.slice(0, trailingFrom);
+    let breaks = 0;
+    while (this.peek() === '\n') {
+      this.pos++;
+      breaks++;
+      this.skipInline();
+    }
+    if (this.atDocumentBoundary()) this.fail('Document marker inside a quoted string');
+    return trimmed + (breaks > 1 ? '\n'.repeat(breaks - 1) : ' ');
+  }
+
+  // -------------------------------------------------------------------------
+  // Flow collections
+  // -------------------------------------------------------------------------
+
+  /** Skips whitespace, line breaks and comments inside a flow collection. */
+  skipFlowSpace() {
+    for (;;) {
+      const ch = this.peek();
+      if (ch === ' ' || ch === '\t' || ch === '\n') {
+        this.pos++;
+      } else if (ch === '#' && this.precededByWhitespace(this.pos)) {
+        this.skipComment();
+      } else {
+        return;
+      }
+    }
+  }
+
+  /** @returns {Array<*>} */
+  parseFlowSequence() {
+    const start = this.pos;
+    this.pos++;
+    const items = [];
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.eof()) this.fail('Unterminated flow sequence', start);
+      if (this.peek() === ']') {
+        this.pos++;
+        return items;
+      }
+
+      const entryPos = this.pos;
+      const props = this.parseProperties(true);
+      const node = this.parseFlowNode();
+      this.skipFlowSpace();
+
+      const pairColon = isWhitespaceOrEnd(this.peek(1)) || isFlowIndicator(this.peek(1)) || (node.kind === 'scalar' && !node.plain);
+      if (this.peek() === ':' && pairColon) {
+        // Single-pair mapping: [key: value]
+        this.pos++;
+        const { key, isMerge } = this.keyFromNode(props, node);
+        const builder = new MappingBuilder(this);
+        builder.add(key, this.parseFlowValue(), entryPos, isMerge);
+        items.push(builder.build());
+      } else {
+        items.push(this.finishNode(props, node));
+      }
+
+      this.skipFlowSpace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== ']') {
+        this.fail(this.eof() ? 'Unterminated flow sequence' : 'Expected "," or "]" in flow sequence', this.eof() ? start : this.pos);
+      }
+    }
+  }
+
+  /** @returns {Record<string, *>} */
+  parseFlowMapping() {
+    const start = this.pos;
+    this.pos++;
+    const builder = new MappingBuilder(this);
+
+    for (;;) {
+      this.skipFlowSpace();
+      if (this.eof()) this.fail('Unterminated flow mapping', start);
+      if (this.peek() === '}') {
+        this.pos++;
+        return builder.build();
+      }
+      if (this.peek() === '?' && isWhitespaceOrEnd(this.peek(1))) {
+        this.fail('Explicit mapping keys ("? ") are not supported');
+      }
+
+      const keyPos = this.pos;
+      const props = this.parseProperties(true);
+      const { key, isMerge } = this.keyFromNode(props, this.parseFlowNode());
+      this.skipFlowSpace();
+
+      let value = null;
+      if (this.peek() === ':') {
+        this.pos++;
+        value = this.parseFlowValue();
+      }
+      builder.add(key, value, keyPos, isMerge);
+
+      this.skipFlowSpace();
+      if (this.peek() === ',') {
+        this.pos++;
+      } else if (this.peek() !== '}') {
+        this.fail(this.eof() ? 'Unterminated flow mapping' : 'Expected "," or "}" in flow mapping', this.eof() ? start : this.pos);
+      }
+    }
+  }
+
+  /**
+   * Value after `:` in a flow collection; empty values are null.
+   *
+   * @returns {*}
+   */
+  parseFlowValue() {
+    this.skipFlowSpace();
+    const ch = this.peek();
+    if (ch === ',' || ch === '}' || ch === ']') return null;
+    const props = this.parseProperties(true);
+    return this.finishNode(props, this.parseFlowNode());
+  }
+
+  /**
+   * Parses one node inside a flow collection (properties already consumed).
+   *
+   * @returns {{ kind: 'scalar', text: string, plain: boolean } | { kind: 'collection'|'alias', value: * }}
+   */
+  parseFlowNode() {
+    const ch = this.peek();
+    if (ch === '[') return { kind: 'collection', value: this.parseFlowSequence() };
+    if (ch === '{') return { kind: 'collection', value: this.parseFlowMapping() };
+    if (ch === '*') return { kind: 'alias', value: this.parseAlias() };
+    if (ch === '"') return { kind: 'scalar', text: this.parseDoubleQuoted(), plain: false };
+    if (ch === "'") return { kind: 'scalar', text: this.parseSingleQuoted(), plain: false };
+    if (ch === ',' || ch === ']' || ch === '}' || ch === ':') {
+      return { kind: 'scalar', text: '', plain: true };
+    }
+    if (ch === '@' || ch === '`') this.fail(`Plain scalars cannot start with the reserved indicator "${ch}"`);
+    return { kind: 'scalar', text: this.parsePlainFlow(), plain: true };
+  }
+
+  /**
+   * Plain scalar inside a flow collection; line breaks fold to spaces.
+   *
+   * @returns {string}
+   */
+  parsePlainFlow() {
+    let text = '';
+    for (;;) {
+      const start = this.pos;
+      while (!this.eof()) {
+        const ch = this.peek();
+        const next = this.peek(1);
+        if (ch === '\n' || isFlowIndicator(ch)) break;
+        if (ch === ':' && (isWhitespaceOrEnd(next) || isFlowIndicator(next))) break;
+        if ((ch === ' ' || ch === '\t') && next === '#') break;
+        this.pos++;
+      }
+      text += this.src.slice(start, this.pos).trim();
+      if (this.peek() !== '\n') break;
+
+      const resume = this.pos;
+      let breaks = 0;
+      while (this.peek() === '\n') {
+        this.pos++;
+        breaks++;
+        this.skipInline();
+      }
+      const ch = this.peek();
+      if (this.eof() || ch === '#' || isFlowIndicator(ch) || ch === ':') {
+        this.pos = resume;
+        break;
+      }
+      text += breaks > 1 ? '\n'.repeat(breaks - 1) : ' ';
+    }
+    return text;
+  }
+
+  // -------------------------------------------------------------------------
+  // Properties, aliases and construction
+  // -------------------------------------------------------------------------
+
+  /**
+   * Reads optional `&anchor` and `!tag` properties (in either order).
+   *
+   * @param {boolean} flow - Whether line breaks may separate properties.
+   * @returns {NodeProperties|null}
+   */
+  parseProperties(flow) {
+    const start = this.pos;
+    let anchor = null;
+    let tag = null;
+
+    for (;;) {
+      const ch = this.peek();
+      if (ch === '&') {
+        if (anchor !== null) this.fail('A node can only have one anchor');
+        this.pos++;
+        anchor = this.readName('anchor');
+      } else if (ch === '!') {
+        if (tag !== null) this.fail('A node can only have one tag');
+        tag = this.readTag();
+      } else {
+        break;
+      }
+      if (flow) this.skipFlowSpace();
+      else this.skipInline();
+    }
+
+    return anchor === null && tag === null ? null : { anchor, tag, pos: start };
+  }
+
+  /**
+   * @param {string} what - `anchor` or `alias`, for the error message.
+   * @returns {string}
+   */
+  readName(what) {
+    const start = this.pos;
+    while (!isWhitespaceOrEnd(this.peek()) && !isFlowIndicator(this.peek())) this.pos++;
+    if (this.pos === start) this.fail(`Expected an ${what} name`);
+    return this.src.slice(start, this.pos);
+  }
+
+  /** @returns {string} Expanded tag. */
+  readTag() {
+    const start = this.pos;
+    this.pos++;
+
+    if (this.peek() === '<') {
+      const end = this.src.indexOf('>', this.pos);
+      if (end === -1 || this.src.slice(this.pos, end).includes('\n')) this.fail('Unterminated verbatim tag', start);
+      this.pos = end + 1;
+      return this.src.slice(start + 2, end);
+    }
+
+    while (!isWhitespaceOrEnd(this.peek()) && !isFlowIndicator(this.peek())) this.pos++;
+    const raw = this.src.slice(start, this.pos);
+    return raw.startsWith('!!') ? `${CORE_TAG}${raw.slice(2)}` : raw;
+  }
+
+  /** @returns {*} The anchored value. */
+  parseAlias() {
+    const start = this.pos;
+    this.pos++;
+    const name = this.readName('alias');
+    if (!this.#anchors.has(name)) this.fail(`Unknown alias "*${name}"`, start);
+    return this.#anchors.get(name);
+  }
+
+  /**
+   * Applies tags, resolves scalars and records anchors.
+   *
+   * @param {NodeProperties|null} props
+   * @param {{ kind: string, text?: string, plain?: boolean, value?: * }} node
+   * @returns {*}
+   */
+  finishNode(props, node) {
+    if (node.kind === 'alias') {
+      if (props) this.fail('An alias cannot have an anchor or tag', props.pos);
+      return node.value;
+    }
+
+    const tag = props?.tag ?? null;
+    let value;
+
+    if (node.kind === 'collection') {
+      const expected = Array.isArray(node.value) ? `${CORE_TAG}seq` : `${CORE_TAG}map`;
+      if (tag !== null && tag !== '!' && tag !== expected) {
+        this.fail(`Tag "${tag}" cannot be applied to a ${Array.isArray(node.value) ? 'sequence' : 'mapping'}`, props.pos);
+      }
+      value = node.value;
+    } else {
+      value = this.constructScalar(node.text, node.plain, tag, props?.pos ?? this.pos);
+    }
+
+    if (props?.anchor) this.#anchors.set(props.anchor, value);
+    return value;
+  }
+
+  /**
+   * @param {string}      text
+   * @param {boolean}     plain
+   * @param {string|null} tag
+   * @param {number}      pos - For diagnostics.
+   * @returns {*}
+   */
+  constructScalar(text, plain, tag, pos) {
+    if (tag === null) return plain ? resolvePlainScalar(text) : text;
+
+    switch (tag) {
+      case '!':
+      case `${CORE_TAG}str`:
+        return text;
+      case `${CORE_TAG}null`:
+        if (NULL_PATTERN.test(text)) return null;
+        break;
+      case `${CORE_TAG}bool`:
+        if (TRUE_PATTERN.test(text)) return true;
+        if (FALSE_PATTERN.test(text)) return false;
+        break;
+      case `${CORE_TAG}int`:
+        if (INT_PATTERN.test(text) || OCT_PATTERN.test(text) || HEX_PATTERN.test(text)) return resolvePlainScalar(text);
+        break;
+      case `${CORE_TAG}float`:
+        if (FLOAT_PATTERN.test(text) || INF_PATTERN.test(text) || NAN_PATTERN.test(text)) return resolvePlainScalar(text);
+        break;
+      case `${CORE_TAG}seq`:
+      case `${CORE_TAG}map`:
+        this.fail(`Tag "${tag}" cannot be applied to a scalar`, pos);
+        break;
+      default:
+        this.fail(`Unsupported tag "${tag}"`, pos);
+    }
+
+    return this.fail(`"${text}" is not a valid ${tag.replace(CORE_TAG, '!!')} value`, pos);
+  }
+}
+
+/**
+ * Folds the lines of a `>` block scalar: adjacent lines join with a space,
+ * blank lines become newlines and more-indented lines keep their breaks.
+ *
+ * @param {string[]} lines - Content lines with trailing blank lines removed.
+ * @returns {string}
+ */
+function foldLines(lines) {
+  let out = '';
+  let blanks = 0;
+  let started = false;
+  let previousMoreIndented = false;
+
+  for (const line of lines) {
+    if (line === '') {
+      blanks++;
+      continue;
+    }
+    const moreIndented = line[0] === ' ' || line[0] === '\t';
+    if (!started) {
+      out += '\n'.repeat(blanks);
+    } else if (moreIndented || previousMoreIndented) {
+      out += '\n'.repeat(blanks + 1);
+    } else {
+      out += blanks > 0 ? '\n'.repeat(blanks) : ' ';
+    }
+    out += line;
+    started = true;
+    blanks = 0;
+    previousMoreIndented = moreIndented;
+  }
+
+  return out;
+}
+
+// ---------------------------------------------------------------------------
+// Parsing API
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses every document of a YAML stream.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Included in error locations.
+ * @returns {Array<*>} One value per document (empty for an empty stream).
+ * @throws {YamlError} On malformed input.
+ */
+export function parseAllYaml(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('[YAML] Input must be a string');
+  }
+  return new Parser(text, options.filename).parseStream();
+}
+
+/**
+ * Parses a single-document YAML string.
+ *
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - Included in error locations.
+ * @returns {*} The document value, or null for an empty document.
+ * @throws {YamlError} On malformed input, or with code `YAML_MULTI_DOCUMENT`
+ *   if the stream holds more than one document (use {@link parseAllYaml}).
+ */
+export function parseYaml(text, options = {}) {
+  const documents = parseAllYaml(text, options);
+  if (documents.length > 1) {
+    const err = new Error(
+      `[YAML] Expected a single document but found ${documents.length}${options.filename ? ` in ${options.filename}` : ''}; use parseAllYaml()`,
+    );
+    err.code = 'YAML_MULTI_DOCUMENT';
+    throw err;
+  }
+  return documents[0] ?? null;
+}
+
+// ---------------------------------------------------------------------------
+// Serializer
+// ---------------------------------------------------------------------------
+
+/**
+ * Whether a string can be written unquoted and read back as the same string.
+ *
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isPlainSafe(text) {
+  if (text === '' || text !== text.trim()) return false;
+  if (/[\n\t]/.test(text) || NON_PRINTABLE.test(text) || /[\u2028\u2029\x85]/.test(text)) return false;
+  if (/^[-?:,[\]{}#&*!|>'"%@`]/.test(text)) return false;
+  if (/: |\s#|:$|[,[\]{}]/.test(text)) return false;
+  if (/^(?:---|\.\.\.)/.test(text)) return false;
+  return typeof resolvePlainScalar(text) === 'string';
+}
+
+/**
+ * Writes a string as a double-quoted scalar with YAML escapes.
+ *
+ * @param {string} text
+ * @returns {string}
+ */
+function doubleQuote(text) {
+  const reverse = { '\0': '0', '\x07': 'a', '\b': 'b', '\t': 't', '\n': 'n', '\v': 'v', '\f': 'f', '\r': 'r', '\x1b': 'e', '"': '"', '\\': '\\', '\x85': 'N', '\u2028': 'L', '\u2029': 'P' };
+  const escaped = text.replace(/["\\\x00-\x1f\x7f-\x9f\u2028\u2029\ufeff\ufffe\uffff]/g, (ch) => {
+    if (reverse[ch]) return `\\${reverse[ch]}`;
+    const code = ch.charCodeAt(0);
+    return code <= 0xff ? `\\x${code.toString(16).padStart(2, '0')}` : `\\u${code.toString(16).padStart(4, '0')}`;
+  });
+  return `"${escaped}"`;
+}
+
+/**
+ * Formats a string scalar. Returns the header and indented body lines for a
+ * literal block scalar when the string spans lines.
+ *
+ * @param {string} text
+ * @param {number} bodyIndent - Absolute indentation of block scalar lines.
+ * @param {number} offset     - Body indentation relative to the parent node.
+ * @returns {{ inline: string } | { header: string, lines: string[] }}
+ */
+function formatString(text, bodyIndent, offset) {
+  if (isPlainSafe(text) && !YAML11_AMBIGUOUS.test(text)) return { inline: text };
+
+  const blockable = text.includes('\n') && /[^\n]/.test(text) &&
+    !NON_PRINTABLE.test(text) && !/[\r\u2028\u2029\x85]/.test(text) && !/[ \t]\n|[ \t]$/.test(text);
+  if (blockable) {
+    const content = text.replace(/\n+$/, '');
+    const trailing = text.length - content.length;
+    const chomp = trailing === 0 ? '-' : trailing === 1 ? '' : '+';
+    const indicator = /^\n* /.test(content) ? String(offset) : '';
+    const pad = ' '.repeat(bodyIndent);
+    const lines = `${content}${'\n'.repeat(Math.max(trailing - 1, 0))}`
+      .split('\n')
+      .map((line) => (line === '' ? '' : `${pad}${line}`));
+    return { header: `|${indicator}${chomp}`, lines };
+  }
+
+  if (!NON_PRINTABLE.test(text) && !/[\n\r\t\u2028\u2029\x85]/.test(text)) {
+    return { inline: `'${text.replace(/'/g, "''")}'` };
+  }
+  return { inline: doubleQuote(text) };
+}
+
+/**
+ * Formats any scalar (or empty collection) value.
+ *
+ * @param {*}      value
+ * @param {number} bodyIndent
+ * @param {number} offset
+ * @returns {{ inline: string } | { header: string, lines: string[] }}
+ */
+function formatScalar(value, bodyIndent, offset) {
+  if (value === null || value === undefined) return { inline: 'null' };
+  if (typeof value === 'boolean') return { inline: String(value) };
+  if (typeof value === 'number') {
+    if (Number.isNaN(value)) return { inline: '.nan' };
+    if (!Number.isFinite(value)) return { inline: value > 0 ? '.inf' : '-.inf' };
+    return { inline: String(value) };
+  }
+  if (typeof value === 'bigint') return { inline: String(value) };
+  if (Array.isArray(value)) return { inline: '[]' };
+  if (typeof value === 'object') return { inline: '{}' };
+  return formatString(String(value), bodyIndent, offset);
+}
+
+/**
+ * Formats a mapping key; keys never use block scalars.
+ *
+ * @param {string} key
+ * @returns {string}
+ */
+function formatKey(key) {
+  if (key !== '<<' && isPlainSafe(key)) return key;
+  if (!NON_PRINTABLE.test(key) && !/[\n\r\t\u2028\u2029\x85]/.test(key)) return `'${key.replace(/'/g, "''")}'`;
+  return doubleQuote(key);
+}
+
+/**
+ * Unwraps `toJSON()` (Dates and similar) so values serialize like JSON.
+ *
+ * @param {*} value
+ * @returns {*}
+ */
+function normalize(value) {
+  return value !== null && typeof value === 'object' && typeof value.toJSON === 'function' ? value.toJSON() : value;
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} True for a non-empty array or object.
+ */
+function isBlockCollection(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && typeof value === 'object' && Object.keys(value).length > 0;
+}
+
+/**
+ * Serializer state shared by the recursive emitters.
+ */
+class Emitter {
+  /** @type {string[]} */
+  lines = [];
+  /** @type {number} */
+  #step;
+  /** @type {Set<object>} */
+  #ancestors = new Set();
+
+  /** @param {number} step - Spaces per nesting level. */
+  constructor(step) {
+    this.#step = step;
+  }
+
+  /**
+   * Emits a non-empty collection at `indent`.
+   *
+   * @param {Array<*>|Record<string, *>} value
+   * @param {number} indent
+   */
+  collection(value, indent) {
+    if (this.#ancestors.has(value)) {
+      const err = new Error('[YAML] Cannot serialize a circular structure');
+      err.code = 'YAML_CIRCULAR';
+      throw err;
+    }
+    this.#ancestors.add(value);
+    if (Array.isArray(value)) this.#sequence(value, indent);
+    else this.#mapping(value, indent);
+    this.#ancestors.delete(value);
+  }
+
+  /**
+   * @param {Record<string, *>} map
+   * @param {number} indent
+   */
+  #mapping(map, indent) {
+    const pad = ' '.repeat(indent);
+    for (const [key, raw] of Object.entries(map)) {
+      const value = normalize(raw);
+      if (value === undefined || typeof value === 'function' || typeof value === 'symbol') continue;
+
+      const prefix = `${pad}${formatKey(key)}:`;
+      if (isBlockCollection(value)) {
+        this.lines.push(prefix);
+        this.collection(value, indent + this.#step);
+      } else {
+        this.#scalar(prefix, value, indent + this.#step, this.#step);
+      }
+    }
+  }
+
+  /**
+   * @param {Array<*>} items
+   * @param {number} indent
+   */
+  #sequence(items, indent) {
+    const pad = ' '.repeat(indent);
+    for (const raw of items) {
+      const value = normalize(raw);
+      if (isBlockCollection(value)) {
+        // Compact form: the first line of the nested collection shares the dash.
+        const first = this.lines.length;
+        this.collection(value, indent + 2);
+        this.lines[first] = `${pad}- ${this.lines[first].slice(indent + 2)}`;
+      } else {
+        this.#scalar(`${pad}-`, typeof value === 'function' || typeof value === 'symbol' ? null : value, indent + 2, 2);
+      }
+    }
+  }
+
+  /**
+   * Emits `prefix value`, or a block scalar header followed by its body.
+   *
+   * @param {string} prefix
+   * @param {*}      value
+   * @param {number} bodyIndent
+   * @param {number} offset
+   */
+  #scalar(prefix, value, bodyIndent, offset) {
+    const formatted = formatScalar(value, bodyIndent, offset);
+    if ('inline' in formatted) {
+      this.lines.push(`${prefix} ${formatted.inline}`);
+    } else {
+      this.lines.push(`${prefix} ${formatted.header}`, ...formatted.lines);
+    }
+  }
+
+  /**
+   * Emits a top-level scalar.
+   *
+   * @param {*} value
+   */
+  root(value) {
+    const formatted = formatScalar(value, this.#step, this.#step);
+    if ('inline' in formatted) this.lines.push(formatted.inline);
+    else this.lines.push(formatted.header, ...formatted.lines);
+  }
+}
+
+/**
+ * Serializes a value to a YAML document in block style. Strings are left
+ * unquoted only when they read back as the same string; multi-line strings
+ * become literal block scalars. The output always ends with a newline and
+ * round-trips through {@link parseYaml}.
+ *
+ * @param {*} value
+ * @param {Object} [options]
+ * @param {number} [options.indent=2] - Spaces per nesting level (1-9).
+ * @returns {string}
+ * @throws {Error} With code `YAML_CIRCULAR` for circular structures.
+ */
+export function stringifyYaml(value, options = {}) {
+  const step = options.indent ?? 2;
+  if (!Number.isInteger(step) || step < 1 || step > 9) {
+    throw new RangeError(`[YAML] indent must be an integer between 1 and 9, got ${step}`);
+  }
+
+  const emitter = new Emitter(step);
+  const root = normalize(value);
+  if (isBlockCollection(root)) emitter.collection(root, 0);
+  else emitter.root(root);
+  return `${emitter.lines.join('\n')}\n`;
+}
+
+export default { parseYaml, parseAllYaml, stringifyYaml };
@@ -0,0 +1,224 @@
+/**
+ * @module event-bridge
+ * @description Publishes the local events of the pipeline subsystems on the
+ * {@link ClawEventBus} as canonical {@link ClawEvent} types, so that a single
+ * subscriber can observe a whole run and the bus history tells its story.
+ *
+ * Every published payload is an envelope with the same base fields:
+ * ```
+ * { runId: string|null, phase: string|null, timestamp: number, ...details }
+ * ```
+ * Errors are reduced to `{ message, code }` so that payloads survive the
+ * bus's JSON history.
+ *
+ * | Source                   | Local event                      | ClawEvent                 |
+ * |--------------------------|----------------------------------|---------------------------|
+ * | MasterOrchestrator       | run:started / completed / failed | PIPELINE_START / COMPLETE / ERROR |
+ * | MasterOrchestrator       | phase:starting / completed / skipped / failed | PHASE_START / COMPLETE / SKIP / ERROR |
+ * | GeneratorEngine          | file:created                     | FILE_GENERATED            |
+ * | GeneratorEngine          | conflict (strategy `skip`)       | FILE_SKIPPED              |
+ * | GeneratorEngine          | error                            | FILE_ERROR                |
+ * | GeneratorEngine          | progress / complete              | GENERATION_PROGRESS       |
+ * | GeneratorEngine          | step:start / step:complete       | GENERATION_STEP_START / COMPLETE |
+ *
+ * The built-in phase handlers publish the elicitation, blueprint and
+ * integration events themselves through {@link publish}. The validators have
+ * no events of their own; whoever runs them (the orchestrator's VALIDATING
+ * pass, a dry-run preview, `clawos validate`) publishes VALIDATION_START /
+ * ERROR / COMPLETE through {@link publishValidation}.
+ */
+
+import { ClawEvent, getEventBus } from './event-bus.js';
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} EventMeta
+ * @property {string|null} [runId] - Run the event belongs to.
+ * @property {string|null} [phase] - Phase the event belongs to.
+ */
+
+/**
+ * @typedef {Object} EventEnvelope
+ * @property {string|null} runId
+ * @property {string|null} phase
+ * @property {number}      timestamp - Epoch milliseconds.
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Reduces an error to a serialisable description.
+ *
+ * @param {unknown} err
+ * @returns {{ message: string, code: string|null }}
+ */
+export function describeError(err) {
+  return {
+    message: err instanceof Error ? err.message : String(err),
+    code: err?.code ?? null,
+  };
+}
+
+/**
+ * Publishes a ClawEvent wrapped in the common envelope. Does nothing when
+ * `bus` is null, so callers can pass an optional bus straight through.
+ *
+ * @param {import('./event-bus.js').ClawEventBus|null|undefined} bus
+ * @param {string} event - One of {@link ClawEvent}.
+ * @param {EventMeta} meta
+ * @param {Record<string, unknown>} [details={}]
+ * @returns {boolean} True if the event had listeners.
+ */
+export function publish(bus, event, meta, details = {}) {
+  if (!bus) return false;
+  return bus.emit(event, {
+    runId: meta.runId ?? null,
+    phase: meta.phase ?? null,
+    timestamp: Date.now(),
+    ...details,
+  });
+}
+
+/**
+ * Runs a validation and publishes it: VALIDATION_START, a VALIDATION_ERROR per
+ * error entry and VALIDATION_COMPLETE with the counts. `details` (e.g.
+ * `{ validator: 'structure', dryRun: true }`) are added to every payload.
+ *
+ * @param {import('./event-bus.js').ClawEventBus|null|undefined} bus
+ * @param {EventMeta} meta
+ * @param {string} outputPath - Directory being validated.
+ * @template {{ valid: boolean, score: number, errors: Object[], warnings: Object[] }} Report
+ * @param {() => Report} validate - Runs a StructureValidator or IntegrityChecker.
+ * @param {Record<string, unknown>} [details={}]
+ * @returns {Report} The report of `validate`.
+ */
+export function publishValidation(bus, meta, outputPath, validate, details = {}) {
+  publish(bus, ClawEvent.VALIDATION_START, meta, { outputPath, ...details });
+  const report = validate();
+  for (const entry of report.errors) {
+    publish(bus, ClawEvent.VALIDATION_ERROR, meta, { ...entry, ...details });
+  }
+  publish(bus, ClawEvent.VALIDATION_COMPLETE, meta, {
+    outputPath,
+    valid: report.valid,
+    score: report.score,
+    errors: report.errors.length,
+    warnings: report.warnings.length,
+    ...details,
+  });
+  return report;
+}
+
+// ---------------------------------------------------------------------------
+// Mappings
+// ---------------------------------------------------------------------------
+
+/**
+ * Orchestrator event -> [ClawEvent, payload mapper]. Mappers return the
+ * envelope meta plus event-specific details.
+ *
+ * @type {Record<string, [string, (payload: Record<string, *>) => EventMeta & Record<string, unknown>]>}
+ */
+const ORCHESTRATOR_EVENTS = Object.freeze({
+  'run:started': [ClawEvent.PIPELINE_START, (p) => ({ runId: p.runId })],
+  'run:completed': [ClawEvent.PIPELINE_COMPLETE, (p) => ({
+    runId: p.runId,
+    durationMs: p.metrics?.totalDurationMs ?? null,
+    completedPhases: p.context?.completedPhases ?? [],
+    skippedPhases: p.context?.skippedPhases ?? [],
+  })],
+  'run:failed': [ClawEvent.PIPELINE_ERROR, (p) => ({
+    runId: p.runId,
+    phase: p.error?.phaseId ?? p.context?.rollback?.trigger.phase ?? p.context?.currentPhase ?? null,
+    error: describeError(p.error),
+  })],
+  'phase:starting': [ClawEvent.PHASE_START, (p) => ({
+    runId: p.runId,
+    phase: p.phaseId,
+    inputKeys: p.inputKeys,
+  })],
+  'phase:completed': [ClawEvent.PHASE_COMPLETE, (p) => ({
+    runId: p.runId,
+    phase: p.phaseId,
+    durationMs: p.durationMs,
+    outputKeys: p.outputKeys,
+  })],
+  'phase:skipped': [ClawEvent.PHASE_SKIP, (p) => ({ runId: p.runId, phase: p.phaseId })],
+  'phase:failed': [ClawEvent.PHASE_ERROR, (p) => ({
+    runId: p.runId,
+    phase: p.phaseId,
+    durationMs: p.durationMs,
+    error: describeError(p.error),
+  })],
+});
+
+// ---------------------------------------------------------------------------
+// Bridges
+// ---------------------------------------------------------------------------
+
+/**
+ * Publishes an orchestrator's run and phase events on the bus.
+ *
+ * @param {import('node:events').EventEmitter} orchestrator - A {@link MasterOrchestrator}.
+ * @param {import('./event-bus.js').ClawEventBus} [bus=getEventBus()]
+ * @returns {() => void} Removes the bridge.
+ */
+export function bridgeOrchestrator(orchestrator, bus = getEventBus()) {
+  const listeners = Object.entries(ORCHESTRATOR_EVENTS).map(([local, [event, map]]) => {
+    const listener = (payload) => {
+      const { runId, phase, ...details } = map(payload);
+      publish(bus, event, { runId, phase }, details);
+    };
+    orchestrator.on(local, listener);
+    return [local, listener];
+  });
+
+  return () => {
+    for (const [local, listener] of listeners) orchestrator.off(local, listener);
+  };
+}
+
+/**
+ * Publishes a GeneratorEngine's file events on the bus. The engine has no
+ * notion of runs, so the run and phase come from `meta`.
+ *
+ * @param {import('../generator/generator-engine.js').GeneratorEngine} engine
+ * @param {EventMeta} meta
+ * @param {import('./event-bus.js').ClawEventBus} [bus=getEventBus()]
+ * @returns {() => void} Removes the bridge.
+ */
+export function bridgeGenerator(engine, meta, bus = getEventBus()) {
+  const unsubscribers = [
+    engine.on('file:created', ({ path, size, durationMs }) => {
+      publish(bus, ClawEvent.FILE_GENERATED, meta, { path, size, durationMs });
+    }),
+    engine.on('step:start', ({ step }) => {
+      publish(bus, ClawEvent.GENERATION_STEP_START, meta, { step });
+    }),
+    engine.on('step:complete', ({ step }) => {
+      publish(bus, ClawEvent.GENERATION_STEP_COMPLETE, meta, { step });
+    }),
+    engine.on('conflict', ({ path, strategy }) => {
+      if (strategy === 'skip') publish(bus, ClawEvent.FILE_SKIPPED, meta, { path, reason: 'exists' });
+    }),
+    engine.on('error', ({ error, step }) => {
+      publish(bus, ClawEvent.FILE_ERROR, meta, { step, error: describeError(error) });
+    }),
+    // 'progress' fires per completed step; 'complete' carries the final 100%.
+    ...['progress', 'complete'].map((local) => engine.on(local, () => {
+      const { status, currentStep, completedSteps, totalSteps, percentage } = engine.getProgress();
+      publish(bus, ClawEvent.GENERATION_PROGRESS, meta, {
+        status, currentStep, completedSteps, totalSteps, percentage,
+      });
+    })),
+  ];
+
+  return () => {
+    for (const unsubscribe of unsubscribers) unsubscribe();
+  };
+}
@@ -8,12 +8,31 @@
  * All pipeline components communicate through this bus so that the system
  * remains loosely coupled and fully observable.
  *
+ * History can also be written to a JSONL journal (see {@link EventJournal})
+ * that outlives the process; {@link ClawEventBus.fromJournal} rebuilds a bus
+ * from it so `getHistory()` and `replay()` work on past runs.
+ *
+ * Payloads can be checked against the schemas in {@link module:event-schemas}
+ * (`strict: 'warn'` or `'reject'`); plugins register schemas for their own
+ * events with {@link ClawEventBus.registerEventSchema}.
+ *
+ * {@link ClawEventBus#scope} derives a child bus for one run: it tags what it
+ * emits, forwards it to the parent and keeps a history of its own, so
+ * concurrent runs sharing the singleton do not see each other's events.
+ *
  * Event naming convention:
  *   - All event names use UPPER_SNAKE_CASE constants from {@link ClawEvent}.
  *   - Wildcard listeners use colon-delimited prefixes (e.g. "PIPELINE:*").
  */
 
 import { EventEmitter } from 'node:events';
+import { EventJournal } from './event-journal.js';
+import {
+  getCustomEventTypes,
+  getEventSchema,
+  registerEventSchema,
+  validatePayload,
+} from './event-schemas.js';
 
 // ---------------------------------------------------------------------------
 // Event type constants
@@ -50,6 +69,9 @@ export const ClawEvent = Object.freeze({
   FILE_GENERATED:        'FILE_GENERATED',
   FILE_SKIPPED:          'FILE_SKIPPED',
   FILE_ERROR:            'FILE_ERROR',
+  GENERATION_PROGRESS:   'GENERATION_PROGRESS',
+  GENERATION_STEP_START: 'GENERATION_STEP_START',
+  GENERATION_STEP_COMPLETE: 'GENERATION_STEP_COMPLETE',
 
   // -- Validation ----------------------------------------------------------
   VALIDATION_START:      'VALIDATION_START',
@@ -59,6 +81,10 @@ export const ClawEvent = Object.freeze({
   // -- Integration ---------------------------------------------------------
   INTEGRATION_START:     'INTEGRATION_START',
   INTEGRATION_COMPLETE:  'INTEGRATION_COMPLETE',
+
+  // -- Configuration -------------------------------------------------------
+  CONFIG_CHANGED:        'CONFIG_CHANGED',
+  CONFIG_REJECTED:       'CONFIG_REJECTED',
 });
 
 /** Set of all valid event names for fast membership checks. */
@@ -76,14 +102,50 @@ const EVENT_GROUPS = Object.freeze({
   ELICITATION:  [ClawEvent.ELICITATION_START, ClawEvent.QUESTION_ASKED, ClawEvent.ANSWER_RECEIVED, ClawEvent.ELICITATION_COMPLETE],
   BLUEPRINT:    [ClawEvent.BLUEPRINT_SELECTED, ClawEvent.BLUEPRINT_COMPOSED],
   FILE:         [ClawEvent.FILE_GENERATED, ClawEvent.FILE_SKIPPED, ClawEvent.FILE_ERROR],
+  GENERATION:   [ClawEvent.GENERATION_PROGRESS, ClawEvent.GENERATION_STEP_START, ClawEvent.GENERATION_STEP_COMPLETE],
   VALIDATION:   [ClawEvent.VALIDATION_START, ClawEvent.VALIDATION_COMPLETE, ClawEvent.VALIDATION_ERROR],
   INTEGRATION:  [ClawEvent.INTEGRATION_START, ClawEvent.INTEGRATION_COMPLETE],
+  CONFIG:       [ClawEvent.CONFIG_CHANGED, ClawEvent.CONFIG_REJECTED],
 });
 
 // ---------------------------------------------------------------------------
 // Type definitions
 // ---------------------------------------------------------------------------
 
+/**
+ * How {@link ClawEventBus#emit} treats a payload that does not match the
+ * schema of its event: `'off'` does not check, `'warn'` emits a process
+ * warning (once per event name) and dispatches anyway, `'reject'` throws.
+ * @typedef {'off'|'warn'|'reject'} StrictMode
+ */
+
+/** @type {StrictMode[]} */
+const STRICT_MODES = ['off', 'warn', 'reject'];
+
+/**
+ * Marks the payloads a scoped bus emitted with the buses that already
+ * dispatched them, so they are not delivered to those buses again when they
+ * come back from the parent. A non-enumerable symbol: a listener that copies
+ * the payload into a new event does not carry it over, and JSON history
+ * drops it. Payloads replaced by interceptors get it back through
+ * {@link keepDispatchMark}.
+ */
+const DISPATCHED_BY = Symbol('clawos.dispatchedBy');
+
+/**
+ * Re-attaches the dispatch mark of the payload an event was emitted with to
+ * the payload the interceptor chain produced, when an interceptor replaced it
+ * with a copy.
+ *
+ * @param {*} data - Payload after the interceptors.
+ * @param {Set<ClawEventBus>|undefined} dispatchedBy - Mark of the emitted payload.
+ * @returns {*}
+ */
+function keepDispatchMark(data, dispatchedBy) {
+  if (!dispatchedBy || data === null || typeof data !== 'object' || Array.isArray(data) || data[DISPATCHED_BY]) return data;
+  return Object.defineProperty({ ...data }, DISPATCHED_BY, { value: dispatchedBy });
+}
+
 /**
  * @typedef {Object} EventRecord
  * @property {string}  event     - The event name that was emitted.
@@ -92,6 +154,13 @@ const EVENT_GROUPS = Object.freeze({
  * @property {number}  sequence  - Monotonically increasing sequence number.
  */
 
+/**
+ * Passed to wildcard handlers as their third argument.
+ * @typedef {Object} EventMeta
+ * @property {number} sequence  - Sequence number of the event (its history record's).
+ * @property {string} timestamp - ISO 8601 timestamp of when the event was emitted.
+ */
+
 /**
  * @typedef {Object} EventFilter
  * @property {string}   [event]  - Exact event name to match.
@@ -100,6 +169,29 @@ const EVENT_GROUPS = Object.freeze({
  * @property {string}   [until]  - ISO 8601 timestamp; only events before this time.
  * @property {number}   [limit]  - Maximum number of records to return.
  * @property {number}   [fromSequence] - Only events with sequence >= this value.
+ * @property {string}   [runId]  - Only events whose payload carries this `runId`.
+ */
+
+/**
+ * Runs before an event reaches history, the journal and listeners. Call
+ * `next()` to pass the event on, `next(newData)` to pass it on with another
+ * payload; returning without calling `next` drops the event. Interceptors
+ * used with {@link ClawEventBus#emit} must be synchronous; those used with
+ * {@link ClawEventBus#emitAsync} may return a promise.
+ *
+ * @callback EventInterceptor
+ * @param {string} event - The event name.
+ * @param {*}      data  - The payload, as left by the previous interceptor.
+ * @param {(data?: *) => void} next - Passes the event on.
+ * @returns {void|Promise<void>}
+ */
+
+/**
+ * @typedef {Object} EmitAsyncOptions
+ * @property {'serial'|'parallel'} [mode='serial'] - Await listeners one after
+ *   the other in registration order, or all at once.
+ * @property {boolean} [failFast=false] - Stop at (serial) or settle on
+ *   (parallel) the first failing listener instead of collecting every error.
  */
 
 // ---------------------------------------------------------------------------
@@ -113,6 +205,9 @@ const EVENT_GROUPS = Object.freeze({
  *   - Replay from any point in history
  *   - Wildcard / group listeners
  *   - Structured event filtering
+ *   - Optional durable JSONL journal
+ *   - Awaited dispatch ({@link ClawEventBus#emitAsync}) and interceptors
+ *   - Scoped child buses ({@link ClawEventBus#scope})
  *
  * @extends EventEmitter
  *
@@ -151,10 +246,40 @@ export class ClawEventBus extends EventEmitter {
   /** @type {Map<string, Set<Function>>} Wildcard pattern -> handler set. */
   #wildcardListeners = new Map();
 
+  /** @type {EventJournal|null} Durable sink, if configured. */
+  #journal = null;
+
+  /** @type {EventInterceptor[]} Interceptor chain, in registration order. */
+  #interceptors = [];
+
+  /** @type {ClawEventBus|null} Bus this scope forwards to. */
+  #parent = null;
+
+  /** @type {Readonly<Record<string, *>>} Fields this scope tags payloads with. */
+  #tags = Object.freeze({});
+
+  /** @type {Set<ClawEventBus>} Scopes derived from this bus. */
+  #children = new Set();
+
+  /** @type {Function|null} This scope's wildcard listener on the parent. */
+  #relay = null;
+
+  /** @type {boolean} Whether {@link ClawEventBus#dispose} was called. */
+  #disposed = false;
+
+  /** @type {StrictMode} Payload validation mode. */
+  #strict = 'off';
+
+  /** @type {Set<string>} Events already warned about in 'warn' mode. */
+  #warned = new Set();
+
   /**
    * @param {Object} [options]
    * @param {number}  [options.maxHistory=10000]  - Max events to retain in history. 0 for unlimited.
    * @param {boolean} [options.recordHistory=true] - Enable/disable history recording.
+   * @param {import('./event-journal.js').JournalOptions|string} [options.journal] -
+   *        Also append every event to this JSONL journal, see {@link ClawEventBus#setJournal}.
+   * @param {StrictMode} [options.strict='off'] - Validate payloads against their event schema.
    */
   constructor(options = {}) {
     super();
@@ -163,6 +288,9 @@ export class ClawEventBus extends EventEmitter {
 
     // Raise the default listener limit for a bus that many components subscribe to.
     this.setMaxListeners(200);
+
+    if (options.journal) this.setJournal(options.journal);
+    if (options.strict !== undefined) this.setStrict(options.strict);
   }
 
   // -----------------------------------------------------------------------
@@ -170,42 +298,278 @@ export class ClawEventBus extends EventEmitter {
   // -----------------------------------------------------------------------
 
   /**
-   * Emits a typed event with the given data payload. The event is recorded in
-   * history and also dispatched to any matching wildcard listeners.
+   * Emits a typed event with the given data payload. The event passes the
+   * interceptor chain (see {@link ClawEventBus#use}), is recorded in history
+   * and also dispatched to any matching wildcard listeners.
    *
    * @param {string} event - One of {@link ClawEvent} constants (or any string).
-   * @param {*}      [data] - Arbitrary event payload.
-   * @returns {boolean} True if the event had listeners.
+   * @param {*}      [data] - Event payload; checked against the event's
+   *   schema unless the strict mode is `'off'`.
+   * @returns {boolean} True if the event had listeners; false as well when an
+   *   interceptor dropped it.
+   * @throws {Error} With code `INVALID_EVENT_PAYLOAD` (and the `errors` found)
+   *   in `'reject'` mode when the payload does not match; nothing is recorded
+   *   or dispatched then.
    *
    * @example
    * bus.emit(ClawEvent.FILE_GENERATED, { path: 'src/index.js', bytes: 1024 });
    */
   emit(event, data) {
-    // Record in history
-    if (this.#recordHistory) {
-      /** @type {EventRecord} */
-      const record = {
-        event,
-        data: data !== undefined ? this.#cloneData(data) : undefined,
-        timestamp: new Date().toISOString(),
-        sequence: this.#sequence++,
-      };
-
-      this.#history.push(record);
-
-      // Enforce retention limit
-      if (this.#maxHistory > 0 && this.#history.length > this.#maxHistory) {
-        this.#history.splice(0, this.#history.length - this.#maxHistory);
+    this.#assertActive(`emit "${event}"`);
+    const dispatchedBy = data?.[DISPATCHED_BY];
+
+    // Run the interceptor chain
+    for (const interceptor of this.#interceptors) {
+      const step = this.#callInterceptor(interceptor, event, data);
+      if (typeof step.returned?.then === 'function') {
+        throw new TypeError(
+          `[ClawEventBus] An interceptor returned a promise for "${event}"; async interceptors require emitAsync().`,
+        );
       }
+      if (!step.passed) return false;
+      data = step.data;
     }
+    data = keepDispatchMark(data, dispatchedBy);
+
+    if (this.#parent) data = this.#tag(data);
+    const meta = this.#admit(event, data);
 
     // Dispatch to standard EventEmitter listeners
     const hadListeners = super.emit(event, data);
 
     // Dispatch to wildcard listeners
-    this.#dispatchWildcards(event, data);
+    this.#dispatchWildcards(event, data, meta);
+
+    // Forward a scope's events to its parent
+    const parentHadListeners = this.#parent ? this.#parent.emit(event, data) : false;
+
+    return hadListeners || parentHadListeners;
+  }
+
+  /**
+   * Emits an event and waits for every listener, wildcard handlers included,
+   * to settle. Unlike {@link ClawEventBus#emit}, a listener can apply
+   * back-pressure by returning a promise, and its failure reaches the caller
+   * instead of the bus's `error` event. Interceptors may be async here.
+   *
+   * @param {string} event - One of {@link ClawEvent} constants (or any string).
+   * @param {*}      [data] - Event payload.
+   * @param {EmitAsyncOptions} [options]
+   * @returns {Promise<boolean>} True if the event had (non-wildcard) listeners;
+   *   false as well when an interceptor dropped it. A scope awaits its own
+   *   listeners first, then forwards to the parent's `emitAsync`.
+   * @throws {AggregateError} With code `EVENT_LISTENERS_FAILED`, the `event`
+   *   and every listener error in `errors` (only the first with `failFast`).
+   *
+   * @example
+   * bus.on(ClawEvent.PIPELINE_COMPLETE, async (data) => {
+   *   await appendFile('audit.log', JSON.stringify(data) + '\n');
+   * });
+   * await bus.emitAsync(ClawEvent.PIPELINE_COMPLETE, payload, { mode: 'parallel', failFast: true });
+   */
+  async emitAsync(event, data, options = {}) {
+    this.#assertActive(`emit "${event}"`);
+    const mode = options.mode ?? 'serial';
+    if (mode !== 'serial' && mode !== 'parallel') {
+      throw new TypeError(`[ClawEventBus] emitAsync() mode must be "serial" or "parallel", got "${mode}".`);
+    }
+    const dispatchedBy = data?.[DISPATCHED_BY];
+
+    for (const interceptor of this.#interceptors) {
+      const step = this.#callInterceptor(interceptor, event, data);
+      await step.returned;
+      if (!step.passed) return false;
+      data = step.data;
+    }
+    data = keepDispatchMark(data, dispatchedBy);
+
+    if (this.#parent) data = this.#tag(data);
+    const meta = this.#admit(event, data);
+
+    // rawListeners() keeps once() wrappers, so calling them unregisters them.
+    const listeners = this.rawListeners(event);
+    const calls = [
+      ...listeners.map((listener) => () => listener.call(this, data)),
+      ...this.#matchingWildcards(event).map((handler) => () => handler(event, data, meta)),
+    ];
+
+    /** @type {unknown[]} */
+    const errors = [];
+    if (mode === 'serial') {
+      for (const call of calls) {
+        try {
+          await call();
+        } catch (err) {
+          errors.push(err);
+          if (options.failFast) break;
+        }
+      }
+    } else if (options.failFast) {
+      await Promise.all(calls.map(async (call) => call())).catch((err) => errors.push(err));
+    } else {
+      const results = await Promise.allSettled(calls.map(async (call) => call()));
+      for (const result of results) {
+        if (result.status === 'rejected') errors.push(result.reason);
+      }
+    }
+
+    let parentHadListeners = false;
+    if (this.#parent && !(options.failFast && errors.length > 0)) {
+      try {
+        parentHadListeners = await this.#parent.emitAsync(event, data, options);
+      } catch (err) {
+        if (err.code !== 'EVENT_LISTENERS_FAILED') throw err;
+        errors.push(...err.errors);
+      }
+    }
+
+    if (errors.length > 0) {
+      const err = new AggregateError(
+        errors,
+        `[ClawEventBus] ${errors.length} listener(s) failed for "${event}".`,
+      );
+      err.code = 'EVENT_LISTENERS_FAILED';
+      err.event = event;
+      throw err;
+    }
+
+    return listeners.length > 0 || parentHadListeners;
+  }
+
+  // -----------------------------------------------------------------------
+  // Scopes
+  // -----------------------------------------------------------------------
+
+  /**
+   * Derives a child bus for one scope, typically a run. The child:
+   *   - tags every object payload it emits with `tags` (overriding the same
+   *     keys) and forwards the event to this bus;
+   *   - also receives the events emitted on this bus whose payload carries
+   *     the same tags, e.g. those of an orchestrator bridged to the parent;
+   *   - keeps its own history, sequence numbers and replay window, so
+   *     `waitFor`, `getHistory` and `replay` only see its scope;
+   *   - inherits this bus's strict mode.
+   *
+   * Events received from the parent are dispatched synchronously, also when
+   * the parent emitted them with `emitAsync`.
+   *
+   * @param {Record<string, *>} tags - E.g. `{ runId }`. Nested scopes add
+   *   their tags to the parent's.
+   * @param {Object}  [options]
+   * @param {number}  [options.maxHistory]    - Defaults to this bus's.
+   * @param {boolean} [options.recordHistory] - Defaults to this bus's.
+   * @returns {ClawEventBus}
+   * @throws {TypeError} If `tags` is not a non-empty object.
+   *
+   * @example
+   * const orchestrator = createOrchestrator({ fresh: true });
+   * const runBus = getEventBus().scope({ runId: orchestrator.runId });
+   * const done = runBus.waitFor(ClawEvent.PIPELINE_COMPLETE); // this run only
+   * await orchestrator.start({ userInput });
+   * runBus.dispose();
+   */
+  scope(tags, options = {}) {
+    this.#assertActive('create a scope');
+    if (!tags || typeof tags !== 'object' || Array.isArray(tags) || Object.keys(tags).length === 0) {
+      throw new TypeError('[ClawEventBus] scope() requires a non-empty tags object, e.g. { runId }.');
+    }
+
+    const child = new ClawEventBus({
+      maxHistory: options.maxHistory ?? this.#maxHistory,
+      recordHistory: options.recordHistory ?? this.#recordHistory,
+      strict: this.#strict,
+    });
+    child.#parent = this;
+    child.#tags = Object.freeze({ ...this.#tags, ...tags });
+    child.#relay = (event, data) => child.#receive(event, data);
+
+    this.onAny('*', child.#relay);
+    this.#children.add(child);
+    return child;
+  }
+
+  /**
+   * Detaches this bus: removes its listeners, wildcard handlers and
+   * interceptors, disposes its scopes and, for a scope, stops forwarding to
+   * and receiving from the parent. Emitting afterwards throws. The history
+   * stays readable.
+   *
+   * @returns {ClawEventBus} This instance for chaining.
+   */
+  dispose() {
+    if (this.#disposed) return this;
+
+    for (const child of this.#children) child.dispose();
+    if (this.#parent) {
+      this.#parent.offAny('*', this.#relay);
+      this.#parent.#children.delete(this);
+    }
+
+    this.removeAllListeners();
+    this.#wildcardListeners.clear();
+    this.#interceptors = [];
+    this.#disposed = true;
+    return this;
+  }
+
+  /**
+   * Tags of this scope (including those of enclosing scopes); empty for a
+   * root bus.
+   *
+   * @returns {Readonly<Record<string, *>>}
+   */
+  get scopeTags() {
+    return this.#tags;
+  }
+
+  /**
+   * The bus this scope forwards to, or null for a root bus.
+   *
+   * @returns {ClawEventBus|null}
+   */
+  get parent() {
+    return this.#parent;
+  }
+
+  /**
+   * Whether {@link ClawEventBus#dispose} was called.
+   *
+   * @returns {boolean}
+   */
+  get isDisposed() {
+    return this.#disposed;
+  }
+
+  // -----------------------------------------------------------------------
+  // Interceptors
+  // -----------------------------------------------------------------------
+
+  /**
+   * Appends an interceptor to the chain. Interceptors run in registration
+   * order before an event is validated, recorded, journaled or dispatched,
+   * so they can enrich, redact or drop it. Replayed events do not pass
+   * through them again.
+   *
+   * @param {EventInterceptor} interceptor
+   * @returns {() => void} Removes the interceptor.
+   *
+   * @example
+   * // Redact secrets from every payload
+   * bus.use((event, data, next) => next(data?.token ? { ...data, token: '[redacted]' } : data));
+   *
+   * // Drop noisy events
+   * bus.use((event, data, next) => { if (event !== ClawEvent.FILE_SKIPPED) next(); });
+   */
+  use(interceptor) {
+    if (typeof interceptor !== 'function') {
+      throw new TypeError('[ClawEventBus] Interceptor must be a function.');
+    }
+    this.#interceptors.push(interceptor);
 
-    return hadListeners;
+    return () => {
+      const index = this.#interceptors.indexOf(interceptor);
+      if (index !== -1) this.#interceptors.splice(index, 1);
+    };
   }
 
   // -----------------------------------------------------------------------
@@ -214,7 +578,8 @@ export class ClawEventBus extends EventEmitter {
 
   /**
    * Registers a listener that fires for ALL events matching a group prefix.
-   * The handler receives `(eventName, data)`.
+   * The handler receives `(eventName, data, meta)`, where `meta` holds the
+   * event's history `sequence` and ISO `timestamp`.
    *
    * Supported patterns:
    *   - `"*"`          - matches every event
@@ -223,7 +588,7 @@ export class ClawEventBus extends EventEmitter {
    *   - Any group key from EVENT_GROUPS with `:*` suffix
    *
    * @param {string}   pattern - Wildcard pattern (e.g. "*" or "PIPELINE:*").
-   * @param {Function} handler - Callback receiving (eventName, data).
+   * @param {Function} handler - Callback receiving (eventName, data, meta).
    * @returns {ClawEventBus} This instance for chaining.
    *
    * @example
@@ -325,6 +690,11 @@ export class ClawEventBus extends EventEmitter {
       records = records.filter((r) => r.sequence >= filter.fromSequence);
     }
 
+    // Filter by run
+    if (filter.runId) {
+      records = records.filter((r) => r.data?.runId === filter.runId);
+    }
+
     // Apply limit (take the most recent N if limited)
     if (filter.limit && filter.limit > 0 && records.length > filter.limit) {
       records = records.slice(-filter.limit);
@@ -379,7 +749,10 @@ export class ClawEventBus extends EventEmitter {
     let count = 0;
     for (const record of toReplay) {
       super.emit(record.event, record.data);
-      this.#dispatchWildcards(record.event, record.data);
+      this.#dispatchWildcards(record.event, record.data, {
+        sequence: record.sequence,
+        timestamp: record.timestamp,
+      });
       count++;
     }
 
@@ -416,6 +789,73 @@ export class ClawEventBus extends EventEmitter {
     return this;
   }
 
+  /**
+   * Starts (or stops, with `null`) appending every emitted event to a JSONL
+   * journal. Numbering continues after the last sequence already in the
+   * journal, so several processes sharing a file never reuse a number.
+   *
+   * Write failures are reported to `error` listeners (if any) and otherwise
+   * ignored: a broken journal must not break the pipeline.
+   *
+   * @param {import('./event-journal.js').JournalOptions|string|null} options
+   * @returns {ClawEventBus} This instance for chaining.
+   *
+   * @example
+   * bus.setJournal({ path: '.clawos/events.jsonl', maxBytes: 5_000_000, maxFiles: 3 });
+   */
+  setJournal(options) {
+    if (!options) {
+      this.#journal = null;
+      return this;
+    }
+
+    const journal = new EventJournal(options);
+    this.#sequence = Math.max(this.#sequence, journal.lastSequence() + 1);
+    this.#journal = journal;
+    return this;
+  }
+
+  /**
+   * Sets how payloads that do not match their event's schema are treated.
+   *
+   * @param {StrictMode} mode
+   * @returns {ClawEventBus} This instance for chaining.
+   * @throws {TypeError} If the mode is unknown.
+   *
+   * @example
+   * const bus = getEventBus().setStrict('reject');
+   * bus.emit(ClawEvent.FILE_GENERATED, { path: 'a.js' }); // throws: runId, phase, timestamp, size missing
+   */
+  setStrict(mode) {
+    if (!STRICT_MODES.includes(mode)) {
+      throw new TypeError(
+        `[ClawEventBus] Strict mode must be one of: [${STRICT_MODES.join(', ')}], got "${mode}".`,
+      );
+    }
+    this.#strict = mode;
+    this.#warned.clear();
+    for (const child of this.#children) child.setStrict(mode);
+    return this;
+  }
+
+  /**
+   * Returns the current payload validation mode.
+   *
+   * @returns {StrictMode}
+   */
+  get strictMode() {
+    return this.#strict;
+  }
+
+  /**
+   * Path of the active journal file, or null when no journal is configured.
+   *
+   * @returns {string|null}
+   */
+  get journalPath() {
+    return this.#journal?.path ?? null;
+  }
+
   /**
    * Returns whether history recording is currently enabled.
    *
@@ -487,16 +927,19 @@ export class ClawEventBus extends EventEmitter {
   // -----------------------------------------------------------------------
 
   /**
-   * Completely resets the event bus: removes all listeners, clears history,
-   * and resets the sequence counter. Useful for testing.
+   * Completely resets the event bus: removes all listeners and interceptors,
+   * disposes its scopes, clears history, and resets the sequence counter.
+   * Useful for testing.
    *
    * @returns {ClawEventBus} This instance for chaining.
    */
   reset() {
+    for (const child of this.#children) child.dispose();
     this.removeAllListeners();
     this.#wildcardListeners.clear();
+    this.#interceptors = [];
     this.#history = [];
-    this.#sequence = 0;
+    this.#sequence = this.#journal ? this.#journal.lastSequence() + 1 : 0;
     return this;
   }
 
@@ -505,12 +948,42 @@ export class ClawEventBus extends EventEmitter {
   // -----------------------------------------------------------------------
 
   /**
-   * Returns the set of all valid typed event names.
+   * Creates a bus whose history is rebuilt from a journal (including its
+   * rotated files), e.g. for the post-mortem of a failed generation in
+   * another process. Sequence numbers and timestamps are kept, so
+   * `getHistory(filter)` and `replay(from)` behave as they did in the
+   * original process. The returned bus does not write to the journal
+   * unless `options.journal` is passed.
+   *
+   * @param {string} journalPath - Path of the active journal file.
+   * @param {Object} [options] - Constructor options; `maxHistory` defaults
+   *        to 0 (unlimited) so that the whole journal is loaded.
+   * @returns {ClawEventBus}
+   * @throws {Error} With code `ENOENT` if no journal file exists.
+   *
+   * @example
+   * const bus = ClawEventBus.fromJournal('.clawos/events.jsonl');
+   * const failed = bus.getHistory({ event: ClawEvent.PIPELINE_ERROR }).at(-1);
+   * bus.getHistory({ runId: failed.data.runId });
+   */
+  static fromJournal(journalPath, options = {}) {
+    const records = EventJournal.read(journalPath);
+    const bus = new ClawEventBus({ maxHistory: 0, ...options, journal: undefined });
+
+    bus.#history = bus.#maxHistory > 0 ? records.slice(-bus.#maxHistory) : records;
+    bus.#sequence = records.reduce((max, r) => Math.max(max, r.sequence + 1), 0);
+    if (options.journal) bus.setJournal(options.journal);
+    return bus;
+  }
+
+  /**
+   * Returns the set of all valid typed event names, followed by the custom
+   * events registered with {@link ClawEventBus.registerEventSchema}.
    *
    * @returns {string[]}
    */
   static getEventTypes() {
-    return [...VALID_EVENTS];
+    return [...VALID_EVENTS, ...getCustomEventTypes()];
   }
 
   /**
@@ -523,13 +996,45 @@ export class ClawEventBus extends EventEmitter {
   }
 
   /**
-   * Returns true if the given name is a recognized typed event.
+   * Returns true if the given name is a recognized typed event, built-in or
+   * registered with {@link ClawEventBus.registerEventSchema}.
    *
    * @param {string} name
    * @returns {boolean}
    */
   static isValidEvent(name) {
-    return VALID_EVENTS.has(name);
+    return VALID_EVENTS.has(name) || getEventSchema(name) !== undefined;
+  }
+
+  /**
+   * Registers the payload schema of a custom event (e.g. one emitted by a
+   * plugin). The name becomes a valid event and its payloads are checked in
+   * strict mode like those of the built-in events.
+   *
+   * @param {string} name - UPPER_SNAKE_CASE event name.
+   * @param {import('./event-schemas.js').EventSchema} schema
+   * @param {Object}  [options]
+   * @param {boolean} [options.replace=false] - Replace an existing custom schema.
+   * @throws {Error} With code `EVENT_SCHEMA_CONFLICT` if the name is taken.
+   *
+   * @example
+   * ClawEventBus.registerEventSchema('LINTER_REPORT', {
+   *   description: 'The linter plugin checked the generated files.',
+   *   properties: { problems: { type: 'number', required: true, description: 'Problems found.' } },
+   * });
+   */
+  static registerEventSchema(name, schema, options = {}) {
+    registerEventSchema(name, schema, options);
+  }
+
+  /**
+   * Returns the payload schema of an event, or undefined if it has none.
+   *
+   * @param {string} name
+   * @returns {import('./event-schemas.js').EventSchema|undefined}
+   */
+  static getEventSchema(name) {
+    return getEventSchema(name);
   }
 
   // -----------------------------------------------------------------------
@@ -541,13 +1046,14 @@ export class ClawEventBus extends EventEmitter {
    *
    * @param {string} event - The event name that was emitted.
    * @param {*}      data  - The event payload.
+   * @param {EventMeta} meta - Sequence and timestamp of the event.
    */
-  #dispatchWildcards(event, data) {
+  #dispatchWildcards(event, data, meta) {
     for (const [pattern, handlers] of this.#wildcardListeners.entries()) {
       if (this.#matchesWildcard(pattern, event)) {
         for (const handler of handlers) {
           try {
-            handler(event, data);
+            handler(event, data, meta);
           } catch (err) {
             // Emit an error event but don't let a bad wildcard handler crash the bus.
             // Use super.emit to avoid infinite recursion if the error handler itself fails.
@@ -585,6 +1091,168 @@ export class ClawEventBus extends EventEmitter {
     return event.startsWith(prefix);
   }
 
+  /**
+   * Calls one interceptor and reports whether (and with which payload) it
+   * passed the event on. For async interceptors `passed` is only final once
+   * `returned` has settled.
+   *
+   * @param {EventInterceptor} interceptor
+   * @param {string} event
+   * @param {*}      data
+   * @returns {{ passed: boolean, data: *, returned: * }}
+   */
+  #callInterceptor(interceptor, event, data) {
+    const step = { passed: false, data, returned: undefined };
+    step.returned = interceptor(event, data, (...args) => {
+      step.passed = true;
+      if (args.length > 0) step.data = args[0];
+    });
+    return step;
+  }
+
+  /**
+   * Throws if the bus was disposed.
+   *
+   * @param {string} action - For the message, e.g. 'emit "PHASE_START"'.
+   * @throws {Error} With code `BUS_DISPOSED`.
+   */
+  #assertActive(action) {
+    if (!this.#disposed) return;
+    const err = new Error(`[ClawEventBus] Cannot ${action}: the bus has been disposed.`);
+    err.code = 'BUS_DISPOSED';
+    throw err;
+  }
+
+  /**
+   * Adds this scope's tags to a payload and marks it as dispatched here.
+   * Payloads that are not plain objects are passed on untagged.
+   *
+   * @param {*} data
+   * @returns {*}
+   */
+  #tag(data) {
+    if (data !== undefined && (data === null || typeof data !== 'object' || Array.isArray(data))) {
+      return data;
+    }
+    const dispatchedBy = new Set(data?.[DISPATCHED_BY]);
+    dispatchedBy.add(this);
+    return Object.defineProperty({ ...data, ...this.#tags }, DISPATCHED_BY, { value: dispatchedBy });
+  }
+
+  /**
+   * Delivers an event emitted on the parent, if it belongs to this scope and
+   * was not emitted through this scope in the first place.
+   *
+   * @param {string} event
+   * @param {*}      data
+   */
+  #receive(event, data) {
+    if (data?.[DISPATCHED_BY]?.has(this)) return;
+    if (!Object.entries(this.#tags).every(([key, value]) => data?.[key] === value)) return;
+
+    const meta = this.#admit(event, data, { validate: false });
+    super.emit(event, data);
+    this.#dispatchWildcards(event, data, meta);
+  }
+
+  /**
+   * Validates an intercepted event, numbers it and records it in history and
+   * journal.
+   *
+   * @param {string} event
+   * @param {*}      data
+   * @param {{ validate?: boolean }} [options] - `validate: false` for events
+   *   the parent already checked.
+   * @returns {EventMeta}
+   */
+  #admit(event, data, options = {}) {
+    if (this.#strict !== 'off' && options.validate !== false) this.#checkPayload(event, data);
+
+    /** @type {EventMeta} */
+    const meta = { sequence: this.#sequence++, timestamp: new Date().toISOString() };
+
+    if (this.#recordHistory || this.#journal) {
+      /** @type {EventRecord} */
+      const record = {
+        event,
+        data: data !== undefined ? this.#cloneData(data) : undefined,
+        ...meta,
+      };
+
+      if (this.#recordHistory) {
+        this.#history.push(record);
+
+        // Enforce retention limit
+        if (this.#maxHistory > 0 && this.#history.length > this.#maxHistory) {
+          this.#history.splice(0, this.#history.length - this.#maxHistory);
+        }
+      }
+
+      if (this.#journal) this.#writeJournal(record);
+    }
+
+    return meta;
+  }
+
+  /**
+   * Returns the wildcard handlers whose pattern matches an event.
+   *
+   * @param {string} event
+   * @returns {Function[]}
+   */
+  #matchingWildcards(event) {
+    const handlers = [];
+    for (const [pattern, set] of this.#wildcardListeners.entries()) {
+      if (this.#matchesWildcard(pattern, event)) handlers.push(...set);
+    }
+    return handlers;
+  }
+
+  /**
+   * Validates a payload according to the strict mode.
+   *
+   * @param {string} event
+   * @param {*}      data
+   * @throws {Error} In 'reject' mode, if the payload does not match.
+   */
+  #checkPayload(event, data) {
+    const { valid, errors } = validatePayload(event, data);
+    if (valid) return;
+
+    const message = `[ClawEventBus] Invalid payload for "${event}": ${errors.map((e) => e.message).join(' ')}`;
+    if (this.#strict === 'reject') {
+      const err = new Error(message);
+      err.code = 'INVALID_EVENT_PAYLOAD';
+      err.event = event;
+      err.errors = errors;
+      throw err;
+    }
+
+    if (!this.#warned.has(event)) {
+      this.#warned.add(event);
+      process.emitWarning(message, { type: 'ClawEventPayloadWarning', code: 'INVALID_EVENT_PAYLOAD' });
+    }
+  }
+
+  /**
+   * Appends a record to the journal, reporting failures without throwing.
+   *
+   * @param {EventRecord} record
+   */
+  #writeJournal(record) {
+    try {
+      this.#journal.append(record);
+    } catch (err) {
+      if (this.listenerCount('error') > 0) {
+        super.emit('error', {
+          message: `[ClawEventBus] Journal write failed for "${record.event}"`,
+          originalEvent: record.event,
+          error: err,
+        });
+      }
+    }
+  }
+
   /**
    * Deep-clones event data for history storage. Falls back to identity for
    * non-cloneable values.
@@ -619,6 +1287,8 @@ let _instance = null;
  * @param {boolean} [options.fresh]         - Force a new instance.
  * @param {number}  [options.maxHistory]    - Max history retention.
  * @param {boolean} [options.recordHistory] - Enable/disable history.
+ * @param {import('./event-journal.js').JournalOptions|string} [options.journal] - Durable journal.
+ * @param {StrictMode} [options.strict]     - Payload validation mode.
  * @returns {ClawEventBus}
  */
 export function getEventBus(options = {}) {
@@ -0,0 +1,250 @@
+/**
+ * @module event-journal
+ * @description Durable sink for {@link ClawEventBus} history. Every event is
+ * appended to a JSONL file as one `EventRecord` per line:
+ * ```
+ * {"event":"PHASE_START","data":{...},"timestamp":"2026-...Z","sequence":42}
+ * ```
+ * When the file would grow past `maxBytes` it is rotated: `events.jsonl`
+ * becomes `events.jsonl.1`, `.1` becomes `.2`, and so on; the oldest file
+ * beyond `maxFiles` is deleted.
+ *
+ * Writes are synchronous so that the journal order is the emit order and an
+ * event is on disk by the time `emit()` returns — a crashed generation leaves
+ * everything up to the crash behind for a post-mortem with
+ * {@link ClawEventBus.fromJournal}.
+ */
+
+import {
+  appendFileSync,
+  closeSync,
+  existsSync,
+  mkdirSync,
+  openSync,
+  readFileSync,
+  readSync,
+  renameSync,
+  rmSync,
+  statSync,
+} from 'node:fs';
+import path from 'node:path';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Size at which the journal is rotated (10 MiB). */
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+
+/** Number of files kept, including the active one. */
+const DEFAULT_MAX_FILES = 5;
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} JournalOptions
+ * @property {string} path              - Active journal file, e.g. `.clawos/events.jsonl`.
+ * @property {number} [maxBytes=10485760] - Rotate before the file grows past this size.
+ * @property {number} [maxFiles=5]      - Files kept, including the active one.
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Parses JSONL content, skipping blank and malformed lines (a process killed
+ * mid-write can leave a truncated last line).
+ *
+ * @param {string} content
+ * @returns {import('./event-bus.js').EventRecord[]}
+ */
+function parseLines(content) {
+  const records = [];
+  for (const line of content.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const record = JSON.parse(line);
+      if (record && typeof record.event === 'string' && Number.isInteger(record.sequence)) {
+        records.push(record);
+      }
+    } catch {
+      // Skip partial lines.
+    }
+  }
+  return records;
+}
+
+/**
+ * Serialises a record, replacing a payload that cannot be serialised.
+ *
+ * @param {import('./event-bus.js').EventRecord} record
+ * @returns {string}
+ */
+function toLine(record) {
+  try {
+    return JSON.stringify(record) + '\n';
+  } catch {
+    return JSON.stringify({ ...record, data: '[unserializable]' }) + '\n';
+  }
+}
+
+// ---------------------------------------------------------------------------
+// EventJournal class
+// ---------------------------------------------------------------------------
+
+/**
+ * Append-only JSONL event journal with size-based rotation.
+ *
+ * @example
+ * ```js
+ * const journal = new EventJournal({ path: '.clawos/events.jsonl', maxBytes: 1_000_000 });
+ * journal.append({ event: 'PIPELINE_START', data: {}, timestamp: new Date().toISOString(), sequence: 0 });
+ *
+ * const records = EventJournal.read('.clawos/events.jsonl'); // oldest first, across rotations
+ * ```
+ */
+export class EventJournal {
+  /** @type {string} */
+  #path;
+
+  /** @type {number} */
+  #maxBytes;
+
+  /** @type {number} */
+  #maxFiles;
+
+  /** @type {number} Current size of the active file. */
+  #size;
+
+  /** @type {boolean} Whether the active file ends in a truncated line. */
+  #unterminated = false;
+
+  /**
+   * @param {JournalOptions|string} options - Options, or just the file path.
+   * @throws {TypeError} If the path is missing or a limit is not a positive integer.
+   */
+  constructor(options) {
+    const opts = typeof options === 'string' ? { path: options } : (options ?? {});
+    if (typeof opts.path !== 'string' || opts.path.length === 0) {
+      throw new TypeError('[EventJournal] A journal path is required.');
+    }
+
+    this.#path = path.resolve(opts.path);
+    this.#maxBytes = opts.maxBytes ?? DEFAULT_MAX_BYTES;
+    this.#maxFiles = opts.maxFiles ?? DEFAULT_MAX_FILES;
+    for (const [name, value] of [['maxBytes', this.#maxBytes], ['maxFiles', this.#maxFiles]]) {
+      if (!Number.isInteger(value) || value < 1) {
+        throw new TypeError(`[EventJournal] ${name} must be a positive integer.`);
+      }
+    }
+
+    mkdirSync(path.dirname(this.#path), { recursive: true });
+    this.#size = existsSync(this.#path) ? statSync(this.#path).size : 0;
+
+    if (this.#size > 0) {
+      const last = Buffer.alloc(1);
+      const fd = openSync(this.#path, 'r');
+      try {
+        readSync(fd, last, 0, 1, this.#size - 1);
+      } finally {
+        closeSync(fd);
+      }
+      this.#unterminated = last[0] !== 0x0a;
+    }
+  }
+
+  /** Absolute path of the active journal file. @returns {string} */
+  get path() {
+    return this.#path;
+  }
+
+  /**
+   * Appends a record, rotating first if it would not fit.
+   *
+   * @param {import('./event-bus.js').EventRecord} record
+   */
+  append(record) {
+    let line = toLine(record);
+
+    if (this.#size > 0 && this.#size + Buffer.byteLength(line, 'utf-8') > this.#maxBytes) {
+      this.#rotate();
+    } else if (this.#unterminated) {
+      // Keep the record off a line left truncated by a crashed writer.
+      line = '\n' + line;
+    }
+    this.#unterminated = false;
+    const bytes = Buffer.byteLength(line, 'utf-8');
+
+    appendFileSync(this.#path, line, 'utf-8');
+    this.#size += bytes;
+  }
+
+  /**
+   * Returns the sequence number of the last record written, or -1 when the
+   * journal is empty. Used to continue numbering across processes.
+   *
+   * @returns {number}
+   */
+  lastSequence() {
+    for (const file of EventJournal.files(this.#path).reverse()) {
+      const records = parseLines(readFileSync(file, 'utf-8'));
+      if (records.length > 0) return records[records.length - 1].sequence;
+    }
+    return -1;
+  }
+
+  /**
+   * Lists the existing journal files for `journalPath`, oldest first.
+   *
+   * @param {string} journalPath - Path of the active file.
+   * @returns {string[]}
+   */
+  static files(journalPath) {
+    const active = path.resolve(journalPath);
+    const rotated = [];
+    for (let i = 1; existsSync(`${active}.${i}`); i++) {
+      rotated.unshift(`${active}.${i}`);
+    }
+    return existsSync(active) ? [...rotated, active] : rotated;
+  }
+
+  /**
+   * Reads every record of a journal, including rotated files, oldest first.
+   *
+   * @param {string} journalPath - Path of the active file.
+   * @returns {import('./event-bus.js').EventRecord[]}
+   * @throws {Error} With code `ENOENT` if no journal file exists.
+   */
+  static read(journalPath) {
+    const files = EventJournal.files(journalPath);
+    if (files.length === 0) {
+      const err = new Error(`[EventJournal] No journal found at "${path.resolve(journalPath)}".`);
+      err.code = 'ENOENT';
+      throw err;
+    }
+    return files.flatMap((file) => parseLines(readFileSync(file, 'utf-8')));
+  }
+
+  /**
+   * Shifts `file.N` to `file.N+1` (dropping the oldest beyond `maxFiles`)
+   * and moves the active file to `file.1`.
+   */
+  #rotate() {
+    const oldest = `${this.#path}.${this.#maxFiles - 1}`;
+    if (this.#maxFiles === 1) {
+      rmSync(this.#path, { force: true });
+    } else {
+      rmSync(oldest, { force: true });
+      for (let i = this.#maxFiles - 2; i >= 1; i--) {
+        if (existsSync(`${this.#path}.${i}`)) renameSync(`${this.#path}.${i}`, `${this.#path}.${i + 1}`);
+      }
+      renameSync(this.#path, `${this.#path}.1`);
+    }
+    this.#size = 0;
+  }
+}
+
+export default EventJournal;
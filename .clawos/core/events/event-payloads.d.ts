@@ -0,0 +1,453 @@
+// Generated by toTypeScript() in event-schemas.js. Do not edit.
+//
+// Events registered with registerEventSchema() can be typed by augmenting
+// ClawEventPayloads from the plugin:
+//   declare module './event-payloads' { interface ClawEventPayloads { MY_EVENT: MyPayload } }
+
+/** PIPELINE_START: A run started. */
+export interface PipelineStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+}
+
+/** PIPELINE_COMPLETE: A run completed. */
+export interface PipelineCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Total run duration. */
+  durationMs: number | null;
+  /** Phases that completed. */
+  completedPhases: string[];
+  /** Phases that were skipped. */
+  skippedPhases: string[];
+}
+
+/** PIPELINE_ERROR: A run failed. */
+export interface PipelineErrorPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** The error, reduced to a serialisable description. */
+  error: {
+    /** Error message. */
+    message: string;
+    /** Error code, if any (usually a string). */
+    code: unknown;
+  };
+}
+
+/** PHASE_START: A phase handler is about to run. */
+export interface PhaseStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Keys of the data passed to the handler. */
+  inputKeys: string[];
+}
+
+/** PHASE_COMPLETE: A phase completed. */
+export interface PhaseCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Phase duration. */
+  durationMs: number;
+  /** Keys of the data the handler produced. */
+  outputKeys: string[];
+}
+
+/** PHASE_SKIP: A phase was skipped. */
+export interface PhaseSkipPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+}
+
+/** PHASE_ERROR: A phase failed. */
+export interface PhaseErrorPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Time until the failure. */
+  durationMs: number;
+  /** The error, reduced to a serialisable description. */
+  error: {
+    /** Error message. */
+    message: string;
+    /** Error code, if any (usually a string). */
+    code: unknown;
+  };
+}
+
+/** ELICITATION_START: Requirements elicitation started. */
+export interface ElicitationStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Detected domain. */
+  domain?: string | null;
+  /** Whether questions are asked. */
+  interactive: boolean;
+}
+
+/** QUESTION_ASKED: A question was put to the user. */
+export interface QuestionAskedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** The question definition. */
+  question: {
+    /** Question identifier. */
+    id: string;
+    /** Question text. */
+    text: string;
+    /** Answer type, e.g. "choice". */
+    type: string;
+    /** Choices offered. */
+    options?: string[];
+  };
+}
+
+/** ANSWER_RECEIVED: The user answered a question. */
+export interface AnswerReceivedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Question identifier. */
+  questionId: string;
+  /** The answer, or null when defaulted. */
+  answer: unknown;
+  /** Whether the default was used. */
+  defaulted: boolean;
+}
+
+/** ELICITATION_COMPLETE: Requirements elicitation completed. */
+export interface ElicitationCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Resolved domain. */
+  domain?: string | null;
+  /** Answers by question identifier. */
+  answers: Record<string, unknown>;
+}
+
+/** BLUEPRINT_SELECTED: An archetype was chosen. */
+export interface BlueprintSelectedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Chosen archetype. */
+  archetype: string;
+  /** Domain of the blueprint. */
+  domain?: string | null;
+}
+
+/** BLUEPRINT_COMPOSED: A blueprint was composed. */
+export interface BlueprintComposedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Framework name. */
+  name: string;
+  /** Chosen archetype. */
+  archetype: string;
+  /** Module names. */
+  modules: string[];
+  /** Number of planned files. */
+  files: number;
+  /** Estimated complexity. */
+  complexity?: string;
+}
+
+/** FILE_GENERATED: A file was written. */
+export interface FileGeneratedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Path of the file. */
+  path: string;
+  /** Size in bytes. */
+  size: number;
+  /** Time spent writing the file. */
+  durationMs?: number;
+}
+
+/** FILE_SKIPPED: A file was left as it was. */
+export interface FileSkippedPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Path of the file. */
+  path: string;
+  /** Why it was skipped, e.g. "exists". */
+  reason: string;
+}
+
+/** FILE_ERROR: The generator failed. */
+export interface FileErrorPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Generator step that failed. */
+  step?: string;
+  /** The error, reduced to a serialisable description. */
+  error: {
+    /** Error message. */
+    message: string;
+    /** Error code, if any (usually a string). */
+    code: unknown;
+  };
+}
+
+/** GENERATION_PROGRESS: The generator completed a step. */
+export interface GenerationProgressPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Generator status. */
+  status: "idle" | "running" | "completed" | "failed";
+  /** Step being run. */
+  currentStep: string;
+  /** Steps completed so far. */
+  completedSteps: number;
+  /** Total generation steps. */
+  totalSteps: number;
+  /** 0-100 completion percentage. */
+  percentage: number;
+}
+
+/** GENERATION_STEP_START: The generator started a step. */
+export interface GenerationStepStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Step name, e.g. "Generating README.md". */
+  step: string;
+}
+
+/** GENERATION_STEP_COMPLETE: The generator finished a step. */
+export interface GenerationStepCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Step name. */
+  step: string;
+}
+
+/** VALIDATION_START: Validation of a generated framework started. */
+export interface ValidationStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Directory being validated. */
+  outputPath: string;
+  /** StructureValidator or IntegrityChecker. */
+  validator?: "structure" | "integrity";
+  /** Whether the files only exist in memory. */
+  dryRun?: boolean;
+}
+
+/** VALIDATION_COMPLETE: Validation of a generated framework completed. */
+export interface ValidationCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Directory validated. */
+  outputPath: string;
+  /** True when no errors were found. */
+  valid: boolean;
+  /** Quality score 0-100. */
+  score: number;
+  /** Number of errors. */
+  errors: number;
+  /** Number of warnings. */
+  warnings: number;
+  /** StructureValidator or IntegrityChecker. */
+  validator?: "structure" | "integrity";
+  /** Whether the files only exist in memory. */
+  dryRun?: boolean;
+}
+
+/** VALIDATION_ERROR: Validation of a generated framework found an error. */
+export interface ValidationErrorPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** File the entry refers to. */
+  file: string;
+  /** Category of the check. */
+  type: string;
+  /** Human-readable description. */
+  message: string;
+  /** Entry severity. */
+  severity?: "error" | "warning";
+  /** StructureValidator or IntegrityChecker. */
+  validator?: "structure" | "integrity";
+  /** Whether the files only exist in memory. */
+  dryRun?: boolean;
+}
+
+/** INTEGRATION_START: Claude integration files are being written. */
+export interface IntegrationStartPayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Framework directory. */
+  outputPath: string;
+}
+
+/** INTEGRATION_COMPLETE: Claude integration files were written. */
+export interface IntegrationCompletePayload {
+  /** Run the event belongs to. */
+  runId: string | null;
+  /** Phase the event belongs to. */
+  phase: string | null;
+  /** Epoch milliseconds. */
+  timestamp: number;
+  /** Framework directory. */
+  outputPath: string;
+  /** Files written, relative to the output path. */
+  files: string[];
+}
+
+/** CONFIG_CHANGED: A watched config file changed and the new config is active. */
+export interface ConfigChangedPayload {
+  /** Files that changed. */
+  files: string[];
+  /** Changed config paths. */
+  changes: unknown[];
+  /** The new resolved config. */
+  config: Record<string, unknown>;
+}
+
+/** CONFIG_REJECTED: A watched config file changed but the result was invalid. */
+export interface ConfigRejectedPayload {
+  /** Files that changed. */
+  files: string[];
+  /** Validation errors. */
+  errors: unknown[];
+  /** Warnings raised while resolving. */
+  warnings: unknown[];
+}
+
+/** Payload type of every event, by event name. */
+export interface ClawEventPayloads {
+  PIPELINE_START: PipelineStartPayload;
+  PIPELINE_COMPLETE: PipelineCompletePayload;
+  PIPELINE_ERROR: PipelineErrorPayload;
+  PHASE_START: PhaseStartPayload;
+  PHASE_COMPLETE: PhaseCompletePayload;
+  PHASE_SKIP: PhaseSkipPayload;
+  PHASE_ERROR: PhaseErrorPayload;
+  ELICITATION_START: ElicitationStartPayload;
+  QUESTION_ASKED: QuestionAskedPayload;
+  ANSWER_RECEIVED: AnswerReceivedPayload;
+  ELICITATION_COMPLETE: ElicitationCompletePayload;
+  BLUEPRINT_SELECTED: BlueprintSelectedPayload;
+  BLUEPRINT_COMPOSED: BlueprintComposedPayload;
+  FILE_GENERATED: FileGeneratedPayload;
+  FILE_SKIPPED: FileSkippedPayload;
+  FILE_ERROR: FileErrorPayload;
+  GENERATION_PROGRESS: GenerationProgressPayload;
+  GENERATION_STEP_START: GenerationStepStartPayload;
+  GENERATION_STEP_COMPLETE: GenerationStepCompletePayload;
+  VALIDATION_START: ValidationStartPayload;
+  VALIDATION_COMPLETE: ValidationCompletePayload;
+  VALIDATION_ERROR: ValidationErrorPayload;
+  INTEGRATION_START: IntegrationStartPayload;
+  INTEGRATION_COMPLETE: IntegrationCompletePayload;
+  CONFIG_CHANGED: ConfigChangedPayload;
+  CONFIG_REJECTED: ConfigRejectedPayload;
+}
+
+export type ClawEventName = keyof ClawEventPayloads;
+
+export type ClawEventListener<E extends ClawEventName> = (data: ClawEventPayloads[E]) => void;
+
+/** The listener methods of a ClawEventBus, typed by event name. */
+export interface TypedClawEventBus {
+  on<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;
+  once<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;
+  off<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;
+  emit<E extends ClawEventName>(event: E, data: ClawEventPayloads[E]): boolean;
+  emitAsync<E extends ClawEventName>(
+    event: E,
+    data: ClawEventPayloads[E],
+    options?: { mode?: 'serial' | 'parallel'; failFast?: boolean },
+  ): Promise<boolean>;
+  waitFor<E extends ClawEventName>(event: E, timeout?: number): Promise<ClawEventPayloads[E]>;
+  scope(tags: Record<string, unknown>, options?: { maxHistory?: number; recordHistory?: boolean }): TypedClawEventBus;
+  onAny(pattern: string, handler: (event: ClawEventName, data: ClawEventPayloads[ClawEventName]) => void): this;
+}
@@ -0,0 +1,739 @@
+/**
+ * @module event-schemas
+ * @description Payload schemas for the {@link ClawEvent} types, so that the
+ * {@link ClawEventBus} can check what is emitted and listeners can rely on
+ * the shape of what they receive.
+ *
+ * Every schema field follows the shape used by {@link CONFIG_SCHEMA}:
+ *   { type?, description, required?, nullable?, enum?, properties?, items? }
+ * A field without `type` accepts any value. Payloads may carry keys that the
+ * schema does not list; only the listed fields are checked.
+ *
+ * Events published through {@link publish} share the envelope fields
+ * `runId`, `phase` and `timestamp`; the configuration events are emitted by
+ * {@link ConfigResolver} without them.
+ *
+ * Plugins that emit their own events register a schema for them with
+ * {@link registerEventSchema}; the bus then treats the name as a valid event
+ * and validates its payloads like the built-in ones.
+ *
+ * The module exports:
+ *   - EVENT_SCHEMAS       - The schemas of the built-in events
+ *   - registerEventSchema - Adds the schema of a custom event
+ *   - getEventSchema      - Looks up a built-in or custom schema
+ *   - validatePayload     - Validates a payload against its event's schema
+ *   - toTypeScript        - Generates declarations for typed listeners
+ */
+
+import { FieldType } from '../config/config-schema.js';
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} PayloadField
+ * @property {string}   [type]        - One of {@link FieldType}; omitted for any value.
+ * @property {string}   [description] - What the field carries.
+ * @property {boolean}  [required]    - The key must be present.
+ * @property {boolean}  [nullable]    - `null` is an accepted value.
+ * @property {Array<*>} [enum]        - Allowed values.
+ * @property {Record<string, PayloadField>} [properties] - Fields of an object.
+ * @property {PayloadField} [items]   - Schema of every array element.
+ */
+
+/**
+ * @typedef {Object} EventSchema
+ * @property {string} description                     - When the event is emitted.
+ * @property {Record<string, PayloadField>} properties - Payload fields.
+ */
+
+/**
+ * @typedef {Object} PayloadError
+ * @property {string} path     - Dot-separated path of the field ('' for the payload itself).
+ * @property {string} message  - Human-readable description.
+ * @property {'required'|'type'|'enum'} type - Category of the error.
+ * @property {*}      [expected] - Expected type or allowed values.
+ * @property {string} [actual]   - Type of the value found.
+ */
+
+/**
+ * @typedef {Object} PayloadValidationResult
+ * @property {boolean}        valid  - True when the payload matches (or the event has no schema).
+ * @property {PayloadError[]} errors - Mismatches found.
+ */
+
+// ---------------------------------------------------------------------------
+// Shared fields
+// ---------------------------------------------------------------------------
+
+/** Envelope fields added by {@link publish}. */
+const ENVELOPE = Object.freeze({
+  runId: { type: FieldType.STRING, nullable: true, required: true, description: 'Run the event belongs to.' },
+  phase: { type: FieldType.STRING, nullable: true, required: true, description: 'Phase the event belongs to.' },
+  timestamp: { type: FieldType.NUMBER, required: true, description: 'Epoch milliseconds.' },
+});
+
+/** An error reduced by {@link describeError}. */
+const ERROR = Object.freeze({
+  type: FieldType.OBJECT,
+  required: true,
+  description: 'The error, reduced to a serialisable description.',
+  properties: {
+    message: { type: FieldType.STRING, required: true, description: 'Error message.' },
+    code: { nullable: true, required: true, description: 'Error code, if any (usually a string).' },
+  },
+});
+
+/** Which check a VALIDATION_* event reports on. */
+const VALIDATOR = Object.freeze({
+  type: FieldType.STRING,
+  enum: ['structure', 'integrity'],
+  description: 'StructureValidator or IntegrityChecker.',
+});
+
+/**
+ * Builds an array-of-strings field.
+ *
+ * @param {string} description
+ * @param {boolean} [required=true]
+ * @returns {PayloadField}
+ */
+function stringList(description, required = true) {
+  return { type: FieldType.ARRAY, required, description, items: { type: FieldType.STRING } };
+}
+
+// ---------------------------------------------------------------------------
+// Built-in schemas
+// ---------------------------------------------------------------------------
+
+/**
+ * Payload schemas of the built-in events, keyed by {@link ClawEvent} name.
+ * @readonly
+ * @type {Readonly<Record<string, EventSchema>>}
+ */
+export const EVENT_SCHEMAS = Object.freeze({
+  // -- Pipeline lifecycle --------------------------------------------------
+  PIPELINE_START: {
+    description: 'A run started.',
+    properties: { ...ENVELOPE },
+  },
+  PIPELINE_COMPLETE: {
+    description: 'A run completed.',
+    properties: {
+      ...ENVELOPE,
+      durationMs: { type: FieldType.NUMBER, nullable: true, required: true, description: 'Total run duration.' },
+      completedPhases: stringList('Phases that completed.'),
+      skippedPhases: stringList('Phases that were skipped.'),
+    },
+  },
+  PIPELINE_ERROR: {
+    description: 'A run failed.',
+    properties: { ...ENVELOPE, error: ERROR },
+  },
+
+  // -- Phase lifecycle -----------------------------------------------------
+  PHASE_START: {
+    description: 'A phase handler is about to run.',
+    properties: { ...ENVELOPE, inputKeys: stringList('Keys of the data passed to the handler.') },
+  },
+  PHASE_COMPLETE: {
+    description: 'A phase completed.',
+    properties: {
+      ...ENVELOPE,
+      durationMs: { type: FieldType.NUMBER, required: true, description: 'Phase duration.' },
+      outputKeys: stringList('Keys of the data the handler produced.'),
+    },
+  },
+  PHASE_SKIP: {
+    description: 'A phase was skipped.',
+    properties: { ...ENVELOPE },
+  },
+  PHASE_ERROR: {
+    description: 'A phase failed.',
+    properties: {
+      ...ENVELOPE,
+      durationMs: { type: FieldType.NUMBER, required: true, description: 'Time until the failure.' },
+      error: ERROR,
+    },
+  },
+
+  // -- Elicitation ---------------------------------------------------------
+  ELICITATION_START: {
+    description: 'Requirements elicitation started.',
+    properties: {
+      ...ENVELOPE,
+      domain: { type: FieldType.STRING, nullable: true, description: 'Detected domain.' },
+      interactive: { type: FieldType.BOOLEAN, required: true, description: 'Whether questions are asked.' },
+    },
+  },
+  QUESTION_ASKED: {
+    description: 'A question was put to the user.',
+    properties: {
+      ...ENVELOPE,
+      question: {
+        type: FieldType.OBJECT,
+        required: true,
+        description: 'The question definition.',
+        properties: {
+          id: { type: FieldType.STRING, required: true, description: 'Question identifier.' },
+          text: { type: FieldType.STRING, required: true, description: 'Question text.' },
+          type: { type: FieldType.STRING, required: true, description: 'Answer type, e.g. "choice".' },
+          options: stringList('Choices offered.', false),
+        },
+      },
+    },
+  },
+  ANSWER_RECEIVED: {
+    description: 'The user answered a question.',
+    properties: {
+      ...ENVELOPE,
+      questionId: { type: FieldType.STRING, required: true, description: 'Question identifier.' },
+      answer: { nullable: true, required: true, description: 'The answer, or null when defaulted.' },
+      defaulted: { type: FieldType.BOOLEAN, required: true, description: 'Whether the default was used.' },
+    },
+  },
+  ELICITATION_COMPLETE: {
+    description: 'Requirements elicitation completed.',
+    properties: {
+      ...ENVELOPE,
+      domain: { type: FieldType.STRING, nullable: true, description: 'Resolved domain.' },
+      answers: { type: FieldType.OBJECT, required: true, description: 'Answers by question identifier.' },
+    },
+  },
+
+  // -- Blueprint -----------------------------------------------------------
+  BLUEPRINT_SELECTED: {
+    description: 'An archetype was chosen.',
+    properties: {
+      ...ENVELOPE,
+      archetype: { type: FieldType.STRING, required: true, description: 'Chosen archetype.' },
+      domain: { type: FieldType.STRING, nullable: true, description: 'Domain of the blueprint.' },
+    },
+  },
+  BLUEPRINT_COMPOSED: {
+    description: 'A blueprint was composed.',
+    properties: {
+      ...ENVELOPE,
+      name: { type: FieldType.STRING, required: true, description: 'Framework name.' },
+      archetype: { type: FieldType.STRING, required: true, description: 'Chosen archetype.' },
+      modules: stringList('Module names.'),
+      files: { type: FieldType.NUMBER, required: true, description: 'Number of planned files.' },
+      complexity: { type: FieldType.STRING, description: 'Estimated complexity.' },
+    },
+  },
+
+  // -- File generation -----------------------------------------------------
+  FILE_GENERATED: {
+    description: 'A file was written.',
+    properties: {
+      ...ENVELOPE,
+      path: { type: FieldType.STRING, required: true, description: 'Path of the file.' },
+      size: { type: FieldType.NUMBER, required: true, description: 'Size in bytes.' },
+      durationMs: { type: FieldType.NUMBER, description: 'Time spent writing the file.' },
+    },
+  },
+  FILE_SKIPPED: {
+    description: 'A file was left as it was.',
+    properties: {
+      ...ENVELOPE,
+      path: { type: FieldType.STRING, required: true, description: 'Path of the file.' },
+      reason: { type: FieldType.STRING, required: true, description: 'Why it was skipped, e.g. "exists".' },
+    },
+  },
+  FILE_ERROR: {
+    description: 'The generator failed.',
+    properties: {
+      ...ENVELOPE,
+      step: { type: FieldType.STRING, description: 'Generator step that failed.' },
+      error: ERROR,
+    },
+  },
+
+  GENERATION_PROGRESS: {
+    description: 'The generator completed a step.',
+    properties: {
+      ...ENVELOPE,
+      status: {
+        type: FieldType.STRING,
+        required: true,
+        enum: ['idle', 'running', 'completed', 'failed'],
+        description: 'Generator status.',
+      },
+      currentStep: { type: FieldType.STRING, required: true, description: 'Step being run.' },
+      completedSteps: { type: FieldType.NUMBER, required: true, description: 'Steps completed so far.' },
+      totalSteps: { type: FieldType.NUMBER, required: true, description: 'Total generation steps.' },
+      percentage: { type: FieldType.NUMBER, required: true, description: '0-100 completion percentage.' },
+    },
+  },
+  GENERATION_STEP_START: {
+    description: 'The generator started a step.',
+    properties: {
+      ...ENVELOPE,
+      step: { type: FieldType.STRING, required: true, description: 'Step name, e.g. "Generating README.md".' },
+    },
+  },
+  GENERATION_STEP_COMPLETE: {
+    description: 'The generator finished a step.',
+    properties: {
+      ...ENVELOPE,
+      step: { type: FieldType.STRING, required: true, description: 'Step name.' },
+    },
+  },
+
+  // -- Validation ----------------------------------------------------------
+  VALIDATION_START: {
+    description: 'Validation of a generated framework started.',
+    properties: {
+      ...ENVELOPE,
+      outputPath: { type: FieldType.STRING, required: true, description: 'Directory being validated.' },
+      validator: VALIDATOR,
+      dryRun: { type: FieldType.BOOLEAN, description: 'Whether the files only exist in memory.' },
+    },
+  },
+  VALIDATION_COMPLETE: {
+    description: 'Validation of a generated framework completed.',
+    properties: {
+      ...ENVELOPE,
+      outputPath: { type: FieldType.STRING, required: true, description: 'Directory validated.' },
+      valid: { type: FieldType.BOOLEAN, required: true, description: 'True when no errors were found.' },
+      score: { type: FieldType.NUMBER, required: true, description: 'Quality score 0-100.' },
+      errors: { type: FieldType.NUMBER, required: true, description: 'Number of errors.' },
+      warnings: { type: FieldType.NUMBER, required: true, description: 'Number of warnings.' },
+      validator: VALIDATOR,
+      dryRun: { type: FieldType.BOOLEAN, description: 'Whether the files only exist in memory.' },
+    },
+  },
+  VALIDATION_ERROR: {
+    description: 'Validation of a generated framework found an error.',
+    properties: {
+      ...ENVELOPE,
+      file: { type: FieldType.STRING, required: true, description: 'File the entry refers to.' },
+      type: { type: FieldType.STRING, required: true, description: 'Category of the check.' },
+      message: { type: FieldType.STRING, required: true, description: 'Human-readable description.' },
+      severity: { type: FieldType.STRING, enum: ['error', 'warning'], description: 'Entry severity.' },
+      validator: VALIDATOR,
+      dryRun: { type: FieldType.BOOLEAN, description: 'Whether the files only exist in memory.' },
+    },
+  },
+
+  // -- Integration ---------------------------------------------------------
+  INTEGRATION_START: {
+    description: 'Claude integration files are being written.',
+    properties: {
+      ...ENVELOPE,
+      outputPath: { type: FieldType.STRING, required: true, description: 'Framework directory.' },
+    },
+  },
+  INTEGRATION_COMPLETE: {
+    description: 'Claude integration files were written.',
+    properties: {
+      ...ENVELOPE,
+      outputPath: { type: FieldType.STRING, required: true, description: 'Framework directory.' },
+      files: stringList('Files written, relative to the output path.'),
+    },
+  },
+
+  // -- Configuration -------------------------------------------------------
+  CONFIG_CHANGED: {
+    description: 'A watched config file changed and the new config is active.',
+    properties: {
+      files: stringList('Files that changed.'),
+      changes: { type: FieldType.ARRAY, required: true, description: 'Changed config paths.' },
+      config: { type: FieldType.OBJECT, required: true, description: 'The new resolved config.' },
+    },
+  },
+  CONFIG_REJECTED: {
+    description: 'A watched config file changed but the result was invalid.',
+    properties: {
+      files: stringList('Files that changed.'),
+      errors: { type: FieldType.ARRAY, required: true, description: 'Validation errors.' },
+      warnings: { type: FieldType.ARRAY, required: true, description: 'Warnings raised while resolving.' },
+    },
+  },
+});
+
+// ---------------------------------------------------------------------------
+// Custom schemas
+// ---------------------------------------------------------------------------
+
+/** Event names follow the {@link ClawEvent} convention. */
+const EVENT_NAME_PATTERN = /^[A-Z][A-Z0-9]*(_[A-Z0-9]+)*$/;
+
+/** @type {Map<string, EventSchema>} Schemas registered by plugins. */
+const customSchemas = new Map();
+
+/**
+ * Registers the payload schema of a custom event. From then on the event is
+ * accepted by {@link ClawEventBus.isValidEvent} and its payloads are checked
+ * like those of the built-in events.
+ *
+ * @param {string}      name   - UPPER_SNAKE_CASE event name, ideally prefixed
+ *                               with the plugin's name (e.g. "LINTER_REPORT").
+ * @param {EventSchema} schema
+ * @param {Object}  [options]
+ * @param {boolean} [options.replace=false] - Replace an existing custom schema.
+ * @throws {TypeError} If the name or schema is malformed.
+ * @throws {Error} With code `EVENT_SCHEMA_CONFLICT` if the name is a built-in
+ *   event, or is already registered and `replace` is not set.
+ *
+ * @example
+ * registerEventSchema('LINTER_REPORT', {
+ *   description: 'The linter plugin checked the generated files.',
+ *   properties: {
+ *     runId: { type: 'string', nullable: true, required: true, description: 'Run.' },
+ *     problems: { type: 'number', required: true, description: 'Problems found.' },
+ *   },
+ * });
+ */
+export function registerEventSchema(name, schema, options = {}) {
+  if (typeof name !== 'string' || !EVENT_NAME_PATTERN.test(name)) {
+    throw new TypeError(`[EventSchemas] Event name "${name}" must be UPPER_SNAKE_CASE.`);
+  }
+  if (!schema || typeof schema.properties !== 'object' || schema.properties === null) {
+    throw new TypeError(`[EventSchemas] Schema for "${name}" must have a "properties" object.`);
+  }
+  assertFields(schema.properties, name);
+
+  if (Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, name)
+    || (customSchemas.has(name) && !options.replace)) {
+    const err = new Error(`[EventSchemas] A schema for "${name}" is already registered.`);
+    err.code = 'EVENT_SCHEMA_CONFLICT';
+    throw err;
+  }
+
+  customSchemas.set(name, Object.freeze({ description: schema.description ?? '', properties: schema.properties }));
+}
+
+/**
+ * Removes the schema of a custom event.
+ *
+ * @param {string} name
+ * @returns {boolean} True if a schema was removed.
+ */
+export function unregisterEventSchema(name) {
+  return customSchemas.delete(name);
+}
+
+/**
+ * Returns the schema of a built-in or custom event.
+ *
+ * @param {string} name
+ * @returns {EventSchema|undefined}
+ */
+export function getEventSchema(name) {
+  return Object.prototype.hasOwnProperty.call(EVENT_SCHEMAS, name)
+    ? EVENT_SCHEMAS[name]
+    : customSchemas.get(name);
+}
+
+/**
+ * Returns the names of the custom events, in registration order.
+ *
+ * @returns {string[]}
+ */
+export function getCustomEventTypes() {
+  return [...customSchemas.keys()];
+}
+
+/**
+ * Checks that every field of a schema tree has a known type.
+ *
+ * @param {Record<string, PayloadField>} fields
+ * @param {string} prefix - Event name or path, for the error message.
+ * @throws {TypeError}
+ */
+function assertFields(fields, prefix) {
+  const types = Object.values(FieldType);
+  for (const [key, field] of Object.entries(fields)) {
+    const path = `${prefix}.${key}`;
+    if (field.type !== undefined && !types.includes(field.type)) {
+      throw new TypeError(`[EventSchemas] Field "${path}" has unknown type "${field.type}".`);
+    }
+    if (field.properties) assertFields(field.properties, path);
+    if (field.items) assertFields({ '[]': field.items }, path);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Validation
+// ---------------------------------------------------------------------------
+
+/**
+ * Checks the JavaScript type of a value against a {@link FieldType}.
+ *
+ * @param {*}      value
+ * @param {string} expectedType
+ * @returns {boolean}
+ */
+function matchesType(value, expectedType) {
+  switch (expectedType) {
+    case FieldType.STRING:
+      return typeof value === 'string';
+    case FieldType.NUMBER:
+      return typeof value === 'number' && !Number.isNaN(value);
+    case FieldType.BOOLEAN:
+      return typeof value === 'boolean';
+    case FieldType.OBJECT:
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case FieldType.ARRAY:
+      return Array.isArray(value);
+    default:
+      return true;
+  }
+}
+
+/**
+ * Describes the type of a value in {@link FieldType} terms.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function actualType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return FieldType.ARRAY;
+  if (typeof value === 'number' && Number.isNaN(value)) return 'NaN';
+  return typeof value;
+}
+
+/**
+ * Validates one value against a field, recursing into objects and arrays.
+ *
+ * @param {*}            value
+ * @param {PayloadField} field
+ * @param {string}       path
+ * @param {PayloadError[]} errors - Accumulator for errors.
+ */
+function validateField(value, field, path, errors) {
+  if (value === null && field.nullable) return;
+
+  if (field.type && !matchesType(value, field.type)) {
+    errors.push({
+      path,
+      message: `Expected type "${field.type}${field.nullable ? '|null' : ''}" for "${path}", got "${actualType(value)}".`,
+      type: 'type',
+      expected: field.type,
+      actual: actualType(value),
+    });
+    return;
+  }
+
+  if (field.enum && !field.enum.includes(value)) {
+    errors.push({
+      path,
+      message: `Value "${value}" for "${path}" is not one of: [${field.enum.join(', ')}].`,
+      type: 'enum',
+      expected: [...field.enum],
+      actual: actualType(value),
+    });
+  }
+
+  if (field.type === FieldType.OBJECT && field.properties) {
+    validateTree(value, field.properties, path, errors);
+  }
+  if (field.type === FieldType.ARRAY && field.items) {
+    value.forEach((item, i) => validateField(item, field.items, `${path}.${i}`, errors));
+  }
+}
+
+/**
+ * Validates the listed fields of an object.
+ *
+ * @param {Record<string, *>}            data
+ * @param {Record<string, PayloadField>} fields
+ * @param {string}                       prefix - Dot-path prefix for error reporting.
+ * @param {PayloadError[]}               errors - Accumulator for errors.
+ */
+function validateTree(data, fields, prefix, errors) {
+  for (const [key, field] of Object.entries(fields)) {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (!Object.prototype.hasOwnProperty.call(data, key) || data[key] === undefined) {
+      if (field.required) {
+        errors.push({
+          path,
+          message: `Required field "${path}" is missing.`,
+          type: 'required',
+          expected: field.type,
+          actual: 'undefined',
+        });
+      }
+      continue;
+    }
+    validateField(data[key], field, path, errors);
+  }
+}
+
+/**
+ * Validates an event payload against the schema of its event. Events
+ * without a schema are always valid.
+ *
+ * @param {string} event - Event name.
+ * @param {*}      data  - The payload.
+ * @returns {PayloadValidationResult}
+ *
+ * @example
+ * validatePayload('FILE_GENERATED', { runId: 'r1', phase: 'GENERATE', timestamp: Date.now(), path: 'a.js' });
+ * // { valid: false, errors: [{ path: 'size', type: 'required', ... }] }
+ */
+export function validatePayload(event, data) {
+  const schema = getEventSchema(event);
+  /** @type {PayloadError[]} */
+  const errors = [];
+  if (!schema) return { valid: true, errors };
+
+  if (!matchesType(data, FieldType.OBJECT)) {
+    errors.push({
+      path: '',
+      message: `Payload of "${event}" must be an object, got "${actualType(data)}".`,
+      type: 'type',
+      expected: FieldType.OBJECT,
+      actual: actualType(data),
+    });
+  } else {
+    validateTree(data, schema.properties, '', errors);
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+// ---------------------------------------------------------------------------
+// TypeScript export
+// ---------------------------------------------------------------------------
+
+/**
+ * Converts an event name to a payload interface name,
+ * e.g. "PHASE_START" -> "PhaseStartPayload".
+ *
+ * @param {string} event
+ * @returns {string}
+ */
+function interfaceName(event) {
+  return event
+    .toLowerCase()
+    .split('_')
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join('') + 'Payload';
+}
+
+/**
+ * Converts one field to a TypeScript type expression.
+ *
+ * @param {PayloadField} field
+ * @param {string} indent - Indentation of the enclosing member.
+ * @returns {string}
+ */
+function fieldToType(field, indent) {
+  let type;
+  if (field.enum) {
+    type = field.enum.map((value) => JSON.stringify(value)).join(' | ');
+  } else {
+    switch (field.type) {
+      case FieldType.STRING:
+      case FieldType.NUMBER:
+      case FieldType.BOOLEAN:
+        type = field.type;
+        break;
+      case FieldType.OBJECT:
+        type = field.properties
+          ? `{\n${membersToType(field.properties, indent + '  ')}${indent}}`
+          : 'Record<string, unknown>';
+        break;
+      case FieldType.ARRAY: {
+        const item = field.items ? fieldToType(field.items, indent) : 'unknown';
+        type = /^[\w.]+$/.test(item) ? `${item}[]` : `Array<${item}>`;
+        break;
+      }
+      default:
+        type = 'unknown';
+    }
+  }
+  return field.nullable && type !== 'unknown' ? `${type} | null` : type;
+}
+
+/**
+ * Converts a schema tree to interface members, one per line.
+ *
+ * @param {Record<string, PayloadField>} fields
+ * @param {string} indent
+ * @returns {string}
+ */
+function membersToType(fields, indent) {
+  return Object.entries(fields)
+    .map(([key, field]) => {
+      const name = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+      const doc = field.description ? `${indent}/** ${field.description} */\n` : '';
+      return `${doc}${indent}${name}${field.required ? '' : '?'}: ${fieldToType(field, indent)};\n`;
+    })
+    .join('');
+}
+
+/**
+ * Generates TypeScript declarations for the event payloads: one interface
+ * per event, a `ClawEventPayloads` map from event name to payload, and a
+ * `TypedClawEventBus` interface whose `on`/`once`/`off`/`emit` are typed
+ * by that map. Custom events are included when they are registered at the
+ * time of the call.
+ *
+ * Use it as a JSDoc type to get typed listeners:
+ * ```js
+ * /** @type {import('./.clawos/core/events/event-payloads').TypedClawEventBus} *\/
+ * const bus = getEventBus();
+ * bus.on('PHASE_COMPLETE', (data) => data.durationMs); // number
+ * ```
+ *
+ * @param {Object}  [options]
+ * @param {boolean} [options.includeCustom=true] - Also declare the custom events.
+ * @returns {string} The contents of a `.d.ts` file.
+ */
+export function toTypeScript(options = {}) {
+  const includeCustom = options.includeCustom ?? true;
+  const events = [
+    ...Object.entries(EVENT_SCHEMAS),
+    ...(includeCustom ? [...customSchemas] : []),
+  ];
+
+  const lines = [
+    '// Generated by toTypeScript() in event-schemas.js. Do not edit.',
+    '//',
+    '// Events registered with registerEventSchema() can be typed by augmenting',
+    '// ClawEventPayloads from the plugin:',
+    '//   declare module \'./event-payloads\' { interface ClawEventPayloads { MY_EVENT: MyPayload } }',
+    '',
+  ];
+
+  for (const [event, schema] of events) {
+    if (schema.description) lines.push(`/** ${event}: ${schema.description} */`);
+    lines.push(`export interface ${interfaceName(event)} {`);
+    lines.push(membersToType(schema.properties, '  ') + '}', '');
+  }
+
+  lines.push('/** Payload type of every event, by event name. */');
+  lines.push('export interface ClawEventPayloads {');
+  for (const [event] of events) lines.push(`  ${event}: ${interfaceName(event)};`);
+  lines.push('}', '');
+
+  lines.push(
+    'export type ClawEventName = keyof ClawEventPayloads;',
+    '',
+    'export type ClawEventListener<E extends ClawEventName> = (data: ClawEventPayloads[E]) => void;',
+    '',
+    '/** The listener methods of a ClawEventBus, typed by event name. */',
+    'export interface TypedClawEventBus {',
+    '  on<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;',
+    '  once<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;',
+    '  off<E extends ClawEventName>(event: E, listener: ClawEventListener<E>): this;',
+    '  emit<E extends ClawEventName>(event: E, data: ClawEventPayloads[E]): boolean;',
+    '  emitAsync<E extends ClawEventName>(',
+    '    event: E,',
+    '    data: ClawEventPayloads[E],',
+    '    options?: { mode?: \'serial\' | \'parallel\'; failFast?: boolean },',
+    '  ): Promise<boolean>;',
+    '  waitFor<E extends ClawEventName>(event: E, timeout?: number): Promise<ClawEventPayloads[E]>;',
+    '  scope(tags: Record<string, unknown>, options?: { maxHistory?: number; recordHistory?: boolean }): TypedClawEventBus;',
+    '  onAny(pattern: string, handler: (event: ClawEventName, data: ClawEventPayloads[ClawEventName]) => void): this;',
+    '}',
+    '',
+  );
+
+  return lines.join('\n');
+}
@@ -0,0 +1,422 @@
+/**
+ * @module event-stream-server
+ * @description Streams the {@link ClawEventBus} over HTTP so that a run on a
+ * shared build box can be watched from a browser, a dashboard or an editor
+ * extension. Built on `node:http` only.
+ *
+ * Routes (all `GET`):
+ *
+ * | Path                     | Response                                                  |
+ * |--------------------------|-----------------------------------------------------------|
+ * | `/events`                | Server-Sent Events stream of every event                  |
+ * | `/runs/:runId/events`    | Server-Sent Events stream of one run's events             |
+ * | `/history`               | `getHistory(filter)` snapshot as JSON                     |
+ * | `/runs/:runId/history`   | The same, limited to one run                              |
+ *
+ * Both streams and snapshots accept the {@link EventFilter} fields `event`,
+ * `group`, `since`, `until`, `limit`, `fromSequence` and `runId` as query
+ * parameters. Each SSE message is named after the event and carries its bus
+ * sequence number as `id`, so a reconnecting `EventSource` sends
+ * `Last-Event-ID` and receives the events it missed from the bus history
+ * before the live ones. Clients that cannot set the header may pass
+ * `?lastEventId=` instead.
+ *
+ * ```
+ * id: 42
+ * event: GENERATION_PROGRESS
+ * data: {"runId":"run_x","phase":"GENERATE","percentage":40,...}
+ * ```
+ */
+
+import http from 'node:http';
+import { ClawEventBus, getEventBus } from './event-bus.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Interval of the keep-alive comments sent on idle streams. */
+const DEFAULT_HEARTBEAT_MS = 15_000;
+
+/** Reconnection delay suggested to `EventSource` clients. */
+const RETRY_MS = 2_000;
+
+/** Query parameters copied into the history filter. */
+const FILTER_PARAMS = Object.freeze(['event', 'group', 'since', 'until', 'runId']);
+
+/** Numeric query parameters copied into the history filter. */
+const NUMERIC_FILTER_PARAMS = Object.freeze(['limit', 'fromSequence']);
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} EventStreamServerOptions
+ * @property {import('./event-bus.js').ClawEventBus} [bus=getEventBus()] - Bus to stream.
+ * @property {string} [host='127.0.0.1'] - Interface to bind.
+ * @property {number} [port=0]           - Port to bind; 0 picks a free one.
+ * @property {number} [heartbeatMs=15000] - Keep-alive interval; 0 disables it.
+ */
+
+/**
+ * @typedef {Object} StreamClient
+ * @property {http.ServerResponse} res
+ * @property {import('./event-bus.js').EventFilter} filter
+ * @property {number} lastSequence - Sequence of the last event sent.
+ */
+
+/** @typedef {import('./event-bus.js').EventFilter} EventFilter */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Splits a request path into decoded segments.
+ *
+ * @param {string} pathname
+ * @returns {string[]}
+ * @throws {URIError} If a segment is not valid percent-encoding.
+ */
+function parsePath(pathname) {
+  return pathname.split('/').filter(Boolean).map((segment) => {
+    try {
+      return decodeURIComponent(segment);
+    } catch {
+      throw new URIError(`Malformed path segment "${segment}".`);
+    }
+  });
+}
+
+/**
+ * Builds an {@link EventFilter} from query parameters.
+ *
+ * @param {URLSearchParams} params
+ * @returns {EventFilter}
+ * @throws {RangeError} If a numeric parameter is not an integer.
+ */
+function parseFilter(params) {
+  /** @type {EventFilter} */
+  const filter = {};
+  for (const key of FILTER_PARAMS) {
+    if (params.has(key)) filter[key] = params.get(key);
+  }
+  for (const key of NUMERIC_FILTER_PARAMS) {
+    if (!params.has(key)) continue;
+    const value = Number(params.get(key));
+    if (!Number.isInteger(value)) {
+      throw new RangeError(`Query parameter "${key}" must be an integer.`);
+    }
+    filter[key] = value;
+  }
+  return filter;
+}
+
+/**
+ * Formats one SSE message.
+ *
+ * @param {number} sequence
+ * @param {string} event
+ * @param {*}      data
+ * @returns {string}
+ */
+function toMessage(sequence, event, data) {
+  let json;
+  try {
+    json = JSON.stringify(data ?? null);
+  } catch {
+    json = JSON.stringify('[unserializable]');
+  }
+  return `id: ${sequence}\nevent: ${event}\ndata: ${json}\n\n`;
+}
+
+/**
+ * Sends a JSON response.
+ *
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {*} body
+ */
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+  res.end(JSON.stringify(body));
+}
+
+// ---------------------------------------------------------------------------
+// EventStreamServer class
+// ---------------------------------------------------------------------------
+
+/**
+ * HTTP server exposing the event bus as Server-Sent Events and JSON
+ * history snapshots.
+ *
+ * @example
+ * ```js
+ * const server = new EventStreamServer({ port: 4780 });
+ * const { url } = await server.listen();
+ * // new EventSource(`${url}/runs/${runId}/events`)
+ * //   .addEventListener('GENERATION_PROGRESS', (e) => render(JSON.parse(e.data).percentage));
+ * await executor.run(input);
+ * await server.close();
+ * ```
+ */
+export class EventStreamServer {
+  /** @type {import('./event-bus.js').ClawEventBus} */
+  #bus;
+
+  /** @type {string} */
+  #host;
+
+  /** @type {number} */
+  #port;
+
+  /** @type {number} */
+  #heartbeatMs;
+
+  /** @type {http.Server|null} */
+  #server = null;
+
+  /** @type {Set<StreamClient>} Open SSE streams. */
+  #clients = new Set();
+
+  /** @type {NodeJS.Timeout|null} */
+  #heartbeat = null;
+
+  /** @type {Record<string, string[]>} Event groups, for `group` filters. */
+  #groups = ClawEventBus.getEventGroups();
+
+  /** @type {(event: string, data: *, meta: import('./event-bus.js').EventMeta) => void} */
+  #onEvent;
+
+  /**
+   * @param {EventStreamServerOptions} [options]
+   */
+  constructor(options = {}) {
+    this.#bus = options.bus ?? getEventBus();
+    this.#host = options.host ?? '127.0.0.1';
+    this.#port = options.port ?? 0;
+    this.#heartbeatMs = options.heartbeatMs ?? DEFAULT_HEARTBEAT_MS;
+    this.#onEvent = (event, data, meta) => this.#broadcast(event, data, meta);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Starts listening and subscribes to the bus.
+   *
+   * @returns {Promise<{ host: string, port: number, url: string }>}
+   * @throws {Error} If the server is already listening, or the port cannot be bound.
+   */
+  async listen() {
+    if (this.#server) {
+      throw new Error('[EventStreamServer] Server is already listening.');
+    }
+
+    const server = http.createServer((req, res) => this.#handle(req, res));
+    await new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(this.#port, this.#host, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+
+    this.#server = server;
+    this.#port = server.address().port;
+    this.#bus.onAny('*', this.#onEvent);
+
+    if (this.#heartbeatMs > 0) {
+      this.#heartbeat = setInterval(() => {
+        for (const client of this.#clients) client.res.write(': ping\n\n');
+      }, this.#heartbeatMs);
+      this.#heartbeat.unref();
+    }
+
+    return { host: this.#host, port: this.#port, url: this.url };
+  }
+
+  /**
+   * Ends every open stream, unsubscribes from the bus and stops the server.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.#server) return;
+
+    this.#bus.offAny('*', this.#onEvent);
+    if (this.#heartbeat) clearInterval(this.#heartbeat);
+    this.#heartbeat = null;
+
+    for (const client of this.#clients) client.res.end();
+    this.#clients.clear();
+
+    const server = this.#server;
+    this.#server = null;
+    await new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  /**
+   * Base URL of the server, or null when not listening.
+   *
+   * @returns {string|null}
+   */
+  get url() {
+    if (!this.#server) return null;
+    const host = this.#host.includes(':') ? `[${this.#host}]` : this.#host;
+    return `http://${host}:${this.#port}`;
+  }
+
+  /**
+   * Number of open SSE streams.
+   *
+   * @returns {number}
+   */
+  get clientCount() {
+    return this.#clients.size;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Request handling
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Routes a request.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  #handle(req, res) {
+    if (req.method !== 'GET') {
+      res.setHeader('Allow', 'GET');
+      sendJson(res, 405, { error: `Method ${req.method} not allowed.` });
+      return;
+    }
+
+    const url = new URL(req.url ?? '/', 'http://localhost');
+
+    let segments;
+    let filter;
+    try {
+      segments = parsePath(url.pathname);
+      filter = parseFilter(url.searchParams);
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+      return;
+    }
+
+    // /runs/:runId/(events|history) -> /(events|history)?runId=
+    let route = segments.join('/');
+    if (segments.length === 3 && segments[0] === 'runs') {
+      filter.runId = segments[1];
+      route = segments[2];
+    }
+
+    switch (route) {
+      case 'events':
+        this.#openStream(req, res, filter, url.searchParams.get('lastEventId'));
+        return;
+      case 'history':
+        sendJson(res, 200, this.#bus.getHistory(filter));
+        return;
+      default:
+        sendJson(res, 404, { error: `No route for "${url.pathname}".` });
+    }
+  }
+
+  /**
+   * Opens an SSE stream, first sending the history after `Last-Event-ID`.
+   *
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   * @param {EventFilter} filter
+   * @param {string|null} queryLastId - `lastEventId` query parameter.
+   */
+  #openStream(req, res, filter, queryLastId) {
+    // An empty `Last-Event-ID` (or `?lastEventId=`) means "no id", not 0.
+    const rawLastId = [req.headers['last-event-id'], queryLastId]
+      .find((value) => typeof value === 'string' && value.trim() !== '');
+    const lastId = rawLastId === undefined ? NaN : Number(rawLastId);
+
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    /** @type {StreamClient} */
+    const client = { res, filter, lastSequence: this.#bus.currentSequence - 1 };
+
+    if (Number.isInteger(lastId)) {
+      // `limit` would keep the newest N, so resumes ignore it.
+      const { limit, ...rest } = filter;
+      const missed = this.#bus.getHistory({
+        ...rest,
+        fromSequence: Math.max(lastId + 1, filter.fromSequence ?? 0),
+      });
+      for (const record of missed) res.write(toMessage(record.sequence, record.event, record.data));
+    }
+
+    this.#clients.add(client);
+    req.on('close', () => this.#clients.delete(client));
+  }
+
+  /**
+   * Sends a live event to every stream whose filter matches it.
+   *
+   * @param {string} event
+   * @param {*}      data
+   * @param {import('./event-bus.js').EventMeta} meta
+   */
+  #broadcast(event, data, meta) {
+    if (this.#clients.size === 0) return;
+
+    let message;
+    for (const client of this.#clients) {
+      if (meta.sequence <= client.lastSequence || !this.#matches(client.filter, event, data, meta)) continue;
+      message ??= toMessage(meta.sequence, event, data);
+      client.res.write(message);
+      client.lastSequence = meta.sequence;
+    }
+  }
+
+  /**
+   * Tests a live event against a stream's filter, like `getHistory` would.
+   *
+   * @param {EventFilter} filter
+   * @param {string} event
+   * @param {*}      data
+   * @param {import('./event-bus.js').EventMeta} meta
+   * @returns {boolean}
+   */
+  #matches(filter, event, data, meta) {
+    if (filter.event && event !== filter.event) return false;
+    if (filter.runId && data?.runId !== filter.runId) return false;
+    if (filter.fromSequence !== undefined && meta.sequence < filter.fromSequence) return false;
+    if (filter.until && Date.parse(meta.timestamp) > Date.parse(filter.until)) return false;
+    if (filter.group) {
+      const groupKey = filter.group.toUpperCase().replace(/:?\*?$/, '');
+      const events = this.#groups[groupKey];
+      if (events ? !events.includes(event) : !event.startsWith(`${groupKey}_`)) return false;
+    }
+    return true;
+  }
+}
+
+/**
+ * Creates and starts an {@link EventStreamServer}.
+ *
+ * @param {EventStreamServerOptions} [options]
+ * @returns {Promise<EventStreamServer>}
+ */
+export async function createEventStreamServer(options = {}) {
+  const server = new EventStreamServer(options);
+  await server.listen();
+  return server;
+}
+
+export default EventStreamServer;
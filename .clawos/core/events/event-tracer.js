@@ -0,0 +1,675 @@
+/**
+ * @module event-tracer
+ * @description Turns the {@link ClawEventBus} into nested timing spans so that
+ * a slow generation can be profiled offline. Spans are derived from the
+ * events a run already publishes:
+ *
+ * | Span       | Opened by               | Closed by                                 |
+ * |------------|-------------------------|-------------------------------------------|
+ * | `run`      | PIPELINE_START          | PIPELINE_COMPLETE / PIPELINE_ERROR        |
+ * | `phase`    | PHASE_START             | PHASE_COMPLETE / PHASE_ERROR (PHASE_SKIP is zero-length) |
+ * | `step`     | GENERATION_STEP_START   | GENERATION_STEP_COMPLETE / FILE_ERROR     |
+ * | `file`     | FILE_GENERATED          | (same event, backdated by its `durationMs`) |
+ * | `hook`     | executor `hook:start`   | executor `hook:complete` / `hook:error`   |
+ *
+ * Hook spans come from a {@link PipelineExecutor} passed to
+ * {@link EventTracer#attachExecutor}; every other span from the bus (a dry
+ * run publishes nothing, so its hooks sit directly under the run). The
+ * remaining events of a run (elicitation, blueprint, validation, ...) are
+ * kept as point-in-time events on the innermost open span.
+ *
+ * Two export formats:
+ *   - {@link EventTracer#toChromeTrace} — Chrome `trace_event` JSON, opened
+ *     in Perfetto (ui.perfetto.dev) or `chrome://tracing`. One track per run.
+ *   - {@link EventTracer#toOTLP} — OTLP-JSON (`ExportTraceServiceRequest`),
+ *     accepted by OpenTelemetry collectors and Jaeger. One trace per run.
+ *
+ * Times are taken when an event is received, with sub-millisecond precision,
+ * so the tracer must be listening while the run executes; replayed history
+ * is not traced.
+ */
+
+import { randomBytes } from 'node:crypto';
+import { mkdir, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { ClawEvent, getEventBus } from './event-bus.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Instrumentation scope reported in OTLP exports. */
+const SCOPE = Object.freeze({ name: 'clawos.event-tracer', version: '1.0.0' });
+
+/** OTLP `SpanKind.SPAN_KIND_INTERNAL`. */
+const SPAN_KIND_INTERNAL = 1;
+
+/** OTLP `Status.StatusCode` values. */
+const STATUS_CODE = Object.freeze({ unset: 0, ok: 1, error: 2 });
+
+/** Envelope fields left out of span attributes. */
+const ENVELOPE_KEYS = new Set(['runId', 'phase', 'timestamp']);
+
+/**
+ * Span kinds.
+ * @readonly
+ * @enum {string}
+ */
+export const SpanKind = Object.freeze({
+  RUN:   'run',
+  PHASE: 'phase',
+  STEP:  'step',
+  FILE:  'file',
+  HOOK:  'hook',
+});
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} EventTracerOptions
+ * @property {import('./event-bus.js').ClawEventBus} [bus=getEventBus()] - Bus to trace.
+ * @property {string} [runId] - Trace only this run.
+ * @property {string} [serviceName='clawos'] - Process name (Chrome) and
+ *   `service.name` resource attribute (OTLP).
+ */
+
+/**
+ * @typedef {Object} SpanEvent
+ * @property {string} name      - The ClawEvent.
+ * @property {number} time      - Epoch milliseconds.
+ * @property {Record<string, unknown>} attributes
+ */
+
+/**
+ * @typedef {Object} Span
+ * @property {string}      traceId    - 32 hex characters, shared by a run.
+ * @property {string}      spanId     - 16 hex characters.
+ * @property {string|null} parentId
+ * @property {string}      name
+ * @property {SpanKind}    kind
+ * @property {string|null} runId
+ * @property {number}      startTime  - Epoch milliseconds (fractional).
+ * @property {number|null} endTime    - Null while the span is open.
+ * @property {'unset'|'ok'|'error'} status
+ * @property {string|null} statusMessage
+ * @property {Record<string, unknown>} attributes
+ * @property {SpanEvent[]} events
+ */
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Current time as fractional epoch milliseconds.
+ *
+ * @returns {number}
+ */
+function clock() {
+  return performance.timeOrigin + performance.now();
+}
+
+/**
+ * Random lowercase hex identifier.
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function randomId(bytes) {
+  return randomBytes(bytes).toString('hex');
+}
+
+/**
+ * Picks the scalar and array fields of a payload as span attributes.
+ *
+ * @param {Record<string, unknown>} data
+ * @returns {Record<string, unknown>}
+ */
+function attributesOf(data) {
+  const attributes = {};
+  for (const [key, value] of Object.entries(data ?? {})) {
+    if (ENVELOPE_KEYS.has(key) || value === null || value === undefined) continue;
+    if (typeof value === 'object' && !Array.isArray(value)) continue;
+    attributes[key] = value;
+  }
+  return attributes;
+}
+
+/**
+ * Converts epoch milliseconds to an OTLP nanosecond string without losing
+ * the sub-millisecond part to float precision.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function toUnixNano(ms) {
+  const whole = Math.trunc(ms);
+  return (BigInt(whole) * 1_000_000n + BigInt(Math.round((ms - whole) * 1e6))).toString();
+}
+
+/**
+ * Converts a value to an OTLP `AnyValue`.
+ *
+ * @param {unknown} value
+ * @returns {Object}
+ */
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (Number.isInteger(value)) return { intValue: String(value) };
+  if (typeof value === 'number') return { doubleValue: value };
+  if (Array.isArray(value)) return { arrayValue: { values: value.map(toAnyValue) } };
+  if (typeof value === 'string') return { stringValue: value };
+  return { stringValue: JSON.stringify(value) };
+}
+
+/**
+ * Converts attributes to OTLP `KeyValue`s.
+ *
+ * @param {Record<string, unknown>} attributes
+ * @returns {Array<{ key: string, value: Object }>}
+ */
+function toKeyValues(attributes) {
+  return Object.entries(attributes).map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+// ---------------------------------------------------------------------------
+// EventTracer class
+// ---------------------------------------------------------------------------
+
+/**
+ * Records run → phase → step → file spans (plus executor hooks) from the bus
+ * and exports them as Chrome trace or OTLP-JSON.
+ *
+ * @example
+ * ```js
+ * const tracer = new EventTracer().start();
+ * tracer.attachExecutor(executor);
+ * await executor.run({ userInput: 'REST API for invoices' });
+ * tracer.stop();
+ * await tracer.writeChromeTrace('trace.json'); // open in ui.perfetto.dev
+ * await tracer.writeOTLP('trace.otlp.json');
+ * ```
+ */
+export class EventTracer {
+  /** @type {import('./event-bus.js').ClawEventBus} */
+  #bus;
+
+  /** @type {string|null} */
+  #runId;
+
+  /** @type {string} */
+  #serviceName;
+
+  /** @type {Span[]} Every span, in start order. */
+  #spans = [];
+
+  /** @type {Map<string, Span>} Open spans by key (see {@link EventTracer#key}). */
+  #open = new Map();
+
+  /** @type {Map<string, string>} runId -> traceId. */
+  #traceIds = new Map();
+
+  /** @type {Set<() => void>} Detachers of attached executors. */
+  #detachers = new Set();
+
+  /** @type {boolean} */
+  #listening = false;
+
+  /** @type {(event: string, data: unknown) => void} */
+  #onEvent = (event, data) => this.#record(event, data);
+
+  /**
+   * @param {EventTracerOptions} [options]
+   */
+  constructor(options = {}) {
+    this.#bus = options.bus ?? getEventBus();
+    this.#runId = options.runId ?? null;
+    this.#serviceName = options.serviceName ?? 'clawos';
+  }
+
+  // -----------------------------------------------------------------------
+  // Recording
+  // -----------------------------------------------------------------------
+
+  /**
+   * Starts listening to the bus.
+   *
+   * @returns {this}
+   */
+  start() {
+    if (!this.#listening) {
+      this.#bus.onAny('*', this.#onEvent);
+      this.#listening = true;
+    }
+    return this;
+  }
+
+  /**
+   * Stops listening to the bus and to attached executors. Recorded spans are
+   * kept; spans still open stay open (exports end them at export time).
+   *
+   * @returns {this}
+   */
+  stop() {
+    if (this.#listening) {
+      this.#bus.offAny('*', this.#onEvent);
+      this.#listening = false;
+    }
+    for (const detach of this.#detachers) detach();
+    this.#detachers.clear();
+    return this;
+  }
+
+  /**
+   * Records the before/after hooks a PipelineExecutor runs as `hook` spans
+   * inside their phase.
+   *
+   * @param {import('../orchestrator/pipeline-executor.js').PipelineExecutor} executor
+   * @returns {() => void} Stops recording this executor's hooks.
+   */
+  attachExecutor(executor) {
+    const hookKey = ({ kind, phaseId, runId, index }) => this.#key(SpanKind.HOOK, runId, phaseId, kind, index);
+
+    const listeners = {
+      'hook:start': (info) => {
+        if (!this.#accepts(info.runId)) return;
+        const parent = this.#open.get(this.#key(SpanKind.PHASE, info.runId, info.phaseId))
+          ?? this.#runSpan(info.runId, clock());
+        this.#openSpan(hookKey(info), {
+          name: info.name ? `${info.kind} hook ${info.name}` : `${info.kind} hook`,
+          kind: SpanKind.HOOK,
+          runId: info.runId,
+          parent,
+          attributes: { phase: info.phaseId, hook: info.kind, index: info.index },
+        });
+      },
+      'hook:complete': (info) => {
+        this.#closeSpan(this.#open.get(hookKey(info)), clock(), 'ok');
+      },
+      'hook:error': ({ kind, phaseId, runId, error }) => {
+        // The failing hook is the one of this phase still open.
+        const prefix = this.#key(SpanKind.HOOK, runId, phaseId, kind, '');
+        for (const [key, span] of this.#open) {
+          if (key.startsWith(prefix)) this.#closeSpan(span, clock(), 'error', error?.message);
+        }
+      },
+    };
+
+    for (const [event, listener] of Object.entries(listeners)) executor.on(event, listener);
+    const detach = () => {
+      for (const [event, listener] of Object.entries(listeners)) executor.off(event, listener);
+      this.#detachers.delete(detach);
+    };
+    this.#detachers.add(detach);
+    return detach;
+  }
+
+  /**
+   * Forgets every recorded span.
+   *
+   * @returns {this}
+   */
+  clear() {
+    this.#spans = [];
+    this.#open.clear();
+    this.#traceIds.clear();
+    return this;
+  }
+
+  /**
+   * Copies of the recorded spans, in start order.
+   *
+   * @returns {Span[]}
+   */
+  get spans() {
+    return this.#spans.map((span) => ({
+      ...span,
+      attributes: { ...span.attributes },
+      events: span.events.map((e) => ({ ...e, attributes: { ...e.attributes } })),
+    }));
+  }
+
+  /** Whether the tracer is listening to the bus. @returns {boolean} */
+  get isListening() {
+    return this.#listening;
+  }
+
+  // -----------------------------------------------------------------------
+  // Export
+  // -----------------------------------------------------------------------
+
+  /**
+   * Exports the spans as Chrome `trace_event` JSON (object format). Each run
+   * is a thread named after its run id; times are microseconds since the
+   * first span. Spans still open end now and carry `incomplete: true`.
+   *
+   * @returns {{ traceEvents: Object[], displayTimeUnit: 'ms', otherData: Record<string, string> }}
+   */
+  toChromeTrace() {
+    const exportedAt = clock();
+    const origin = this.#spans.length > 0 ? this.#spans[0].startTime : exportedAt;
+    const us = (ms) => Math.round((ms - origin) * 1000);
+    const threads = new Map();
+    const tidOf = (runId) => {
+      const key = runId ?? '(no run)';
+      if (!threads.has(key)) threads.set(key, threads.size + 1);
+      return threads.get(key);
+    };
+
+    const traceEvents = [];
+    for (const span of this.#spans) {
+      const tid = tidOf(span.runId);
+      const end = span.endTime ?? exportedAt;
+      traceEvents.push({
+        name: span.name,
+        cat: span.kind,
+        ph: 'X',
+        ts: us(span.startTime),
+        dur: Math.max(0, us(end) - us(span.startTime)),
+        pid: 1,
+        tid,
+        args: {
+          ...span.attributes,
+          ...(span.runId ? { runId: span.runId } : {}),
+          ...(span.status === 'error' ? { error: span.statusMessage } : {}),
+          ...(span.endTime === null ? { incomplete: true } : {}),
+        },
+      });
+      for (const event of span.events) {
+        traceEvents.push({
+          name: event.name, cat: 'event', ph: 'i', s: 't', ts: us(event.time), pid: 1, tid, args: event.attributes,
+        });
+      }
+    }
+
+    const metadata = [
+      { name: 'process_name', ph: 'M', pid: 1, tid: 0, args: { name: this.#serviceName } },
+      ...[...threads].map(([name, tid]) => ({ name: 'thread_name', ph: 'M', pid: 1, tid, args: { name } })),
+    ];
+
+    return {
+      traceEvents: [...metadata, ...traceEvents],
+      displayTimeUnit: 'ms',
+      otherData: { startTime: new Date(origin).toISOString() },
+    };
+  }
+
+  /**
+   * Exports the spans as an OTLP-JSON `ExportTraceServiceRequest`, as sent to
+   * a collector's `/v1/traces` endpoint. Spans still open end now and carry
+   * `incomplete: true`.
+   *
+   * @returns {{ resourceSpans: Object[] }}
+   */
+  toOTLP() {
+    const exportedAt = clock();
+    const spans = this.#spans.map((span) => ({
+      traceId: span.traceId,
+      spanId: span.spanId,
+      ...(span.parentId ? { parentSpanId: span.parentId } : {}),
+      name: span.name,
+      kind: SPAN_KIND_INTERNAL,
+      startTimeUnixNano: toUnixNano(span.startTime),
+      endTimeUnixNano: toUnixNano(span.endTime ?? exportedAt),
+      attributes: toKeyValues({
+        'clawos.span.kind': span.kind,
+        ...(span.runId ? { 'clawos.run.id': span.runId } : {}),
+        ...span.attributes,
+        ...(span.endTime === null ? { incomplete: true } : {}),
+      }),
+      events: span.events.map((event) => ({
+        timeUnixNano: toUnixNano(event.time),
+        name: event.name,
+        attributes: toKeyValues(event.attributes),
+      })),
+      status: {
+        code: STATUS_CODE[span.status],
+        ...(span.statusMessage ? { message: span.statusMessage } : {}),
+      },
+    }));
+
+    return {
+      resourceSpans: [{
+        resource: { attributes: toKeyValues({ 'service.name': this.#serviceName }) },
+        scopeSpans: [{ scope: { ...SCOPE }, spans }],
+      }],
+    };
+  }
+
+  /**
+   * Writes {@link EventTracer#toChromeTrace} to a file, creating its directory.
+   *
+   * @param {string} file
+   * @returns {Promise<string>} The absolute path written.
+   */
+  writeChromeTrace(file) {
+    return this.#write(file, this.toChromeTrace());
+  }
+
+  /**
+   * Writes {@link EventTracer#toOTLP} to a file, creating its directory.
+   *
+   * @param {string} file
+   * @returns {Promise<string>} The absolute path written.
+   */
+  writeOTLP(file) {
+    return this.#write(file, this.toOTLP());
+  }
+
+  // -----------------------------------------------------------------------
+  // Internal
+  // -----------------------------------------------------------------------
+
+  /**
+   * Maps a bus event onto the span tree.
+   *
+   * @param {string} event
+   * @param {Record<string, any>} data
+   */
+  #record(event, data) {
+    if (!data || typeof data !== 'object' || !this.#accepts(data.runId)) return;
+    const now = clock();
+    const { runId = null, phase = null } = data;
+    const phaseKey = this.#key(SpanKind.PHASE, runId, phase);
+
+    switch (event) {
+      case ClawEvent.PIPELINE_START:
+        // A new run span, unless a resumed run already has one open.
+        this.#runSpan(runId, now);
+        break;
+
+      case ClawEvent.PIPELINE_COMPLETE:
+      case ClawEvent.PIPELINE_ERROR: {
+        const failed = event === ClawEvent.PIPELINE_ERROR;
+        const message = failed ? data.error?.message : null;
+        // Whatever is still open inside the run ended with it.
+        for (const [key, span] of [...this.#open].reverse()) {
+          if (span.runId === runId && !key.startsWith(`${SpanKind.RUN}\0`)) {
+            this.#closeSpan(span, now, failed ? 'error' : 'unset', message);
+          }
+        }
+        const run = this.#open.get(this.#key(SpanKind.RUN, runId));
+        if (run) Object.assign(run.attributes, attributesOf(data));
+        this.#closeSpan(run, now, failed ? 'error' : 'ok', message);
+        break;
+      }
+
+      case ClawEvent.PHASE_START:
+        this.#openSpan(phaseKey, {
+          name: phase, kind: SpanKind.PHASE, runId, parent: this.#runSpan(runId, now), attributes: attributesOf(data),
+        });
+        break;
+
+      case ClawEvent.PHASE_COMPLETE:
+      case ClawEvent.PHASE_ERROR: {
+        const span = this.#open.get(phaseKey);
+        if (span) Object.assign(span.attributes, attributesOf(data));
+        if (event === ClawEvent.PHASE_COMPLETE) this.#closeSpan(span, now, 'ok');
+        else this.#closeSpan(span, now, 'error', data.error?.message);
+        break;
+      }
+
+      case ClawEvent.PHASE_SKIP: {
+        const span = this.#openSpan(phaseKey, {
+          name: phase, kind: SpanKind.PHASE, runId, parent: this.#runSpan(runId, now), attributes: { skipped: true },
+        });
+        this.#closeSpan(span, now, 'ok');
+        break;
+      }
+
+      case ClawEvent.GENERATION_STEP_START:
+        this.#openSpan(this.#key(SpanKind.STEP, runId, data.step), {
+          name: data.step, kind: SpanKind.STEP, runId, parent: this.#innermost(runId, now), attributes: { phase },
+        });
+        break;
+
+      case ClawEvent.GENERATION_STEP_COMPLETE:
+        this.#closeSpan(this.#open.get(this.#key(SpanKind.STEP, runId, data.step)), now, 'ok');
+        break;
+
+      case ClawEvent.FILE_ERROR:
+        this.#closeSpan(this.#open.get(this.#key(SpanKind.STEP, runId, data.step)), now, 'error', data.error?.message);
+        break;
+
+      case ClawEvent.FILE_GENERATED: {
+        const span = this.#openSpan(null, {
+          name: `write ${path.basename(data.path)}`,
+          kind: SpanKind.FILE,
+          runId,
+          parent: this.#innermost(runId, now),
+          attributes: { path: data.path, size: data.size },
+          startTime: now - (data.durationMs ?? 0),
+        });
+        this.#closeSpan(span, now, 'ok');
+        break;
+      }
+
+      default:
+        // Everything else marks a moment inside the run.
+        if (runId === null) return;
+        this.#innermost(runId, now).events.push({ name: event, time: now, attributes: attributesOf(data) });
+    }
+  }
+
+  /**
+   * Whether events of `runId` are traced.
+   *
+   * @param {string|null|undefined} runId
+   * @returns {boolean}
+   */
+  #accepts(runId) {
+    return this.#runId === null || runId === this.#runId;
+  }
+
+  /**
+   * Key of an open span.
+   *
+   * @param {SpanKind} kind
+   * @param {...unknown} parts
+   * @returns {string}
+   */
+  #key(kind, ...parts) {
+    return [kind, ...parts].join('\0');
+  }
+
+  /**
+   * Returns the open run span of `runId`, opening one if the run has none
+   * (e.g. a resumed run whose PIPELINE_START was not seen).
+   *
+   * @param {string|null} runId
+   * @param {number} time
+   * @returns {Span}
+   */
+  #runSpan(runId, time) {
+    return this.#open.get(this.#key(SpanKind.RUN, runId)) ?? this.#openSpan(this.#key(SpanKind.RUN, runId), {
+      name: 'pipeline', kind: SpanKind.RUN, runId, parent: null, attributes: {}, startTime: time,
+    });
+  }
+
+  /**
+   * The most recently opened span of `runId` that is still open, or its run
+   * span.
+   *
+   * @param {string|null} runId
+   * @param {number} time
+   * @returns {Span}
+   */
+  #innermost(runId, time) {
+    for (const span of [...this.#open.values()].reverse()) {
+      if (span.runId === runId && span.kind !== SpanKind.HOOK) return span;
+    }
+    return this.#runSpan(runId, time);
+  }
+
+  /**
+   * Creates a span, registering it as open under `key` (unless null). A span
+   * already open under the same key is ended first.
+   *
+   * @param {string|null} key
+   * @param {{ name: string, kind: SpanKind, runId: string|null, parent: Span|null,
+   *   attributes: Record<string, unknown>, startTime?: number }} init
+   * @returns {Span}
+   */
+  #openSpan(key, { name, kind, runId, parent, attributes, startTime = clock() }) {
+    if (!this.#traceIds.has(runId)) this.#traceIds.set(runId, randomId(16));
+
+    /** @type {Span} */
+    const span = {
+      traceId: this.#traceIds.get(runId),
+      spanId: randomId(8),
+      parentId: parent?.spanId ?? null,
+      name: String(name),
+      kind,
+      runId,
+      startTime,
+      endTime: null,
+      status: 'unset',
+      statusMessage: null,
+      attributes,
+      events: [],
+    };
+    this.#spans.push(span);
+    if (key !== null) {
+      // A retried phase starts again before its failed attempt was closed.
+      this.#closeSpan(this.#open.get(key), startTime, 'error', 'Restarted.');
+      this.#open.set(key, span);
+    }
+    return span;
+  }
+
+  /**
+   * Ends an open span. Does nothing for a missing or already closed span.
+   *
+   * @param {Span|undefined} span
+   * @param {number} time
+   * @param {'unset'|'ok'|'error'} status
+   * @param {string|null} [message]
+   */
+  #closeSpan(span, time, status, message = null) {
+    if (!span || span.endTime !== null) return;
+    span.endTime = time;
+    span.status = status;
+    span.statusMessage = message ?? null;
+    for (const [key, open] of this.#open) {
+      if (open === span) this.#open.delete(key);
+    }
+  }
+
+  /**
+   * Writes JSON to `file`, creating its directory.
+   *
+   * @param {string} file
+   * @param {Object} json
+   * @returns {Promise<string>}
+   */
+  async #write(file, json) {
+    const target = path.resolve(file);
+    await mkdir(path.dirname(target), { recursive: true });
+    await writeFile(target, JSON.stringify(json), 'utf-8');
+    return target;
+  }
+}
+
+export default EventTracer;
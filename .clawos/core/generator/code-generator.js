@@ -424,9 +424,13 @@ const LANGUAGE_ADAPTERS = {
  * @property {string} name        - Template identifier.
  * @property {string} description - What this template generates.
  * @property {SupportedLanguage[]} languages - Supported target languages.
+ * @property {string} [version]   - Template version (defaults to {@link DEFAULT_TEMPLATE_VERSION}).
  * @property {(vars: Record<string, *>) => string} render
  */
 
+/** Version reported for templates that do not declare their own. */
+const DEFAULT_TEMPLATE_VERSION = '1.0.0';
+
 /** @type {Record<string, CodeTemplate>} */
 const CODE_TEMPLATES = {
   // ---------------------------------------------------------------------------
@@ -2077,13 +2081,14 @@ export class CodeGenerator {
   /**
    * List all available code template names.
    *
-   * @returns {{ name: string, description: string, languages: SupportedLanguage[] }[]}
+   * @returns {{ name: string, description: string, languages: SupportedLanguage[], version: string }[]}
    */
   listTemplates() {
     return Object.values(CODE_TEMPLATES).map((t) => ({
       name: t.name,
       description: t.description,
       languages: t.languages,
+      version: t.version ?? DEFAULT_TEMPLATE_VERSION,
     }));
   }
 
@@ -18,6 +18,8 @@
  * @license MIT
  */
 
+import { stringifyYaml } from '../config/yaml.js';
+
 // =============================================================================
 // Type definitions
 // =============================================================================
@@ -58,64 +60,6 @@
 // Internal serializers (no external deps)
 // =============================================================================
 
-/**
- * Serialize a plain object to a minimal YAML string.
- * Handles nested objects, arrays, strings, numbers, and booleans.
- *
- * @param {*} data
- * @param {number} [indent=0]
- * @returns {string}
- */
-function toYaml(data, indent = 0) {
-  const pad = ' '.repeat(indent);
-
-  if (data === null || data === undefined) return `${pad}null\n`;
-  if (typeof data === 'boolean') return `${pad}${data}\n`;
-  if (typeof data === 'number') return `${pad}${data}\n`;
-  if (typeof data === 'string') {
-    // Quote strings that could be misinterpreted.
-    if (/[:{}\[\],&*?|>!%#@`]/.test(data) || data === '' || data === 'true' || data === 'false') {
-      return `${pad}'${data.replace(/'/g, "''")}'\n`;
-    }
-    return `${pad}${data}\n`;
-  }
-
-  if (Array.isArray(data)) {
-    if (data.length === 0) return `${pad}[]\n`;
-    let out = '';
-    for (const item of data) {
-      if (typeof item === 'object' && item !== null && !Array.isArray(item)) {
-        const entries = Object.entries(item);
-        out += `${pad}- ${entries[0][0]}: ${String(entries[0][1]).trim()}\n`;
-        for (let i = 1; i < entries.length; i++) {
-          out += `${pad}  ${entries[i][0]}: ${String(entries[i][1]).trim()}\n`;
-        }
-      } else {
-        out += `${pad}- ${String(item).trim()}\n`;
-      }
-    }
-    return out;
-  }
-
-  if (typeof data === 'object') {
-    let out = '';
-    for (const [key, value] of Object.entries(data)) {
-      if (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length > 0) {
-        out += `${pad}${key}:\n`;
-        out += toYaml(value, indent + 2);
-      } else if (Array.isArray(value)) {
-        out += `${pad}${key}:\n`;
-        out += toYaml(value, indent + 2);
-      } else {
-        out += `${pad}${key}: ${toYaml(value, 0).trim()}\n`;
-      }
-    }
-    return out;
-  }
-
-  return `${pad}${String(data)}\n`;
-}
-
 /**
  * Serialize a plain object to a minimal TOML string.
  *
@@ -196,6 +140,9 @@ const CONFIG_TEMPLATES = {
       '# Temporary',
       'tmp/',
       '.cache/',
+      '',
+      '# ClawOS merge bases (regenerated on every run)',
+      '.clawos/base/',
     ];
 
     if (profile.useTypescript) {
@@ -538,7 +485,7 @@ const CONFIG_TEMPLATES = {
 
     return {
       path: 'docker-compose.yml',
-      content: toYaml(compose),
+      content: stringifyYaml(compose),
     };
   },
 
@@ -591,7 +538,7 @@ const CONFIG_TEMPLATES = {
 
     return {
       path: '.github/workflows/ci.yml',
-      content: toYaml(workflow),
+      content: stringifyYaml(workflow),
     };
   },
 
@@ -611,7 +558,7 @@ const CONFIG_TEMPLATES = {
   yaml(profile) {
     return {
       path: 'config.yaml',
-      content: toYaml(profile),
+      content: stringifyYaml(profile),
     };
   },
 
@@ -786,7 +733,7 @@ export class ConfigGenerator {
   generateYamlConfig(filePath, data) {
     return {
       path: filePath,
-      content: toYaml(data),
+      content: stringifyYaml(data),
     };
   }
 
@@ -822,13 +769,14 @@ export class ConfigGenerator {
   }
 
   /**
-   * Serialize an object to YAML. Exposed for external use.
+   * Serialize an object to YAML. Exposed for external use; the output
+   * round-trips through {@link parseYaml}.
    *
    * @param {Object} data
    * @returns {string}
    */
   static toYaml(data) {
-    return toYaml(data);
+    return stringifyYaml(data);
   }
 
   /**
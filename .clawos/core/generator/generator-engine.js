@@ -11,19 +11,82 @@
  *  2. Resolve module dependency order (topological sort).
  *  3. Orchestrate file generation in the correct sequence.
  *  4. Track progress and emit events via a lightweight event system.
- *  5. Handle file conflicts (skip, overwrite, merge).
+ *  5. Handle file conflicts (skip, overwrite, three-way merge).
  *  6. Support dry-run mode (return file map without writing to disk).
  *  7. Return a complete manifest of all generated files.
+ *  8. Write `clawos.lock.json` with content hashes of every emitted file.
+ *  9. Regenerate incrementally, rewriting only files affected by a change.
  *
  * @module generator/generator-engine
  * @author ClawOS Framework
  * @license MIT
  */
 
+import { promises as fs } from 'node:fs';
 import path from 'node:path';
 import { FileGenerator } from './file-generator.js';
 import { CodeGenerator } from './code-generator.js';
 import { ConfigGenerator } from './config-generator.js';
+import { threeWayMerge } from './three-way-merge.js';
+import {
+  LOCKFILE_NAME,
+  createLockfile,
+  serializeLockfile,
+  readLockfile,
+  classifyFiles,
+  hashContent,
+  stableStringify,
+} from './lockfile.js';
+
+/**
+ * Directory (relative to the output root) holding the last generated version
+ * of every file. The `merge` strategy uses it as the common ancestor. The
+ * generated `.gitignore` excludes it.
+ * @constant {string}
+ */
+export const MERGE_BASE_DIR = path.join('.clawos', 'base');
+
+/**
+ * File categories produced by the engine, used to work out which files a
+ * profile change affects during {@link GeneratorEngine#regenerate}.
+ * @enum {string}
+ */
+export const FileCategory = Object.freeze({
+  MODULE:  'module',
+  ENTRY:   'entry',
+  PACKAGE: 'package',
+  README:  'readme',
+  CONFIG:  'config',
+  TEST:    'test',
+  CLAUDE:  'claude',
+});
+
+/**
+ * Which file categories read each profile field. A changed field that is not
+ * listed here (and `language`, which changes every file extension) affects
+ * every category.
+ * @type {Readonly<Record<string, string[]>>}
+ */
+export const PROFILE_DEPENDENCIES = Object.freeze({
+  name:             ['entry', 'package', 'readme', 'claude', 'config'],
+  description:      ['entry', 'package', 'readme', 'claude'],
+  version:          ['module', 'package', 'claude'],
+  author:           ['package'],
+  license:          ['package', 'readme'],
+  domain:           ['entry', 'package', 'readme', 'claude', 'config'],
+  archetype:        ['claude'],
+  features:         ['package', 'readme'],
+  dependencies:     ['package'],
+  devDependencies:  ['package'],
+  port:             ['module', 'config'],
+  nodeVersion:      ['config'],
+  envVars:          ['config'],
+  useDocker:        ['config'],
+  useGitHubActions: ['config'],
+  useTypescript:    ['config'],
+  usePrettier:      ['config'],
+  useEslint:        ['config'],
+});
 
 // =============================================================================
 // Type definitions
@@ -82,6 +145,13 @@ import { ConfigGenerator } from './config-generator.js';
  * @typedef {'skip'|'overwrite'|'merge'} ConflictStrategy
  */
 
+/**
+ * @typedef {Object} MergeConflict
+ * @property {string} path - File path relative to the output root.
+ * @property {import('./three-way-merge.js').ConflictRegion[]} regions
+ *   Line ranges of the conflict blocks written into the file.
+ */
+
 /**
  * @typedef {Object} GenerationProgress
  * @property {number}  totalSteps     - Total generation steps.
@@ -102,6 +172,29 @@ import { ConfigGenerator } from './config-generator.js';
  * @property {number}   duration        - Generation time in milliseconds.
  * @property {Date}     generatedAt     - Timestamp.
  * @property {boolean}  dryRun          - Whether this was a dry run.
+ * @property {MergeConflict[]} conflicts - Files left with conflict markers by
+ *   the `merge` strategy (empty otherwise).
+ * @property {string|null} lockfile     - Lockfile path relative to the output
+ *   root (null for dry runs).
+ * @property {string[]} userModifiedFiles - Files the previous lockfile recorded
+ *   whose content was changed on disk before this run.
+ * @property {string[]} staleFiles      - Files the previous lockfile recorded
+ *   that this run no longer generates.
+ * @property {RequirementsProfile} profile - Snapshot of the profile used.
+ * @property {Blueprint} blueprint      - Snapshot of the blueprint used.
+ * @property {Changeset} [changeset]    - Present on manifests returned by
+ *   {@link GeneratorEngine#regenerate}.
+ */
+
+/**
+ * @typedef {Object} Changeset
+ * @property {string[]} changedFields - Profile fields that differ from the previous run.
+ * @property {string[]} added     - Files written for the first time.
+ * @property {string[]} modified  - Files rewritten because their content changed.
+ * @property {string[]} removed   - Files deleted because they no longer belong to the blueprint.
+ * @property {string[]} unchanged - Files left untouched.
+ * @property {string[]} preserved - Files that no longer belong to the blueprint
+ *   but were kept because the user edited them (all strategies but `overwrite`).
  */
 
 /**
@@ -149,12 +242,28 @@ export class GeneratorEngine {
   /** @type {Map<string, string>} path -> content (used in dry-run and tracking) */
   #generatedFiles = new Map();
 
+  /**
+   * @type {Map<string, string>} path -> content left on disk, where it differs
+   * from the generated content (merged files). The lockfile always records the
+   * generated content so later runs can tell hand edits apart.
+   */
+  #writtenFiles = new Map();
+
   /** @type {Map<string, Set<EventListener>>} */
   #listeners = new Map();
 
   /** @type {ConflictStrategy} */
   #conflictStrategy;
 
+  /** @type {MergeConflict[]} */
+  #conflicts = [];
+
+  /** @type {import('./lockfile.js').Lockfile|null} Lock from the previous run. */
+  #previousLock = null;
+
+  /** @type {import('./lockfile.js').FileClassification|null} */
+  #previousStatus = null;
+
   /**
    * Create a new GeneratorEngine.
    *
@@ -178,10 +287,13 @@ export class GeneratorEngine {
    *
    * Events:
    *  - `progress`       — Fired after each step. Payload: {@link GenerationProgress}
-   *  - `file:created`   — Fired after a file is written. Payload: { path, size }
+   *  - `file:created`   — Fired after a file is written. Payload: { path, size, durationMs }
+   *  - `file:removed`   — Fired after regeneration deletes a file. Payload: { path }
    *  - `step:start`     — Fired before a step begins. Payload: { step }
    *  - `step:complete`  — Fired after a step completes. Payload: { step }
-   *  - `conflict`       — Fired when a file conflict is detected. Payload: { path, strategy }
+   *  - `conflict`       — Fired when an existing file is skipped or overwritten,
+   *                       or when a merge leaves conflict markers.
+   *                       Payload: { path, strategy, regions? }
    *  - `error`          — Fired on error. Payload: { error, step }
    *  - `complete`       — Fired when generation finishes. Payload: {@link GeneratedManifest}
    *
@@ -233,6 +345,10 @@ export class GeneratorEngine {
 
     this.#fileGenerator = new FileGenerator({ basePath: absoluteOutput });
     this.#generatedFiles.clear();
+    this.#writtenFiles.clear();
+    this.#conflicts = [];
+    this.#previousLock = null;
+    this.#previousStatus = null;
     this.#progress = GeneratorEngine.#initialProgress();
     this.#progress.status = 'running';
 
@@ -241,13 +357,23 @@ export class GeneratorEngine {
     this.#codeGenerator = new CodeGenerator({ language: profile.language ?? 'javascript' });
 
     try {
+      // Classify existing files before anything is overwritten. A corrupt
+      // lockfile is treated as absent.
+      this.#previousLock = await readLockfile(absoluteOutput).catch((err) => {
+        if (err.code === 'LOCKFILE_INVALID') return null;
+        throw err;
+      });
+      if (this.#previousLock) {
+        this.#previousStatus = classifyFiles(absoluteOutput, this.#previousLock);
+      }
+
       // Calculate total steps.
       const sortedModules = GeneratorEngine.#topologicalSort(blueprint.modules || []);
       const configFiles = this.#configGenerator.generateAll(profile);
       const testFiles = this.#codeGenerator.generateTests(sortedModules);
 
       // Steps: scaffold dirs + each module + entry point + package.json +
-      //        README + each config + each test + CLAUDE.md
+      //        README + each config + each test + CLAUDE.md + lockfile
       this.#progress.totalSteps =
         1 +                         // scaffold
         sortedModules.length +      // modules
@@ -256,7 +382,8 @@ export class GeneratorEngine {
         1 +                         // README
         configFiles.length +        // config files
         testFiles.length +          // test files
-        1;                          // CLAUDE.md stub
+        1 +                         // CLAUDE.md stub
+        1;                          // lockfile
 
       // 1. Scaffold directory structure
       await this.#step('Scaffolding directory structure', async () => {
@@ -328,12 +455,28 @@ export class GeneratorEngine {
         );
       });
 
+      // 9. Lockfile
+      await this.#step(`Writing ${LOCKFILE_NAME}`, async () => {
+        const lock = createLockfile({
+          blueprint,
+          profile,
+          files: this.#generatedFiles,
+          templates: this.#templatesUsed(sortedModules),
+          previous: this.#previousLock,
+        });
+        await this.#fileGenerator.writeFile(
+          path.join(absoluteOutput, LOCKFILE_NAME),
+          serializeLockfile(lock),
+        );
+      });
+
       // Build manifest
       const manifest = this.#buildManifest(
         blueprint.name || profile.name,
         absoluteOutput,
         startTime,
         false,
+        { blueprint, profile },
       );
 
       this.#progress.status = 'completed';
@@ -372,88 +515,187 @@ export class GeneratorEngine {
 
     this.#fileGenerator = new FileGenerator({ basePath: virtualOutput, dryRun: true });
     this.#generatedFiles.clear();
+    this.#writtenFiles.clear();
+    this.#conflicts = [];
+    this.#previousLock = null;
+    this.#previousStatus = null;
     this.#configGenerator = new ConfigGenerator(profile);
     this.#codeGenerator = new CodeGenerator({ language: profile.language ?? 'javascript' });
 
-    const sortedModules = GeneratorEngine.#topologicalSort(blueprint.modules || []);
-    const adapter = this.#codeGenerator.getAdapter();
+    for (const [file, content] of this.#renderFileMap(blueprint, profile)) {
+      this.#generatedFiles.set(file, content);
+    }
 
-    // Generate module content
-    for (const mod of sortedModules) {
-      const kebab = GeneratorEngine.#toKebab(mod.name);
-      const relPath = `src/core/${kebab}${adapter.extension}`;
-      let content;
+    const manifest = this.#buildManifest(
+      blueprint.name || profile.name,
+      virtualOutput,
+      startTime,
+      true,
+      { blueprint, profile },
+    );
 
-      if (mod.template) {
-        content = this.#codeGenerator.getTemplate(mod.template, {
-          name: mod.name,
-          description: mod.description,
-          ...(mod.templateVars || {}),
-        });
-      } else {
-        content = this.#codeGenerator.generateModule(mod);
-      }
+    return {
+      fileMap: new Map(this.#generatedFiles),
+      manifest,
+    };
+  }
 
-      this.#generatedFiles.set(relPath, content);
+  /**
+   * Regenerate a framework after the blueprint or profile changed, rewriting
+   * only the files the change affects.
+   *
+   * Changed profile fields are mapped to file categories through
+   * {@link PROFILE_DEPENDENCIES}; changed, added or removed blueprint modules
+   * affect their own module and test files plus the files that list modules.
+   * Affected files are re-rendered and written (honouring the conflict
+   * strategy) only when their content differs from what was generated last
+   * time. Files that no longer belong to the blueprint are deleted unless
+   * the user edited them.
+   *
+   * @param {GeneratedManifest}   previousManifest - Manifest of the last generation.
+   * @param {Blueprint}           blueprint        - New blueprint.
+   * @param {RequirementsProfile} profile          - New profile.
+   * @returns {Promise<GeneratedManifest>} Manifest including a {@link Changeset}.
+   * @throws {Error} If the previous manifest has no output path or was a dry run.
+   */
+  async regenerate(previousManifest, blueprint, profile) {
+    if (!previousManifest?.outputPath || previousManifest.dryRun) {
+      throw new Error('[GeneratorEngine] regenerate() needs the manifest of a previous non-dry-run generation.');
     }
 
-    // Entry point
-    {
-      const content = this.#codeGenerator.generateEntryPoint(sortedModules, {
-        name: profile.name,
-        description: profile.description,
-        domain: profile.domain,
+    const startTime = Date.now();
+    const absoluteOutput = path.resolve(previousManifest.outputPath);
+    const previousFiles = new Set(
+      (previousManifest.files ?? []).map((f) => f.split(path.sep).join('/')),
+    );
+
+    this.#fileGenerator = new FileGenerator({ basePath: absoluteOutput });
+    this.#generatedFiles.clear();
+    this.#writtenFiles.clear();
+    this.#conflicts = [];
+    this.#progress = GeneratorEngine.#initialProgress();
+    this.#progress.status = 'running';
+    this.#configGenerator = new ConfigGenerator(profile);
+    this.#codeGenerator = new CodeGenerator({ language: profile.language ?? 'javascript' });
+
+    /** @type {Changeset} */
+    const changeset = {
+      changedFields: [],
+      added: [],
+      modified: [],
+      removed: [],
+      unchanged: [],
+      preserved: [],
+    };
+
+    try {
+      this.#previousLock = await readLockfile(absoluteOutput).catch((err) => {
+        if (err.code === 'LOCKFILE_INVALID') return null;
+        throw err;
       });
-      this.#generatedFiles.set(`src/index${adapter.extension}`, content);
-    }
+      this.#previousStatus = this.#previousLock
+        ? classifyFiles(absoluteOutput, this.#previousLock)
+        : null;
+
+      const affected = GeneratorEngine.#affectedFiles(previousManifest, blueprint, profile);
+      changeset.changedFields = affected.changedFields;
+
+      const fileMap = this.#renderFileMap(blueprint, profile);
+
+      /** @type {Array<[string, string]>} */
+      const writes = [];
+      for (const [file, content] of fileMap) {
+        this.#generatedFiles.set(file, content);
+
+        if (this.#ownedElsewhere(file) && !this.#previousStatus.missing.includes(file)) {
+          changeset.unchanged.push(file);
+        } else if (!previousFiles.has(file)) {
+          changeset.added.push(file);
+          writes.push([file, content]);
+        } else if (affected.has(file) && !(await this.#matchesPrevious(absoluteOutput, file, content))) {
+          changeset.modified.push(file);
+          writes.push([file, content]);
+        } else {
+          changeset.unchanged.push(file);
+        }
+      }
+
+      const removals = [...previousFiles].filter((f) => !fileMap.has(f));
+      const userModified = new Set(this.#previousStatus?.modified ?? []);
 
-    // package.json
-    {
-      const content = this.#codeGenerator.generatePackageJson({
-        ...profile,
-        modules: sortedModules,
+      // Steps: scaffold dirs + each write + each removal + lockfile
+      this.#progress.totalSteps = 1 + writes.length + removals.length + 1;
+
+      await this.#step('Scaffolding directory structure', async () => {
+        await this.#scaffoldDirectories(absoluteOutput, profile);
       });
-      this.#generatedFiles.set('package.json', content);
-    }
 
-    // README
-    {
-      const content = this.#codeGenerator.generateReadme({
-        ...profile,
-        modules: sortedModules,
+      for (const [file, content] of writes) {
+        await this.#step(`Writing ${file}`, async () => {
+          await this.#writeFileWithConflictCheck(path.join(absoluteOutput, file), content);
+        });
+      }
+
+      // Deletions run last: FileGenerator can roll back writes but not deletes.
+      for (const file of removals) {
+        await this.#step(`Removing ${file}`, async () => {
+          if (userModified.has(file) && this.#conflictStrategy !== 'overwrite') {
+            changeset.preserved.push(file);
+            return;
+          }
+          const removed = await GeneratorEngine.#removeFile(path.join(absoluteOutput, file));
+          await GeneratorEngine.#removeFile(path.join(absoluteOutput, MERGE_BASE_DIR, file));
+          if (removed) {
+            changeset.removed.push(file);
+            this.#emit('file:removed', { path: path.join(absoluteOutput, file) });
+          }
+        });
+      }
+
+      await this.#step(`Writing ${LOCKFILE_NAME}`, async () => {
+        const lock = createLockfile({
+          blueprint,
+          profile,
+          files: this.#generatedFiles,
+          templates: this.#templatesUsed(GeneratorEngine.#topologicalSort(blueprint.modules || [])),
+          previous: this.#previousLock,
+        });
+        // Untouched files keep the hash of what is actually on disk.
+        for (const file of changeset.unchanged) {
+          const previous = this.#previousLock?.files[file];
+          if (previous) lock.files[file] = previous;
+        }
+        await this.#fileGenerator.writeFile(
+          path.join(absoluteOutput, LOCKFILE_NAME),
+          serializeLockfile(lock),
+        );
       });
-      this.#generatedFiles.set('README.md', content);
-    }
 
-    // Config files
-    const configFiles = this.#configGenerator.generateAll(profile);
-    for (const cfg of configFiles) {
-      this.#generatedFiles.set(cfg.path, cfg.content);
-    }
+      const manifest = {
+        ...this.#buildManifest(blueprint.name || profile.name, absoluteOutput, startTime, false, {
+          blueprint,
+          profile,
+        }),
+        changeset,
+      };
 
-    // Test files
-    const testFiles = this.#codeGenerator.generateTests(sortedModules);
-    for (const test of testFiles) {
-      this.#generatedFiles.set(test.path, test.content);
-    }
+      this.#progress.status = 'completed';
+      this.#progress.percentage = 100;
+      this.#emit('complete', manifest);
 
-    // CLAUDE.md
-    {
-      const content = this.#generateClaudeMd(blueprint, profile);
-      this.#generatedFiles.set('CLAUDE.md', content);
-    }
+      return manifest;
+    } catch (/** @type {*} */ error) {
+      this.#progress.status = 'failed';
+      this.#emit('error', { error, step: this.#progress.currentStep });
 
-    const manifest = this.#buildManifest(
-      blueprint.name || profile.name,
-      virtualOutput,
-      startTime,
-      true,
-    );
+      try {
+        await this.#fileGenerator.rollback();
+      } catch {
+        // Best-effort rollback; swallow secondary errors.
+      }
 
-    return {
-      fileMap: new Map(this.#generatedFiles),
-      manifest,
-    };
+      throw error;
+    }
   }
 
   /**
@@ -504,32 +746,36 @@ export class GeneratorEngine {
 
   /**
    * Write a file, handling conflicts according to the configured strategy.
+   * Every written file's generated content is also stored under
+   * {@link MERGE_BASE_DIR} as the base for future merges. An existing file
+   * the previous lockfile attributes to another writer (e.g. CLAUDE.md,
+   * completed by the INTEGRATE phase) is left to that writer.
    *
    * @param {string} absolutePath
    * @param {string} content
    */
   async #writeFileWithConflictCheck(absolutePath, content) {
+    const t0 = performance.now();
+    const basePath = this.#fileGenerator.resolve('');
+    const relative = path.relative(basePath, absolutePath);
     const exists = await this.#fileGenerator.exists(absolutePath);
+    let written = content;
 
-    if (exists) {
-      this.#emit('conflict', { path: absolutePath, strategy: this.#conflictStrategy });
+    if (exists && this.#ownedElsewhere(relative)) return;
 
+    if (exists) {
       switch (this.#conflictStrategy) {
         case 'skip':
+          this.#emit('conflict', { path: absolutePath, strategy: 'skip' });
           return;
 
         case 'merge':
-          // For merge strategy, append a section marker and new content.
-          // In production this could invoke a real merge algorithm.
-          {
-            const separator = '\n\n// --- ClawOS Generated (merged) ---\n\n';
-            const merged = content + separator;
-            await this.#fileGenerator.writeFile(absolutePath, merged);
-          }
+          written = await this.#mergeWithBase(absolutePath, relative, content);
           break;
 
         case 'overwrite':
         default:
+          this.#emit('conflict', { path: absolutePath, strategy: this.#conflictStrategy });
           await this.#fileGenerator.writeFile(absolutePath, content);
           break;
       }
@@ -537,17 +783,263 @@ export class GeneratorEngine {
       await this.#fileGenerator.writeFile(absolutePath, content);
     }
 
+    await this.#fileGenerator.writeFile(path.join(basePath, MERGE_BASE_DIR, relative), content);
+
     // Track
-    const basePath = this.#fileGenerator.resolve('');
-    const relative = path.relative(basePath, absolutePath);
     this.#generatedFiles.set(relative, content);
+    if (written !== content) {
+      this.#writtenFiles.set(relative, written);
+    } else {
+      this.#writtenFiles.delete(relative);
+    }
 
     this.#emit('file:created', {
       path: absolutePath,
-      size: Buffer.byteLength(content, 'utf-8'),
+      size: Buffer.byteLength(written, 'utf-8'),
+      durationMs: Math.round((performance.now() - t0) * 100) / 100,
     });
   }
 
+  /**
+   * Whether the previous lockfile records a file as written by someone other
+   * than the generator (see `LockedFile.source`).
+   *
+   * @param {string} relative - Path relative to the output root.
+   * @returns {boolean}
+   */
+  #ownedElsewhere(relative) {
+    return Boolean(this.#previousLock?.files[relative.split(path.sep).join('/')]?.source);
+  }
+
+  /**
+   * Three-way merge the file on disk with freshly generated content, using
+   * the stored base as common ancestor. Without a base (first merge, or the
+   * base was deleted) an empty ancestor is assumed, so any difference between
+   * disk and generated content becomes a single conflict.
+   *
+   * @param {string} absolutePath
+   * @param {string} relative - Path relative to the output root.
+   * @param {string} content  - Newly generated content.
+   * @returns {Promise<string>} The content left on disk.
+   */
+  async #mergeWithBase(absolutePath, relative, content) {
+    const basePath = this.#fileGenerator.resolve('');
+    const current = await fs.readFile(absolutePath, 'utf-8');
+
+    // The lock records generated content, so a matching hash means the file
+    // is exactly what the last run generated: safe to replace.
+    const locked = this.#previousLock?.files[relative.split(path.sep).join('/')];
+    if (locked && locked.hash === hashContent(current)) {
+      await this.#fileGenerator.writeFile(absolutePath, content);
+      return content;
+    }
+
+    let base = '';
+    try {
+      base = await fs.readFile(path.join(basePath, MERGE_BASE_DIR, relative), 'utf-8');
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+
+    const result = threeWayMerge(base, current, content);
+
+    if (result.content !== current) {
+      await this.#fileGenerator.writeFile(absolutePath, result.content);
+    }
+
+    if (!result.clean) {
+      const conflict = { path: relative, regions: result.conflicts };
+      this.#conflicts.push(conflict);
+      this.#emit('conflict', { path: absolutePath, strategy: 'merge', regions: result.conflicts });
+    }
+
+    return result.content;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Private: incremental regeneration
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Render every file of a generation in memory.
+   *
+   * @param {Blueprint}           blueprint
+   * @param {RequirementsProfile} profile
+   * @returns {Map<string, string>} Relative path (forward slashes) -> content.
+   */
+  #renderFileMap(blueprint, profile) {
+    /** @type {Map<string, string>} */
+    const files = new Map();
+    const sortedModules = GeneratorEngine.#topologicalSort(blueprint.modules || []);
+    const adapter = this.#codeGenerator.getAdapter();
+
+    // Module content
+    for (const mod of sortedModules) {
+      const kebab = GeneratorEngine.#toKebab(mod.name);
+      const content = mod.template
+        ? this.#codeGenerator.getTemplate(mod.template, {
+          name: mod.name,
+          description: mod.description,
+          port: profile.port,
+          version: profile.version,
+          ...(mod.templateVars || {}),
+        })
+        : this.#codeGenerator.generateModule(mod, profile.language);
+      files.set(`src/core/${kebab}${adapter.extension}`, content);
+    }
+
+    // Entry point
+    files.set(`src/index${adapter.extension}`, this.#codeGenerator.generateEntryPoint(sortedModules, {
+      name: profile.name,
+      description: profile.description,
+      domain: profile.domain,
+    }));
+
+    // package.json and README
+    files.set('package.json', this.#codeGenerator.generatePackageJson({ ...profile, modules: sortedModules }));
+    files.set('README.md', this.#codeGenerator.generateReadme({ ...profile, modules: sortedModules }));
+
+    // Config files
+    for (const cfg of this.#configGenerator.generateAll(profile)) {
+      files.set(cfg.path, cfg.content);
+    }
+
+    // Test files
+    for (const test of this.#codeGenerator.generateTests(sortedModules)) {
+      files.set(test.path, test.content);
+    }
+
+    // CLAUDE.md
+    files.set('CLAUDE.md', this.#generateClaudeMd(blueprint, profile));
+
+    return files;
+  }
+
+  /**
+   * Whether freshly rendered content equals what the previous run generated.
+   * Uses the lockfile hash when available and the file on disk otherwise.
+   *
+   * @param {string} outputRoot
+   * @param {string} file
+   * @param {string} content
+   * @returns {Promise<boolean>}
+   */
+  async #matchesPrevious(outputRoot, file, content) {
+    const locked = this.#previousLock?.files[file];
+    if (locked) return locked.hash === hashContent(content);
+
+    try {
+      return (await fs.readFile(path.join(outputRoot, file), 'utf-8')) === content;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
+  /**
+   * Work out which files a blueprint/profile change affects.
+   *
+   * @param {GeneratedManifest}   previous
+   * @param {Blueprint}           blueprint
+   * @param {RequirementsProfile} profile
+   * @returns {{ has: (file: string) => boolean, changedFields: string[] }}
+   */
+  static #affectedFiles(previous, blueprint, profile) {
+    const oldProfile = previous.profile ?? null;
+    const oldBlueprint = previous.blueprint ?? null;
+
+    // Without a recorded profile every file is a candidate.
+    if (!oldProfile || !oldBlueprint) {
+      return { has: () => true, changedFields: Object.keys(profile).sort() };
+    }
+
+    const changedFields = [...new Set([...Object.keys(oldProfile), ...Object.keys(profile)])]
+      .filter((key) => stableStringify(oldProfile[key]) !== stableStringify(profile[key]))
+      .sort();
+
+    /** @type {Set<string>} */
+    const categories = new Set();
+    let everything = false;
+    for (const field of changedFields) {
+      const deps = field === 'language' ? null : PROFILE_DEPENDENCIES[field];
+      if (!deps) {
+        everything = true;
+        break;
+      }
+      deps.forEach((c) => categories.add(c));
+    }
+    if (everything) {
+      return { has: () => true, changedFields };
+    }
+
+    // Module-level changes.
+    const byName = (modules) => new Map((modules || []).map((m) => [m.name, stableStringify(m)]));
+    const before = byName(oldBlueprint.modules);
+    const after = byName(blueprint.modules);
+    /** @type {Set<string>} */
+    const changedModules = new Set();
+    for (const [name, spec] of after) {
+      if (before.get(name) !== spec) changedModules.add(GeneratorEngine.#toKebab(name));
+    }
+
+    const listChanged =
+      stableStringify((oldBlueprint.modules || []).map((m) => [m.name, m.description])) !==
+      stableStringify((blueprint.modules || []).map((m) => [m.name, m.description]));
+    if (listChanged) {
+      categories.add(FileCategory.ENTRY).add(FileCategory.README).add(FileCategory.CLAUDE);
+    }
+
+    const claudeInputs = (bp) => stableStringify([bp.name, bp.archetype, bp.domain]);
+    if (claudeInputs(oldBlueprint) !== claudeInputs(blueprint)) {
+      categories.add(FileCategory.CLAUDE);
+    }
+
+    return {
+      changedFields,
+      has(file) {
+        const category = GeneratorEngine.#categorize(file);
+        if (categories.has(category)) return true;
+        if (category === FileCategory.MODULE || category === FileCategory.TEST) {
+          const stem = path.posix.basename(file).replace(/(\.test)?\.[^.]+$/, '');
+          return changedModules.has(stem);
+        }
+        return false;
+      },
+    };
+  }
+
+  /**
+   * Map a generated file path to its {@link FileCategory}.
+   *
+   * @param {string} file - Relative path with forward slashes.
+   * @returns {string}
+   */
+  static #categorize(file) {
+    if (file.startsWith('src/core/')) return FileCategory.MODULE;
+    if (file.startsWith('src/index.')) return FileCategory.ENTRY;
+    if (file.startsWith('tests/')) return FileCategory.TEST;
+    if (file === 'package.json') return FileCategory.PACKAGE;
+    if (file === 'README.md') return FileCategory.README;
+    if (file === 'CLAUDE.md') return FileCategory.CLAUDE;
+    return FileCategory.CONFIG;
+  }
+
+  /**
+   * Delete a file if it exists.
+   *
+   * @param {string} absolutePath
+   * @returns {Promise<boolean>} Whether a file was removed.
+   */
+  static async #removeFile(absolutePath) {
+    try {
+      await fs.unlink(absolutePath);
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+
   // ---------------------------------------------------------------------------
   // Private: generation helpers
   // ---------------------------------------------------------------------------
@@ -693,6 +1185,20 @@ export class GeneratorEngine {
     return lines.join('\n');
   }
 
+  /**
+   * Code templates referenced by the modules, with their versions.
+   *
+   * @param {BlueprintModule[]} modules
+   * @returns {Array<{ id: string, version: string }>}
+   */
+  #templatesUsed(modules) {
+    const versions = new Map(
+      this.#codeGenerator.listTemplates().map((t) => [t.name, t.version]),
+    );
+    const ids = [...new Set(modules.map((m) => m.template).filter(Boolean))];
+    return ids.map((id) => ({ id, version: versions.get(id) ?? 'unknown' }));
+  }
+
   // ---------------------------------------------------------------------------
   // Private: manifest building
   // ---------------------------------------------------------------------------
@@ -704,14 +1210,15 @@ export class GeneratorEngine {
    * @param {string}  outputPath
    * @param {number}  startTime
    * @param {boolean} dryRun
+   * @param {{ blueprint: Blueprint, profile: RequirementsProfile }} inputs
    * @returns {GeneratedManifest}
    */
-  #buildManifest(name, outputPath, startTime, dryRun) {
+  #buildManifest(name, outputPath, startTime, dryRun, inputs) {
     const files = [...this.#generatedFiles.keys()];
     const directories = [...new Set(files.map((f) => path.dirname(f)))].sort();
     let totalSize = 0;
-    for (const content of this.#generatedFiles.values()) {
-      totalSize += Buffer.byteLength(content, 'utf-8');
+    for (const [file, content] of this.#generatedFiles) {
+      totalSize += Buffer.byteLength(this.#writtenFiles.get(file) ?? content, 'utf-8');
     }
 
     return {
@@ -724,6 +1231,16 @@ export class GeneratorEngine {
       duration: Date.now() - startTime,
       generatedAt: new Date(),
       dryRun,
+      conflicts: this.#conflicts.map((c) => ({ ...c, regions: [...c.regions] })),
+      lockfile: dryRun ? null : LOCKFILE_NAME,
+      userModifiedFiles: [...(this.#previousStatus?.modified ?? [])],
+      staleFiles: this.#previousLock
+        ? Object.entries(this.#previousLock.files)
+          .filter(([f, entry]) => !entry.source && !this.#generatedFiles.has(f.split('/').join(path.sep)))
+          .map(([f]) => f)
+        : [],
+      profile: JSON.parse(JSON.stringify(inputs.profile ?? {})),
+      blueprint: JSON.parse(JSON.stringify(inputs.blueprint ?? {})),
     };
   }
 
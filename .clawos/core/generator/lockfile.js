@@ -0,0 +1,309 @@
+/**
+ * @fileoverview Generation lockfile — `clawos.lock.json` in the output root.
+ *
+ * Records what a generation run produced: a hash of the requirements profile,
+ * the blueprint id, the templates used and a content hash for every emitted
+ * file. On re-generation the lock tells which files the user changed since
+ * (hash mismatch), which are untouched and safe to overwrite (hash match),
+ * and which are stale (locked but no longer generated).
+ *
+ * Read by {@link GeneratorEngine} (merge strategy) and {@link IntegrityChecker}.
+ *
+ * @module generator/lockfile
+ * @author ClawOS Framework
+ * @license MIT
+ */
+
+import { promises as fs, readFileSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { hashId } from '../blueprint/blueprint-engine.js';
+
+// =============================================================================
+// Constants
+// =============================================================================
+
+/** Lockfile name, written to the output root. @constant {string} */
+export const LOCKFILE_NAME = 'clawos.lock.json';
+
+/** Lockfile format version. @constant {number} */
+export const LOCKFILE_VERSION = 1;
+
+/** Version of the generator recorded in new lockfiles. @constant {string} */
+export const GENERATOR_VERSION = '1.0.0';
+
+// =============================================================================
+// Type definitions
+// =============================================================================
+
+/**
+ * @typedef {Object} LockedFile
+ * @property {string} hash - `sha256-<hex>` of the content the writer produced.
+ *   For merged files this is the generated content, not the merge result, so
+ *   hand edits kept by the merge still read as modified.
+ * @property {number} size - Size in bytes.
+ * @property {string} [source] - Writer of the file when it was not the
+ *   generator itself (e.g. `'integration'`). Such entries are carried over
+ *   by re-generation and never reported as stale, and the generator leaves
+ *   existing files recorded this way to their writer.
+ */
+
+/**
+ * @typedef {Object} Lockfile
+ * @property {number} lockfileVersion
+ * @property {{ name: string, version: string }} generator
+ * @property {string} name           - Framework name.
+ * @property {string} profileHash    - `sha256-<hex>` of the requirements profile.
+ * @property {string} blueprintId    - {@link hashId} of the blueprint.
+ * @property {Array<{ id: string, version: string }>} templates - Code templates used.
+ * @property {Record<string, LockedFile>} files - Keyed by path relative to the output root.
+ * @property {string} generatedAt    - ISO timestamp.
+ */
+
+/**
+ * @typedef {Object} FileClassification
+ * @property {string[]} unchanged - On disk with the locked hash (safe to overwrite).
+ * @property {string[]} modified  - On disk with a different hash (user edits).
+ * @property {string[]} missing   - Locked but no longer on disk.
+ * @property {string[]} stale     - Locked but not part of the next generation.
+ */
+
+// =============================================================================
+// Hashing
+// =============================================================================
+
+/**
+ * JSON serialisation with object keys sorted, so equal values always hash
+ * the same regardless of key insertion order.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map((v) => stableStringify(v ?? null)).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    const keys = Object.keys(value).filter((k) => value[k] !== undefined).sort();
+    return `{${keys.map((k) => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+/**
+ * Content hash used for every locked file.
+ *
+ * @param {string|Buffer} content
+ * @returns {string} `sha256-<hex>`
+ */
+export function hashContent(content) {
+  return `sha256-${createHash('sha256').update(content).digest('hex')}`;
+}
+
+// =============================================================================
+// Building and I/O
+// =============================================================================
+
+/**
+ * Build a lockfile for a generation run.
+ *
+ * @param {Object} input
+ * @param {Object} input.blueprint
+ * @param {Object} input.profile
+ * @param {Map<string, string>|Record<string, string>} input.files - Relative path -> content.
+ * @param {Array<{ id: string, version: string }>} [input.templates=[]]
+ * @param {Lockfile|null} [input.previous] - Previous lock; entries recorded
+ *   by other writers (with a `source`) are carried over.
+ * @returns {Lockfile}
+ */
+export function createLockfile({ blueprint, profile, files, templates = [], previous = null }) {
+  const entries = files instanceof Map ? [...files] : Object.entries(files);
+
+  /** @type {Record<string, LockedFile>} */
+  const locked = {};
+  for (const [file, entry] of Object.entries(previous?.files ?? {})) {
+    if (entry.source) locked[file] = { ...entry };
+  }
+  for (const [file, content] of entries) {
+    locked[toLockPath(file)] = {
+      hash: hashContent(content),
+      size: Buffer.byteLength(content, 'utf-8'),
+    };
+  }
+
+  return {
+    lockfileVersion: LOCKFILE_VERSION,
+    generator: { name: 'clawos', version: GENERATOR_VERSION },
+    name: blueprint?.name || profile?.name || 'unknown',
+    profileHash: hashContent(stableStringify(profile ?? {})),
+    blueprintId: hashId(stableStringify(blueprint ?? {})),
+    templates: [...templates].sort((a, b) => a.id.localeCompare(b.id)),
+    files: sortKeys(locked),
+    generatedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Serialise a lockfile with a trailing newline.
+ *
+ * @param {Lockfile} lock
+ * @returns {string}
+ */
+export function serializeLockfile(lock) {
+  return `${JSON.stringify(lock, null, 2)}\n`;
+}
+
+/**
+ * Parse lockfile text, rejecting unknown versions.
+ *
+ * @param {string} raw
+ * @param {string} file - Used in error messages.
+ * @returns {Lockfile}
+ * @throws {Error} With code `LOCKFILE_INVALID`.
+ */
+function parseLockfile(raw, file) {
+  let lock;
+  try {
+    lock = JSON.parse(raw);
+  } catch (cause) {
+    const err = new Error(`[Lockfile] Cannot parse "${file}": ${cause.message}`);
+    err.code = 'LOCKFILE_INVALID';
+    throw err;
+  }
+
+  if (lock?.lockfileVersion !== LOCKFILE_VERSION || typeof lock.files !== 'object' || lock.files === null) {
+    const err = new Error(`[Lockfile] Unsupported lockfile format in "${file}".`);
+    err.code = 'LOCKFILE_INVALID';
+    throw err;
+  }
+
+  return lock;
+}
+
+/**
+ * Read the lockfile from an output root.
+ *
+ * @param {string} outputRoot
+ * @returns {Promise<Lockfile|null>} Null when there is no lockfile.
+ * @throws {Error} With code `LOCKFILE_INVALID` if it exists but is malformed.
+ */
+export async function readLockfile(outputRoot) {
+  const file = path.join(outputRoot, LOCKFILE_NAME);
+  let raw;
+  try {
+    raw = await fs.readFile(file, 'utf-8');
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+  return parseLockfile(raw, file);
+}
+
+/**
+ * Synchronous variant of {@link readLockfile} for the validators.
+ *
+ * @param {string} outputRoot
+ * @returns {Lockfile|null}
+ */
+export function readLockfileSync(outputRoot) {
+  const file = path.join(outputRoot, LOCKFILE_NAME);
+  if (!existsSync(file)) return null;
+  return parseLockfile(readFileSync(file, 'utf-8'), file);
+}
+
+/**
+ * Write a lockfile to an output root.
+ *
+ * @param {string}   outputRoot
+ * @param {Lockfile} lock
+ * @returns {Promise<string>} The lockfile path.
+ */
+export async function writeLockfile(outputRoot, lock) {
+  const file = path.join(outputRoot, LOCKFILE_NAME);
+  await fs.writeFile(file, serializeLockfile(lock), 'utf-8');
+  return file;
+}
+
+/**
+ * Re-hash files that were written after the lock was created (for example
+ * by the INTEGRATE phase) and record them in the existing lockfile.
+ *
+ * @param {string}   outputRoot
+ * @param {string[]} relativePaths
+ * @param {string}   source - Writer recorded on each entry (see {@link LockedFile}).
+ * @param {Map<string, string>} [contents] - Content to hash instead of the
+ *   file on disk, keyed like `relativePaths` (the writer's output for a file
+ *   it merged).
+ * @returns {Promise<Lockfile|null>} The updated lock, or null if there is none.
+ */
+export async function recordFiles(outputRoot, relativePaths, source, contents = new Map()) {
+  const lock = await readLockfile(outputRoot);
+  if (!lock) return null;
+
+  for (const file of relativePaths) {
+    const content = contents.has(file)
+      ? Buffer.from(contents.get(file), 'utf-8')
+      : await fs.readFile(path.join(outputRoot, file));
+    lock.files[toLockPath(file)] = { hash: hashContent(content), size: content.length, source };
+  }
+
+  lock.files = sortKeys(lock.files);
+  await writeLockfile(outputRoot, lock);
+  return lock;
+}
+
+// =============================================================================
+// Classification
+// =============================================================================
+
+/**
+ * Compare the files on disk with a lockfile.
+ *
+ * @param {string}   outputRoot
+ * @param {Lockfile} lock
+ * @param {Iterable<string>} [nextFiles] - Paths the next generation will
+ *   produce; generator-owned locked files outside this set are reported as stale.
+ * @returns {FileClassification}
+ */
+export function classifyFiles(outputRoot, lock, nextFiles) {
+  /** @type {FileClassification} */
+  const result = { unchanged: [], modified: [], missing: [], stale: [] };
+  const next = nextFiles ? new Set([...nextFiles].map(toLockPath)) : null;
+
+  for (const [file, entry] of Object.entries(lock.files)) {
+    const absolute = path.join(outputRoot, file);
+
+    if (next && !entry.source && !next.has(file)) result.stale.push(file);
+
+    if (!existsSync(absolute)) {
+      result.missing.push(file);
+    } else if (hashContent(readFileSync(absolute)) === entry.hash) {
+      result.unchanged.push(file);
+    } else {
+      result.modified.push(file);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Return a copy of a record with its keys in sorted order.
+ *
+ * @template T
+ * @param {Record<string, T>} record
+ * @returns {Record<string, T>}
+ */
+function sortKeys(record) {
+  return Object.fromEntries(Object.entries(record).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+/**
+ * Normalise a relative path to forward slashes for a platform-independent lock.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function toLockPath(file) {
+  return file.split(path.sep).join('/');
+}
@@ -0,0 +1,261 @@
+/**
+ * @fileoverview Line-based three-way merge used by {@link GeneratorEngine}'s
+ * `merge` conflict strategy.
+ *
+ * Given the last generated version of a file (the base), the version on disk
+ * (ours — possibly hand-edited) and the freshly generated version (theirs),
+ * both sides are diffed against the base. Hunks that touch disjoint base
+ * ranges are applied automatically; overlapping hunks with different results
+ * are written as git-style conflict markers.
+ *
+ * Uses only plain JavaScript — no external diff library.
+ *
+ * @module generator/three-way-merge
+ * @author ClawOS Framework
+ * @license MIT
+ */
+
+// =============================================================================
+// Type definitions
+// =============================================================================
+
+/**
+ * A contiguous change relative to the base: base lines `[start, end)` are
+ * replaced by `lines`. An insertion has `start === end`.
+ *
+ * @typedef {Object} DiffHunk
+ * @property {number}   start - First replaced base line (0-based).
+ * @property {number}   end   - One past the last replaced base line.
+ * @property {string[]} lines - Replacement lines.
+ */
+
+/**
+ * @typedef {Object} ConflictRegion
+ * @property {number} startLine - 1-based line of the `<<<<<<<` marker in the merged output.
+ * @property {number} endLine   - 1-based line of the `>>>>>>>` marker in the merged output.
+ */
+
+/**
+ * @typedef {Object} MergeResult
+ * @property {string}           content   - Merged text (with markers when conflicted).
+ * @property {boolean}          clean     - True when no conflict markers were written.
+ * @property {ConflictRegion[]} conflicts - Location of each conflict in `content`.
+ */
+
+/**
+ * @typedef {Object} MergeLabels
+ * @property {string} [ours='local']       - Label after `<<<<<<<`.
+ * @property {string} [theirs='generated'] - Label after `>>>>>>>`.
+ */
+
+// =============================================================================
+// Diffing
+// =============================================================================
+
+/**
+ * Largest LCS table {@link diffLines} allocates, in cells (4 bytes each):
+ * 16 MB, e.g. 2000 x 2000 differing lines. Larger regions become one hunk.
+ */
+export const MAX_DIFF_CELLS = 4_000_000;
+
+/**
+ * Split text into lines. A trailing newline does not produce an empty last
+ * line; {@link threeWayMerge} restores it from the generated side.
+ *
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitLines(text) {
+  if (text === '') return [];
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute the hunks that turn `base` into `other` using a longest common
+ * subsequence over lines. Common prefix and suffix are trimmed first, which
+ * keeps the quadratic table small for typical regeneration edits. When the
+ * region between them still needs more than {@link MAX_DIFF_CELLS}, it is
+ * returned as a single hunk, so a mostly rewritten file merges as one
+ * conflict instead of exhausting memory.
+ *
+ * @param {string[]} base
+ * @param {string[]} other
+ * @returns {DiffHunk[]}
+ */
+export function diffLines(base, other) {
+  let prefix = 0;
+  while (prefix < base.length && prefix < other.length && base[prefix] === other[prefix]) {
+    prefix++;
+  }
+
+  let suffix = 0;
+  while (
+    suffix < base.length - prefix &&
+    suffix < other.length - prefix &&
+    base[base.length - 1 - suffix] === other[other.length - 1 - suffix]
+  ) {
+    suffix++;
+  }
+
+  const a = base.slice(prefix, base.length - suffix);
+  const b = other.slice(prefix, other.length - suffix);
+  const n = a.length;
+  const m = b.length;
+
+  if (n === 0 && m === 0) return [];
+  if ((n + 1) * (m + 1) > MAX_DIFF_CELLS) {
+    return [{ start: prefix, end: prefix + n, lines: b }];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of a[i..] and b[j..]
+  const width = m + 1;
+  const lcs = new Uint32Array((n + 1) * width);
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * width + j] = a[i] === b[j]
+        ? lcs[(i + 1) * width + j + 1] + 1
+        : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+    }
+  }
+
+  /** @type {DiffHunk[]} */
+  const hunks = [];
+  /** @type {DiffHunk|null} */
+  let open = null;
+  let i = 0;
+  let j = 0;
+
+  const extend = (baseIndex) => {
+    if (!open) {
+      open = { start: prefix + baseIndex, end: prefix + baseIndex, lines: [] };
+      hunks.push(open);
+    }
+    return open;
+  };
+
+  while (i < n || j < m) {
+    if (i < n && j < m && a[i] === b[j]) {
+      open = null;
+      i++;
+      j++;
+    } else if (j < m && (i === n || lcs[i * width + j + 1] >= lcs[(i + 1) * width + j])) {
+      extend(i).lines.push(b[j]);
+      j++;
+    } else {
+      extend(i).end = prefix + i + 1;
+      i++;
+    }
+  }
+
+  return hunks;
+}
+
+// =============================================================================
+// Merging
+// =============================================================================
+
+/**
+ * Apply a side's hunks to the base range `[start, end)`.
+ *
+ * @param {string[]}   base
+ * @param {DiffHunk[]} hunks - Hunks fully contained in the range, sorted.
+ * @param {number}     start
+ * @param {number}     end
+ * @returns {string[]}
+ */
+function applyHunks(base, hunks, start, end) {
+  const out = [];
+  let cursor = start;
+  for (const hunk of hunks) {
+    out.push(...base.slice(cursor, hunk.start), ...hunk.lines);
+    cursor = hunk.end;
+  }
+  out.push(...base.slice(cursor, end));
+  return out;
+}
+
+/**
+ * Three-way merge `ours` and `theirs` against their common ancestor `base`.
+ *
+ * Changes made by only one side are taken as-is; identical changes made by
+ * both sides are taken once. Overlapping, different changes (including edits
+ * to adjacent lines) produce a conflict block:
+ *
+ * ```
+ * <<<<<<< local
+ * ...ours...
+ * =======
+ * ...theirs...
+ * >>>>>>> generated
+ * ```
+ *
+ * @param {string}      base
+ * @param {string}      ours
+ * @param {string}      theirs
+ * @param {MergeLabels} [labels={}]
+ * @returns {MergeResult}
+ */
+export function threeWayMerge(base, ours, theirs, labels = {}) {
+  if (ours === theirs || theirs === base) {
+    return { content: ours, clean: true, conflicts: [] };
+  }
+  if (ours === base) {
+    return { content: theirs, clean: true, conflicts: [] };
+  }
+
+  const baseLines = splitLines(base);
+  const oursHunks = diffLines(baseLines, splitLines(ours)).map((h) => ({ ...h, side: 'ours' }));
+  const theirsHunks = diffLines(baseLines, splitLines(theirs)).map((h) => ({ ...h, side: 'theirs' }));
+
+  const all = [...oursHunks, ...theirsHunks].sort((x, y) => x.start - y.start || x.end - y.end);
+
+  /** @type {string[]} */
+  const out = [];
+  /** @type {ConflictRegion[]} */
+  const conflicts = [];
+  let cursor = 0;
+  let k = 0;
+
+  while (k < all.length) {
+    // Collect the chain of hunks whose base ranges overlap or touch.
+    const group = [all[k]];
+    const start = all[k].start;
+    let end = all[k].end;
+    k++;
+    while (k < all.length && all[k].start <= end) {
+      group.push(all[k]);
+      end = Math.max(end, all[k].end);
+      k++;
+    }
+
+    out.push(...baseLines.slice(cursor, start));
+    cursor = end;
+
+    const mine = group.filter((h) => h.side === 'ours');
+    const gen = group.filter((h) => h.side === 'theirs');
+    const oursText = applyHunks(baseLines, mine, start, end);
+    const theirsText = applyHunks(baseLines, gen, start, end);
+
+    if (gen.length === 0) {
+      out.push(...oursText);
+    } else if (mine.length === 0 || oursText.join('\n') === theirsText.join('\n')) {
+      out.push(...theirsText);
+    } else {
+      const startLine = out.length + 1;
+      out.push(`<<<<<<< ${labels.ours ?? 'local'}`, ...oursText, '=======', ...theirsText);
+      out.push(`>>>>>>> ${labels.theirs ?? 'generated'}`);
+      conflicts.push({ startLine, endLine: out.length });
+    }
+  }
+
+  out.push(...baseLines.slice(cursor));
+
+  const trailingNewline = theirs.endsWith('\n') || (theirs === '' && ours.endsWith('\n'));
+  const content = out.join('\n') + (trailingNewline && out.length > 0 ? '\n' : '');
+
+  return { content, clean: conflicts.length === 0, conflicts };
+}
+
+export default threeWayMerge;
@@ -0,0 +1,355 @@
+/**
+ * @fileoverview VirtualFileSystem — an in-memory stand-in for `node:fs`.
+ *
+ * Implements the subset of the `node:fs` API the generators and validators
+ * use: `promises.{mkdir, writeFile, readFile, rm, rmdir}` for writers such as
+ * {@link CommandGenerator} and {@link McpConfigurator}, and the synchronous
+ * `existsSync`, `statSync`, `readFileSync` and `readdirSync` for readers such
+ * as {@link StructureValidator}. Paths are resolved against the process cwd
+ * exactly like the real module, and failures carry the same error codes
+ * (`ENOENT`, `EISDIR`, `ENOTDIR`, `ENOTEMPTY`).
+ *
+ * Used by dry runs: the pipeline writes the would-be output here, then
+ * {@link VirtualFileSystem#diff} compares it with the real target directory.
+ *
+ * @module generator/virtual-fs
+ * @author ClawOS Framework
+ * @license MIT
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { readLockfile, LOCKFILE_NAME } from './lockfile.js';
+
+// =============================================================================
+// Type definitions
+// =============================================================================
+
+/**
+ * @typedef {Object} VirtualStats
+ * @property {number} size
+ * @property {() => boolean} isFile
+ * @property {() => boolean} isDirectory
+ */
+
+/**
+ * @typedef {Object} VirtualDirent
+ * @property {string} name
+ * @property {() => boolean} isFile
+ * @property {() => boolean} isDirectory
+ */
+
+/**
+ * @typedef {Object} DirectoryDiff
+ * @property {boolean}  targetExists - Whether the target directory exists on disk.
+ * @property {string[]} added     - Files that do not exist in the target yet.
+ * @property {string[]} modified  - Files whose content differs from the target.
+ * @property {string[]} unchanged - Files identical to the target.
+ * @property {string[]} removed   - Files the target's lockfile records that
+ *   the virtual output no longer contains.
+ */
+
+// =============================================================================
+// Helpers
+// =============================================================================
+
+/**
+ * Builds an error shaped like the ones thrown by `node:fs`.
+ *
+ * @param {string} code
+ * @param {string} syscall
+ * @param {string} file
+ * @returns {Error & { code: string, syscall: string, path: string }}
+ */
+function fsError(code, syscall, file) {
+  const err = new Error(`${code}: ${syscall} '${file}'`);
+  err.code = code;
+  err.syscall = syscall;
+  err.path = file;
+  return err;
+}
+
+/**
+ * Converts a path to forward-slash form for use as a map key.
+ *
+ * @param {string} file
+ * @returns {string}
+ */
+function toPosix(file) {
+  return file.split(path.sep).join('/');
+}
+
+// =============================================================================
+// VirtualFileSystem class
+// =============================================================================
+
+/**
+ * In-memory file system with a `node:fs`-compatible surface.
+ *
+ * @example
+ * ```js
+ * const vfs = new VirtualFileSystem();
+ * await vfs.promises.mkdir('/out/src', { recursive: true });
+ * await vfs.promises.writeFile('/out/src/index.js', 'export {};');
+ * vfs.files('/out');         // Map { 'src/index.js' => 'export {};' }
+ * await vfs.diff('/out');    // { targetExists, added, modified, unchanged, removed }
+ * ```
+ */
+export class VirtualFileSystem {
+  /** @type {Map<string, Buffer>} absolute path -> content */
+  #files = new Map();
+
+  /** @type {Set<string>} absolute directory paths */
+  #dirs = new Set();
+
+  /**
+   * Promise-based API mirroring `fs.promises`.
+   * @type {{
+   *   mkdir: (dir: string, options?: { recursive?: boolean }) => Promise<string|undefined>,
+   *   writeFile: (file: string, data: string|Buffer, encoding?: BufferEncoding) => Promise<void>,
+   *   readFile: (file: string, encoding?: BufferEncoding|{ encoding?: BufferEncoding }) => Promise<string|Buffer>,
+   *   rm: (file: string, options?: { force?: boolean, recursive?: boolean }) => Promise<void>,
+   *   rmdir: (dir: string) => Promise<void>,
+   * }}
+   */
+  promises;
+
+  constructor() {
+    this.#dirs.add(path.parse(process.cwd()).root);
+    this.promises = {
+      mkdir: async (dir, options) => this.mkdirSync(dir, options),
+      writeFile: async (file, data, encoding) => this.writeFileSync(file, data, encoding),
+      readFile: async (file, encoding) => this.readFileSync(file, encoding),
+      rm: async (file, options) => this.rmSync(file, options),
+      rmdir: async (dir) => this.rmdirSync(dir),
+    };
+  }
+
+  // ---------------------------------------------------------------------------
+  // Writing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Creates a directory.
+   *
+   * @param {string} dir
+   * @param {{ recursive?: boolean }} [options]
+   * @returns {string|undefined} With `recursive`, the first directory created
+   *   (undefined when it already existed), like `fs.mkdir`.
+   */
+  mkdirSync(dir, options = {}) {
+    const target = path.resolve(dir);
+    if (this.#files.has(target)) throw fsError('EEXIST', 'mkdir', target);
+    if (this.#dirs.has(target)) {
+      if (options.recursive) return undefined;
+      throw fsError('EEXIST', 'mkdir', target);
+    }
+
+    const parent = path.dirname(target);
+    let first;
+    if (!this.#dirs.has(parent)) {
+      if (!options.recursive) throw fsError('ENOENT', 'mkdir', target);
+      first = this.mkdirSync(parent, options);
+    }
+    this.#dirs.add(target);
+    return options.recursive ? (first ?? target) : undefined;
+  }
+
+  /**
+   * Writes a file. The parent directory must exist.
+   *
+   * @param {string} file
+   * @param {string|Buffer} data
+   * @param {BufferEncoding} [encoding='utf-8']
+   */
+  writeFileSync(file, data, encoding = 'utf-8') {
+    const target = path.resolve(file);
+    if (this.#dirs.has(target)) throw fsError('EISDIR', 'open', target);
+    if (!this.#dirs.has(path.dirname(target))) throw fsError('ENOENT', 'open', target);
+    this.#files.set(target, Buffer.isBuffer(data) ? Buffer.from(data) : Buffer.from(String(data), encoding));
+  }
+
+  /**
+   * Removes a file (or, with `recursive`, a directory tree).
+   *
+   * @param {string} file
+   * @param {{ force?: boolean, recursive?: boolean }} [options]
+   */
+  rmSync(file, options = {}) {
+    const target = path.resolve(file);
+    if (this.#files.delete(target)) return;
+
+    if (this.#dirs.has(target)) {
+      if (!options.recursive) throw fsError('EISDIR', 'rm', target);
+      const prefix = target + path.sep;
+      for (const key of this.#files.keys()) if (key.startsWith(prefix)) this.#files.delete(key);
+      for (const key of this.#dirs) if (key.startsWith(prefix)) this.#dirs.delete(key);
+      this.#dirs.delete(target);
+      return;
+    }
+
+    if (!options.force) throw fsError('ENOENT', 'rm', target);
+  }
+
+  /**
+   * Removes an empty directory.
+   *
+   * @param {string} dir
+   */
+  rmdirSync(dir) {
+    const target = path.resolve(dir);
+    if (!this.#dirs.has(target)) {
+      throw fsError(this.#files.has(target) ? 'ENOTDIR' : 'ENOENT', 'rmdir', target);
+    }
+    if (this.readdirSync(target).length > 0) throw fsError('ENOTEMPTY', 'rmdir', target);
+    this.#dirs.delete(target);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Reading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} file
+   * @returns {boolean}
+   */
+  existsSync(file) {
+    const target = path.resolve(file);
+    return this.#files.has(target) || this.#dirs.has(target);
+  }
+
+  /**
+   * @param {string} file
+   * @returns {VirtualStats}
+   */
+  statSync(file) {
+    const target = path.resolve(file);
+    const content = this.#files.get(target);
+    if (!content && !this.#dirs.has(target)) throw fsError('ENOENT', 'stat', target);
+
+    return {
+      size: content?.length ?? 0,
+      isFile: () => Boolean(content),
+      isDirectory: () => !content,
+    };
+  }
+
+  /**
+   * @param {string} file
+   * @param {BufferEncoding|{ encoding?: BufferEncoding }} [encoding] - Returns
+   *   a string when given, a Buffer otherwise.
+   * @returns {string|Buffer}
+   */
+  readFileSync(file, encoding) {
+    const target = path.resolve(file);
+    const content = this.#files.get(target);
+    if (!content) {
+      throw fsError(this.#dirs.has(target) ? 'EISDIR' : 'ENOENT', 'open', target);
+    }
+
+    const enc = typeof encoding === 'string' ? encoding : encoding?.encoding;
+    return enc ? content.toString(enc) : Buffer.from(content);
+  }
+
+  /**
+   * Lists a directory in name order.
+   *
+   * @param {string} dir
+   * @param {{ withFileTypes?: boolean }} [options]
+   * @returns {string[]|VirtualDirent[]}
+   */
+  readdirSync(dir, options = {}) {
+    const target = path.resolve(dir);
+    if (!this.#dirs.has(target)) {
+      throw fsError(this.#files.has(target) ? 'ENOTDIR' : 'ENOENT', 'scandir', target);
+    }
+
+    /** @type {Map<string, boolean>} name -> isDirectory */
+    const entries = new Map();
+    for (const key of this.#dirs) {
+      if (key !== target && path.dirname(key) === target) entries.set(path.basename(key), true);
+    }
+    for (const key of this.#files.keys()) {
+      if (path.dirname(key) === target) entries.set(path.basename(key), false);
+    }
+
+    const names = [...entries.keys()].sort();
+    if (!options.withFileTypes) return names;
+    return names.map((name) => ({
+      name,
+      isFile: () => !entries.get(name),
+      isDirectory: () => entries.get(name),
+    }));
+  }
+
+  // ---------------------------------------------------------------------------
+  // Inspection
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Returns every file below `root`, keyed by forward-slash relative path.
+   *
+   * @param {string} root
+   * @returns {Map<string, string>} Sorted by path.
+   */
+  files(root) {
+    const base = path.resolve(root);
+    const prefix = base + path.sep;
+
+    return new Map(
+      [...this.#files]
+        .filter(([file]) => file.startsWith(prefix))
+        .map(([file, content]) => [toPosix(path.relative(base, file)), content.toString('utf-8')])
+        .sort(([a], [b]) => a.localeCompare(b)),
+    );
+  }
+
+  /**
+   * Compares the files below `root` with the same paths on the real disk.
+   *
+   * @param {string} root
+   * @returns {Promise<DirectoryDiff>}
+   */
+  async diff(root) {
+    const base = path.resolve(root);
+    const virtualFiles = this.files(base);
+
+    /** @type {DirectoryDiff} */
+    const result = {
+      targetExists: await fs.stat(base).then((s) => s.isDirectory(), () => false),
+      added: [],
+      modified: [],
+      unchanged: [],
+      removed: [],
+    };
+    if (!result.targetExists) {
+      result.added = [...virtualFiles.keys()];
+      return result;
+    }
+
+    for (const [file, content] of virtualFiles) {
+      let current;
+      try {
+        current = await fs.readFile(path.join(base, file));
+      } catch (err) {
+        if (err.code !== 'ENOENT' && err.code !== 'EISDIR') throw err;
+        result.added.push(file);
+        continue;
+      }
+      (current.equals(Buffer.from(content, 'utf-8')) ? result.unchanged : result.modified).push(file);
+    }
+
+    // A dry run writes no lockfile, so only the target's own lock can list
+    // files that the next real run would leave behind.
+    const lock = await readLockfile(base).catch(() => null);
+    if (lock) {
+      result.removed = Object.keys(lock.files)
+        .filter((file) => file !== LOCKFILE_NAME && !virtualFiles.has(file))
+        .sort();
+    }
+
+    return result;
+  }
+}
+
+export default VirtualFileSystem;
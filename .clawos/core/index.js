@@ -8,6 +8,9 @@
 export { MasterOrchestrator, createOrchestrator } from './orchestrator/master-orchestrator.js';
 export { PipelineExecutor, createPipelineExecutor } from './orchestrator/pipeline-executor.js';
 export { PhaseManager, Phase, OrchestratorState, createPhaseManager } from './orchestrator/phase-manager.js';
+export { createDefaultPhaseHandlers, installDefaultPhaseHandlers } from './orchestrator/phase-handlers.js';
+export { RunStore } from './orchestrator/run-store.js';
+export { RunManager, RunStatus, createRunManager } from './orchestrator/run-manager.js';
 
 // Elicitation
 export { ElicitationEngine, createElicitation } from './elicitation/elicitation-engine.js';
@@ -23,6 +26,9 @@ export { GeneratorEngine } from './generator/generator-engine.js';
 export { FileGenerator } from './generator/file-generator.js';
 export { CodeGenerator } from './generator/code-generator.js';
 export { ConfigGenerator } from './generator/config-generator.js';
+export { threeWayMerge } from './generator/three-way-merge.js';
+export { LOCKFILE_NAME, createLockfile, readLockfile, classifyFiles } from './generator/lockfile.js';
+export { VirtualFileSystem } from './generator/virtual-fs.js';
 
 // Templates
 export { TemplateEngine } from './templates/template-engine.js';
@@ -33,14 +39,28 @@ export { StructureValidator, createStructureValidator } from './validator/struct
 export { IntegrityChecker, createIntegrityChecker } from './validator/integrity-checker.js';
 
 // Config
-export { ConfigResolver, createConfigResolver } from './config/config-resolver.js';
-export { CONFIG_SCHEMA, validateConfig, getDefaults } from './config/config-schema.js';
+export { ConfigResolver, ConfigLayer, createConfigResolver } from './config/config-resolver.js';
+export { CONFIG_SCHEMA, validateConfig, getDefaults, toJsonSchema } from './config/config-schema.js';
+export { parseYaml, parseAllYaml, stringifyYaml, YamlError } from './config/yaml.js';
 
 // Registry
 export { RegistryManager, getRegistryManager } from './registry/registry-manager.js';
 
 // Events
 export { ClawEventBus, ClawEvent, getEventBus } from './events/event-bus.js';
+export { EventJournal } from './events/event-journal.js';
+export { EventStreamServer, createEventStreamServer } from './events/event-stream-server.js';
+export { EventTracer, SpanKind } from './events/event-tracer.js';
+export { bridgeOrchestrator, bridgeGenerator, publish } from './events/event-bridge.js';
+export {
+  EVENT_SCHEMAS,
+  registerEventSchema,
+  unregisterEventSchema,
+  getEventSchema,
+  getCustomEventTypes,
+  validatePayload,
+  toTypeScript,
+} from './events/event-schemas.js';
 
 // Claude Integration
 export { ClaudeMdGenerator } from './claude-integration/claude-md-generator.js';
@@ -3,7 +3,15 @@
  * @description Central state machine that drives the ClawOS framework generation
  * pipeline. It coordinates five sequential phases — DISCOVER, ELICIT, BLUEPRINT,
  * GENERATE, INTEGRATE — tracking context, timing metrics, and error recovery
- * throughout the entire lifecycle.
+ * throughout the entire lifecycle. Phases added to the PhaseManager with
+ * `definePhase()` run in their place in the order like the built-in ones.
+ *
+ * Phases are scheduled over the dependency DAG derived from their declared
+ * input/output keys (see {@link PhaseManager#getDependencyGraph}). With the
+ * default `concurrency` of 1 they run one at a time in pipeline order; a
+ * higher limit runs independent phases side by side. Either way outputs are
+ * merged into the context in pipeline order, so the result does not depend
+ * on which phase finished first.
  *
  * Usage:
  * ```js
@@ -14,6 +22,35 @@
  *
  * await orchestrator.start({ userInput: 'Create a REST API framework for Node.js' });
  * ```
+ *
+ * Handlers receive an `AbortSignal` as part of their second argument. Each
+ * phase can carry a {@link PhasePolicy} (timeout, retries with backoff) and
+ * {@link MasterOrchestrator#cancel} aborts whatever is running and moves the
+ * run to ERROR with the code `CANCELLED`.
+ *
+ * Handlers can register compensating actions with `control.compensate()`.
+ * When the run fails, they are run in reverse order and the outcome is kept
+ * as the context's `rollback` report.
+ *
+ * A phase registered with {@link MasterOrchestrator#requireApproval} pauses
+ * the run in the AWAITING_APPROVAL state once it completes; the pending
+ * decision is checkpointed and the run continues with `approve()` or is
+ * rewound with `reject()`, possibly in another process.
+ *
+ * Run and phase events are also published on the {@link ClawEventBus} (the
+ * shared {@link getEventBus} instance unless `eventBus` is given) as
+ * PIPELINE_* and PHASE_* {@link ClawEvent}s, and the built-in handlers add
+ * the elicitation, blueprint, file and integration events of the run. When
+ * GENERATE reports an output path, the VALIDATING pass runs the
+ * {@link StructureValidator} over it and publishes the VALIDATION_* events;
+ * its findings do not fail the run.
+ *
+ * Every phase completion writes a checkpoint to `.clawos/runs/<runId>.json`
+ * (see {@link RunStore}). A crashed run can be continued in a new process:
+ * ```js
+ * const orchestrator = createOrchestrator({ runId: 'run_lx2k9_ab12cd' });
+ * await orchestrator.resume();
+ * ```
  */
 
 import { EventEmitter } from 'node:events';
@@ -21,9 +58,13 @@ import {
   Phase,
   OrchestratorState,
   PHASE_ORDER,
-  PHASE_TO_STATE,
   createPhaseManager,
 } from './phase-manager.js';
+import { installDefaultPhaseHandlers } from './phase-handlers.js';
+import { RunStore } from './run-store.js';
+import { StructureValidator, blueprintFromRunData } from '../validator/structure-validator.js';
+import { getEventBus } from '../events/event-bus.js';
+import { bridgeOrchestrator, publishValidation } from '../events/event-bridge.js';
 
 // ---------------------------------------------------------------------------
 // Internal helpers
@@ -48,12 +89,91 @@ function snapshot(obj) {
  *
  * @returns {string}
  */
-function generateRunId() {
+export function generateRunId() {
   const ts = Date.now().toString(36);
   const rand = Math.random().toString(36).slice(2, 8);
   return `run_${ts}_${rand}`;
 }
 
+/** Backoff strategies accepted in a {@link PhasePolicy}. */
+const BACKOFF_STRATEGIES = Object.freeze(['exponential', 'fixed']);
+
+/** Delay before the first retry when a policy does not set `delayMs`. */
+const DEFAULT_RETRY_DELAY_MS = 200;
+
+/**
+ * Validates a phase policy and fills in its defaults.
+ *
+ * @param {string} phaseId - Used in error messages.
+ * @param {PhasePolicy} policy
+ * @returns {Required<Omit<PhasePolicy, 'timeoutMs' | 'retryOn'>> & Pick<PhasePolicy, 'timeoutMs' | 'retryOn'>}
+ * @throws {TypeError} If a field has the wrong type.
+ */
+function normalizePolicy(phaseId, policy) {
+  const invalid = (reason) =>
+    new TypeError(`[MasterOrchestrator] Invalid policy for "${phaseId}": ${reason}`);
+
+  const {
+    timeoutMs,
+    retries = 0,
+    backoff = 'exponential',
+    delayMs = DEFAULT_RETRY_DELAY_MS,
+    retryOn,
+  } = policy ?? {};
+
+  if (timeoutMs !== undefined && !(typeof timeoutMs === 'number' && timeoutMs > 0)) {
+    throw invalid('timeoutMs must be a positive number.');
+  }
+  if (!Number.isInteger(retries) || retries < 0) {
+    throw invalid('retries must be a non-negative integer.');
+  }
+  if (!BACKOFF_STRATEGIES.includes(backoff)) {
+    throw invalid(`backoff must be one of ${BACKOFF_STRATEGIES.join(', ')}.`);
+  }
+  if (typeof delayMs !== 'number' || delayMs < 0) {
+    throw invalid('delayMs must be a non-negative number.');
+  }
+  if (retryOn !== undefined && typeof retryOn !== 'function') {
+    throw invalid('retryOn must be a function.');
+  }
+
+  return { timeoutMs, retries, backoff, delayMs, retryOn };
+}
+
+/**
+ * Settles with `promise`, or rejects with the signal's reason as soon as the
+ * signal aborts — handlers that ignore their signal cannot hold the run.
+ *
+ * @template T
+ * @param {Promise<T>} promise
+ * @param {AbortSignal} signal
+ * @returns {Promise<T>}
+ */
+function abortable(promise, signal) {
+  if (signal.aborted) return Promise.reject(signal.reason);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(
+      (value) => { signal.removeEventListener('abort', onAbort); resolve(value); },
+      (error) => { signal.removeEventListener('abort', onAbort); reject(error); },
+    );
+  });
+}
+
+/**
+ * Waits `ms` milliseconds unless the signal aborts first.
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+function delay(ms, signal) {
+  const wait = new Promise((resolve) => setTimeout(resolve, ms));
+  return signal ? abortable(wait, signal) : wait;
+}
+
 // ---------------------------------------------------------------------------
 // MasterOrchestrator
 // ---------------------------------------------------------------------------
@@ -66,6 +186,7 @@ function generateRunId() {
  * @property {number}  [durationMs] - Elapsed time in milliseconds.
  * @property {string}  status    - 'running' | 'completed' | 'failed' | 'skipped'
  * @property {string}  [error]   - Error message if the phase failed.
+ * @property {number}  [attempts] - Handler attempts made (more than 1 after retries).
  */
 
 /**
@@ -82,6 +203,76 @@ function generateRunId() {
  * @property {number}  startedAt       - Run start timestamp.
  * @property {number}  [completedAt]   - Run completion timestamp.
  * @property {number}  retryCount      - Number of error recoveries attempted.
+ * @property {PendingApproval|null} pendingApproval - Decision the run is waiting for.
+ * @property {ApprovalDecision[]} approvals - Decisions taken so far, oldest first.
+ * @property {RollbackReport|null} rollback - Report of the last rollback, if the
+ *   last attempt failed and compensations were registered.
+ */
+
+/**
+ * Execution policy for one phase.
+ *
+ * @typedef {Object} PhasePolicy
+ * @property {number}  [timeoutMs] - Abort an attempt after this long (default: no limit).
+ *   The handler's signal is aborted with a `PHASE_TIMEOUT` error.
+ * @property {number}  [retries=0] - Extra attempts after a failed one.
+ * @property {'exponential'|'fixed'} [backoff='exponential'] - Delay growth between retries.
+ * @property {number}  [delayMs=200] - Delay before the first retry; doubled for
+ *   every further retry with exponential backoff.
+ * @property {(error: Error) => boolean} [retryOn] - Decides whether an error is
+ *   retried (default: every error). Cancellation is never retried.
+ */
+
+/**
+ * Second argument passed to every phase handler.
+ *
+ * @typedef {Object} PhaseControl
+ * @property {AbortSignal} signal  - Aborted on timeout or cancellation.
+ * @property {string}      phaseId
+ * @property {string}      runId
+ * @property {number}      attempt - 1 for the first attempt.
+ * @property {(description: string, action: () => Promise<void>|void) => void} compensate
+ *   Registers an action that undoes a side effect of the handler. If the run
+ *   fails (in this or a later phase) the registered actions are run in
+ *   reverse order of registration.
+ */
+
+/**
+ * Outcome of running the compensating actions after a failure.
+ *
+ * @typedef {Object} RollbackReport
+ * @property {{ phase: string|null, message: string, code?: string }} trigger - The failure.
+ * @property {Array<{ phaseId: string, description: string }>} undone - Actions that succeeded.
+ * @property {Array<{ phaseId: string, description: string, error: string }>} failed
+ *   - Actions that threw; their side effects may still be in place.
+ * @property {string[]} rewoundPhases - Completed phases whose effects were
+ *   (partly) undone; they are no longer completed and re-run on resume.
+ * @property {number} completedAt
+ */
+
+/**
+ * @typedef {Object} ApprovalGate
+ * @property {string|null} reviewer - Who is expected to decide.
+ * @property {string|null} rewindTo - Phase a rejection rewinds to (default:
+ *   the gated phase itself).
+ */
+
+/**
+ * @typedef {Object} PendingApproval
+ * @property {string}      phaseId     - Phase whose result awaits review.
+ * @property {string|null} reviewer
+ * @property {string}      rewindTo    - Default rewind target on rejection.
+ * @property {number}      requestedAt - Timestamp the run paused.
+ */
+
+/**
+ * @typedef {Object} ApprovalDecision
+ * @property {string}      phaseId
+ * @property {'approved'|'rejected'} decision
+ * @property {string|null} reviewer
+ * @property {string}      notes     - Approval notes or rejection reason.
+ * @property {string}      [rewindTo] - Phase the run was rewound to (rejections).
+ * @property {number}      decidedAt
  */
 
 /**
@@ -94,10 +285,19 @@ function generateRunId() {
  * @fires MasterOrchestrator#phase:completed
  * @fires MasterOrchestrator#phase:failed
  * @fires MasterOrchestrator#phase:skipped
+ * @fires MasterOrchestrator#phase:retrying
  * @fires MasterOrchestrator#run:started
  * @fires MasterOrchestrator#run:completed
  * @fires MasterOrchestrator#run:failed
+ * @fires MasterOrchestrator#run:cancelled
  * @fires MasterOrchestrator#error:recovered
+ * @fires MasterOrchestrator#approval:requested
+ * @fires MasterOrchestrator#approval:granted
+ * @fires MasterOrchestrator#approval:rejected
+ * @fires MasterOrchestrator#rollback:started
+ * @fires MasterOrchestrator#rollback:completed
+ * @fires MasterOrchestrator#checkpoint:saved
+ * @fires MasterOrchestrator#checkpoint:failed
  */
 export class MasterOrchestrator extends EventEmitter {
   /** @type {import('./phase-manager.js').PhaseManager} */
@@ -106,7 +306,7 @@ export class MasterOrchestrator extends EventEmitter {
   /** @type {OrchestratorContext} */
   #context;
 
-  /** @type {Map<string, (ctx: Record<string, unknown>) => Promise<Record<string, unknown>>>} */
+  /** @type {Map<string, (ctx: Record<string, unknown>, control: PhaseControl) => Promise<Record<string, unknown>>>} */
   #phaseHandlers = new Map();
 
   /** @type {Map<string, (ctx: Record<string, unknown>) => boolean>} */
@@ -115,17 +315,89 @@ export class MasterOrchestrator extends EventEmitter {
   /** @type {number} */
   #maxRetries;
 
+  /** @type {RunStore|null} */
+  #runStore;
+
+  /** Maximum number of phases running at the same time. @type {number} */
+  #concurrency;
+
+  /** @type {Map<string, ApprovalGate>} */
+  #approvalGates = new Map();
+
+  /**
+   * Normalised policies keyed by phase id; '*' applies to phases without one.
+   * @type {Map<string, ReturnType<typeof normalizePolicy>>}
+   */
+  #policies = new Map();
+
+  /** Aborts the phases of the run in progress. @type {AbortController|null} */
+  #abortController = null;
+
+  /** Settles when the run in progress has finished. @type {Promise<unknown>|null} */
+  #running = null;
+
+  /**
+   * Compensating actions registered by handlers of the current run, in
+   * registration order.
+   * @type {Array<{ phaseId: string, description: string, action: () => Promise<void>|void }>}
+   */
+  #compensations = [];
+
+  /** Bus the run's events are published on, or null. @type {import('../events/event-bus.js').ClawEventBus|null} */
+  #eventBus = null;
+
   /**
    * @param {Object} [options]
    * @param {import('./phase-manager.js').PhaseManager} [options.phaseManager]
    *   Custom PhaseManager instance. A default singleton is used if omitted.
    * @param {number} [options.maxRetries=3] Maximum error recovery attempts.
+   * @param {boolean|import('./phase-handlers.js').DefaultHandlerOptions} [options.defaultHandlers=true]
+   *   Installs the built-in handlers that drive the real engines. Pass an
+   *   options object to configure them, or `false` to register every handler
+   *   manually.
+   * @param {Partial<Record<string, (ctx: Record<string, unknown>) => Promise<Record<string, unknown>>>>} [options.handlers]
+   *   Handlers keyed by phase id that replace individual built-in handlers.
+   * @param {RunStore|false} [options.runStore] Checkpoint store. Defaults to a
+   *   store in `.clawos/runs`; pass `false` to disable checkpointing.
+   * @param {number} [options.concurrency=1] Maximum number of independent
+   *   phases run in parallel (`Infinity` for no limit).
+   * @param {Record<string, PhasePolicy>} [options.policies] Policies keyed by
+   *   phase id ('*' for the default), see {@link MasterOrchestrator#setPhasePolicy}.
+   * @param {import('../events/event-bus.js').ClawEventBus|false} [options.eventBus]
+   *   Bus to publish ClawEvents on. Defaults to the shared {@link getEventBus}
+   *   instance; pass `false` to publish nothing.
+   * @param {string} [options.runId] Identifier of the first run, e.g. to tag a
+   *   scoped bus with it before the orchestrator exists. Generated if omitted.
    */
   constructor(options = {}) {
     super();
     this.#phaseManager = options.phaseManager ?? createPhaseManager();
     this.#maxRetries = options.maxRetries ?? 3;
+    this.#concurrency = options.concurrency ?? 1;
+    if (!(Number.isInteger(this.#concurrency) && this.#concurrency >= 1) && this.#concurrency !== Infinity) {
+      throw new TypeError('[MasterOrchestrator] concurrency must be a positive integer or Infinity.');
+    }
+    for (const [phaseId, policy] of Object.entries(options.policies ?? {})) {
+      this.setPhasePolicy(phaseId, policy);
+    }
+    this.#runStore = options.runStore === false ? null : (options.runStore ?? new RunStore());
     this.#context = this.#createFreshContext();
+    if (options.runId) this.#context.runId = options.runId;
+    this.#eventBus = options.eventBus === false ? null : (options.eventBus ?? getEventBus());
+    if (this.#eventBus) bridgeOrchestrator(this, this.#eventBus);
+
+    const defaults = options.defaultHandlers ?? true;
+    if (defaults) {
+      installDefaultPhaseHandlers(this, {
+        eventBus: this.#eventBus ?? undefined,
+        ...(typeof defaults === 'object' ? defaults : {}),
+        overrides: options.handlers,
+      });
+    } else if (options.handlers) {
+      for (const [phaseId, handler] of Object.entries(options.handlers)) {
+        this.registerPhaseHandler(phaseId, handler);
+      }
+    }
   }
 
   // -----------------------------------------------------------------------
@@ -167,17 +439,88 @@ export class MasterOrchestrator extends EventEmitter {
     return this.#phaseManager;
   }
 
+  /** The checkpoint store, or null when checkpointing is disabled. @returns {RunStore|null} */
+  get runStore() {
+    return this.#runStore;
+  }
+
+  /** The bus events are published on, or null. @returns {import('../events/event-bus.js').ClawEventBus|null} */
+  get eventBus() {
+    return this.#eventBus;
+  }
+
+  /** Decision the run is paused for, or null. @returns {PendingApproval|null} */
+  get pendingApproval() {
+    return this.#context.pendingApproval ? { ...this.#context.pendingApproval } : null;
+  }
+
+  // -----------------------------------------------------------------------
+  // Checkpoint restore
+  // -----------------------------------------------------------------------
+
+  /**
+   * Rehydrates an orchestrator from the checkpoint of a previous run. The
+   * returned instance is positioned at the first incomplete phase; call
+   * {@link MasterOrchestrator#resume} to continue the run.
+   *
+   * A run that was interrupted mid-phase (state still e.g. GENERATING) is
+   * restored in the ERROR state with the interrupted phase marked failed,
+   * so that it re-runs from scratch on resume.
+   *
+   * @param {string} runId
+   * @param {Object} [options] - Same options as the constructor. The run is
+   *   loaded from, and keeps checkpointing to, `runStore` (the default store
+   *   if omitted).
+   * @returns {MasterOrchestrator}
+   * @throws {Error} With code `RUN_STORE_DISABLED` for `runStore: false`,
+   *   `RUN_NOT_FOUND` or `CHECKPOINT_INVALID`.
+   */
+  static restore(runId, options = {}) {
+    if (options.runStore === false) {
+      const err = new Error(`[MasterOrchestrator] Cannot restore run "${runId}": checkpointing is disabled.`);
+      err.code = 'RUN_STORE_DISABLED';
+      throw err;
+    }
+    const store = options.runStore ?? new RunStore();
+    const checkpoint = store.load(runId);
+
+    const orchestrator = new MasterOrchestrator({ ...options, runStore: store });
+    orchestrator.#hydrate(checkpoint);
+    return orchestrator;
+  }
+
+  /**
+   * Replaces this orchestrator's context with the checkpoint of `runId` from
+   * its own run store, keeping registered handlers, skip conditions and
+   * approval gates. Same restore semantics as {@link MasterOrchestrator.restore}.
+   *
+   * @param {string} runId
+   * @returns {this}
+   * @throws {Error} With code `RUN_STORE_DISABLED`, `RUN_NOT_FOUND` or `CHECKPOINT_INVALID`.
+   */
+  load(runId) {
+    if (!this.#runStore) {
+      const err = new Error(`[MasterOrchestrator] Cannot load run "${runId}": checkpointing is disabled.`);
+      err.code = 'RUN_STORE_DISABLED';
+      throw err;
+    }
+    this.#hydrate(this.#runStore.load(runId));
+    return this;
+  }
+
   // -----------------------------------------------------------------------
   // Phase handler registration
   // -----------------------------------------------------------------------
 
   /**
    * Registers an async handler function for a specific phase. The handler
-   * receives the current accumulated data and must return an object whose
-   * keys match the phase's declared output contract.
+   * receives the current accumulated data and a {@link PhaseControl} whose
+   * signal it should pass to slow I/O, and must return an object whose keys
+   * match the phase's declared output contract. Replaces any previously
+   * registered handler, including the built-in one.
    *
    * @param {string} phaseId - One of the {@link Phase} values.
-   * @param {(ctx: Record<string, unknown>) => Promise<Record<string, unknown>>} handler
+   * @param {(ctx: Record<string, unknown>, control: PhaseControl) => Promise<Record<string, unknown>>} handler
    * @returns {this}
    */
   registerPhaseHandler(phaseId, handler) {
@@ -191,6 +534,16 @@ export class MasterOrchestrator extends EventEmitter {
     return this;
   }
 
+  /**
+   * Returns the handler registered for a phase.
+   *
+   * @param {string} phaseId
+   * @returns {((ctx: Record<string, unknown>, control: PhaseControl) => Promise<Record<string, unknown>>)|null}
+   */
+  getPhaseHandler(phaseId) {
+    return this.#phaseHandlers.get(phaseId) ?? null;
+  }
+
   /**
    * Registers a skip condition for a phase. If the predicate returns true
    * when evaluated before the phase starts, the phase is skipped.
@@ -209,6 +562,53 @@ export class MasterOrchestrator extends EventEmitter {
     return this;
   }
 
+  /**
+   * Sets the timeout and retry policy of a phase, or with '*' the default for
+   * every phase without its own policy. Replaces any previous policy.
+   *
+   * @param {string} phaseId - Phase id or '*'.
+   * @param {PhasePolicy} policy
+   * @returns {this}
+   * @throws {TypeError} If the policy is malformed.
+   */
+  setPhasePolicy(phaseId, policy) {
+    if (phaseId !== '*') this.#phaseManager.getDefinition(phaseId);
+    this.#policies.set(phaseId, normalizePolicy(phaseId, policy));
+    return this;
+  }
+
+  /**
+   * Requires a human decision after a phase completes. The run pauses in the
+   * AWAITING_APPROVAL state (start()/resume() return with that state) until
+   * {@link MasterOrchestrator#approve} or {@link MasterOrchestrator#reject}
+   * is called.
+   *
+   * @param {string} phaseId
+   * @param {{ reviewer?: string, rewindTo?: string }} [options]
+   *   `rewindTo` is the phase a rejection returns to unless the rejection
+   *   names another one; it defaults to `phaseId`.
+   * @returns {this}
+   */
+  requireApproval(phaseId, options = {}) {
+    this.#phaseManager.getDefinition(phaseId);
+    if (options.rewindTo) this.#phaseManager.getDefinition(options.rewindTo);
+
+    this.#approvalGates.set(phaseId, {
+      reviewer: options.reviewer ?? null,
+      rewindTo: options.rewindTo ?? null,
+    });
+    return this;
+  }
+
+  /**
+   * Returns the approval gates registered with {@link MasterOrchestrator#requireApproval}.
+   *
+   * @returns {Array<{ phaseId: string, reviewer: string|null, rewindTo: string|null }>}
+   */
+  getApprovalGates() {
+    return [...this.#approvalGates].map(([phaseId, gate]) => ({ phaseId, ...gate }));
+  }
+
   // -----------------------------------------------------------------------
   // Lifecycle — start / resume / reset
   // -----------------------------------------------------------------------
@@ -217,7 +617,8 @@ export class MasterOrchestrator extends EventEmitter {
    * Starts a fresh pipeline run with the given initial data.
    *
    * @param {Record<string, unknown>} initialData - Must at minimum contain `userInput`.
-   * @returns {Promise<OrchestratorContext>} Final context after all phases complete.
+   * @returns {Promise<OrchestratorContext>} Final context after all phases complete,
+   *   or the context in the AWAITING_APPROVAL state when a gated phase finished.
    * @throws {Error} If the orchestrator is not in IDLE state.
    */
   async start(initialData = {}) {
@@ -228,27 +629,18 @@ export class MasterOrchestrator extends EventEmitter {
       );
     }
 
-    this.#context = this.#createFreshContext();
+    // Keep the id announced while idle so callers can find the checkpoint.
+    this.#context = { ...this.#createFreshContext(), runId: this.#context.runId };
+    this.#compensations = [];
     Object.assign(this.#context.data, initialData);
 
     this.emit('run:started', {
       runId: this.#context.runId,
       timestamp: this.#context.startedAt,
     });
+    await this.#checkpoint();
 
-    try {
-      await this.#executePipeline();
-    } catch (err) {
-      this.#transitionTo(OrchestratorState.ERROR);
-      this.emit('run:failed', {
-        runId: this.#context.runId,
-        error: err,
-        context: this.context,
-      });
-      throw err;
-    }
-
-    return this.context;
+    return this.#runPipeline();
   }
 
   /**
@@ -269,6 +661,9 @@ export class MasterOrchestrator extends EventEmitter {
     if (currentState === OrchestratorState.COMPLETE) {
       throw new Error('[MasterOrchestrator] Pipeline already complete. Call reset() to run again.');
     }
+    if (currentState === OrchestratorState.AWAITING_APPROVAL) {
+      throw new Error('[MasterOrchestrator] Run is awaiting approval. Call approve() or reject().');
+    }
 
     Object.assign(this.#context.data, additionalData);
     this.#context.retryCount += 1;
@@ -279,31 +674,155 @@ export class MasterOrchestrator extends EventEmitter {
       resumePhase: this.#context.currentPhase,
     });
 
-    try {
-      await this.#executePipeline(this.#context.currentPhase);
-    } catch (err) {
-      this.#transitionTo(OrchestratorState.ERROR);
-      this.emit('run:failed', {
-        runId: this.#context.runId,
+    return this.#runPipeline(this.#context.currentPhase);
+  }
+
+  /**
+   * Approves the pending decision and continues the run with the phase after
+   * the gated one.
+   *
+   * @param {string} [notes='']
+   * @param {{ reviewer?: string }} [options]
+   * @returns {Promise<OrchestratorContext>}
+   * @throws {Error} With code `NO_PENDING_APPROVAL` if the run is not awaiting approval.
+   */
+  async approve(notes = '', options = {}) {
+    const pending = this.#requirePendingApproval('approve');
+
+    /** @type {ApprovalDecision} */
+    const decision = {
+      phaseId: pending.phaseId,
+      decision: 'approved',
+      reviewer: options.reviewer ?? pending.reviewer,
+      notes,
+      decidedAt: Date.now(),
+    };
+    this.#context.approvals.push(decision);
+    this.#context.pendingApproval = null;
+
+    this.emit('approval:granted', { runId: this.#context.runId, ...decision });
+
+    return this.#runPipeline();
+  }
+
+  /**
+   * Rejects the pending decision. Every phase from the rewind target onwards
+   * is reset (its outputs are removed from the context) and the run continues
+   * from the rewind target with `previousAttempt` describing the rejection:
+   * `{ phase, reviewer, reason, rewindTo, rejectedAt, output }`, where
+   * `output` holds what the gated phase produced.
+   *
+   * @param {string} reason - Reviewer notes, passed on in `previousAttempt`.
+   * @param {{ rewindTo?: string, reviewer?: string }} [options]
+   *   `rewindTo` must be the gated phase or an earlier one.
+   * @returns {Promise<OrchestratorContext>}
+   * @throws {Error} With code `NO_PENDING_APPROVAL` or `INVALID_REWIND`.
+   */
+  async reject(reason, options = {}) {
+    const pending = this.#requirePendingApproval('reject');
+    const order = this.#phaseManager.getPhaseOrder();
+    const rewindTo = options.rewindTo ?? pending.rewindTo;
+    const rewindIndex = order.indexOf(rewindTo);
+
+    if (rewindIndex === -1 || rewindIndex > order.indexOf(pending.phaseId)) {
+      const err = new Error(
+        `[MasterOrchestrator] Cannot rewind to "${rewindTo}": ` +
+        `it must be "${pending.phaseId}" or an earlier phase.`,
+      );
+      err.code = 'INVALID_REWIND';
+      throw err;
+    }
+
+    const { data } = this.#context;
+    const reviewed = this.#phaseManager.getDefinition(pending.phaseId).outputKeys;
+    const output = Object.fromEntries(reviewed.filter((k) => k in data).map((k) => [k, data[k]]));
+
+    const rewound = order.slice(rewindIndex);
+    for (const phaseId of rewound) {
+      for (const key of this.#phaseManager.getDefinition(phaseId).outputKeys) delete data[key];
+    }
+    this.#context.completedPhases = this.#context.completedPhases.filter((p) => !rewound.includes(p));
+    this.#context.skippedPhases = this.#context.skippedPhases.filter((p) => !rewound.includes(p));
+
+    /** @type {ApprovalDecision} */
+    const decision = {
+      phaseId: pending.phaseId,
+      decision: 'rejected',
+      reviewer: options.reviewer ?? pending.reviewer,
+      notes: reason,
+      rewindTo,
+      decidedAt: Date.now(),
+    };
+    data.previousAttempt = {
+      phase: pending.phaseId,
+      reviewer: decision.reviewer,
+      reason,
+      rewindTo,
+      rejectedAt: decision.decidedAt,
+      output: snapshot(output),
+    };
+    this.#context.approvals.push(decision);
+    this.#context.pendingApproval = null;
+    this.#context.currentPhase = rewindTo;
+
+    this.emit('approval:rejected', { runId: this.#context.runId, ...decision });
+
+    return this.#runPipeline();
+  }
+
+  /**
+   * Cancels the run: aborts the signal of every running phase handler (and
+   * any retry backoff) and moves the run to ERROR. The error recorded for the
+   * interrupted phase has the code `CANCELLED`; start()/resume() reject with
+   * it. A run paused for approval is moved to ERROR directly. A cancelled run
+   * can be continued with resume() like any failed run.
+   *
+   * @param {string} [reason='Cancelled by user.']
+   * @returns {Promise<boolean>} Resolves once the run is in ERROR; false when
+   *   there was nothing to cancel.
+   *
+   * @fires MasterOrchestrator#run:cancelled
+   */
+  async cancel(reason = 'Cancelled by user.') {
+    const err = new Error(`[MasterOrchestrator] Run cancelled: ${reason}`);
+    err.code = 'CANCELLED';
+    err.reason = reason;
+
+    if (this.#running) {
+      this.emit('run:cancelled', { runId: this.#context.runId, reason });
+      this.#abortController.abort(err);
+      await this.#running.catch(() => {});
+      return true;
+    }
+
+    if (this.#context.currentState === OrchestratorState.AWAITING_APPROVAL) {
+      this.emit('run:cancelled', { runId: this.#context.runId, reason });
+      this.#context.pendingApproval = null;
+      this.#context.errors.push({
+        phase: this.#context.currentPhase,
         error: err,
-        context: this.context,
+        timestamp: Date.now(),
       });
-      throw err;
+      await this.#fail(err);
+      return true;
     }
 
-    return this.context;
+    return false;
   }
 
   /**
    * Resets the orchestrator to IDLE so a new run can begin. Optionally
    * preserves accumulated data for inspection.
    *
-   * @param {{ preserveData?: boolean }} [options]
+   * @param {{ preserveData?: boolean, runId?: string }} [options]
+   *   `runId` names the new run; a fresh identifier is generated if omitted.
    * @returns {this}
    */
   reset(options = {}) {
     const previousContext = this.context;
     this.#context = this.#createFreshContext();
+    if (options.runId) this.#context.runId = options.runId;
+    this.#compensations = [];
 
     if (options.preserveData && previousContext.data) {
       this.#context.data = previousContext.data;
@@ -331,26 +850,359 @@ export class MasterOrchestrator extends EventEmitter {
    * @returns {Promise<Record<string, unknown>>} The phase output.
    */
   async executePhase(phaseId) {
+    const result = await this.#runPhase(phaseId, this.#context.data);
+    await this.#commitPhase(phaseId, result);
+    return result.output ?? {};
+  }
+
+  // -----------------------------------------------------------------------
+  // Metrics & introspection
+  // -----------------------------------------------------------------------
+
+  /**
+   * Returns a summary of timing metrics for the current (or most recent) run.
+   *
+   * @returns {{
+   *   runId: string,
+   *   totalDurationMs: number,
+   *   phases: PhaseTimingEntry[],
+   *   completedPhases: string[],
+   *   skippedPhases: string[],
+   *   errorCount: number
+   * }}
+   */
+  getMetrics() {
+    const phases = this.#context.timing;
+    const totalDurationMs = phases.reduce((sum, p) => sum + (p.durationMs ?? 0), 0);
+
+    return {
+      runId: this.#context.runId,
+      totalDurationMs: Math.round(totalDurationMs * 100) / 100,
+      phases: snapshot(phases),
+      completedPhases: [...this.#context.completedPhases],
+      skippedPhases: [...this.#context.skippedPhases],
+      errorCount: this.#context.errors.length,
+    };
+  }
+
+  /**
+   * Returns the error log for the current run.
+   *
+   * @returns {Array<{ phase: string, message: string, timestamp: number }>}
+   */
+  getErrors() {
+    return this.#context.errors.map((e) => ({
+      phase: e.phase,
+      message: e.error?.message ?? String(e.error),
+      timestamp: e.timestamp,
+    }));
+  }
+
+  /**
+   * Checks whether the pipeline can be resumed from its current position.
+   *
+   * @returns {{ canResume: boolean, reason?: string }}
+   */
+  canResume() {
+    const { currentState, retryCount } = this.#context;
+
+    if (currentState === OrchestratorState.IDLE) {
+      return { canResume: false, reason: 'Pipeline has not been started.' };
+    }
+    if (currentState === OrchestratorState.COMPLETE) {
+      return { canResume: false, reason: 'Pipeline already completed successfully.' };
+    }
+    if (currentState === OrchestratorState.AWAITING_APPROVAL) {
+      return { canResume: false, reason: 'Run is awaiting approval.' };
+    }
+    if (retryCount >= this.#maxRetries) {
+      return {
+        canResume: false,
+        reason: `Maximum retry count (${this.#maxRetries}) exceeded.`,
+      };
+    }
+
+    return { canResume: true };
+  }
+
+  // -----------------------------------------------------------------------
+  // Private methods
+  // -----------------------------------------------------------------------
+
+  /**
+   * Creates a blank context for a new run.
+   *
+   * @returns {OrchestratorContext}
+   */
+  #createFreshContext() {
+    return {
+      runId: generateRunId(),
+      currentState: OrchestratorState.IDLE,
+      currentPhase: null,
+      data: {},
+      timing: [],
+      completedPhases: [],
+      skippedPhases: [],
+      errors: [],
+      startedAt: Date.now(),
+      completedAt: null,
+      retryCount: 0,
+      pendingApproval: null,
+      approvals: [],
+      rollback: null,
+    };
+  }
+
+  /**
+   * Returns the pending approval, or throws when the run is not paused for one.
+   *
+   * @param {string} action - Method name used in the error message.
+   * @returns {PendingApproval}
+   */
+  #requirePendingApproval(action) {
+    const pending = this.#context.pendingApproval;
+    if (this.#context.currentState !== OrchestratorState.AWAITING_APPROVAL || !pending) {
+      const err = new Error(
+        `[MasterOrchestrator] Cannot ${action}: run "${this.#context.runId}" is not awaiting approval ` +
+        `(state "${this.#context.currentState}").`,
+      );
+      err.code = 'NO_PENDING_APPROVAL';
+      throw err;
+    }
+    return pending;
+  }
+
+  /**
+   * Runs the pipeline as the run in progress: handlers get a signal tied to
+   * {@link MasterOrchestrator#cancel}, and a failure moves the run to ERROR.
+   *
+   * @param {string} [startFrom]
+   * @returns {Promise<OrchestratorContext>}
+   */
+  #runPipeline(startFrom) {
+    const controller = new AbortController();
+    this.#abortController = controller;
+    this.#context.rollback = null;
+
+    const run = (async () => {
+      try {
+        await this.#executePipeline(startFrom);
+      } catch (err) {
+        await this.#fail(err);
+        throw err;
+      } finally {
+        this.#abortController = null;
+        this.#running = null;
+      }
+      return this.context;
+    })();
+
+    this.#running = run;
+    return run;
+  }
+
+  /**
+   * Pauses the run after a gated phase: enters AWAITING_APPROVAL, records the
+   * pending decision and checkpoints it.
+   *
+   * @param {string} phaseId
+   */
+  async #awaitApproval(phaseId) {
+    const gate = this.#approvalGates.get(phaseId);
+
+    this.#transitionTo(OrchestratorState.AWAITING_APPROVAL);
+    this.#context.pendingApproval = {
+      phaseId,
+      reviewer: gate.reviewer,
+      rewindTo: gate.rewindTo ?? phaseId,
+      requestedAt: Date.now(),
+    };
+    await this.#checkpoint();
+
+    this.emit('approval:requested', { runId: this.#context.runId, ...this.#context.pendingApproval });
+  }
+
+  /**
+   * Moves a failed run into the ERROR state after rolling back its
+   * compensations, records a checkpoint and emits `run:failed`. The
+   * transition is skipped when the run is already in ERROR (e.g. a resumed
+   * run failing input validation).
+   *
+   * @param {Error} err
+   */
+  async #fail(err) {
+    await this.#rollback(err);
+
+    if (this.#context.currentState !== OrchestratorState.ERROR) {
+      this.#transitionTo(OrchestratorState.ERROR);
+    }
+    await this.#checkpoint();
+    this.emit('run:failed', {
+      runId: this.#context.runId,
+      error: err,
+      context: this.context,
+    });
+  }
+
+  /**
+   * Runs the registered compensating actions in reverse order and stores the
+   * {@link RollbackReport} on the context. Failing actions are reported, not
+   * thrown, so that every action gets its chance. Completed phases that had
+   * actions run are marked incomplete (and their outputs dropped) so that a
+   * resume re-runs them.
+   *
+   * @param {Error} err - The failure that triggered the rollback.
+   * @returns {Promise<RollbackReport|null>} Null when nothing was registered.
+   *
+   * @fires MasterOrchestrator#rollback:started
+   * @fires MasterOrchestrator#rollback:completed
+   */
+  async #rollback(err) {
+    if (this.#compensations.length === 0) return null;
+
+    const actions = this.#compensations.splice(0).reverse();
+    const { runId } = this.#context;
+
+    /** @type {RollbackReport} */
+    const report = {
+      trigger: {
+        phase: this.#context.currentPhase,
+        message: err?.message ?? String(err),
+        ...(err?.code ? { code: err.code } : {}),
+      },
+      undone: [],
+      failed: [],
+      rewoundPhases: [],
+      completedAt: null,
+    };
+
+    this.emit('rollback:started', { runId, actions: actions.length, trigger: report.trigger });
+
+    for (const { phaseId, description, action } of actions) {
+      try {
+        await action();
+        report.undone.push({ phaseId, description });
+      } catch (error) {
+        report.failed.push({ phaseId, description, error: error?.message ?? String(error) });
+      }
+    }
+
+    const touched = new Set(actions.map((a) => a.phaseId));
+    report.rewoundPhases = this.#context.completedPhases.filter((p) => touched.has(p));
+    if (report.rewoundPhases.length > 0) {
+      for (const phaseId of report.rewoundPhases) {
+        for (const key of this.#phaseManager.getDefinition(phaseId).outputKeys) {
+          delete this.#context.data[key];
+        }
+      }
+      this.#context.completedPhases = this.#context.completedPhases.filter((p) => !touched.has(p));
+      this.#context.currentPhase = this.#phaseManager.getPhaseOrder().find(
+        (p) => !this.#context.completedPhases.includes(p) && !this.#context.skippedPhases.includes(p),
+      ) ?? this.#context.currentPhase;
+    }
+
+    report.completedAt = Date.now();
+    this.#context.rollback = report;
+    this.emit('rollback:completed', { runId, ...report });
+    return report;
+  }
+
+  /**
+   * Writes the current context to the run store. Checkpoint failures never
+   * fail the run; they are reported through `checkpoint:failed` instead.
+   */
+  async #checkpoint() {
+    if (!this.#runStore) return;
+
+    const { errors, ...rest } = this.#context;
+    const checkpoint = snapshot({
+      ...rest,
+      errors: errors.map((e) => ({
+        phase: e.phase,
+        message: e.error?.message ?? String(e.error),
+        ...(e.error?.code ? { code: e.error.code } : {}),
+        timestamp: e.timestamp,
+      })),
+    });
+
+    try {
+      const file = await this.#runStore.save(checkpoint);
+      this.emit('checkpoint:saved', { runId: checkpoint.runId, file });
+    } catch (error) {
+      this.emit('checkpoint:failed', { runId: checkpoint.runId, error });
+    }
+  }
+
+  /**
+   * Replaces the context with one rebuilt from a checkpoint.
+   *
+   * @param {import('./run-store.js').RunCheckpoint} checkpoint
+   */
+  #hydrate(checkpoint) {
+    const context = {
+      runId: checkpoint.runId,
+      currentState: checkpoint.currentState,
+      currentPhase: checkpoint.currentPhase ?? null,
+      data: checkpoint.data ?? {},
+      timing: checkpoint.timing ?? [],
+      completedPhases: checkpoint.completedPhases ?? [],
+      skippedPhases: checkpoint.skippedPhases ?? [],
+      errors: (checkpoint.errors ?? []).map((e) => {
+        const error = new Error(e.message);
+        if (e.code) error.code = e.code;
+        return { phase: e.phase, error, timestamp: e.timestamp };
+      }),
+      startedAt: checkpoint.startedAt,
+      completedAt: checkpoint.completedAt ?? null,
+      retryCount: checkpoint.retryCount ?? 0,
+      pendingApproval: checkpoint.pendingApproval ?? null,
+      approvals: checkpoint.approvals ?? [],
+      rollback: checkpoint.rollback ?? null,
+    };
+
+    const order = this.#phaseManager.getPhaseOrder();
+    const phaseStates = new Set(order.map((p) => this.#phaseManager.getStateForPhase(p)));
+
+    // A phase state means the process died while a handler was running.
+    if (phaseStates.has(context.currentState)) {
+      for (const entry of context.timing) {
+        if (entry.status === 'running') {
+          Object.assign(entry, { status: 'failed', error: 'Interrupted' });
+        }
+      }
+      context.currentState = OrchestratorState.ERROR;
+    }
+
+    if (context.currentState !== OrchestratorState.COMPLETE) {
+      context.currentPhase = order.find(
+        (p) => !context.completedPhases.includes(p) && !context.skippedPhases.includes(p),
+      ) ?? context.currentPhase;
+    }
+
+    this.#context = context;
+  }
+
+  /**
+   * Runs a phase up to, but not including, merging its output: checks the
+   * skip condition and inputs against `data`, enters the phase state, calls
+   * the handler and validates the output. Failures are recorded and rethrown.
+   *
+   * @param {string} phaseId
+   * @param {Record<string, unknown>} data - Context data the phase sees.
+   * @param {{ parallel?: boolean }} [options]
+   * @returns {Promise<{ skipped?: boolean, output?: Record<string, unknown>, durationMs?: number }>}
+   */
+  async #runPhase(phaseId, data, options = {}) {
     const definition = this.#phaseManager.getDefinition(phaseId);
-    const targetState = definition.state;
 
     // --- Skip condition check ---
     const skipFn = this.#skipConditions.get(phaseId);
-    if (skipFn && skipFn(this.#context.data)) {
-      this.#context.skippedPhases.push(phaseId);
-      this.#context.timing.push({
-        phase: phaseId,
-        startedAt: Date.now(),
-        endedAt: Date.now(),
-        durationMs: 0,
-        status: 'skipped',
-      });
-      this.emit('phase:skipped', { phaseId, runId: this.#context.runId });
-      return {};
+    if (skipFn && skipFn(data)) {
+      return { skipped: true };
     }
 
     // --- Input validation ---
-    const inputResult = this.#phaseManager.validatePhaseInput(phaseId, this.#context.data);
+    const inputResult = this.#phaseManager.validatePhaseInput(phaseId, data);
     if (!inputResult.valid) {
       const err = new Error(
         `[MasterOrchestrator] Phase "${phaseId}" is missing required inputs: ` +
@@ -363,7 +1215,7 @@ export class MasterOrchestrator extends EventEmitter {
     }
 
     // --- Transition state ---
-    this.#transitionTo(targetState);
+    this.#transitionTo(definition.state, options);
     this.#context.currentPhase = phaseId;
 
     const timingEntry = {
@@ -373,15 +1225,17 @@ export class MasterOrchestrator extends EventEmitter {
     };
     this.#context.timing.push(timingEntry);
 
-    this.emit('phase:starting', {
-      phaseId,
-      runId: this.#context.runId,
-      inputKeys: Object.keys(this.#context.data),
-    });
-
     const t0 = now();
 
     try {
+      // Inside the try: a bridged listener that throws (a bus in strict
+      // 'reject' mode, a disposed scope) fails the phase like its handler.
+      this.emit('phase:starting', {
+        phaseId,
+        runId: this.#context.runId,
+        inputKeys: Object.keys(data),
+      });
+
       // --- Execute handler ---
       const handler = this.#phaseHandlers.get(phaseId);
       if (!handler) {
@@ -391,24 +1245,51 @@ export class MasterOrchestrator extends EventEmitter {
         );
       }
 
-      const output = await handler(snapshot(this.#context.data));
-
-      // --- Output validation ---
-      const outputResult = this.#phaseManager.validatePhaseOutput(phaseId, output);
-      if (!outputResult.valid) {
-        const err = new Error(
-          `[MasterOrchestrator] Phase "${phaseId}" handler did not produce required outputs: ` +
-          `[${outputResult.missing.join(', ')}]`,
-        );
-        err.code = 'PHASE_OUTPUT_INVALID';
-        err.phaseId = phaseId;
-        err.missing = outputResult.missing;
-        throw err;
+      const policy = this.#policyFor(phaseId);
+      const runSignal = this.#abortController?.signal;
+      let output;
+
+      for (let attempt = 1; ; attempt++) {
+        timingEntry.attempts = attempt;
+        try {
+          output = await this.#attempt(phaseId, handler, data, policy, attempt);
+
+          // --- Output validation ---
+          const outputResult = this.#phaseManager.validatePhaseOutput(phaseId, output);
+          if (!outputResult.valid) {
+            const err = new Error(
+              `[MasterOrchestrator] Phase "${phaseId}" handler did not produce required outputs: ` +
+              `[${outputResult.missing.join(', ')}]`,
+            );
+            err.code = 'PHASE_OUTPUT_INVALID';
+            err.phaseId = phaseId;
+            err.missing = outputResult.missing;
+            throw err;
+          }
+          break;
+        } catch (err) {
+          const retryable =
+            attempt <= policy.retries &&
+            err?.code !== 'CANCELLED' &&
+            !runSignal?.aborted &&
+            (policy.retryOn ? policy.retryOn(err) : true);
+          if (!retryable) throw err;
+
+          const delayMs = policy.backoff === 'exponential'
+            ? policy.delayMs * 2 ** (attempt - 1)
+            : policy.delayMs;
+
+          this.emit('phase:retrying', {
+            phaseId,
+            runId: this.#context.runId,
+            attempt,
+            delayMs,
+            error: err,
+          });
+          await delay(delayMs, runSignal);
+        }
       }
 
-      // --- Merge output into context ---
-      Object.assign(this.#context.data, output);
-
       // --- Record success ---
       const durationMs = now() - t0;
       Object.assign(timingEntry, {
@@ -417,16 +1298,7 @@ export class MasterOrchestrator extends EventEmitter {
         status: 'completed',
       });
 
-      this.#context.completedPhases.push(phaseId);
-
-      this.emit('phase:completed', {
-        phaseId,
-        runId: this.#context.runId,
-        durationMs: timingEntry.durationMs,
-        outputKeys: Object.keys(output),
-      });
-
-      return output;
+      return { output, durationMs: timingEntry.durationMs };
     } catch (err) {
       // --- Record failure ---
       const durationMs = now() - t0;
@@ -454,108 +1326,211 @@ export class MasterOrchestrator extends EventEmitter {
     }
   }
 
-  // -----------------------------------------------------------------------
-  // Metrics & introspection
-  // -----------------------------------------------------------------------
+  /**
+   * Returns the effective policy of a phase.
+   *
+   * @param {string} phaseId
+   * @returns {ReturnType<typeof normalizePolicy>}
+   */
+  #policyFor(phaseId) {
+    return this.#policies.get(phaseId) ?? this.#policies.get('*') ?? normalizePolicy(phaseId, {});
+  }
 
   /**
-   * Returns a summary of timing metrics for the current (or most recent) run.
+   * Calls a handler once with its own abort signal, which fires when the
+   * policy's timeout elapses or the run is cancelled. The attempt rejects as
+   * soon as the signal aborts, even if the handler ignores it.
    *
-   * @returns {{
-   *   runId: string,
-   *   totalDurationMs: number,
-   *   phases: PhaseTimingEntry[],
-   *   completedPhases: string[],
-   *   skippedPhases: string[],
-   *   errorCount: number
-   * }}
+   * @param {string} phaseId
+   * @param {Function} handler
+   * @param {Record<string, unknown>} data
+   * @param {ReturnType<typeof normalizePolicy>} policy
+   * @param {number} attempt
+   * @returns {Promise<Record<string, unknown>>}
    */
-  getMetrics() {
-    const phases = this.#context.timing;
-    const totalDurationMs = phases.reduce((sum, p) => sum + (p.durationMs ?? 0), 0);
+  async #attempt(phaseId, handler, data, policy, attempt) {
+    const controller = new AbortController();
+    const runSignal = this.#abortController?.signal;
+    const onRunAbort = () => controller.abort(runSignal.reason);
 
-    return {
+    if (runSignal?.aborted) throw runSignal.reason;
+    runSignal?.addEventListener('abort', onRunAbort, { once: true });
+
+    let timer = null;
+    if (policy.timeoutMs !== undefined) {
+      timer = setTimeout(() => {
+        const err = new Error(
+          `[MasterOrchestrator] Phase "${phaseId}" timed out after ${policy.timeoutMs}ms ` +
+          `(attempt ${attempt}).`,
+        );
+        err.code = 'PHASE_TIMEOUT';
+        err.phaseId = phaseId;
+        controller.abort(err);
+      }, policy.timeoutMs);
+    }
+
+    /** @type {PhaseControl} */
+    const control = {
+      signal: controller.signal,
+      phaseId,
       runId: this.#context.runId,
-      totalDurationMs: Math.round(totalDurationMs * 100) / 100,
-      phases: snapshot(phases),
-      completedPhases: [...this.#context.completedPhases],
-      skippedPhases: [...this.#context.skippedPhases],
-      errorCount: this.#context.errors.length,
+      attempt,
+      compensate: (description, action) => {
+        if (typeof action !== 'function') {
+          throw new TypeError(`[MasterOrchestrator] Compensation for "${phaseId}" must be a function.`);
+        }
+        this.#compensations.push({ phaseId, description: String(description), action });
+      },
     };
+
+    try {
+      return await abortable(
+        Promise.resolve().then(() => handler(snapshot(data), control)),
+        controller.signal,
+      );
+    } finally {
+      clearTimeout(timer);
+      runSignal?.removeEventListener('abort', onRunAbort);
+    }
   }
 
   /**
-   * Returns the error log for the current run.
+   * Records the result of `#runPhase()`: merges the
+   * output into the context (or marks the phase skipped), emits
+   * `phase:completed` / `phase:skipped` and writes a checkpoint.
    *
-   * @returns {Array<{ phase: string, message: string, timestamp: number }>}
+   * @param {string} phaseId
+   * @param {{ skipped?: boolean, output?: Record<string, unknown>, durationMs?: number }} result
    */
-  getErrors() {
-    return this.#context.errors.map((e) => ({
-      phase: e.phase,
-      message: e.error?.message ?? String(e.error),
-      timestamp: e.timestamp,
-    }));
+  async #commitPhase(phaseId, result) {
+    if (result.skipped) {
+      this.#context.skippedPhases.push(phaseId);
+      this.#context.timing.push({
+        phase: phaseId,
+        startedAt: Date.now(),
+        endedAt: Date.now(),
+        durationMs: 0,
+        status: 'skipped',
+      });
+      this.emit('phase:skipped', { phaseId, runId: this.#context.runId });
+      await this.#checkpoint();
+      return;
+    }
+
+    Object.assign(this.#context.data, result.output);
+    this.#context.completedPhases.push(phaseId);
+
+    this.emit('phase:completed', {
+      phaseId,
+      runId: this.#context.runId,
+      durationMs: result.durationMs,
+      outputKeys: Object.keys(result.output),
+    });
+    await this.#checkpoint();
   }
 
   /**
-   * Checks whether the pipeline can be resumed from its current position.
+   * Runs the given phases over the dependency DAG. A phase starts once all of
+   * its dependencies have finished and fewer than `concurrency` phases are
+   * running; it sees the context plus the not-yet-merged outputs of the
+   * finished phases before it. Results are committed strictly in pipeline
+   * order. After a failure no further phases are started; phases already
+   * running are awaited and the earliest failure is rethrown. The same
+   * applies, without the error, once a phase with an approval gate commits.
    *
-   * @returns {{ canResume: boolean, reason?: string }}
+   * @param {string[]} phaseIds - Phases to run, in pipeline order.
+   * @returns {Promise<string|null>} The gated phase the run must pause for, if any.
    */
-  canResume() {
-    const { currentState, retryCount } = this.#context;
+  async #runGraph(phaseIds) {
+    const graph = this.#phaseManager.getDependencyGraph();
+    const parallel = this.#concurrency > 1;
+    const waiting = new Set(phaseIds);
+
+    /** @type {Map<string, Promise<void>>} */
+    const running = new Map();
+    /** @type {Map<string, { skipped?: boolean, output?: Record<string, unknown>, durationMs?: number, error?: Error }>} */
+    const settled = new Map();
+    let nextCommit = 0;
+    /** @type {string|null} */
+    let gated = null;
+
+    const isReady = (phaseId) =>
+      graph[phaseId].every((dep) => !waiting.has(dep) && !running.has(dep));
+
+    for (;;) {
+      while (nextCommit < phaseIds.length) {
+        const result = settled.get(phaseIds[nextCommit]);
+        if (!result || result.error) break;
+        await this.#commitPhase(phaseIds[nextCommit], result);
+        if (!result.skipped && !gated && this.#approvalGates.has(phaseIds[nextCommit])) {
+          gated = phaseIds[nextCommit];
+        }
+        settled.delete(phaseIds[nextCommit]);
+        nextCommit++;
+      }
 
-    if (currentState === OrchestratorState.IDLE) {
-      return { canResume: false, reason: 'Pipeline has not been started.' };
-    }
-    if (currentState === OrchestratorState.COMPLETE) {
-      return { canResume: false, reason: 'Pipeline already completed successfully.' };
+      const halted = gated || phaseIds.some((id) => settled.get(id)?.error);
+      for (const phaseId of phaseIds) {
+        if (halted || running.size >= this.#concurrency) break;
+        if (!waiting.has(phaseId) || !isReady(phaseId)) continue;
+
+        waiting.delete(phaseId);
+        const data = this.#stagedData(phaseIds, settled, phaseId);
+        running.set(
+          phaseId,
+          this.#runPhase(phaseId, data, { parallel })
+            .then((result) => { settled.set(phaseId, result); }, (error) => { settled.set(phaseId, { error }); })
+            .finally(() => running.delete(phaseId)),
+        );
+      }
+
+      if (running.size === 0) break;
+      await Promise.race(running.values());
     }
-    if (retryCount >= this.#maxRetries) {
-      return {
-        canResume: false,
-        reason: `Maximum retry count (${this.#maxRetries}) exceeded.`,
-      };
+
+    const failedPhase = phaseIds.find((id) => settled.get(id)?.error);
+    if (failedPhase) {
+      this.#context.currentPhase = failedPhase;
+      throw settled.get(failedPhase).error;
     }
 
-    return { canResume: true };
+    return gated;
   }
 
-  // -----------------------------------------------------------------------
-  // Private methods
-  // -----------------------------------------------------------------------
-
   /**
-   * Creates a blank context for a new run.
+   * Context data for a phase about to start: the committed data plus the
+   * outputs of finished, uncommitted phases that precede it, in order.
    *
-   * @returns {OrchestratorContext}
+   * @param {string[]} phaseIds
+   * @param {Map<string, { output?: Record<string, unknown> }>} settled
+   * @param {string} phaseId
+   * @returns {Record<string, unknown>}
    */
-  #createFreshContext() {
-    return {
-      runId: generateRunId(),
-      currentState: OrchestratorState.IDLE,
-      currentPhase: null,
-      data: {},
-      timing: [],
-      completedPhases: [],
-      skippedPhases: [],
-      errors: [],
-      startedAt: Date.now(),
-      completedAt: null,
-      retryCount: 0,
-    };
+  #stagedData(phaseIds, settled, phaseId) {
+    const data = { ...this.#context.data };
+    for (const id of phaseIds) {
+      if (id === phaseId) break;
+      const output = settled.get(id)?.output;
+      if (output) Object.assign(data, output);
+    }
+    return data;
   }
 
   /**
-   * Validates and performs a state transition.
+   * Validates and performs a state transition. Phase entries made by the
+   * parallel scheduler are ordered by the dependency graph instead, so they
+   * are not checked against the (linear) transition matrix.
    *
    * @param {string} targetState
+   * @param {{ parallel?: boolean }} [options]
    * @throws {Error} If the transition is not valid.
    */
-  #transitionTo(targetState) {
+  #transitionTo(targetState, options = {}) {
     const fromState = this.#context.currentState;
 
-    const result = this.#phaseManager.validateTransition(fromState, targetState);
+    const result = options.parallel
+      ? { valid: true }
+      : this.#phaseManager.validateTransition(fromState, targetState);
     if (!result.valid) {
       const err = new Error(
         `[MasterOrchestrator] Invalid state transition: ${result.reason}`,
@@ -581,6 +1556,7 @@ export class MasterOrchestrator extends EventEmitter {
    *   the first phase.
    */
   async #executePipeline(startFrom) {
+    const order = this.#phaseManager.getPhaseOrder();
     let startIndex = 0;
 
     if (startFrom) {
@@ -588,15 +1564,18 @@ export class MasterOrchestrator extends EventEmitter {
       startIndex = def.order;
     }
 
-    for (let i = startIndex; i < PHASE_ORDER.length; i++) {
-      const phaseId = PHASE_ORDER[i];
-
-      // Skip already-completed phases (relevant when resuming).
-      if (this.#context.completedPhases.includes(phaseId)) {
-        continue;
-      }
-
-      await this.executePhase(phaseId);
+    // Leave out already-completed or skipped phases (relevant when resuming).
+    const pending = order.slice(startIndex).filter(
+      (phaseId) =>
+        !this.#context.completedPhases.includes(phaseId) &&
+        !this.#context.skippedPhases.includes(phaseId),
+    );
+
+    const gated = await this.#runGraph(pending);
+    this.#abortController?.signal.throwIfAborted();
+    if (gated) {
+      await this.#awaitApproval(gated);
+      return;
     }
 
     // --- Validation state ---
@@ -618,9 +1597,24 @@ export class MasterOrchestrator extends EventEmitter {
       }
     }
 
+    // Report on the structure of the generated framework, if there is one.
+    const outputPath = this.#context.data.generationReport?.outputPath;
+    if (this.#eventBus && typeof outputPath === 'string') {
+      publishValidation(
+        this.#eventBus,
+        { runId: this.#context.runId, phase: null },
+        outputPath,
+        () => new StructureValidator().validate(outputPath, blueprintFromRunData(this.#context.data)),
+        { validator: 'structure' },
+      );
+    }
+
     // --- Complete ---
     this.#transitionTo(OrchestratorState.COMPLETE);
     this.#context.completedAt = Date.now();
+    this.#compensations = [];
+
+    await this.#checkpoint();
 
     this.emit('run:completed', {
       runId: this.#context.runId,
@@ -638,16 +1632,31 @@ export class MasterOrchestrator extends EventEmitter {
 let _instance = null;
 
 /**
- * Creates (or returns) a MasterOrchestrator instance.
+ * Creates (or returns) a MasterOrchestrator instance. Passing `runId`
+ * restores that run from its checkpoint (always a new instance).
+ *
+ * The shared instance serves one run at a time; to drive several runs
+ * concurrently, submit them to a {@link RunManager} (`run-manager.js`),
+ * which gives each its own orchestrator.
  *
  * @param {Object} [options]
  * @param {boolean} [options.fresh=false] - Force creation of a new instance.
+ * @param {string} [options.runId] - Restore this run via {@link MasterOrchestrator.restore}.
+ * @param {RunStore|false} [options.runStore]
  * @param {import('./phase-manager.js').PhaseManager} [options.phaseManager]
  * @param {number} [options.maxRetries]
+ * @param {number} [options.concurrency]
+ * @param {Record<string, PhasePolicy>} [options.policies]
+ * @param {boolean|import('./phase-handlers.js').DefaultHandlerOptions} [options.defaultHandlers]
+ * @param {Partial<Record<string, Function>>} [options.handlers]
+ * @param {import('../events/event-bus.js').ClawEventBus|false} [options.eventBus]
  * @returns {MasterOrchestrator}
  */
 export function createOrchestrator(options = {}) {
-  if (options.fresh || !_instance) {
+  if (options.runId) {
+    const { runId, ...rest } = options;
+    _instance = MasterOrchestrator.restore(runId, rest);
+  } else if (options.fresh || !_instance) {
     _instance = new MasterOrchestrator(options);
   }
   return _instance;
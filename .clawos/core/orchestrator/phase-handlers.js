@@ -0,0 +1,711 @@
+/**
+ * @module phase-handlers
+ * @description Built-in phase handlers that wire the {@link MasterOrchestrator}
+ * to the real ClawOS engines. Each handler consumes the accumulated context
+ * data and returns exactly the output keys declared for its phase in
+ * `PHASE_DEFINITIONS`:
+ *
+ *   DISCOVER  - detectDomain()                      -> domain, constraints, requirements, detectedPatterns
+ *   ELICIT    - ElicitationEngine                   -> refinedRequirements, userPreferences, clarifications
+ *   BLUEPRINT - BlueprintEngine.compose[WithTeam]() -> architecturePattern, directoryStructure,
+ *                                                      dependencyGraph, configTemplates, fileManifest
+ *   GENERATE  - GeneratorEngine.generate()          -> generatedFiles, generationReport
+ *   INTEGRATE - ClaudeMdGenerator, CommandGenerator,
+ *               McpConfigurator                     -> integrationManifest, claudeConfig, finalReport
+ *
+ * INTEGRATE applies the `conflictStrategy` to files the user changed since
+ * the last run, the way GENERATE does: `skip` leaves them, `merge` merges
+ * the new content in against the base under `.clawos/base`, `overwrite`
+ * replaces them. It registers a compensation for every file it writes
+ * (including merge bases and the lockfile update), so a failure in INTEGRATE
+ * or a later phase restores the previous content or removes what it added.
+ * GENERATE does not: its own failures are rolled back by the FileGenerator,
+ * and its output is kept so a failed run can be resumed.
+ *
+ * With the `eventBus` option the handlers publish the elicitation, blueprint,
+ * file and integration {@link ClawEvent}s of the run on that bus.
+ *
+ * With the `fs` option (a {@link VirtualFileSystem}) nothing touches the disk:
+ * GENERATE renders through `GeneratorEngine.dryRun()` and INTEGRATE writes
+ * into the same virtual file system. This is how dry runs preview output.
+ *
+ * Usage:
+ * ```js
+ * import { createDefaultPhaseHandlers } from './phase-handlers.js';
+ *
+ * const handlers = createDefaultPhaseHandlers({
+ *   outputDir: './out',
+ *   overrides: { ELICIT: async (ctx) => myCustomElicitation(ctx) },
+ * });
+ * ```
+ */
+
+import { promises as fs } from 'node:fs';
+import path from 'node:path';
+import { Phase, PHASE_ORDER } from './phase-manager.js';
+import { detectDomain } from '../elicitation/domain-detector.js';
+import { ElicitationEngine } from '../elicitation/elicitation-engine.js';
+import { BlueprintEngine } from '../blueprint/blueprint-engine.js';
+import { GeneratorEngine, MERGE_BASE_DIR } from '../generator/generator-engine.js';
+import { LOCKFILE_NAME, readLockfile, recordFiles, hashContent } from '../generator/lockfile.js';
+import { threeWayMerge } from '../generator/three-way-merge.js';
+import { ClaudeMdGenerator } from '../claude-integration/claude-md-generator.js';
+import { CommandGenerator } from '../claude-integration/command-generator.js';
+import { McpConfigurator } from '../claude-integration/mcp-configurator.js';
+import { ClawEvent } from '../events/event-bus.js';
+import { publish, bridgeGenerator } from '../events/event-bridge.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default root directory for generated frameworks (mirrors `output.baseDir`). */
+const DEFAULT_OUTPUT_DIR = './generated';
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @callback PhaseHandler
+ * @param {Record<string, unknown>} ctx - Snapshot of the accumulated context data.
+ * @param {import('./master-orchestrator.js').PhaseControl} [control] - Abort
+ *   signal and attempt number supplied by the orchestrator.
+ * @returns {Promise<Record<string, unknown>>} Output keyed by the phase contract.
+ */
+
+/**
+ * @callback QuestionAsker
+ * @param {Object} question - Serialisable question from `ElicitationEngine.askNext()`.
+ * @param {Record<string, unknown>} ctx - Snapshot of the accumulated context data.
+ * @param {{ signal?: AbortSignal }} options - Aborted when the phase times out
+ *   or the run is cancelled.
+ * @returns {Promise<*>|*} The answer, or null/undefined to accept the default.
+ */
+
+/**
+ * @typedef {Object} DefaultHandlerOptions
+ * @property {string}  [outputDir='./generated'] - Root directory; the framework is
+ *   written to `<outputDir>/<name>` unless the context carries `outputPath`
+ *   (or its own `outputDir`).
+ * @property {QuestionAsker} [askQuestion] - Interactive answer provider for ELICIT.
+ *   When omitted, remaining questions are answered with their defaults.
+ * @property {Record<string, *>} [answers] - Pre-filled answers keyed by question id.
+ * @property {{ skipOptional?: boolean, skipRecommended?: boolean }} [elicitation]
+ *   Options forwarded to the ElicitationEngine constructor.
+ * @property {import('../generator/generator-engine.js').ConflictStrategy} [conflictStrategy]
+ *   Conflict strategy forwarded to the GeneratorEngine and applied to the
+ *   files INTEGRATE writes.
+ * @property {Partial<Record<string, PhaseHandler>>} [overrides] - Handlers that
+ *   replace individual built-in handlers, keyed by phase id.
+ * @property {import('../generator/virtual-fs.js').VirtualFileSystem} [fs] - Write
+ *   the framework to this virtual file system instead of the disk.
+ * @property {import('../events/event-bus.js').ClawEventBus} [eventBus] - Bus
+ *   to publish phase-level events on. Nothing is published without one.
+ */
+
+// ---------------------------------------------------------------------------
+// Internal helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Converts a kebab/snake/space separated name to PascalCase.
+ *
+ * @param {string} name
+ * @returns {string}
+ */
+function toPascal(name) {
+  return String(name)
+    .split(/[-_\s]+/)
+    .filter(Boolean)
+    .map((part) => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Adapts an elicited RequirementsProfile to the flatter shape expected by the
+ * BlueprintEngine (boolean testing/docker/ci toggles).
+ *
+ * @param {Record<string, *>} profile
+ * @returns {Record<string, *>}
+ */
+function toBlueprintProfile(profile) {
+  const testing = profile.testing ?? {};
+  const deployment = profile.deployment ?? {};
+
+  return {
+    ...profile,
+    testing: Boolean(testing.unit || testing.integration || testing.e2e),
+    docker: Boolean(deployment.docker),
+    ci: Boolean(deployment.ci) && deployment.ci !== 'none',
+    claudeIntegration: profile.claudeCode?.generateClaudeMd !== false,
+  };
+}
+
+/**
+ * Adapts an elicited RequirementsProfile to the shape expected by the
+ * GeneratorEngine.
+ *
+ * @param {Record<string, *>} profile
+ * @param {Record<string, *>} architecturePattern
+ * @returns {Record<string, *>}
+ */
+function toGeneratorProfile(profile, architecturePattern) {
+  return {
+    ...profile,
+    name: profile.name || architecturePattern.name,
+    description: profile.description || architecturePattern.description,
+    domain: profile.domain || architecturePattern.domain,
+    archetype: architecturePattern.archetype,
+    useDocker: Boolean(profile.deployment?.docker),
+    useGitHubActions: profile.deployment?.ci === 'github-actions',
+    useTypescript: profile.language === 'typescript',
+  };
+}
+
+/**
+ * Rebuilds a Blueprint from the keys the BLUEPRINT phase stored in context.
+ *
+ * @param {Record<string, *>} ctx
+ * @returns {import('../blueprint/blueprint-engine.js').Blueprint}
+ */
+function blueprintFromContext(ctx) {
+  const pattern = ctx.architecturePattern ?? {};
+  const files = ctx.fileManifest ?? [];
+
+  return {
+    name: pattern.name,
+    description: pattern.description,
+    archetype: pattern.archetype,
+    domain: pattern.domain,
+    structure: {
+      directories: ctx.directoryStructure ?? [],
+      files,
+    },
+    modules: ctx.dependencyGraph ?? [],
+    config: ctx.configTemplates ?? { files: [], format: 'json' },
+    integrations: pattern.integrations ?? [],
+    metadata: {
+      estimatedFiles: files.length,
+      complexity: pattern.complexity,
+      layers: pattern.layers ?? [],
+    },
+  };
+}
+
+/**
+ * Converts blueprint modules to the GeneratorEngine module format
+ * (PascalCase class names, `dependsOn` instead of `dependencies`).
+ *
+ * @param {Array<{ name: string, responsibility?: string, dependencies?: string[] }>} modules
+ * @returns {import('../generator/generator-engine.js').BlueprintModule[]}
+ */
+function toGeneratorModules(modules) {
+  return modules.map((mod) => ({
+    name: toPascal(mod.name),
+    description: mod.responsibility,
+    dependsOn: (mod.dependencies ?? []).map(toPascal),
+  }));
+}
+
+/**
+ * Resolves where the framework should be written for this run. Values carried
+ * in the context win over handler options so that a restored run keeps
+ * writing to the directory it was started with.
+ *
+ * @param {Record<string, *>} ctx
+ * @param {DefaultHandlerOptions} options
+ * @param {string} name - Framework name.
+ * @returns {string} Absolute output path.
+ */
+function resolveOutputPath(ctx, options, name) {
+  if (typeof ctx.outputPath === 'string' && ctx.outputPath.length > 0) {
+    return path.resolve(ctx.outputPath);
+  }
+  const root = typeof ctx.outputDir === 'string' && ctx.outputDir.length > 0
+    ? ctx.outputDir
+    : options.outputDir;
+  return path.resolve(root ?? DEFAULT_OUTPUT_DIR, name);
+}
+
+/**
+ * Envelope meta for events published by a handler.
+ *
+ * @param {import('./master-orchestrator.js').PhaseControl} [control]
+ * @returns {import('../events/event-bridge.js').EventMeta}
+ */
+function eventMeta(control) {
+  return { runId: control?.runId ?? null, phase: control?.phaseId ?? null };
+}
+
+/**
+ * Reads a file if it exists.
+ *
+ * @param {string} file
+ * @param {Pick<typeof fs, 'readFile'>} [files=fs]
+ * @returns {Promise<Buffer|null>}
+ */
+async function readIfExists(file, files = fs) {
+  try {
+    return await files.readFile(file);
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+/**
+ * Whether an existing file holds changes of its own: it is neither what the
+ * lockfile recorded for it nor the content about to be written.
+ *
+ * @param {string} relative - Path relative to the output root.
+ * @param {Buffer} current - Content on disk.
+ * @param {string} content - Content about to be written.
+ * @param {import('../generator/lockfile.js').Lockfile|null} lock
+ * @returns {boolean}
+ */
+function isUserModified(relative, current, content, lock) {
+  if (current.equals(Buffer.from(content, 'utf-8'))) return false;
+  const locked = lock?.files[relative.split(path.sep).join('/')];
+  return !locked || locked.hash !== hashContent(current);
+}
+
+/**
+ * Writes a file and registers a compensation that puts back what was there
+ * before: the previous content, or nothing — the file and the directories
+ * created for it are removed again.
+ *
+ * @param {string} file - Absolute path.
+ * @param {string} content
+ * @param {string} root - Base for the description shown in rollback reports.
+ * @param {import('./master-orchestrator.js').PhaseControl} [control]
+ * @param {typeof fs} [files=fs] - File system to write to.
+ */
+async function writeCompensated(file, content, root, control, files = fs) {
+  const previous = await readIfExists(file, files);
+  const createdDir = await files.mkdir(path.dirname(file), { recursive: true });
+  await files.writeFile(file, content, 'utf-8');
+
+  const relative = path.relative(root, file);
+  control?.compensate?.(
+    previous ? `restore ${relative}` : `remove ${relative}`,
+    () => (previous ? files.writeFile(file, previous) : removeCreated(file, createdDir, files)),
+  );
+}
+
+/**
+ * Removes a file and then its parent directories up to and including
+ * `createdDir` (the first directory `mkdir` created for it), stopping at the
+ * first one that is not empty.
+ *
+ * @param {string} file
+ * @param {string|undefined} createdDir
+ * @param {typeof fs} [files=fs]
+ */
+async function removeCreated(file, createdDir, files = fs) {
+  await files.rm(file, { force: true });
+  if (!createdDir) return;
+
+  const inCreated = (dir) => dir === createdDir || dir.startsWith(createdDir + path.sep);
+  for (let dir = path.dirname(file); inCreated(dir); dir = path.dirname(dir)) {
+    try {
+      await files.rmdir(dir);
+    } catch (err) {
+      if (err.code === 'ENOTEMPTY' || err.code === 'EEXIST') return;
+      if (err.code !== 'ENOENT') throw err;
+    }
+    if (dir === createdDir) return;
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Built-in handlers
+// ---------------------------------------------------------------------------
+
+/**
+ * DISCOVER — detects the domain, scope and team-replacement signals.
+ *
+ * @param {DefaultHandlerOptions} _options
+ * @returns {PhaseHandler}
+ */
+function discoverHandler(_options) {
+  return async (ctx) => {
+    const detection = detectDomain(String(ctx.userInput ?? ''));
+    const hints = ctx.hints ?? {};
+
+    return {
+      domain: hints.domain ?? detection.primary.domain,
+      constraints: {
+        scope: hints.scope ?? detection.scope,
+        isGeneric: detection.isGeneric,
+        isMultiDomain: detection.isMultiDomain,
+      },
+      requirements: {
+        description: ctx.userInput,
+        confidence: detection.primary.confidence,
+        teamReplacement: detection.teamReplacement,
+      },
+      detectedPatterns: {
+        keywords: detection.keywords,
+        secondaryDomains: detection.secondary,
+      },
+    };
+  };
+}
+
+/**
+ * ELICIT — drives the ElicitationEngine, interactively when an asker is
+ * supplied and with smart defaults otherwise.
+ *
+ * @param {DefaultHandlerOptions} options
+ * @returns {PhaseHandler}
+ */
+function elicitHandler(options) {
+  return async (ctx, control = {}) => {
+    const { signal } = control;
+    const bus = options.eventBus;
+    const meta = eventMeta(control);
+    const engine = new ElicitationEngine(options.elicitation ?? {});
+    engine.startElicitation(ctx.domain);
+    publish(bus, ClawEvent.ELICITATION_START, meta, {
+      domain: ctx.domain,
+      interactive: typeof options.askQuestion === 'function',
+    });
+
+    const answers = { ...(options.answers ?? {}), ...(ctx.answers ?? {}) };
+    for (const [questionId, answer] of Object.entries(answers)) {
+      engine.injectAnswer(questionId, answer);
+    }
+
+    const team = ctx.requirements?.teamReplacement;
+    if (team?.isTeamReplacement) {
+      engine.injectTeamConfig({
+        agents: team.suggestedAgents,
+        workflows: team.suggestedWorkflows,
+      });
+    }
+
+    if (typeof options.askQuestion === 'function') {
+      let question = engine.askNext();
+      while (question) {
+        signal?.throwIfAborted();
+        publish(bus, ClawEvent.QUESTION_ASKED, meta, { question });
+        const answer = await options.askQuestion(question, ctx, { signal });
+        engine.processAnswer(answer);
+        publish(bus, ClawEvent.ANSWER_RECEIVED, meta, {
+          questionId: question.id,
+          answer: answer ?? null,
+          defaulted: answer === null || answer === undefined,
+        });
+        question = engine.askNext();
+      }
+    } else {
+      engine.applyAllDefaults();
+    }
+
+    const profile = engine.getProfile();
+    publish(bus, ClawEvent.ELICITATION_COMPLETE, meta, {
+      domain: profile.domain,
+      answers: engine.getAnswersSummary(),
+    });
+
+    return {
+      refinedRequirements: profile,
+      userPreferences: {
+        language: profile.language,
+        architecture: profile.architecture,
+        testing: profile.testing,
+        deployment: profile.deployment,
+        claudeCode: profile.claudeCode,
+        executionMode: profile.executionMode,
+      },
+      clarifications: engine.getAnswersSummary(),
+    };
+  };
+}
+
+/**
+ * BLUEPRINT — composes the architecture blueprint from the refined profile.
+ *
+ * @param {DefaultHandlerOptions} options
+ * @returns {PhaseHandler}
+ */
+function blueprintHandler(options) {
+  return async (ctx, control) => {
+    const engine = new BlueprintEngine();
+    const profile = toBlueprintProfile({
+      ...ctx.refinedRequirements,
+      ...ctx.userPreferences,
+      domain: ctx.refinedRequirements?.domain || ctx.domain,
+    });
+
+    const blueprint = profile.teamReplacement?.enabled
+      ? engine.composeWithTeam(profile)
+      : engine.compose(profile);
+
+    const meta = eventMeta(control);
+    publish(options.eventBus, ClawEvent.BLUEPRINT_SELECTED, meta, {
+      archetype: blueprint.archetype,
+      domain: blueprint.domain,
+    });
+    publish(options.eventBus, ClawEvent.BLUEPRINT_COMPOSED, meta, {
+      name: blueprint.name,
+      archetype: blueprint.archetype,
+      modules: blueprint.modules.map((m) => m.name),
+      files: blueprint.structure.files.length,
+      complexity: blueprint.metadata.complexity,
+    });
+
+    return {
+      architecturePattern: {
+        name: blueprint.name,
+        description: blueprint.description,
+        archetype: blueprint.archetype,
+        domain: blueprint.domain,
+        integrations: blueprint.integrations,
+        complexity: blueprint.metadata.complexity,
+        layers: blueprint.metadata.layers,
+      },
+      directoryStructure: blueprint.structure.directories,
+      dependencyGraph: blueprint.modules,
+      configTemplates: blueprint.config,
+      fileManifest: blueprint.structure.files,
+    };
+  };
+}
+
+/**
+ * GENERATE — writes the framework to disk through the GeneratorEngine, or
+ * renders it into `options.fs` with `GeneratorEngine.dryRun()`.
+ *
+ * @param {DefaultHandlerOptions} options
+ * @returns {PhaseHandler}
+ */
+function generateHandler(options) {
+  return async (ctx, control) => {
+    const pattern = ctx.architecturePattern;
+    const profile = toGeneratorProfile(ctx.refinedRequirements ?? {}, pattern);
+    const outputPath = resolveOutputPath(ctx, options, profile.name);
+
+    const engine = new GeneratorEngine({
+      conflictStrategy: options.conflictStrategy,
+      language: profile.language,
+    });
+    if (options.eventBus) bridgeGenerator(engine, eventMeta(control), options.eventBus);
+
+    const blueprint = {
+      ...blueprintFromContext(ctx),
+      modules: toGeneratorModules(ctx.dependencyGraph ?? []),
+    };
+
+    let manifest;
+    if (options.fs) {
+      const { fileMap, manifest: preview } = await engine.dryRun(blueprint, profile);
+      for (const [file, content] of fileMap) {
+        const target = path.join(outputPath, file);
+        await options.fs.promises.mkdir(path.dirname(target), { recursive: true });
+        await options.fs.promises.writeFile(target, content, 'utf-8');
+      }
+      manifest = { ...preview, outputPath };
+    } else {
+      manifest = await engine.generate(blueprint, profile, outputPath);
+    }
+
+    return {
+      generatedFiles: manifest.files,
+      generationReport: {
+        name: manifest.name,
+        outputPath: manifest.outputPath,
+        directories: manifest.directories,
+        totalFiles: manifest.totalFiles,
+        totalSize: manifest.totalSize,
+        duration: manifest.duration,
+        generatedAt: manifest.generatedAt.toISOString(),
+        conflicts: manifest.conflicts,
+        userModifiedFiles: manifest.userModifiedFiles,
+        staleFiles: manifest.staleFiles,
+      },
+    };
+  };
+}
+
+/**
+ * INTEGRATE — writes CLAUDE.md, slash commands and the MCP configuration.
+ * Files changed by the user are handled with `options.conflictStrategy`
+ * (default `overwrite`). Virtual output is always treated as empty, like
+ * `GeneratorEngine.dryRun()` does.
+ *
+ * @param {DefaultHandlerOptions} options
+ * @returns {PhaseHandler}
+ */
+function integrateHandler(options) {
+  return async (ctx, control) => {
+    const files = options.fs?.promises ?? fs;
+    const meta = eventMeta(control);
+    const blueprint = blueprintFromContext(ctx);
+    const profile = {
+      ...ctx.refinedRequirements,
+      name: ctx.refinedRequirements?.name || blueprint.name,
+      domain: ctx.refinedRequirements?.domain || blueprint.domain,
+    };
+    const outputPath = ctx.generationReport.outputPath;
+    const strategy = options.conflictStrategy ?? 'overwrite';
+    const lock = options.fs ? null : await readLockfile(outputPath);
+    publish(options.eventBus, ClawEvent.INTEGRATION_START, meta, { outputPath });
+
+    /** @type {string[]} */
+    const integrationFiles = [];
+    /** @type {string[]} */
+    const skipped = [];
+    /** @type {import('../generator/generator-engine.js').MergeConflict[]} */
+    const conflicts = [];
+    /** @type {Map<string, string>} Generated content of merged files, for the lock. */
+    const generated = new Map();
+
+    // Write one file with a compensation, applying the conflict strategy if
+    // the user changed it. The generated content becomes the next merge base.
+    const place = async (file, content) => {
+      const relative = path.relative(outputPath, file);
+      const current = options.fs ? null : await readIfExists(file);
+      let written = content;
+
+      if (current && isUserModified(relative, current, content, lock)) {
+        if (strategy === 'skip') {
+          skipped.push(relative);
+          publish(options.eventBus, ClawEvent.FILE_SKIPPED, meta, { path: file, reason: 'exists' });
+          return;
+        }
+        if (strategy === 'merge') {
+          const base = await readIfExists(path.join(outputPath, MERGE_BASE_DIR, relative));
+          const result = threeWayMerge(base?.toString('utf-8') ?? '', current.toString('utf-8'), content);
+          written = result.content;
+          generated.set(relative, content);
+          if (!result.clean) conflicts.push({ path: relative, regions: result.conflicts });
+        }
+      }
+
+      await writeCompensated(file, written, outputPath, control, files);
+      if (!options.fs) {
+        await writeCompensated(path.join(outputPath, MERGE_BASE_DIR, relative), content, outputPath, control);
+      }
+      integrationFiles.push(relative);
+    };
+
+    // Generate in memory first, then place each file.
+    const claudeMdPath = path.join(outputPath, 'CLAUDE.md');
+    const claudeMd = new ClaudeMdGenerator().generate(profile, blueprint);
+    await place(claudeMdPath, claudeMd);
+
+    const commandsDir = path.join(outputPath, '.claude', 'commands');
+    const commands = await new CommandGenerator().generate(profile, blueprint, '');
+    for (const command of commands) {
+      command.outputPath = path.join(commandsDir, command.filename);
+      await place(command.outputPath, command.content);
+    }
+
+    const mcp = await new McpConfigurator().generate(profile);
+    mcp.outputPath = path.join(outputPath, '.claude', 'mcp.json');
+    await place(mcp.outputPath, mcp.configJson);
+
+    // Keep the lockfile in step with files written after GENERATE. Virtual
+    // output has no lockfile, and the one on disk must stay untouched.
+    if (!options.fs) {
+      const lockPath = path.join(outputPath, LOCKFILE_NAME);
+      const lockBefore = await readIfExists(lockPath);
+      if (await recordFiles(outputPath, integrationFiles, 'integration', generated)) {
+        control?.compensate?.(
+          lockBefore ? `restore ${LOCKFILE_NAME}` : `remove ${LOCKFILE_NAME}`,
+          () => (lockBefore ? fs.writeFile(lockPath, lockBefore) : fs.rm(lockPath, { force: true })),
+        );
+      }
+    }
+    publish(options.eventBus, ClawEvent.INTEGRATION_COMPLETE, meta, { outputPath, files: integrationFiles });
+
+    return {
+      integrationManifest: {
+        claudeMd: path.relative(outputPath, claudeMdPath),
+        commands: commands.map((c) => path.relative(outputPath, c.outputPath)),
+        mcpConfig: path.relative(outputPath, mcp.outputPath),
+      },
+      claudeConfig: {
+        commands: commands.map((c) => c.name),
+        mcpServers: mcp.recommendedServers.map((s) => s.name),
+      },
+      finalReport: {
+        name: profile.name,
+        domain: profile.domain,
+        archetype: blueprint.archetype,
+        outputPath,
+        totalFiles: new Set([...ctx.generatedFiles, ...integrationFiles, ...skipped]).size,
+        integrationFiles,
+        skipped,
+        conflicts,
+      },
+    };
+  };
+}
+
+/** @type {Record<string, (options: DefaultHandlerOptions) => PhaseHandler>} */
+const HANDLER_FACTORIES = Object.freeze({
+  [Phase.DISCOVER]:  discoverHandler,
+  [Phase.ELICIT]:    elicitHandler,
+  [Phase.BLUEPRINT]: blueprintHandler,
+  [Phase.GENERATE]:  generateHandler,
+  [Phase.INTEGRATE]: integrateHandler,
+});
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates the built-in handler set for every phase in {@link PHASE_ORDER}.
+ * Entries in `options.overrides` replace the corresponding built-in handler;
+ * overrides for other phase ids (phases added with `definePhase()`) are
+ * included as-is.
+ *
+ * @param {DefaultHandlerOptions} [options={}]
+ * @returns {Record<string, PhaseHandler>}
+ * @throws {TypeError} If an override is not a function.
+ */
+export function createDefaultPhaseHandlers(options = {}) {
+  const overrides = options.overrides ?? {};
+
+  /** @type {Record<string, PhaseHandler>} */
+  const handlers = {};
+
+  for (const phaseId of PHASE_ORDER) {
+    const override = overrides[phaseId];
+    if (override !== undefined && typeof override !== 'function') {
+      throw new TypeError(`[PhaseHandlers] Override for "${phaseId}" must be a function.`);
+    }
+    handlers[phaseId] = override ?? HANDLER_FACTORIES[phaseId](options);
+  }
+
+  for (const [phaseId, override] of Object.entries(overrides)) {
+    if (phaseId in handlers || override === undefined) continue;
+    if (typeof override !== 'function') {
+      throw new TypeError(`[PhaseHandlers] Override for "${phaseId}" must be a function.`);
+    }
+    handlers[phaseId] = override;
+  }
+
+  return handlers;
+}
+
+/**
+ * Registers the built-in handler set on an orchestrator.
+ *
+ * @param {import('./master-orchestrator.js').MasterOrchestrator} orchestrator
+ * @param {DefaultHandlerOptions} [options={}]
+ * @returns {import('./master-orchestrator.js').MasterOrchestrator}
+ */
+export function installDefaultPhaseHandlers(orchestrator, options = {}) {
+  const handlers = createDefaultPhaseHandlers(options);
+  for (const [phaseId, handler] of Object.entries(handlers)) {
+    orchestrator.registerPhaseHandler(phaseId, handler);
+  }
+  return orchestrator;
+}
+
+export { DEFAULT_OUTPUT_DIR };
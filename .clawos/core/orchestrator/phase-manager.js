@@ -10,6 +10,14 @@
  *   3. BLUEPRINT - Select architecture patterns
  *   4. GENERATE  - Create all files
  *   5. INTEGRATE - Setup Claude Code integration
+ *
+ * Further phases (REVIEW, TEST, PUBLISH, ...) can be inserted into a manager's
+ * order with {@link PhaseManager#definePhase}; the exported constants below
+ * always describe the built-in pipeline only.
+ *
+ * The state machine can be exported for documentation with
+ * {@link PhaseManager#toMermaid}, {@link PhaseManager#toDot} and
+ * {@link PhaseManager#toJSON}, optionally highlighting the path of a run.
  */
 
 import { EventEmitter } from 'node:events';
@@ -43,6 +51,7 @@ export const OrchestratorState = Object.freeze({
   BLUEPRINTING:  'BLUEPRINTING',
   GENERATING:    'GENERATING',
   INTEGRATING:   'INTEGRATING',
+  AWAITING_APPROVAL: 'AWAITING_APPROVAL',
   VALIDATING:    'VALIDATING',
   COMPLETE:      'COMPLETE',
   ERROR:         'ERROR',
@@ -60,7 +69,7 @@ export const PHASE_TO_STATE = Object.freeze({
   [Phase.INTEGRATE]: OrchestratorState.INTEGRATING,
 });
 
-/** Ordered list of phases for sequential iteration. */
+/** Ordered list of the built-in phases for sequential iteration. */
 export const PHASE_ORDER = Object.freeze([
   Phase.DISCOVER,
   Phase.ELICIT,
@@ -184,11 +193,21 @@ const PHASE_DEFINITIONS = Object.freeze({
 /** @type {Record<string, string[]>} */
 const VALID_TRANSITIONS = Object.freeze({
   [OrchestratorState.IDLE]:         [OrchestratorState.DISCOVERING, OrchestratorState.ERROR],
-  [OrchestratorState.DISCOVERING]:  [OrchestratorState.ELICITING, OrchestratorState.VALIDATING, OrchestratorState.ERROR],
-  [OrchestratorState.ELICITING]:    [OrchestratorState.BLUEPRINTING, OrchestratorState.VALIDATING, OrchestratorState.ERROR],
-  [OrchestratorState.BLUEPRINTING]: [OrchestratorState.GENERATING, OrchestratorState.VALIDATING, OrchestratorState.ERROR],
-  [OrchestratorState.GENERATING]:   [OrchestratorState.INTEGRATING, OrchestratorState.VALIDATING, OrchestratorState.ERROR],
-  [OrchestratorState.INTEGRATING]:  [OrchestratorState.VALIDATING, OrchestratorState.COMPLETE, OrchestratorState.ERROR],
+  [OrchestratorState.DISCOVERING]:  [OrchestratorState.ELICITING, OrchestratorState.VALIDATING, OrchestratorState.AWAITING_APPROVAL, OrchestratorState.ERROR],
+  [OrchestratorState.ELICITING]:    [OrchestratorState.BLUEPRINTING, OrchestratorState.VALIDATING, OrchestratorState.AWAITING_APPROVAL, OrchestratorState.ERROR],
+  [OrchestratorState.BLUEPRINTING]: [OrchestratorState.GENERATING, OrchestratorState.VALIDATING, OrchestratorState.AWAITING_APPROVAL, OrchestratorState.ERROR],
+  [OrchestratorState.GENERATING]:   [OrchestratorState.INTEGRATING, OrchestratorState.VALIDATING, OrchestratorState.AWAITING_APPROVAL, OrchestratorState.ERROR],
+  [OrchestratorState.INTEGRATING]:  [OrchestratorState.VALIDATING, OrchestratorState.COMPLETE, OrchestratorState.AWAITING_APPROVAL, OrchestratorState.ERROR],
+  [OrchestratorState.AWAITING_APPROVAL]: [
+    // Approval continues with the next phase; rejection rewinds to an earlier one.
+    OrchestratorState.DISCOVERING,
+    OrchestratorState.ELICITING,
+    OrchestratorState.BLUEPRINTING,
+    OrchestratorState.GENERATING,
+    OrchestratorState.INTEGRATING,
+    OrchestratorState.VALIDATING,
+    OrchestratorState.ERROR,
+  ],
   [OrchestratorState.VALIDATING]:   [
     // After validation, can proceed to the next phase or loop back for retry.
     OrchestratorState.DISCOVERING,
@@ -211,6 +230,55 @@ const VALID_TRANSITIONS = Object.freeze({
   [OrchestratorState.COMPLETE]: [OrchestratorState.IDLE],
 });
 
+// ---------------------------------------------------------------------------
+// State graph export types
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} StateGraphOptions
+ * @property {import('./master-orchestrator.js').PhaseTimingEntry[]
+ *   | { runId?: string, timing: import('./master-orchestrator.js').PhaseTimingEntry[],
+ *       approvals?: import('./master-orchestrator.js').ApprovalDecision[],
+ *       pendingApproval?: import('./master-orchestrator.js').PendingApproval|null }} [run]
+ *   Highlights the path a run took: its `timing` entries, or anything that
+ *   carries them (an OrchestratorContext, a checkpoint, a PipelineResult).
+ *   `approvals` and `pendingApproval` add the approval pauses.
+ * @property {Array<string|{ phaseId: string }>} [approvalGates] - Phases the
+ *   run pauses after for approval (see `MasterOrchestrator#getApprovalGates`).
+ */
+
+/**
+ * @typedef {Object} StateGraphState
+ * @property {string}  id
+ * @property {'initial'|'phase'|'approval'|'validation'|'final'|'error'} kind
+ * @property {string|null} phase  - Phase the state runs, for `phase` states.
+ * @property {boolean} custom     - Added by {@link PhaseManager#definePhase}.
+ * @property {number}  visits     - Times the highlighted run entered it.
+ */
+
+/**
+ * @typedef {Object} StateGraphTransition
+ * @property {string}   from
+ * @property {string}   to
+ * @property {boolean}  allowed      - In the transition matrix. Only path
+ *   steps of concurrently run phases can be outside it.
+ * @property {boolean}  approvalGate - Pause after a gated phase.
+ * @property {number[]} steps        - 1-based positions on the run's path.
+ */
+
+/**
+ * @typedef {Object} StateGraph
+ * @property {string} initial - The state a run starts in.
+ * @property {string} final   - The state a successful run ends in.
+ * @property {StateGraphState[]} states - Initial state, phase states in
+ *   pipeline order, then the bookkeeping states.
+ * @property {Array<{ id: string, label: string, state: string, order: number, custom: boolean }>} phases
+ * @property {Record<string, string>} phaseToState
+ * @property {StateGraphTransition[]} transitions
+ * @property {string[]} approvalGates
+ * @property {{ runId: string|null, states: string[] }|null} path
+ */
+
 // ---------------------------------------------------------------------------
 // PhaseManager class
 // ---------------------------------------------------------------------------
@@ -227,6 +295,7 @@ const VALID_TRANSITIONS = Object.freeze({
  * @fires PhaseManager#input:missing
  * @fires PhaseManager#output:validated
  * @fires PhaseManager#output:missing
+ * @fires PhaseManager#phase:defined
  */
 export class PhaseManager extends EventEmitter {
   /** @type {Record<string, PhaseDefinition>} */
@@ -235,11 +304,146 @@ export class PhaseManager extends EventEmitter {
   /** @type {Record<string, string[]>} */
   #transitions;
 
+  /**
+   * Phase ids in execution order (built-ins plus any defined phases).
+   * @type {string[]}
+   */
+  #order;
+
+  /**
+   * Known orchestrator states, keyed like {@link OrchestratorState}.
+   * @type {Record<string, string>}
+   */
+  #states;
+
   constructor() {
     super();
     // Deep-clone so consumers cannot mutate internal state.
     this.#definitions = JSON.parse(JSON.stringify(PHASE_DEFINITIONS));
     this.#transitions = JSON.parse(JSON.stringify(VALID_TRANSITIONS));
+    this.#order = [...PHASE_ORDER];
+    this.#states = { ...OrchestratorState };
+  }
+
+  // -----------------------------------------------------------------------
+  // Custom phases
+  // -----------------------------------------------------------------------
+
+  /**
+   * Adds a phase to this manager's pipeline. The phase is inserted after
+   * `options.after` (default: the current last phase), its state is added to
+   * the known states, and the transition matrix is extended so the
+   * orchestrator can enter it from the preceding phase, leave it for the
+   * following one, pause after it for approval, and retry it from
+   * VALIDATING, AWAITING_APPROVAL or ERROR. The transition that
+   * bypasses the new phase is kept so it can still be skipped.
+   *
+   * Register a handler for the phase on the orchestrator (the `handlers`
+   * option or `registerPhaseHandler()`) before running the pipeline.
+   *
+   * @param {Partial<PhaseDefinition> & { id: string }} definition
+   *   `state` defaults to `<ID>_ACTIVE`, `label` to the id, key lists to `[]`
+   *   and `allowedPreviousStates` to the preceding phase's state plus ERROR.
+   *   `order` is assigned by the manager.
+   * @param {{ after?: string }} [options]
+   * @returns {PhaseDefinition} The stored definition.
+   * @throws {Error} With code `PHASE_DEFINITION_INVALID` or `PHASE_EXISTS`.
+   *
+   * @fires PhaseManager#phase:defined
+   */
+  definePhase(definition, options = {}) {
+    const id = definition?.id;
+    if (typeof id !== 'string' || !/^[A-Z][A-Z0-9_]*$/.test(id)) {
+      throw definitionError(
+        `Phase id must be an UPPER_SNAKE_CASE string, got ${JSON.stringify(id)}.`,
+      );
+    }
+    if (this.#definitions[id]) {
+      const err = new Error(`[PhaseManager] Phase "${id}" is already defined.`);
+      err.code = 'PHASE_EXISTS';
+      throw err;
+    }
+
+    const after = options.after ?? this.#order[this.#order.length - 1];
+    const afterIndex = this.#order.indexOf(after);
+    if (afterIndex === -1) {
+      throw definitionError(`Cannot insert "${id}" after unknown phase "${after}".`);
+    }
+
+    const state = definition.state ?? `${id}_ACTIVE`;
+    if (typeof state !== 'string' || !state) {
+      throw definitionError(`State of phase "${id}" must be a non-empty string.`);
+    }
+    if (Object.values(this.#states).includes(state)) {
+      throw definitionError(`State "${state}" of phase "${id}" is already in use.`);
+    }
+
+    const previousState = this.#definitions[after].state;
+    const nextId = this.#order[afterIndex + 1] ?? null;
+    const nextState = nextId ? this.#definitions[nextId].state : OrchestratorState.COMPLETE;
+
+    const keyList = (name) => {
+      const list = definition[name] ?? [];
+      if (!Array.isArray(list) || list.some((k) => typeof k !== 'string')) {
+        throw definitionError(`"${name}" of phase "${id}" must be an array of strings.`);
+      }
+      return [...list];
+    };
+
+    const allowedPreviousStates = keyList('allowedPreviousStates');
+    if (allowedPreviousStates.length === 0) {
+      allowedPreviousStates.push(previousState, OrchestratorState.ERROR);
+    }
+    for (const from of allowedPreviousStates) {
+      if (!Object.values(this.#states).includes(from)) {
+        throw definitionError(`Phase "${id}" allows unknown previous state "${from}".`);
+      }
+    }
+
+    /** @type {PhaseDefinition} */
+    const stored = {
+      id,
+      label: definition.label ?? id,
+      description: definition.description ?? '',
+      state,
+      requiredInputKeys: keyList('requiredInputKeys'),
+      optionalInputKeys: keyList('optionalInputKeys'),
+      outputKeys: keyList('outputKeys'),
+      allowedPreviousStates,
+      order: afterIndex + 1,
+    };
+
+    // --- Register the phase and its state ---
+    this.#definitions[id] = stored;
+    this.#states[state] = state;
+    this.#order.splice(afterIndex + 1, 0, id);
+    this.#order.forEach((phaseId, index) => { this.#definitions[phaseId].order = index; });
+
+    if (nextId) {
+      this.#definitions[nextId].allowedPreviousStates.push(state);
+    }
+
+    // --- Extend the transition matrix ---
+    const addTransition = (from, to) => {
+      const targets = (this.#transitions[from] ??= []);
+      if (!targets.includes(to)) targets.push(to);
+    };
+
+    for (const from of allowedPreviousStates) addTransition(from, state);
+    addTransition(previousState, state);
+    addTransition(OrchestratorState.VALIDATING, state);
+    addTransition(OrchestratorState.AWAITING_APPROVAL, state);
+    addTransition(OrchestratorState.ERROR, state);
+
+    addTransition(state, nextState);
+    addTransition(state, OrchestratorState.VALIDATING);
+    addTransition(state, OrchestratorState.AWAITING_APPROVAL);
+    if (!nextId) addTransition(state, OrchestratorState.COMPLETE);
+    addTransition(state, OrchestratorState.ERROR);
+
+    this.emit('phase:defined', { phaseId: id, after, order: stored.order, state });
+
+    return this.getDefinition(id);
   }
 
   // -----------------------------------------------------------------------
@@ -279,7 +483,58 @@ export class PhaseManager extends EventEmitter {
    * @returns {PhaseDefinition[]}
    */
   getOrderedDefinitions() {
-    return PHASE_ORDER.map((id) => this.getDefinition(id));
+    return this.#order.map((id) => this.getDefinition(id));
+  }
+
+  /**
+   * Returns the phase ids in execution order, including defined phases.
+   *
+   * @returns {string[]}
+   */
+  getPhaseOrder() {
+    return [...this.#order];
+  }
+
+  /**
+   * Derives the phase dependency DAG from the declared data contracts: a
+   * phase depends on every earlier phase (in pipeline order) whose
+   * `outputKeys` include one of its required or optional input keys. Keys no
+   * phase produces (e.g. `userInput`) come from the initial data and add no
+   * edge. Only earlier phases are considered, so the graph is acyclic and
+   * pipeline order is always a valid topological order.
+   *
+   * @returns {Record<string, string[]>} Dependencies per phase id, in pipeline order.
+   */
+  getDependencyGraph() {
+    /** @type {Map<string, string[]>} */
+    const producers = new Map();
+    /** @type {Record<string, string[]>} */
+    const graph = {};
+
+    for (const id of this.#order) {
+      const def = this.#definitions[id];
+      const deps = new Set();
+      for (const key of [...def.requiredInputKeys, ...def.optionalInputKeys]) {
+        for (const producer of producers.get(key) ?? []) deps.add(producer);
+      }
+      graph[id] = this.#order.filter((p) => deps.has(p));
+
+      for (const key of def.outputKeys) {
+        producers.set(key, [...(producers.get(key) ?? []), id]);
+      }
+    }
+
+    return graph;
+  }
+
+  /**
+   * Returns every known orchestrator state: {@link OrchestratorState}
+   * extended with the states of defined phases.
+   *
+   * @returns {Record<string, string>}
+   */
+  getStates() {
+    return { ...this.#states };
   }
 
   /**
@@ -303,7 +558,7 @@ export class PhaseManager extends EventEmitter {
   getNextPhase(phaseId) {
     const def = this.getDefinition(phaseId);
     const nextIndex = def.order + 1;
-    return PHASE_ORDER[nextIndex] ?? null;
+    return this.#order[nextIndex] ?? null;
   }
 
   /**
@@ -316,7 +571,7 @@ export class PhaseManager extends EventEmitter {
   getPreviousPhase(phaseId) {
     const def = this.getDefinition(phaseId);
     const prevIndex = def.order - 1;
-    return prevIndex >= 0 ? PHASE_ORDER[prevIndex] : null;
+    return prevIndex >= 0 ? this.#order[prevIndex] : null;
   }
 
   /**
@@ -377,13 +632,15 @@ export class PhaseManager extends EventEmitter {
    * @fires PhaseManager#transition:rejected
    */
   validateTransition(fromState, toState) {
-    if (!Object.values(OrchestratorState).includes(fromState)) {
+    const states = Object.values(this.#states);
+
+    if (!states.includes(fromState)) {
       const result = { valid: false, reason: `Unknown source state: "${fromState}"` };
       this.emit('transition:rejected', { fromState, toState, ...result });
       return result;
     }
 
-    if (!Object.values(OrchestratorState).includes(toState)) {
+    if (!states.includes(toState)) {
       const result = { valid: false, reason: `Unknown target state: "${toState}"` };
       this.emit('transition:rejected', { fromState, toState, ...result });
       return result;
@@ -485,7 +742,7 @@ export class PhaseManager extends EventEmitter {
    * @returns {Array<{ id: string, label: string, order: number, inputs: string[], outputs: string[] }>}
    */
   getSummary() {
-    return PHASE_ORDER.map((id) => {
+    return this.#order.map((id) => {
       const def = this.getDefinition(id);
       return {
         id: def.id,
@@ -498,16 +755,291 @@ export class PhaseManager extends EventEmitter {
   }
 
   /**
-   * Pretty-prints the transition matrix for debugging.
+   * Pretty-prints the transition matrix for debugging. For diagrams, see
+   * {@link PhaseManager#toMermaid} and {@link PhaseManager#toDot}.
    *
    * @returns {string}
    */
   printTransitionMatrix() {
+    const width = Math.max(...Object.keys(this.#transitions).map((from) => from.length));
     const lines = Object.entries(this.#transitions).map(
-      ([from, targets]) => `  ${from.padEnd(14)} -> [${targets.join(', ')}]`,
+      ([from, targets]) => `  ${from.padEnd(width)} -> [${targets.join(', ')}]`,
     );
     return ['Transition Matrix:', ...lines].join('\n');
   }
+
+  // -----------------------------------------------------------------------
+  // State graph export
+  // -----------------------------------------------------------------------
+
+  /**
+   * Describes the state machine: states, valid transitions, the phase to
+   * state mapping, custom phases and approval gates, plus the path of
+   * `options.run` if given. `JSON.stringify(manager)` uses it too.
+   *
+   * @param {StateGraphOptions} [options]
+   * @returns {StateGraph}
+   */
+  toJSON(options = {}) {
+    // JSON.stringify() passes the property key.
+    const { run, approvalGates = [] } = options !== null && typeof options === 'object' ? options : {};
+
+    const gates = approvalGates.map((gate) => (typeof gate === 'string' ? gate : gate.phaseId));
+    for (const phaseId of gates) this.getDefinition(phaseId); // throws if invalid
+
+    const path = run ? this.#runPath(run) : null;
+    const visits = new Map();
+    for (const state of path?.states ?? []) visits.set(state, (visits.get(state) ?? 0) + 1);
+
+    const phaseStates = this.#order.map((id) => this.#definitions[id].state);
+    const stateIds = [
+      OrchestratorState.IDLE,
+      ...phaseStates,
+      ...Object.values(this.#states).filter((state) => state !== OrchestratorState.IDLE && !phaseStates.includes(state)),
+    ];
+    const phaseOf = Object.fromEntries(this.#order.map((id) => [this.#definitions[id].state, id]));
+
+    const states = stateIds.map((id) => ({
+      id,
+      kind: phaseOf[id] ? 'phase' : STATE_KINDS[id] ?? 'phase',
+      phase: phaseOf[id] ?? null,
+      custom: Boolean(phaseOf[id]) && !PHASE_ORDER.includes(phaseOf[id]),
+      visits: visits.get(id) ?? 0,
+    }));
+
+    const gatedStates = new Set(gates.map((id) => this.#definitions[id].state));
+    /** @type {Map<string, StateGraphTransition>} */
+    const transitions = new Map();
+    for (const from of stateIds) {
+      for (const to of this.#transitions[from] ?? []) {
+        transitions.set(`${from}->${to}`, {
+          from,
+          to,
+          allowed: true,
+          approvalGate: to === OrchestratorState.AWAITING_APPROVAL && gatedStates.has(from),
+          steps: [],
+        });
+      }
+    }
+    path?.states.slice(1).forEach((to, index) => {
+      const from = path.states[index];
+      const key = `${from}->${to}`;
+      if (!transitions.has(key)) {
+        transitions.set(key, { from, to, allowed: false, approvalGate: false, steps: [] });
+      }
+      transitions.get(key).steps.push(index + 1);
+    });
+
+    return {
+      initial: OrchestratorState.IDLE,
+      final: OrchestratorState.COMPLETE,
+      states,
+      phases: this.#order.map((id) => {
+        const def = this.#definitions[id];
+        return { id, label: def.label, state: def.state, order: def.order, custom: !PHASE_ORDER.includes(id) };
+      }),
+      phaseToState: Object.fromEntries(this.#order.map((id) => [id, this.#definitions[id].state])),
+      transitions: [...transitions.values()],
+      approvalGates: gates,
+      path,
+    };
+  }
+
+  /**
+   * Renders the state machine as a Mermaid `stateDiagram-v2`, for Markdown
+   * (GitHub, CLAUDE.md) and design docs. Phase states carry their phase id;
+   * custom phases, the run's path (numbered steps) and approval gates are
+   * styled with the `custom`, `path` and `approval` classes.
+   *
+   * @param {StateGraphOptions} [options]
+   * @returns {string}
+   */
+  toMermaid(options = {}) {
+    const graph = this.toJSON(options);
+    const lines = ['stateDiagram-v2', `  [*] --> ${graph.initial}`];
+
+    for (const state of graph.states) {
+      if (state.phase) lines.push(`  ${state.id} : ${state.id} (${state.phase})`);
+    }
+    for (const t of graph.transitions) {
+      const label = edgeLabel(t);
+      lines.push(`  ${t.from} --> ${t.to}${label ? ` : ${label}` : ''}`);
+    }
+    lines.push(`  ${graph.final} --> [*]`);
+
+    const classes = {
+      custom: graph.states.filter((s) => s.custom).map((s) => s.id),
+      approval: graph.approvalGates.length > 0 ? [OrchestratorState.AWAITING_APPROVAL] : [],
+      path: graph.states.filter((s) => s.visits > 0).map((s) => s.id),
+    };
+    for (const [name, ids] of Object.entries(classes)) {
+      if (ids.length === 0) continue;
+      lines.push(`  classDef ${name} ${MERMAID_STYLES[name]}`, `  class ${ids.join(',')} ${name}`);
+    }
+
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Renders the state machine as a Graphviz DOT digraph
+   * (`dot -Tsvg states.dot -o states.svg`). Custom phases are dashed, gated
+   * approval edges orange, and the run's path green with numbered steps;
+   * path steps outside the matrix are dotted.
+   *
+   * @param {StateGraphOptions} [options]
+   * @returns {string}
+   */
+  toDot(options = {}) {
+    const graph = this.toJSON(options);
+    const attrs = (entries) => {
+      const list = Object.entries(entries).filter(([, v]) => v !== undefined);
+      return list.length > 0 ? ` [${list.map(([k, v]) => `${k}=${dotQuote(v)}`).join(', ')}]` : '';
+    };
+
+    const lines = [
+      'digraph PhaseStateMachine {',
+      '  rankdir=LR;',
+      '  node [shape=box, style=rounded, fontname="Helvetica"];',
+      '  edge [fontname="Helvetica", fontsize=10];',
+      '  __start [shape=point, label=""];',
+      `  __start -> ${dotQuote(graph.initial)};`,
+    ];
+
+    for (const state of graph.states) {
+      const onPath = state.visits > 0;
+      lines.push(`  ${dotQuote(state.id)}${attrs({
+        label: state.phase ? `${state.id}\\n${state.phase}` : undefined,
+        shape: state.kind === 'final' ? 'doubleoctagon' : undefined,
+        style: state.custom ? 'rounded,dashed' : undefined,
+        color: onPath ? DOT_COLORS.path : state.kind === 'error' ? DOT_COLORS.error : undefined,
+        penwidth: onPath ? 2 : undefined,
+      })};`);
+    }
+
+    for (const t of graph.transitions) {
+      const onPath = t.steps.length > 0;
+      lines.push(`  ${dotQuote(t.from)} -> ${dotQuote(t.to)}${attrs({
+        label: edgeLabel(t) || undefined,
+        color: onPath ? DOT_COLORS.path : t.approvalGate ? DOT_COLORS.approval : undefined,
+        fontcolor: onPath ? DOT_COLORS.path : t.approvalGate ? DOT_COLORS.approval : undefined,
+        penwidth: onPath ? 2.5 : t.approvalGate ? 1.5 : undefined,
+        style: t.allowed ? undefined : 'dotted',
+      })};`);
+    }
+
+    lines.push('}');
+    return lines.join('\n') + '\n';
+  }
+
+  /**
+   * Reconstructs the states a run went through from its timing entries,
+   * starting at IDLE. Skipped phases enter no state; a failed phase moves to
+   * ERROR; an approval decided (or pending) after a phase inserts
+   * AWAITING_APPROVAL; a run whose last phase finished ends at COMPLETE.
+   *
+   * @param {NonNullable<StateGraphOptions['run']>} run
+   * @returns {{ runId: string|null, states: string[] }}
+   */
+  #runPath(run) {
+    const timing = Array.isArray(run) ? run : run.timing ?? [];
+    const approvals = Array.isArray(run) ? [] : run.approvals ?? [];
+    const pending = Array.isArray(run) ? null : run.pendingApproval ?? null;
+
+    const entries = timing
+      .filter((entry) => entry.status !== 'skipped' && this.#definitions[entry.phase])
+      .sort((a, b) => a.startedAt - b.startedAt);
+
+    const states = [OrchestratorState.IDLE];
+    const enter = (state) => {
+      if (states[states.length - 1] !== state) states.push(state);
+    };
+
+    entries.forEach((entry, index) => {
+      enter(this.#definitions[entry.phase].state);
+      if (entry.status === 'failed') {
+        enter(OrchestratorState.ERROR);
+        return;
+      }
+
+      const next = entries[index + 1];
+      const decided = approvals.some((a) => a.phaseId === entry.phase
+        && a.decidedAt >= (entry.endedAt ?? entry.startedAt)
+        && (!next || a.decidedAt <= next.startedAt));
+      const waiting = !next && pending?.phaseId === entry.phase;
+      if (decided || waiting) enter(OrchestratorState.AWAITING_APPROVAL);
+    });
+
+    const last = this.#order[this.#order.length - 1];
+    const finished = timing.some((entry) => entry.phase === last && ['completed', 'skipped'].includes(entry.status));
+    if (finished && !pending && states[states.length - 1] !== OrchestratorState.ERROR) {
+      enter(OrchestratorState.COMPLETE);
+    }
+
+    return { runId: Array.isArray(run) ? null : run.runId ?? null, states };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/** Kinds of the states that do not run a phase. */
+const STATE_KINDS = Object.freeze({
+  [OrchestratorState.IDLE]:              'initial',
+  [OrchestratorState.AWAITING_APPROVAL]: 'approval',
+  [OrchestratorState.VALIDATING]:        'validation',
+  [OrchestratorState.COMPLETE]:          'final',
+  [OrchestratorState.ERROR]:             'error',
+});
+
+/** Mermaid `classDef` styles used by {@link PhaseManager#toMermaid}. */
+const MERMAID_STYLES = Object.freeze({
+  custom:   'stroke-dasharray: 5 5',
+  approval: 'fill:#fff3e0,stroke:#ef6c00',
+  path:     'fill:#e8f5e9,stroke:#2e7d32,stroke-width:2px',
+});
+
+/** Colours used by {@link PhaseManager#toDot}. */
+const DOT_COLORS = Object.freeze({
+  path:     '#2e7d32',
+  approval: '#ef6c00',
+  error:    '#c62828',
+});
+
+/**
+ * Label of a transition: its path steps and/or approval gate marker.
+ *
+ * @param {StateGraphTransition} transition
+ * @returns {string}
+ */
+function edgeLabel(transition) {
+  const parts = [];
+  if (transition.steps.length > 0) parts.push(transition.steps.join(', '));
+  if (transition.approvalGate) parts.push('approval gate');
+  return parts.join(' · ');
+}
+
+/**
+ * Quotes a DOT identifier or attribute value. Numbers stay bare.
+ *
+ * @param {string|number} value
+ * @returns {string}
+ */
+function dotQuote(value) {
+  if (typeof value === 'number') return String(value);
+  return `"${String(value).replace(/\\(?!n)/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Builds the error thrown for a rejected {@link PhaseManager#definePhase} call.
+ *
+ * @param {string} reason
+ * @returns {Error}
+ */
+function definitionError(reason) {
+  const err = new Error(`[PhaseManager] Invalid phase definition: ${reason}`);
+  err.code = 'PHASE_DEFINITION_INVALID';
+  return err;
 }
 
 // ---------------------------------------------------------------------------
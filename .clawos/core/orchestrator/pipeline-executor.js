@@ -24,6 +24,15 @@
  *
  * const result = await executor.run({ userInput: 'Build me a React component library' });
  * ```
+ *
+ * A dry run (`setDryRun(true)`) runs the built-in DISCOVER, ELICIT (answering
+ * with defaults) and BLUEPRINT handlers for real, renders GENERATE and
+ * INTEGRATE into a {@link VirtualFileSystem} and returns the would-be output
+ * as `result.preview`: the file map, a diff against the target directory and
+ * a {@link StructureValidator} report. `setDryRun('simulate')` only walks the
+ * phase graph with placeholder outputs. Dry runs publish no pipeline, phase
+ * or file events on the event bus; only the validation of the preview is
+ * published, as VALIDATION_* events flagged `dryRun: true`.
  */
 
 import { EventEmitter } from 'node:events';
@@ -34,6 +43,10 @@ import {
   createPhaseManager,
 } from './phase-manager.js';
 import { createOrchestrator } from './master-orchestrator.js';
+import { createDefaultPhaseHandlers } from './phase-handlers.js';
+import { VirtualFileSystem } from '../generator/virtual-fs.js';
+import { StructureValidator, blueprintFromRunData } from '../validator/structure-validator.js';
+import { publishValidation } from '../events/event-bridge.js';
 
 // ---------------------------------------------------------------------------
 // Internal helpers
@@ -52,19 +65,6 @@ function snapshot(obj) {
   return JSON.parse(JSON.stringify(obj));
 }
 
-/**
- * Invokes an array of async hook functions sequentially, passing `arg` to each.
- * If any hook throws, the error propagates immediately.
- *
- * @param {Array<(arg: unknown) => Promise<void>>} hooks
- * @param {unknown} arg
- */
-async function runHooks(hooks, arg) {
-  for (const hook of hooks) {
-    await hook(arg);
-  }
-}
-
 // ---------------------------------------------------------------------------
 // PipelineExecutor
 // ---------------------------------------------------------------------------
@@ -80,6 +80,20 @@ async function runHooks(hooks, arg) {
  * @property {number}   totalDurationMs
  * @property {Array<{ phase: string, message: string }>} errors
  * @property {boolean}  dryRun           - Whether this was a dry-run execution.
+ * @property {import('./master-orchestrator.js').PendingApproval|null} pendingApproval
+ *   - Set when the run paused at an approval gate (`success` is then false).
+ * @property {import('./master-orchestrator.js').RollbackReport|null} rollback
+ *   - What was undone (and what could not be) after a failure.
+ * @property {DryRunPreview|null} preview - The would-be output of a dry run.
+ */
+
+/**
+ * @typedef {Object} DryRunPreview
+ * @property {string} outputPath - Directory a real run would write to.
+ * @property {Map<string, string>} files - Relative path -> content of every file.
+ * @property {import('../generator/virtual-fs.js').DirectoryDiff} diff
+ *   - Comparison with what is currently in `outputPath`.
+ * @property {import('../validator/structure-validator.js').ValidationReport} validation
  */
 
 /**
@@ -99,10 +113,13 @@ async function runHooks(hooks, arg) {
  * @fires PipelineExecutor#pipeline:started
  * @fires PipelineExecutor#pipeline:completed
  * @fires PipelineExecutor#pipeline:failed
+ * @fires PipelineExecutor#pipeline:paused
  * @fires PipelineExecutor#phase:before
  * @fires PipelineExecutor#phase:after
  * @fires PipelineExecutor#phase:skipped
  * @fires PipelineExecutor#phase:error
+ * @fires PipelineExecutor#hook:start
+ * @fires PipelineExecutor#hook:complete
  * @fires PipelineExecutor#hook:error
  * @fires PipelineExecutor#dryrun:phase
  */
@@ -138,21 +155,58 @@ export class PipelineExecutor extends EventEmitter {
    */
   #errorBoundaries = new Map();
 
-  /** @type {boolean} */
+  /** @type {false|'preview'|'simulate'} */
   #dryRun = false;
 
+  /**
+   * Options for the built-in handlers a dry run previews with.
+   * @type {import('./phase-handlers.js').DefaultHandlerOptions}
+   */
+  #handlerOptions;
+
+  /**
+   * Approval gates registered through this executor (phase id -> reviewer),
+   * reported by dry runs.
+   * @type {Map<string, string|null>}
+   */
+  #approvalGates = new Map();
+
+  /**
+   * Handlers replaced by hook wrappers (phase id -> original and wrapper), so
+   * that repeated runs re-wrap the original instead of the wrapper.
+   * @type {Map<string, { original: Function, wrapper: Function }>}
+   */
+  #wrappedHandlers = new Map();
+
   /**
    * @param {Object} [options]
    * @param {import('./master-orchestrator.js').MasterOrchestrator} [options.orchestrator]
    * @param {import('./phase-manager.js').PhaseManager} [options.phaseManager]
-   * @param {boolean} [options.dryRun=false] - When true, phases are simulated
-   *   without invoking real handlers. Useful for previewing the pipeline.
+   *   Defaults to the orchestrator's phase manager, so phases defined on it
+   *   are run and accepted by the hook registration methods.
+   * @param {boolean|'simulate'} [options.dryRun=false] - See
+   *   {@link PipelineExecutor#setDryRun}.
+   * @param {import('./phase-handlers.js').DefaultHandlerOptions} [options.handlerOptions]
+   *   Options for the built-in handlers used by dry runs (answers, output
+   *   directory, overrides). Interactive `askQuestion` is ignored.
+   * @param {number} [options.concurrency] - Parallel phase limit for the
+   *   orchestrator created when none is passed.
+   * @param {Record<string, import('./master-orchestrator.js').PhasePolicy>} [options.policies]
+   *   Per-phase policies, see {@link PipelineExecutor#setPolicy}.
    */
   constructor(options = {}) {
     super();
-    this.#orchestrator = options.orchestrator ?? createOrchestrator({ fresh: true });
-    this.#phaseManager = options.phaseManager ?? createPhaseManager();
-    this.#dryRun = options.dryRun ?? false;
+    this.#orchestrator = options.orchestrator ?? createOrchestrator({
+      fresh: true,
+      phaseManager: options.phaseManager ?? createPhaseManager(),
+      concurrency: options.concurrency,
+    });
+    for (const [phaseId, policy] of Object.entries(options.policies ?? {})) {
+      this.setPolicy(phaseId, policy);
+    }
+    this.#phaseManager = options.phaseManager ?? this.#orchestrator.phaseManager;
+    this.setDryRun(options.dryRun ?? false);
+    this.#handlerOptions = options.handlerOptions ?? {};
   }
 
   // -----------------------------------------------------------------------
@@ -251,20 +305,96 @@ export class PipelineExecutor extends EventEmitter {
   }
 
   /**
-   * Toggles dry-run mode. In dry-run mode the pipeline simulates execution
-   * without calling real phase handlers or writing any files.
+   * Sets the execution policy of a phase (or '*' for every phase without its
+   * own): `{ timeoutMs, retries, backoff: 'exponential'|'fixed', delayMs,
+   * retryOn(error) }`. Handlers receive an AbortSignal that fires on timeout.
+   *
+   * @param {string} phaseIdOrWildcard - Phase id or '*'.
+   * @param {import('./master-orchestrator.js').PhasePolicy} policy
+   * @returns {this}
+   * @throws {TypeError} If the policy is malformed.
+   */
+  setPolicy(phaseIdOrWildcard, policy) {
+    this.#orchestrator.setPhasePolicy(phaseIdOrWildcard, policy);
+    return this;
+  }
+
+  /**
+   * Cancels the running pipeline: aborts the signal passed to running phase
+   * handlers and fails the run with the code `CANCELLED`.
+   *
+   * @param {string} [reason]
+   * @returns {Promise<boolean>} False when nothing was running.
+   */
+  cancel(reason) {
+    return this.#orchestrator.cancel(reason);
+  }
+
+  /**
+   * Pauses the pipeline for a human decision after `phaseId` completes. The
+   * run stops in the AWAITING_APPROVAL state and its pending decision is
+   * checkpointed; continue it with {@link PipelineExecutor#approve} or
+   * {@link PipelineExecutor#reject}, from this or another process.
+   *
+   * @param {string} phaseId
+   * @param {{ reviewer?: string, rewindTo?: string }} [options]
+   *   `rewindTo` is the default phase a rejection returns to (the gated
+   *   phase itself if omitted).
+   * @returns {this}
+   */
+  requireApproval(phaseId, options = {}) {
+    this.#orchestrator.requireApproval(phaseId, options);
+    this.#approvalGates.set(phaseId, options.reviewer ?? null);
+    return this;
+  }
+
+  /**
+   * Approves the pending decision of a paused run and continues it.
    *
-   * @param {boolean} enabled
+   * @param {string} runId - Loaded from the run store if it is not the current run.
+   * @param {string} [notes='']
+   * @returns {Promise<PipelineResult>}
+   * @throws {Error} With code `NO_PENDING_APPROVAL` if the run is not paused.
+   */
+  async approve(runId, notes = '') {
+    this.#usePausedRun(runId);
+    return this.#drive(() => this.#orchestrator.approve(notes));
+  }
+
+  /**
+   * Rejects the pending decision of a paused run. The run is rewound to the
+   * gate's `rewindTo` phase (or `options.rewindTo`) and re-runs from there
+   * with the reason in `previousAttempt`.
+   *
+   * @param {string} runId - Loaded from the run store if it is not the current run.
+   * @param {string} reason
+   * @param {{ rewindTo?: string, reviewer?: string }} [options]
+   * @returns {Promise<PipelineResult>}
+   * @throws {Error} With code `NO_PENDING_APPROVAL` if the run is not paused.
+   */
+  async reject(runId, reason, options = {}) {
+    this.#usePausedRun(runId);
+    return this.#drive(() => this.#orchestrator.reject(reason, options));
+  }
+
+  /**
+   * Toggles dry-run mode. A dry run never calls the orchestrator's handlers
+   * or writes files: built-in phases run against a virtual file system and
+   * the result carries a {@link DryRunPreview}; phases added with
+   * `definePhase()` get placeholder outputs. `'simulate'` uses placeholders
+   * for every phase.
+   *
+   * @param {boolean|'simulate'} enabled
    * @returns {this}
    */
   setDryRun(enabled) {
-    this.#dryRun = Boolean(enabled);
+    this.#dryRun = enabled === 'simulate' ? 'simulate' : Boolean(enabled) && 'preview';
     return this;
   }
 
   /** Whether dry-run mode is active. @returns {boolean} */
   get isDryRun() {
-    return this.#dryRun;
+    return Boolean(this.#dryRun);
   }
 
   /** The underlying orchestrator. */
@@ -285,67 +415,30 @@ export class PipelineExecutor extends EventEmitter {
    * Runs the full pipeline from start to finish.
    *
    * @param {Record<string, unknown>} initialData - Seed data (must include `userInput`).
+   * @param {{ runId?: string }} [options] - `runId` names the run instead of a
+   *   generated identifier, e.g. one a {@link RunManager} handed out earlier.
    * @returns {Promise<PipelineResult>}
    */
-  async run(initialData = {}) {
+  async run(initialData = {}, options = {}) {
     const t0 = now();
 
     // Reset orchestrator for a clean run.
-    this.#orchestrator.reset();
+    this.#orchestrator.reset({ runId: options.runId });
 
     this.emit('pipeline:started', {
       runId: this.#orchestrator.runId,
-      dryRun: this.#dryRun,
-      phases: PHASE_ORDER,
+      dryRun: this.isDryRun,
+      phases: this.#phaseManager.getPhaseOrder(),
       timestamp: Date.now(),
     });
 
-    /** @type {PipelineResult} */
-    const result = {
-      success: false,
-      runId: this.#orchestrator.runId,
-      data: {},
-      timing: [],
-      completedPhases: [],
-      skippedPhases: [],
-      totalDurationMs: 0,
-      errors: [],
-      dryRun: this.#dryRun,
-    };
-
     if (this.#dryRun) {
-      return this.#executeDryRun(initialData, result, t0);
-    }
-
-    try {
-      // Wire up dry-run-safe handlers that respect before/after hooks and
-      // error boundaries, then delegate to the orchestrator's start().
-      this.#installHookWrappers();
-
-      const ctx = await this.#orchestrator.start(initialData);
-
-      result.success = true;
-      result.data = ctx.data;
-      result.timing = ctx.timing;
-      result.completedPhases = ctx.completedPhases;
-      result.skippedPhases = ctx.skippedPhases;
-      result.runId = ctx.runId;
-    } catch (err) {
-      result.errors.push({
-        phase: this.#orchestrator.currentPhase ?? 'unknown',
-        message: err.message,
-      });
-    }
-
-    result.totalDurationMs = Math.round((now() - t0) * 100) / 100;
-
-    if (result.success) {
-      this.emit('pipeline:completed', result);
-    } else {
-      this.emit('pipeline:failed', result);
+      return this.#executeDryRun(initialData, this.#createResult(), t0);
     }
 
-    return result;
+    // Wire up dry-run-safe handlers that respect before/after hooks and
+    // error boundaries, then delegate to the orchestrator's start().
+    return this.#drive(() => this.#orchestrator.start(initialData), t0);
   }
 
   /**
@@ -362,42 +455,56 @@ export class PipelineExecutor extends EventEmitter {
       );
     }
 
-    const t0 = now();
+    return this.#drive(() => this.#orchestrator.resume(additionalData));
+  }
 
-    /** @type {PipelineResult} */
-    const result = {
-      success: false,
-      runId: this.#orchestrator.runId,
-      data: {},
-      timing: [],
-      completedPhases: [],
-      skippedPhases: [],
-      totalDurationMs: 0,
-      errors: [],
-      dryRun: this.#dryRun,
-    };
+  // -----------------------------------------------------------------------
+  // Private methods
+  // -----------------------------------------------------------------------
+
+  /**
+   * Runs an orchestrator action with the hook wrappers installed and turns
+   * its outcome into a {@link PipelineResult}.
+   *
+   * @param {() => Promise<import('./master-orchestrator.js').OrchestratorContext>} action
+   * @param {number} [t0=now()]
+   * @returns {Promise<PipelineResult>}
+   *
+   * @fires PipelineExecutor#pipeline:completed
+   * @fires PipelineExecutor#pipeline:paused
+   * @fires PipelineExecutor#pipeline:failed
+   */
+  async #drive(action, t0 = now()) {
+    const result = this.#createResult();
 
     try {
       this.#installHookWrappers();
-      const ctx = await this.#orchestrator.resume(additionalData);
+      const ctx = await action();
 
-      result.success = true;
+      result.success = ctx.currentState === OrchestratorState.COMPLETE;
+      result.pendingApproval = ctx.pendingApproval ?? null;
       result.data = ctx.data;
       result.timing = ctx.timing;
       result.completedPhases = ctx.completedPhases;
       result.skippedPhases = ctx.skippedPhases;
       result.runId = ctx.runId;
     } catch (err) {
+      const ctx = this.#orchestrator.context;
       result.errors.push({
-        phase: this.#orchestrator.currentPhase ?? 'unknown',
+        phase: err.phaseId ?? ctx.rollback?.trigger.phase ?? ctx.currentPhase ?? 'unknown',
         message: err.message,
       });
+      // A refused decision (e.g. an invalid rewind target) leaves the run paused.
+      result.pendingApproval = this.#orchestrator.pendingApproval;
+      result.rollback = ctx.rollback;
     }
 
     result.totalDurationMs = Math.round((now() - t0) * 100) / 100;
 
     if (result.success) {
       this.emit('pipeline:completed', result);
+    } else if (result.pendingApproval) {
+      this.emit('pipeline:paused', result);
     } else {
       this.emit('pipeline:failed', result);
     }
@@ -405,9 +512,47 @@ export class PipelineExecutor extends EventEmitter {
     return result;
   }
 
-  // -----------------------------------------------------------------------
-  // Private methods
-  // -----------------------------------------------------------------------
+  /**
+   * Returns an empty result for the current run.
+   *
+   * @returns {PipelineResult}
+   */
+  #createResult() {
+    return {
+      success: false,
+      runId: this.#orchestrator.runId,
+      data: {},
+      timing: [],
+      completedPhases: [],
+      skippedPhases: [],
+      totalDurationMs: 0,
+      errors: [],
+      dryRun: this.isDryRun,
+      pendingApproval: null,
+      rollback: null,
+      preview: null,
+    };
+  }
+
+  /**
+   * Points the orchestrator at `runId`, loading its checkpoint when it is not
+   * the run currently held, and checks that the run awaits a decision.
+   *
+   * @param {string} runId
+   * @throws {Error} With code `NO_PENDING_APPROVAL` if the run is not paused.
+   */
+  #usePausedRun(runId) {
+    if (runId && runId !== this.#orchestrator.runId) {
+      this.#orchestrator.load(runId);
+    }
+    if (!this.#orchestrator.pendingApproval) {
+      const err = new Error(
+        `[PipelineExecutor] Run "${this.#orchestrator.runId}" is not awaiting approval.`,
+      );
+      err.code = 'NO_PENDING_APPROVAL';
+      throw err;
+    }
+  }
 
   /**
    * Validates a hook registration call.
@@ -428,25 +573,51 @@ export class PipelineExecutor extends EventEmitter {
   }
 
   /**
-   * Wraps each registered phase handler with before/after hooks and error
-   * boundary logic. This is re-applied before every run to ensure the latest
-   * hooks are in place.
+   * Wraps each registered phase handler that has hooks or an error boundary
+   * with that logic. This is re-applied before every run to ensure the
+   * latest hooks are in place.
    */
   #installHookWrappers() {
-    for (const phaseId of PHASE_ORDER) {
-      // Retrieve the original handler (if any) that was registered directly.
-      // We need to be careful not to double-wrap on repeated runs.
-      const originalKey = `__original_${phaseId}`;
-
-      // Check if we already wrapped this handler.
-      if (this.#orchestrator[originalKey]) {
-        // Re-wrap from the original to pick up any new hooks.
-        this.#wrapHandler(phaseId, this.#orchestrator[originalKey]);
-        continue;
-      }
-
+    for (const phaseId of this.#phaseManager.getPhaseOrder()) {
+      const current = this.#orchestrator.getPhaseHandler(phaseId);
       // Nothing to wrap if no handler registered yet — the orchestrator will
       // throw a clear error when it tries to execute.
+      if (!current) continue;
+
+      // Don't double-wrap on repeated runs: re-wrap from the original to
+      // pick up any new hooks.
+      const wrapped = this.#wrappedHandlers.get(phaseId);
+      const original = wrapped?.wrapper === current ? wrapped.original : current;
+
+      const hooked = [this.#beforeHooks, this.#afterHooks]
+        .some((hooks) => (hooks.get('*')?.length ?? 0) + (hooks.get(phaseId)?.length ?? 0) > 0);
+      if (hooked || this.#errorBoundaries.has(phaseId)) {
+        this.#wrapHandler(phaseId, original);
+      } else if (original !== current) {
+        this.#orchestrator.registerPhaseHandler(phaseId, original);
+        this.#wrappedHandlers.delete(phaseId);
+      }
+    }
+  }
+
+  /**
+   * Invokes hooks sequentially, passing `ctx` to each. If any hook throws,
+   * the error propagates immediately.
+   *
+   * @param {'before'|'after'} kind
+   * @param {Array<(ctx: PhaseHookContext) => Promise<void>>} hooks
+   * @param {PhaseHookContext} ctx
+   *
+   * @fires PipelineExecutor#hook:start
+   * @fires PipelineExecutor#hook:complete
+   */
+  async #runHooks(kind, hooks, ctx) {
+    for (const [index, hook] of hooks.entries()) {
+      const info = { kind, phaseId: ctx.phaseId, runId: ctx.runId, index, name: hook.name || null };
+      this.emit('hook:start', info);
+      const t0 = now();
+      await hook(ctx);
+      this.emit('hook:complete', { ...info, durationMs: Math.round((now() - t0) * 100) / 100 });
     }
   }
 
@@ -460,21 +631,21 @@ export class PipelineExecutor extends EventEmitter {
   #wrapHandler(phaseId, originalHandler) {
     const self = this;
 
-    this.#orchestrator.registerPhaseHandler(phaseId, async (data) => {
+    const wrapper = async (data, control) => {
       const hookCtx = {
         phaseId,
         runId: self.#orchestrator.runId,
         data: snapshot(data),
-        dryRun: self.#dryRun,
+        dryRun: self.isDryRun,
       };
 
       // --- Before hooks ---
       try {
         const wildcardBefore = self.#beforeHooks.get('*') ?? [];
         const phaseBefore = self.#beforeHooks.get(phaseId) ?? [];
-        await runHooks([...wildcardBefore, ...phaseBefore], hookCtx);
+        await self.#runHooks('before', [...wildcardBefore, ...phaseBefore], hookCtx);
       } catch (hookErr) {
-        self.emit('hook:error', { kind: 'before', phaseId, error: hookErr });
+        self.emit('hook:error', { kind: 'before', phaseId, runId: hookCtx.runId, error: hookErr });
         throw hookErr;
       }
 
@@ -482,7 +653,7 @@ export class PipelineExecutor extends EventEmitter {
 
       let output;
       try {
-        output = await originalHandler(data);
+        output = await originalHandler(data, control);
       } catch (phaseErr) {
         // --- Error boundary ---
         const boundary = self.#errorBoundaries.get(phaseId);
@@ -518,22 +689,27 @@ export class PipelineExecutor extends EventEmitter {
       try {
         const wildcardAfter = self.#afterHooks.get('*') ?? [];
         const phaseAfter = self.#afterHooks.get(phaseId) ?? [];
-        await runHooks([...wildcardAfter, ...phaseAfter], afterHookCtx);
+        await self.#runHooks('after', [...wildcardAfter, ...phaseAfter], afterHookCtx);
       } catch (hookErr) {
-        self.emit('hook:error', { kind: 'after', phaseId, error: hookErr });
+        self.emit('hook:error', { kind: 'after', phaseId, runId: hookCtx.runId, error: hookErr });
         throw hookErr;
       }
 
       self.emit('phase:after', afterHookCtx);
 
       return output;
-    });
+    };
+
+    this.#orchestrator.registerPhaseHandler(phaseId, wrapper);
+    this.#wrappedHandlers.set(phaseId, { original: originalHandler, wrapper });
   }
 
   /**
-   * Executes a simulated dry-run. No real phase handlers are invoked. Instead,
-   * each phase is evaluated for skip conditions and input validation, and
-   * placeholder outputs are generated.
+   * Executes a dry run. The orchestrator's handlers are never invoked: each
+   * phase is evaluated for skip conditions and input validation, then run
+   * with its built-in handler against a virtual file system or, for custom
+   * phases and in `'simulate'` mode, given placeholder outputs. A built-in
+   * phase that fails or lacks inputs ends the run.
    *
    * @param {Record<string, unknown>} initialData
    * @param {PipelineResult} result
@@ -543,8 +719,13 @@ export class PipelineExecutor extends EventEmitter {
   async #executeDryRun(initialData, result, t0) {
     /** @type {Record<string, unknown>} */
     const accumulatedData = { ...initialData };
+    const vfs = this.#dryRun === 'preview' ? new VirtualFileSystem() : null;
+    const handlers = vfs
+      ? createDefaultPhaseHandlers({ ...this.#handlerOptions, askQuestion: undefined, fs: vfs })
+      : {};
+    let halted = false;
 
-    for (const phaseId of PHASE_ORDER) {
+    for (const phaseId of this.#phaseManager.getPhaseOrder()) {
       const definition = this.#phaseManager.getDefinition(phaseId);
       const phaseT0 = now();
 
@@ -577,31 +758,53 @@ export class PipelineExecutor extends EventEmitter {
       try {
         const wildcardBefore = this.#beforeHooks.get('*') ?? [];
         const phaseBefore = this.#beforeHooks.get(phaseId) ?? [];
-        await runHooks([...wildcardBefore, ...phaseBefore], hookCtx);
+        await this.#runHooks('before', [...wildcardBefore, ...phaseBefore], hookCtx);
       } catch { /* hooks are best-effort in dry-run */ }
 
-      // Simulate output: create placeholder keys.
-      const simulatedOutput = {};
-      for (const key of definition.outputKeys) {
-        simulatedOutput[key] = `[dry-run placeholder for ${key}]`;
+      const handler = handlers[phaseId];
+      let action = 'simulated';
+      let failure = inputCheck.valid
+        ? null
+        : `Missing required inputs: [${inputCheck.missing.join(', ')}]`;
+
+      if (handler && !failure) {
+        try {
+          Object.assign(accumulatedData, await handler(snapshot(accumulatedData), {
+            signal: new AbortController().signal,
+            phaseId,
+            runId: result.runId,
+            attempt: 1,
+            compensate: () => {},
+          }));
+          action = 'previewed';
+        } catch (err) {
+          failure = err.message;
+        }
+      } else if (!handler) {
+        // Simulate output: create placeholder keys.
+        for (const key of definition.outputKeys) {
+          accumulatedData[key] = `[dry-run placeholder for ${key}]`;
+        }
       }
-      Object.assign(accumulatedData, simulatedOutput);
 
       const durationMs = Math.round((now() - phaseT0) * 100) / 100;
+      halted = Boolean(handler && failure);
 
       result.timing.push({
         phase: phaseId,
         startedAt: Date.now() - durationMs,
         endedAt: Date.now(),
         durationMs,
-        status: inputCheck.valid ? 'simulated' : 'simulated-with-warnings',
+        status: halted ? 'failed' : failure ? 'simulated-with-warnings' : action,
       });
 
-      if (!inputCheck.valid) {
-        result.errors.push({
-          phase: phaseId,
-          message: `Missing required inputs: [${inputCheck.missing.join(', ')}]`,
-        });
+      if (failure) {
+        result.errors.push({ phase: phaseId, message: failure });
+      }
+
+      if (halted) {
+        this.emit('dryrun:phase', { phaseId, action: 'failed', error: failure });
+        break;
       }
 
       result.completedPhases.push(phaseId);
@@ -610,7 +813,7 @@ export class PipelineExecutor extends EventEmitter {
       try {
         const wildcardAfter = this.#afterHooks.get('*') ?? [];
         const phaseAfter = this.#afterHooks.get(phaseId) ?? [];
-        await runHooks([...wildcardAfter, ...phaseAfter], {
+        await this.#runHooks('after', [...wildcardAfter, ...phaseAfter], {
           ...hookCtx,
           data: snapshot(accumulatedData),
         });
@@ -618,20 +821,60 @@ export class PipelineExecutor extends EventEmitter {
 
       this.emit('dryrun:phase', {
         phaseId,
-        action: 'simulated',
+        action,
         inputValid: inputCheck.valid,
         outputKeys: definition.outputKeys,
       });
+
+      if (this.#approvalGates.has(phaseId)) {
+        this.emit('dryrun:phase', {
+          phaseId,
+          action: 'approval-required',
+          reviewer: this.#approvalGates.get(phaseId),
+        });
+      }
+    }
+
+    const outputPath = accumulatedData.generationReport?.outputPath;
+    if (vfs && !halted && typeof outputPath === 'string') {
+      result.preview = await this.#buildPreview(vfs, outputPath, accumulatedData, result.runId);
     }
 
     result.success = result.errors.length === 0;
     result.data = accumulatedData;
     result.totalDurationMs = Math.round((now() - t0) * 100) / 100;
 
-    this.emit('pipeline:completed', result);
+    this.emit(halted ? 'pipeline:failed' : 'pipeline:completed', result);
     return result;
   }
 
+  /**
+   * Collects the virtual output of a dry run, compares it with the target
+   * directory and validates it against the blueprint.
+   *
+   * @param {VirtualFileSystem} vfs
+   * @param {string} outputPath
+   * @param {Record<string, *>} data - Accumulated dry-run context data.
+   * @param {string} runId
+   * @returns {Promise<DryRunPreview>}
+   */
+  async #buildPreview(vfs, outputPath, data, runId) {
+    const validation = publishValidation(
+      this.#orchestrator.eventBus,
+      { runId, phase: null },
+      outputPath,
+      () => new StructureValidator({ fs: vfs }).validate(outputPath, blueprintFromRunData(data)),
+      { validator: 'structure', dryRun: true },
+    );
+
+    return {
+      outputPath,
+      files: vfs.files(outputPath),
+      diff: await vfs.diff(outputPath),
+      validation,
+    };
+  }
+
   /**
    * Evaluates all skip conditions for a phase. Returns true if any predicate
    * returns true.
@@ -669,7 +912,10 @@ let _instance = null;
  * @param {boolean} [options.fresh=false] - Force creation of a new instance.
  * @param {import('./master-orchestrator.js').MasterOrchestrator} [options.orchestrator]
  * @param {import('./phase-manager.js').PhaseManager} [options.phaseManager]
- * @param {boolean} [options.dryRun]
+ * @param {boolean|'simulate'} [options.dryRun]
+ * @param {import('./phase-handlers.js').DefaultHandlerOptions} [options.handlerOptions]
+ * @param {number} [options.concurrency]
+ * @param {Record<string, import('./master-orchestrator.js').PhasePolicy>} [options.policies]
  * @returns {PipelineExecutor}
  */
 export function createPipelineExecutor(options = {}) {
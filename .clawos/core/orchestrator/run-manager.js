@@ -0,0 +1,654 @@
+/**
+ * @module run-manager
+ * @description Runs several pipelines in one process. `createOrchestrator()`
+ * and `createPipelineExecutor()` hand back a shared instance, so two
+ * generations started side by side would reset each other's context. The
+ * RunManager instead builds a fresh {@link MasterOrchestrator} and
+ * {@link PipelineExecutor} for every submitted run, starts at most
+ * `maxConcurrent` of them at a time and queues the rest in submission order.
+ *
+ * Every run keeps the id it was given at submission: it is the
+ * orchestrator's `runId`, so it matches the checkpoint in `.clawos/runs` and
+ * the `runId` of the run's events on the {@link ClawEventBus}. Each
+ * orchestrator publishes on its own `bus.scope({ runId })` (see
+ * {@link RunManager#getBus}), which forwards to the shared bus and is
+ * disposed once the run finishes.
+ *
+ * Run lifecycle:
+ * ```
+ * queued ──► running ──► completed
+ *   ▲ │         ├──────► failed
+ *   │ │         ├──────► paused     (stopped at an approval gate)
+ *   │ └─────────┴──────► cancelled
+ *   └── paused            (approve / reject)
+ * ```
+ *
+ * A paused run does not hold a slot; approving or rejecting it queues the
+ * continuation behind the runs already waiting.
+ *
+ * Usage:
+ * ```js
+ * const manager = new RunManager({ maxConcurrent: 2 });
+ * const id = manager.submit({ userInput: 'REST API for invoices' }, { meta: { user: 'alice' } });
+ * manager.list({ status: 'queued' });
+ * const result = await manager.wait(id);
+ * ```
+ */
+
+import { EventEmitter } from 'node:events';
+import { MasterOrchestrator, generateRunId } from './master-orchestrator.js';
+import { PipelineExecutor } from './pipeline-executor.js';
+import { PhaseManager } from './phase-manager.js';
+import { getEventBus } from '../events/event-bus.js';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/**
+ * Run statuses.
+ * @readonly
+ * @enum {string}
+ */
+export const RunStatus = Object.freeze({
+  QUEUED:    'queued',
+  RUNNING:   'running',
+  PAUSED:    'paused',
+  COMPLETED: 'completed',
+  FAILED:    'failed',
+  CANCELLED: 'cancelled',
+});
+
+/** Statuses of runs that will not change again. */
+const FINISHED = new Set([RunStatus.COMPLETED, RunStatus.FAILED, RunStatus.CANCELLED]);
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} RunManagerOptions
+ * @property {number} [maxConcurrent=2] - Runs executing at the same time.
+ * @property {number} [maxFinished=100] - Finished runs kept for `list()`;
+ *   the oldest are pruned beyond this. `Infinity` keeps all of them.
+ * @property {Object} [orchestratorOptions] - Passed to every
+ *   {@link MasterOrchestrator}. Without a `phaseManager`, each run gets its own.
+ *   Its `eventBus` (default: {@link getEventBus}) is the parent of the runs'
+ *   scoped buses; `false` publishes nothing.
+ * @property {Object} [executorOptions] - Passed to every {@link PipelineExecutor}
+ *   (`handlerOptions`, `policies`, ...).
+ */
+
+/**
+ * @typedef {Object} SubmitOptions
+ * @property {boolean|'simulate'} [dryRun=false] - See {@link PipelineExecutor#setDryRun}.
+ * @property {Record<string, unknown>} [meta] - Caller data kept with the run,
+ *   e.g. `{ user: 'alice' }`.
+ * @property {(executor: PipelineExecutor) => void} [configure] - Called with
+ *   the run's executor before it is queued, to add hooks, handlers or
+ *   approval gates.
+ */
+
+/**
+ * @typedef {Object} RunSummary
+ * @property {string}      id          - Run identifier (the orchestrator's `runId`).
+ * @property {RunStatus}   status
+ * @property {Record<string, unknown>} meta
+ * @property {boolean}     dryRun
+ * @property {number}      submittedAt - Epoch milliseconds.
+ * @property {number|null} startedAt
+ * @property {number|null} finishedAt
+ * @property {string|null} currentPhase
+ * @property {ReturnType<MasterOrchestrator['getMetrics']>} metrics
+ * @property {Array<{ phase: string, message: string }>} errors
+ */
+
+/**
+ * @typedef {Object} ManagedRun
+ * @property {string} id
+ * @property {RunStatus} status
+ * @property {Record<string, unknown>} initialData
+ * @property {SubmitOptions} options
+ * @property {PipelineExecutor} executor
+ * @property {import('../events/event-bus.js').ClawEventBus|null} bus - The
+ *   run's scoped bus.
+ * @property {() => Promise<import('./pipeline-executor.js').PipelineResult>} drive
+ *   Starts or continues the run once it has a slot.
+ * @property {number} submittedAt
+ * @property {number|null} startedAt
+ * @property {number|null} finishedAt
+ * @property {boolean} cancelRequested
+ * @property {import('./pipeline-executor.js').PipelineResult|null} result
+ * @property {Error|null} error - A failure the executor did not report itself.
+ * @property {Promise<import('./pipeline-executor.js').PipelineResult|null>} done
+ * @property {(result: import('./pipeline-executor.js').PipelineResult|null) => void} resolve
+ */
+
+// ---------------------------------------------------------------------------
+// RunManager
+// ---------------------------------------------------------------------------
+
+/**
+ * Creates isolated orchestrators per run behind a max-concurrency queue.
+ *
+ * @extends EventEmitter
+ *
+ * @fires RunManager#run:queued
+ * @fires RunManager#run:started
+ * @fires RunManager#run:finished
+ * @fires RunManager#run:pruned
+ */
+export class RunManager extends EventEmitter {
+  /** @type {Map<string, ManagedRun>} All known runs, in submission order. */
+  #runs = new Map();
+
+  /** @type {ManagedRun[]} Runs waiting for a slot. */
+  #queue = [];
+
+  /** @type {number} */
+  #active = 0;
+
+  /** @type {number} */
+  #maxConcurrent;
+
+  /** @type {number} */
+  #maxFinished;
+
+  /** @type {Object} */
+  #orchestratorOptions;
+
+  /** @type {Object} */
+  #executorOptions;
+
+  /**
+   * @param {RunManagerOptions} [options]
+   * @throws {TypeError} If a limit is not a positive integer.
+   */
+  constructor(options = {}) {
+    super();
+    this.#maxConcurrent = options.maxConcurrent ?? 2;
+    this.#maxFinished = options.maxFinished ?? 100;
+    if (!Number.isInteger(this.#maxConcurrent) || this.#maxConcurrent < 1) {
+      throw new TypeError('[RunManager] maxConcurrent must be a positive integer.');
+    }
+    if (!(Number.isInteger(this.#maxFinished) && this.#maxFinished >= 0) && this.#maxFinished !== Infinity) {
+      throw new TypeError('[RunManager] maxFinished must be a non-negative integer or Infinity.');
+    }
+    this.#orchestratorOptions = options.orchestratorOptions ?? {};
+    this.#executorOptions = options.executorOptions ?? {};
+  }
+
+  // -----------------------------------------------------------------------
+  // Submission
+  // -----------------------------------------------------------------------
+
+  /**
+   * Queues a pipeline run and starts it as soon as a slot is free.
+   *
+   * @param {Record<string, unknown>} initialData - Seed data (must include `userInput`).
+   * @param {SubmitOptions} [options]
+   * @returns {string} The run id.
+   * @throws {*} Whatever `options.configure` throws; the run is not submitted then.
+   *
+   * @fires RunManager#run:queued
+   */
+  submit(initialData, options = {}) {
+    const runId = generateRunId();
+    const parentBus = this.#orchestratorOptions.eventBus ?? getEventBus();
+    const bus = parentBus ? parentBus.scope({ runId }) : null;
+    let orchestrator;
+    let executor;
+    try {
+      orchestrator = new MasterOrchestrator({
+        ...this.#orchestratorOptions,
+        runId,
+        eventBus: bus ?? false,
+        phaseManager: this.#orchestratorOptions.phaseManager ?? new PhaseManager(),
+      });
+      executor = new PipelineExecutor({ ...this.#executorOptions, orchestrator })
+        .setDryRun(options.dryRun ?? false);
+      options.configure?.(executor);
+    } catch (err) {
+      // Never submitted: detach the scope from the parent bus again.
+      bus?.dispose();
+      throw err;
+    }
+
+    /** @type {ManagedRun} */
+    const run = {
+      id: orchestrator.runId,
+      status: RunStatus.QUEUED,
+      initialData,
+      options,
+      executor,
+      bus,
+      drive: () => executor.run(initialData, { runId: orchestrator.runId }),
+      submittedAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false,
+      result: null,
+      error: null,
+      done: null,
+      resolve: null,
+    };
+    this.#runs.set(run.id, run);
+    this.#enqueue(run);
+    return run.id;
+  }
+
+  /**
+   * Resolves with a run's result once it stops: completed, failed, paused at
+   * an approval gate, or cancelled. Runs cancelled while queued resolve with
+   * null. After {@link RunManager#approve} or {@link RunManager#reject}, waits
+   * for the continuation.
+   *
+   * @param {string} id
+   * @returns {Promise<import('./pipeline-executor.js').PipelineResult|null>}
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown (or pruned) id.
+   */
+  wait(id) {
+    return this.#get(id).done;
+  }
+
+  // -----------------------------------------------------------------------
+  // Control
+  // -----------------------------------------------------------------------
+
+  /**
+   * Cancels a run. A queued run is removed from the queue; a running or
+   * paused run (including an approved one still waiting for a slot) is
+   * cancelled through {@link PipelineExecutor#cancel}, which rolls back its
+   * completed phases. Dry runs cannot be cancelled once they have started.
+   *
+   * @param {string} id
+   * @param {string} [reason='Cancelled by user.']
+   * @returns {Promise<boolean>} False when the run had already finished.
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id.
+   */
+  async cancel(id, reason = 'Cancelled by user.') {
+    const run = this.#get(id);
+    if (FINISHED.has(run.status)) return false;
+
+    if (run.status === RunStatus.QUEUED) {
+      this.#queue.splice(this.#queue.indexOf(run), 1);
+      if (run.startedAt === null) {
+        this.#finish(run, RunStatus.CANCELLED, null);
+        return true;
+      }
+      // A continuation waiting for a slot: the run is still at its gate.
+      run.status = RunStatus.PAUSED;
+    }
+
+    // A dry run never hands control to the orchestrator, so there is
+    // nothing to abort.
+    if (run.executor.isDryRun) return false;
+
+    run.cancelRequested = true;
+    const { orchestrator } = run.executor;
+    const cancelled = await run.executor.cancel(reason);
+    if (cancelled && run.status === RunStatus.PAUSED) {
+      this.#finish(run, RunStatus.CANCELLED, run.result);
+    }
+    if (!cancelled && run.status === RunStatus.RUNNING) {
+      // Still checkpointing before its first phase: abort as that phase starts.
+      const abort = () => { orchestrator.cancel(reason); };
+      orchestrator.once('phase:starting', abort);
+      await run.done;
+      orchestrator.off('phase:starting', abort);
+      return run.status === RunStatus.CANCELLED;
+    }
+    return cancelled;
+  }
+
+  /**
+   * Cancels every queued and running run.
+   *
+   * @param {string} [reason='Cancelled by user.']
+   * @returns {Promise<number>} Number of runs cancelled.
+   */
+  async cancelAll(reason = 'Cancelled by user.') {
+    // Queued runs first, so that cancelling a running one does not start them.
+    const runs = [...this.#queue, ...[...this.#runs.values()].filter((r) => r.status === RunStatus.RUNNING)];
+    const results = await Promise.all(runs.map((run) => this.cancel(run.id, reason)));
+    return results.filter(Boolean).length;
+  }
+
+  /**
+   * Approves a run paused at an approval gate and queues its continuation,
+   * which starts once a slot is free.
+   *
+   * @param {string} id
+   * @param {string} [notes='']
+   * @returns {Promise<import('./pipeline-executor.js').PipelineResult|null>}
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id, or
+   *   `NO_PENDING_APPROVAL` if the run is not paused.
+   */
+  approve(id, notes = '') {
+    const run = this.#getPaused(id);
+    return this.#enqueue(run, () => run.executor.approve(id, notes));
+  }
+
+  /**
+   * Rejects the pending decision of a paused run, which rewinds and re-runs
+   * it (see {@link PipelineExecutor#reject}). Like {@link RunManager#approve},
+   * the continuation is queued.
+   *
+   * @param {string} id
+   * @param {string} reason
+   * @param {{ rewindTo?: string, reviewer?: string }} [options]
+   * @returns {Promise<import('./pipeline-executor.js').PipelineResult|null>}
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id, or
+   *   `NO_PENDING_APPROVAL` if the run is not paused.
+   */
+  reject(id, reason, options = {}) {
+    const run = this.#getPaused(id);
+    return this.#enqueue(run, () => run.executor.reject(id, reason, options));
+  }
+
+  /**
+   * Forgets finished runs (completed, failed or cancelled). Their
+   * checkpoints in the run store are kept.
+   *
+   * @param {Object} [filter]
+   * @param {RunStatus} [filter.status] - Only runs with this status.
+   * @param {number} [filter.olderThanMs] - Only runs finished at least this long ago.
+   * @returns {string[]} Ids of the pruned runs.
+   *
+   * @fires RunManager#run:pruned
+   */
+  prune(filter = {}) {
+    const cutoff = filter.olderThanMs === undefined ? Infinity : Date.now() - filter.olderThanMs;
+    const pruned = [];
+
+    for (const run of this.#runs.values()) {
+      if (!FINISHED.has(run.status)) continue;
+      if (filter.status && run.status !== filter.status) continue;
+      if (run.finishedAt > cutoff) continue;
+      this.#runs.delete(run.id);
+      run.bus?.dispose();
+      pruned.push(run.id);
+    }
+
+    if (pruned.length > 0) this.emit('run:pruned', { ids: pruned });
+    return pruned;
+  }
+
+  // -----------------------------------------------------------------------
+  // Introspection
+  // -----------------------------------------------------------------------
+
+  /**
+   * Lists runs in submission order.
+   *
+   * @param {{ status?: RunStatus|RunStatus[] }} [filter]
+   * @returns {RunSummary[]}
+   */
+  list(filter = {}) {
+    const statuses = filter.status === undefined
+      ? null
+      : new Set([].concat(filter.status));
+    return [...this.#runs.values()]
+      .filter((run) => !statuses || statuses.has(run.status))
+      .map((run) => this.#summarize(run));
+  }
+
+  /**
+   * Returns one run's summary.
+   *
+   * @param {string} id
+   * @returns {RunSummary}
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id.
+   */
+  get(id) {
+    return this.#summarize(this.#get(id));
+  }
+
+  /**
+   * Returns the executor of a run.
+   *
+   * @param {string} id
+   * @returns {PipelineExecutor}
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id.
+   */
+  getExecutor(id) {
+    return this.#get(id).executor;
+  }
+
+  /**
+   * Returns the scoped bus a run publishes on. It only sees the run's own
+   * events; after the run finishes it is disposed but its history stays
+   * readable.
+   *
+   * @param {string} id
+   * @returns {import('../events/event-bus.js').ClawEventBus|null} Null when
+   *   the manager publishes nothing (`eventBus: false`).
+   * @throws {Error} With code `RUN_NOT_FOUND` for an unknown id.
+   */
+  getBus(id) {
+    return this.#get(id).bus;
+  }
+
+  /**
+   * Number of runs per status.
+   *
+   * @returns {Record<RunStatus, number>}
+   */
+  get counts() {
+    const counts = Object.fromEntries(Object.values(RunStatus).map((status) => [status, 0]));
+    for (const run of this.#runs.values()) counts[run.status]++;
+    return counts;
+  }
+
+  /** Maximum number of runs executing at the same time. @returns {number} */
+  get maxConcurrent() {
+    return this.#maxConcurrent;
+  }
+
+  // -----------------------------------------------------------------------
+  // Internal
+  // -----------------------------------------------------------------------
+
+  /**
+   * Looks up a run.
+   *
+   * @param {string} id
+   * @returns {ManagedRun}
+   * @throws {Error} With code `RUN_NOT_FOUND`.
+   */
+  #get(id) {
+    const run = this.#runs.get(id);
+    if (!run) {
+      const err = new Error(`[RunManager] Unknown run "${id}".`);
+      err.code = 'RUN_NOT_FOUND';
+      throw err;
+    }
+    return run;
+  }
+
+  /**
+   * Looks up a run paused at an approval gate.
+   *
+   * @param {string} id
+   * @returns {ManagedRun}
+   * @throws {Error} With code `RUN_NOT_FOUND` or `NO_PENDING_APPROVAL`.
+   */
+  #getPaused(id) {
+    const run = this.#get(id);
+    if (run.status !== RunStatus.PAUSED) {
+      const err = new Error(`[RunManager] Run "${id}" is ${run.status}, not awaiting approval.`);
+      err.code = 'NO_PENDING_APPROVAL';
+      throw err;
+    }
+    return run;
+  }
+
+  /**
+   * Gives a run a new `done` promise for {@link RunManager#wait}.
+   *
+   * @param {ManagedRun} run
+   */
+  #arm(run) {
+    run.done = new Promise((resolve) => { run.resolve = resolve; });
+  }
+
+  /**
+   * Queues a new run, or the continuation of a paused one, and starts it if
+   * a slot is free.
+   *
+   * @param {ManagedRun} run
+   * @param {ManagedRun['drive']} [drive] - Replaces `run.drive`.
+   * @returns {Promise<import('./pipeline-executor.js').PipelineResult|null>}
+   *   Settles when the run stops again.
+   *
+   * @fires RunManager#run:queued
+   */
+  #enqueue(run, drive = run.drive) {
+    run.drive = drive;
+    run.status = RunStatus.QUEUED;
+    this.#arm(run);
+    this.#queue.push(run);
+    this.emit('run:queued', this.#summarize(run));
+    this.#drain();
+    return run.done;
+  }
+
+  /**
+   * Starts queued runs while slots are free.
+   *
+   * @fires RunManager#run:started
+   */
+  #drain() {
+    while (this.#active < this.#maxConcurrent && this.#queue.length > 0) {
+      const run = this.#queue.shift();
+      run.startedAt ??= Date.now();
+      this.#execute(run);
+      this.emit('run:started', this.#summarize(run));
+    }
+  }
+
+  /**
+   * Drives a run until it stops and settles it. The run occupies a slot for
+   * the duration.
+   *
+   * @param {ManagedRun} run
+   */
+  #execute(run) {
+    this.#active++;
+    run.status = RunStatus.RUNNING;
+
+    // Settle first, then free the slot: waiters resume after the next queued
+    // run has started.
+    const release = () => {
+      this.#active--;
+      this.#drain();
+    };
+
+    run.drive().then(
+      (result) => {
+        if (result.success) this.#finish(run, RunStatus.COMPLETED, result);
+        else if (run.cancelRequested) this.#finish(run, RunStatus.CANCELLED, result);
+        else if (result.pendingApproval) this.#pause(run, result);
+        else this.#finish(run, RunStatus.FAILED, result);
+        release();
+      },
+      (err) => {
+        // The executor reports phase failures in its result; a rejection is
+        // a misconfiguration such as a missing `userInput`.
+        this.#finish(run, RunStatus.FAILED, null, err);
+        release();
+      },
+    );
+  }
+
+  /**
+   * Records a run that stopped at an approval gate. It keeps its record (and
+   * can be cancelled) but no longer occupies a slot.
+   *
+   * @param {ManagedRun} run
+   * @param {import('./pipeline-executor.js').PipelineResult} result
+   */
+  #pause(run, result) {
+    run.status = RunStatus.PAUSED;
+    run.result = result;
+    run.resolve(result);
+    this.emit('run:finished', this.#summarize(run));
+  }
+
+  /**
+   * Moves a run to a final status, disposes its scoped bus and prunes the
+   * oldest finished runs.
+   *
+   * @param {ManagedRun} run
+   * @param {RunStatus} status
+   * @param {import('./pipeline-executor.js').PipelineResult|null} result
+   * @param {Error} [error] - A failure the executor did not report itself.
+   *
+   * @fires RunManager#run:finished
+   */
+  #finish(run, status, result, error) {
+    run.status = status;
+    run.result = result;
+    run.error = error ?? null;
+    run.finishedAt = Date.now();
+    run.resolve(result);
+    this.emit('run:finished', this.#summarize(run));
+    run.bus?.dispose();
+
+    const finished = [...this.#runs.values()].filter((r) => FINISHED.has(r.status));
+    for (const stale of finished.slice(0, Math.max(0, finished.length - this.#maxFinished))) {
+      this.#runs.delete(stale.id);
+      stale.bus?.dispose();
+    }
+  }
+
+  /**
+   * Builds the public view of a run.
+   *
+   * @param {ManagedRun} run
+   * @returns {RunSummary}
+   */
+  #summarize(run) {
+    const { orchestrator } = run.executor;
+    const started = run.startedAt !== null;
+    const errors = run.error
+      ? [{ phase: 'unknown', message: run.error.message }]
+      : (run.result?.errors ?? (started ? orchestrator.getErrors() : []));
+
+    return {
+      id: run.id,
+      status: run.status,
+      meta: { ...(run.options.meta ?? {}) },
+      dryRun: run.executor.isDryRun,
+      submittedAt: run.submittedAt,
+      startedAt: run.startedAt,
+      finishedAt: run.finishedAt,
+      currentPhase: started ? orchestrator.currentPhase : null,
+      metrics: orchestrator.getMetrics(),
+      errors: errors.map(({ phase, message }) => ({ phase, message })),
+    };
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Factory
+// ---------------------------------------------------------------------------
+
+/** @type {RunManager|null} */
+let _instance = null;
+
+/**
+ * Creates (or returns) the shared RunManager. Use this instead of
+ * `createOrchestrator()` when one process drives several runs.
+ *
+ * @param {RunManagerOptions & { fresh?: boolean }} [options]
+ * @returns {RunManager}
+ */
+export function createRunManager(options = {}) {
+  if (options.fresh || !_instance) {
+    _instance = new RunManager(options);
+  }
+  return _instance;
+}
+
+export default RunManager;
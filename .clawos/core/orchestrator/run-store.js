@@ -0,0 +1,206 @@
+/**
+ * @module run-store
+ * @description File-backed checkpoint store for pipeline runs. The
+ * {@link MasterOrchestrator} writes a checkpoint after every phase so that a
+ * run interrupted by a crash (or a closed terminal during elicitation) can be
+ * restored in a new process and continued from its first incomplete phase.
+ *
+ * Each run is stored as `<dir>/<runId>.json`, where `dir` defaults to
+ * `.clawos/runs` under the current working directory. Writes go to a
+ * temporary file first and are renamed into place, so a crash mid-write never
+ * leaves a truncated checkpoint behind.
+ *
+ * Usage:
+ * ```js
+ * import { RunStore } from './run-store.js';
+ *
+ * const store = new RunStore({ dir: './.clawos/runs' });
+ * await store.save(checkpoint);
+ * const restored = store.load('run_lx2k9_ab12cd');
+ * ```
+ */
+
+import { promises as fs, readFileSync, readdirSync, existsSync } from 'node:fs';
+import path from 'node:path';
+
+// ---------------------------------------------------------------------------
+// Constants
+// ---------------------------------------------------------------------------
+
+/** Default checkpoint directory, relative to the working directory. */
+const DEFAULT_RUNS_DIR = path.join('.clawos', 'runs');
+
+/** Checkpoint format version — bumped on incompatible shape changes. */
+const CHECKPOINT_VERSION = 1;
+
+/** Run ids produced by the orchestrator (guards against path traversal). */
+const RUN_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// ---------------------------------------------------------------------------
+// Type definitions
+// ---------------------------------------------------------------------------
+
+/**
+ * @typedef {Object} RunCheckpoint
+ * @property {number}  version         - Checkpoint format version.
+ * @property {string}  runId           - Unique run identifier.
+ * @property {string}  currentState    - OrchestratorState when the checkpoint was taken.
+ * @property {string|null} currentPhase - Active (or last active) phase.
+ * @property {string[]} completedPhases - Phases that finished successfully.
+ * @property {string[]} skippedPhases   - Phases that were skipped.
+ * @property {Record<string, unknown>} data - Accumulated context data.
+ * @property {import('./master-orchestrator.js').PhaseTimingEntry[]} timing
+ * @property {Array<{ phase: string, message: string, code?: string, timestamp: number }>} errors
+ * @property {number}  startedAt       - Run start timestamp.
+ * @property {number|null} completedAt - Run completion timestamp.
+ * @property {number}  retryCount      - Number of resumes attempted.
+ * @property {import('./master-orchestrator.js').PendingApproval|null} [pendingApproval]
+ *   - Decision a paused run is waiting for.
+ * @property {import('./master-orchestrator.js').ApprovalDecision[]} [approvals]
+ *   - Approval decisions taken so far.
+ * @property {import('./master-orchestrator.js').RollbackReport|null} [rollback]
+ *   - Compensations run after the last failure.
+ * @property {number}  updatedAt       - When the checkpoint was written.
+ */
+
+// ---------------------------------------------------------------------------
+// RunStore class
+// ---------------------------------------------------------------------------
+
+/**
+ * Persists and loads {@link RunCheckpoint} documents.
+ *
+ * Loading is synchronous so that factories such as `createOrchestrator({ runId })`
+ * can rehydrate a run without becoming async; saving is asynchronous because
+ * it happens on the pipeline's hot path.
+ */
+export class RunStore {
+  /** @type {string} */
+  #dir;
+
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.dir='.clawos/runs'] - Directory that holds checkpoints.
+   */
+  constructor(options = {}) {
+    this.#dir = path.resolve(options.dir ?? DEFAULT_RUNS_DIR);
+  }
+
+  /** Absolute checkpoint directory. @returns {string} */
+  get dir() {
+    return this.#dir;
+  }
+
+  /**
+   * Returns the checkpoint file path for a run.
+   *
+   * @param {string} runId
+   * @returns {string}
+   * @throws {Error} If the run id contains characters outside `[A-Za-z0-9_-]`.
+   */
+  pathFor(runId) {
+    if (typeof runId !== 'string' || !RUN_ID_PATTERN.test(runId)) {
+      throw new Error(`[RunStore] Invalid run id: "${runId}"`);
+    }
+    return path.join(this.#dir, `${runId}.json`);
+  }
+
+  /**
+   * Writes (or replaces) the checkpoint for `checkpoint.runId`.
+   *
+   * @param {Omit<RunCheckpoint, 'version' | 'updatedAt'>} checkpoint
+   * @returns {Promise<string>} The checkpoint file path.
+   */
+  async save(checkpoint) {
+    const target = this.pathFor(checkpoint.runId);
+    const body = JSON.stringify(
+      { version: CHECKPOINT_VERSION, ...checkpoint, updatedAt: Date.now() },
+      null,
+      2,
+    );
+
+    await fs.mkdir(this.#dir, { recursive: true });
+    const tmp = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, body, 'utf-8');
+    await fs.rename(tmp, target);
+
+    return target;
+  }
+
+  /**
+   * Loads the checkpoint for a run.
+   *
+   * @param {string} runId
+   * @returns {RunCheckpoint}
+   * @throws {Error} With code `RUN_NOT_FOUND` if no checkpoint exists, or
+   *   `CHECKPOINT_INVALID` if it cannot be parsed.
+   */
+  load(runId) {
+    const file = this.pathFor(runId);
+
+    if (!existsSync(file)) {
+      const err = new Error(`[RunStore] No checkpoint found for run "${runId}" in ${this.#dir}`);
+      err.code = 'RUN_NOT_FOUND';
+      throw err;
+    }
+
+    let checkpoint;
+    try {
+      checkpoint = JSON.parse(readFileSync(file, 'utf-8'));
+    } catch (cause) {
+      const err = new Error(`[RunStore] Checkpoint for run "${runId}" is unreadable: ${cause.message}`);
+      err.code = 'CHECKPOINT_INVALID';
+      throw err;
+    }
+
+    if (checkpoint?.version !== CHECKPOINT_VERSION || checkpoint.runId !== runId) {
+      const err = new Error(`[RunStore] Checkpoint for run "${runId}" has an unsupported format.`);
+      err.code = 'CHECKPOINT_INVALID';
+      throw err;
+    }
+
+    return checkpoint;
+  }
+
+  /**
+   * Returns true if a checkpoint exists for the run.
+   *
+   * @param {string} runId
+   * @returns {boolean}
+   */
+  has(runId) {
+    return existsSync(this.pathFor(runId));
+  }
+
+  /**
+   * Lists the ids of all stored runs.
+   *
+   * @returns {string[]}
+   */
+  list() {
+    if (!existsSync(this.#dir)) return [];
+    return readdirSync(this.#dir)
+      .filter((name) => name.endsWith('.json'))
+      .map((name) => name.slice(0, -'.json'.length))
+      .sort();
+  }
+
+  /**
+   * Deletes the checkpoint for a run.
+   *
+   * @param {string} runId
+   * @returns {Promise<boolean>} Whether a checkpoint was removed.
+   */
+  async remove(runId) {
+    try {
+      await fs.unlink(this.pathFor(runId));
+      return true;
+    } catch (err) {
+      if (err.code === 'ENOENT') return false;
+      throw err;
+    }
+  }
+}
+
+export { DEFAULT_RUNS_DIR, CHECKPOINT_VERSION };
+export default RunStore;
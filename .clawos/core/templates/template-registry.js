@@ -1301,6 +1301,9 @@ coverage/
 .cache/
 tmp/
 temp/
+
+# --- ClawOS merge bases ---
+.clawos/base/
 {{#each extraIgnores}}
 {{.}}
 {{/each}}
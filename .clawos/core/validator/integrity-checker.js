@@ -13,12 +13,14 @@
  *   - CLAUDE.md slash commands reference actual command files
  *   - Security: hardcoded secrets, unsafe eval, unescaped user input patterns
  *   - Config file validity (JSON / YAML)
+ *   - Files recorded in `clawos.lock.json` are present and unmodified
  *
  * Reports follow the same shape as {@link StructureValidator} for consistency.
  */
 
 import { readFileSync, existsSync, statSync, readdirSync } from 'node:fs';
 import { join, dirname, extname, resolve, relative, basename } from 'node:path';
+import { readLockfileSync, classifyFiles } from '../generator/lockfile.js';
 
 // ---------------------------------------------------------------------------
 // Constants
@@ -83,6 +85,8 @@ const TEST_PATTERNS = Object.freeze([
  * @property {number}            stats.importsChecked
  * @property {number}            stats.securityIssues
  * @property {number}            stats.missingTests
+ * @property {number}            stats.lockedFiles   - Files recorded in the lockfile.
+ * @property {number}            stats.modifiedFiles - Locked files changed since generation.
  */
 
 // ---------------------------------------------------------------------------
@@ -103,7 +107,7 @@ export class IntegrityChecker {
   /** @type {IntegrityEntry[]} */
   #entries;
 
-  /** @type {{ filesScanned: number, importsChecked: number, securityIssues: number, missingTests: number }} */
+  /** @type {{ filesScanned: number, importsChecked: number, securityIssues: number, missingTests: number, lockedFiles: number, modifiedFiles: number }} */
   #stats;
 
   /** @type {string} */
@@ -111,7 +115,7 @@ export class IntegrityChecker {
 
   constructor() {
     this.#entries = [];
-    this.#stats = { filesScanned: 0, importsChecked: 0, securityIssues: 0, missingTests: 0 };
+    this.#stats = { filesScanned: 0, importsChecked: 0, securityIssues: 0, missingTests: 0, lockedFiles: 0, modifiedFiles: 0 };
     this.#rootPath = '';
   }
 
@@ -128,7 +132,7 @@ export class IntegrityChecker {
   check(outputPath) {
     // Reset state.
     this.#entries = [];
-    this.#stats = { filesScanned: 0, importsChecked: 0, securityIssues: 0, missingTests: 0 };
+    this.#stats = { filesScanned: 0, importsChecked: 0, securityIssues: 0, missingTests: 0, lockedFiles: 0, modifiedFiles: 0 };
     this.#rootPath = resolve(outputPath);
 
     if (!existsSync(this.#rootPath) || !statSync(this.#rootPath).isDirectory()) {
@@ -166,6 +170,9 @@ export class IntegrityChecker {
     // 7. Config file validity.
     this.#checkConfigFiles(allFiles);
 
+    // 8. Lockfile hashes.
+    this.#checkLockfile();
+
     return this.getReport();
   }
 
@@ -633,6 +640,45 @@ export class IntegrityChecker {
     }
   }
 
+  // -----------------------------------------------------------------------
+  // Private: Lockfile verification
+  // -----------------------------------------------------------------------
+
+  /**
+   * Compares files on disk with the hashes in `clawos.lock.json`. Missing
+   * files are errors; hand-edited files are warnings. Frameworks without a
+   * lockfile are not checked.
+   */
+  #checkLockfile() {
+    let lock;
+    try {
+      lock = readLockfileSync(this.#rootPath);
+    } catch (err) {
+      this.#addError('clawos.lock.json', 'invalid-lockfile', err.message);
+      return;
+    }
+    if (!lock) return;
+
+    const status = classifyFiles(this.#rootPath, lock);
+    this.#stats.lockedFiles = Object.keys(lock.files).length;
+    this.#stats.modifiedFiles = status.modified.length;
+
+    for (const file of status.missing) {
+      this.#addError(
+        file,
+        'missing-locked-file',
+        `"${file}" is recorded in clawos.lock.json but does not exist.`,
+      );
+    }
+    for (const file of status.modified) {
+      this.#addWarning(
+        file,
+        'modified-since-generation',
+        `"${file}" has been modified since it was generated.`,
+      );
+    }
+  }
+
   // -----------------------------------------------------------------------
   // Private: Utility
   // -----------------------------------------------------------------------
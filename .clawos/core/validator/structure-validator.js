@@ -17,7 +17,7 @@
  * ```
  */
 
-import { readFileSync, existsSync, statSync, readdirSync } from 'node:fs';
+import * as nodeFs from 'node:fs';
 import { join, extname, relative, resolve } from 'node:path';
 
 // ---------------------------------------------------------------------------
@@ -87,6 +87,9 @@ const JS_TS_EXTENSIONS = Object.freeze(['.js', '.mjs', '.cjs', '.ts', '.mts', '.
  * const report = await validator.validate('./generated/my-framework', blueprint);
  * console.log(report.score, report.errors);
  * ```
+ *
+ * Pass `{ fs }` to validate output that only exists in memory, e.g. a
+ * {@link VirtualFileSystem} filled by a dry run.
  */
 export class StructureValidator {
   /** @type {ValidationEntry[]} */
@@ -95,7 +98,16 @@ export class StructureValidator {
   /** @type {ValidationSummary} */
   #summary;
 
-  constructor() {
+  /** @type {Pick<typeof nodeFs, 'existsSync'|'statSync'|'readFileSync'|'readdirSync'>} */
+  #fs;
+
+  /**
+   * @param {Object} [options]
+   * @param {Pick<typeof nodeFs, 'existsSync'|'statSync'|'readFileSync'|'readdirSync'>} [options.fs]
+   *   File system to read from. Defaults to `node:fs`.
+   */
+  constructor(options = {}) {
+    this.#fs = options.fs ?? nodeFs;
     this.#entries = [];
     this.#summary = { totalFiles: 0, validFiles: 0, missingFiles: 0, emptyFiles: 0 };
   }
@@ -122,7 +134,7 @@ export class StructureValidator {
     const absOutput = resolve(outputPath);
 
     // --- Verify output directory exists ---
-    if (!existsSync(absOutput) || !statSync(absOutput).isDirectory()) {
+    if (!this.#fs.existsSync(absOutput) || !this.#fs.statSync(absOutput).isDirectory()) {
       this.#addError('*', 'missing-output', `Output directory does not exist: "${absOutput}".`);
       return this.getReport();
     }
@@ -169,7 +181,7 @@ export class StructureValidator {
     const relPath = filePath; // callers may pass relative or absolute
     const result = { exists: false, empty: false, contentMatch: true };
 
-    if (!existsSync(filePath)) {
+    if (!this.#fs.existsSync(filePath)) {
       this.#addError(relPath, 'missing-file', `Expected file does not exist: "${filePath}".`);
       this.#summary.missingFiles++;
       return result;
@@ -180,12 +192,12 @@ export class StructureValidator {
     // Check for empty.
     let content;
     try {
-      const stat = statSync(filePath);
+      const stat = this.#fs.statSync(filePath);
       if (stat.isDirectory()) {
         // Not a file — skip content checks.
         return result;
       }
-      content = readFileSync(filePath, 'utf-8');
+      content = this.#fs.readFileSync(filePath, 'utf-8');
     } catch (err) {
       this.#addWarning(relPath, 'read-error', `Unable to read file: ${err.message}`);
       return result;
@@ -339,14 +351,14 @@ export class StructureValidator {
       const fullPath = join(basePath, name);
       const relPath = prefix ? `${prefix}/${name}` : name;
 
-      if (!existsSync(fullPath)) {
+      if (!this.#fs.existsSync(fullPath)) {
         this.#addError(relPath, 'missing-directory', `Expected directory/file "${relPath}" does not exist.`);
         continue;
       }
 
       if (subtree && typeof subtree === 'object' && !Array.isArray(subtree) && Object.keys(subtree).length > 0) {
         // Recurse into sub-tree.
-        if (!statSync(fullPath).isDirectory()) {
+        if (!this.#fs.statSync(fullPath).isDirectory()) {
           this.#addError(relPath, 'not-a-directory', `Expected "${relPath}" to be a directory.`);
         } else {
           this.#validateDirectoryTree(fullPath, subtree, relPath);
@@ -363,7 +375,7 @@ export class StructureValidator {
   #validatePackageJson(outputPath) {
     const pkgPath = join(outputPath, 'package.json');
 
-    if (!existsSync(pkgPath)) {
+    if (!this.#fs.existsSync(pkgPath)) {
       this.#addWarning(
         'package.json',
         'missing-package-json',
@@ -374,7 +386,7 @@ export class StructureValidator {
 
     let pkg;
     try {
-      const raw = readFileSync(pkgPath, 'utf-8');
+      const raw = this.#fs.readFileSync(pkgPath, 'utf-8');
       pkg = JSON.parse(raw);
     } catch (err) {
       this.#addError(
@@ -404,7 +416,7 @@ export class StructureValidator {
   #validateClaudeMd(outputPath) {
     const claudePath = join(outputPath, 'CLAUDE.md');
 
-    if (!existsSync(claudePath)) {
+    if (!this.#fs.existsSync(claudePath)) {
       this.#addWarning(
         'CLAUDE.md',
         'missing-claude-md',
@@ -415,7 +427,7 @@ export class StructureValidator {
 
     let content;
     try {
-      content = readFileSync(claudePath, 'utf-8');
+      content = this.#fs.readFileSync(claudePath, 'utf-8');
     } catch (err) {
       this.#addError('CLAUDE.md', 'read-error', `Unable to read CLAUDE.md: ${err.message}`);
       return;
@@ -453,7 +465,7 @@ export class StructureValidator {
   #syntaxCheckAllJsTs(dirPath) {
     let entries;
     try {
-      entries = readdirSync(dirPath, { withFileTypes: true });
+      entries = this.#fs.readdirSync(dirPath, { withFileTypes: true });
     } catch {
       return;
     }
@@ -469,7 +481,7 @@ export class StructureValidator {
         const ext = extname(entry.name).toLowerCase();
         if (JS_TS_EXTENSIONS.includes(ext)) {
           try {
-            const content = readFileSync(fullPath, 'utf-8');
+            const content = this.#fs.readFileSync(fullPath, 'utf-8');
             if (content.trim().length > 0) {
               this.#basicSyntaxCheck(fullPath, content);
             }
@@ -573,6 +585,26 @@ export class StructureValidator {
   }
 }
 
+// ---------------------------------------------------------------------------
+// Helpers
+// ---------------------------------------------------------------------------
+
+/**
+ * Builds the `blueprint` argument of {@link StructureValidator#validate} from
+ * the context data of a run: the files GENERATE reported and the module
+ * dependencies of BLUEPRINT's `dependencyGraph`.
+ *
+ * @param {Record<string, *>} data
+ * @returns {{ files: string[], modules: Record<string, string[]> }}
+ */
+export function blueprintFromRunData(data) {
+  const modules = Array.isArray(data.dependencyGraph) ? data.dependencyGraph : [];
+  return {
+    files: Array.isArray(data.generatedFiles) ? data.generatedFiles : [],
+    modules: Object.fromEntries(modules.map((m) => [m.name, m.dependencies ?? []])),
+  };
+}
+
 // ---------------------------------------------------------------------------
 // Factory
 // ---------------------------------------------------------------------------
@@ -583,12 +615,12 @@ let _instance = null;
 /**
  * Returns a shared StructureValidator instance (singleton-friendly).
  *
- * @param {{ fresh?: boolean }} [options]
+ * @param {{ fresh?: boolean, fs?: Object }} [options]
  * @returns {StructureValidator}
  */
 export function createStructureValidator(options = {}) {
   if (options.fresh || !_instance) {
-    _instance = new StructureValidator();
+    _instance = new StructureValidator(options);
   }
   return _instance;
 }
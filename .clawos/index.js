@@ -30,6 +30,11 @@ export {
   Phase,
   OrchestratorState,
   createPhaseManager,
+  createDefaultPhaseHandlers,
+  installDefaultPhaseHandlers,
+  RunStore,
+  RunManager,
+  createRunManager,
   ElicitationEngine,
   createElicitation,
   detectDomain,
@@ -42,6 +47,11 @@ export {
   FileGenerator,
   CodeGenerator,
   ConfigGenerator,
+  threeWayMerge,
+  LOCKFILE_NAME,
+  readLockfile,
+  classifyFiles,
+  VirtualFileSystem,
   TemplateEngine,
   TemplateRegistry,
   StructureValidator,
@@ -49,15 +59,28 @@ export {
   IntegrityChecker,
   createIntegrityChecker,
   ConfigResolver,
+  ConfigLayer,
   createConfigResolver,
   CONFIG_SCHEMA,
   validateConfig,
   getDefaults,
+  toJsonSchema,
+  parseYaml,
+  parseAllYaml,
+  stringifyYaml,
+  YamlError,
   RegistryManager,
   getRegistryManager,
   ClawEventBus,
   ClawEvent,
   getEventBus,
+  EventJournal,
+  EventStreamServer,
+  EventTracer,
+  bridgeOrchestrator,
+  bridgeGenerator,
+  registerEventSchema,
+  validatePayload,
   ClaudeMdGenerator,
   CommandGenerator,
   McpConfigurator,
@@ -0,0 +1,98 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PipelineExecutor } from '../.clawos/core/orchestrator/pipeline-executor.js';
+import { RunStore } from '../.clawos/core/orchestrator/run-store.js';
+import { OrchestratorState } from '../.clawos/core/orchestrator/phase-manager.js';
+import { createTestOrchestrator, tempDir } from './helpers.js';
+
+/**
+ * An executor that pauses after BLUEPRINT. ELICIT records the
+ * `previousAttempt` it sees.
+ *
+ * @param {Object} [options] - Extra createTestOrchestrator options.
+ * @returns {{ executor: PipelineExecutor, calls: string[], attempts: Array<Object|undefined> }}
+ */
+function gated(options = {}) {
+  const calls = [];
+  const attempts = [];
+  const orchestrator = createTestOrchestrator({
+    calls,
+    handlers: {
+      ELICIT: async (ctx) => {
+        attempts.push(ctx.previousAttempt);
+        return { refinedRequirements: {}, userPreferences: {}, clarifications: {} };
+      },
+    },
+    ...options,
+  });
+  const executor = new PipelineExecutor({ orchestrator });
+  executor.requireApproval('BLUEPRINT', { reviewer: 'lead', rewindTo: 'ELICIT' });
+  return { executor, calls, attempts };
+}
+
+describe('approval gates', () => {
+  it('pauses after the gated phase and continues on approve', async () => {
+    const { executor, calls } = gated();
+    const paused = [];
+    executor.on('pipeline:paused', (result) => paused.push(result.runId));
+
+    const first = await executor.run({ userInput: 'x' });
+    assert.equal(first.success, false);
+    assert.deepEqual(first.errors, []);
+    assert.equal(executor.orchestrator.state, OrchestratorState.AWAITING_APPROVAL);
+    assert.equal(first.pendingApproval.phaseId, 'BLUEPRINT');
+    assert.equal(first.pendingApproval.reviewer, 'lead');
+    assert.deepEqual(calls, ['DISCOVER', 'ELICIT', 'BLUEPRINT']);
+    assert.deepEqual(paused, [first.runId]);
+
+    const done = await executor.approve(first.runId, 'looks good');
+    assert.equal(done.success, true);
+    assert.deepEqual(calls.slice(3), ['GENERATE', 'INTEGRATE']);
+    const [decision] = executor.orchestrator.context.approvals;
+    assert.equal(decision.decision, 'approved');
+    assert.equal(decision.notes, 'looks good');
+  });
+
+  it('rewinds to the named phase on reject with the reason in previousAttempt', async () => {
+    const { executor, calls, attempts } = gated();
+    const { runId } = await executor.run({ userInput: 'x' });
+
+    const again = await executor.reject(runId, 'split the Core module');
+    assert.equal(again.pendingApproval.phaseId, 'BLUEPRINT', 'the gate applies again');
+    assert.deepEqual(calls, ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'ELICIT', 'BLUEPRINT']);
+
+    const [firstAttempt, previousAttempt] = attempts;
+    assert.equal(firstAttempt, undefined);
+    assert.equal(previousAttempt.phase, 'BLUEPRINT');
+    assert.equal(previousAttempt.reviewer, 'lead');
+    assert.equal(previousAttempt.reason, 'split the Core module');
+    assert.equal(previousAttempt.rewindTo, 'ELICIT');
+    assert.deepEqual(previousAttempt.output.fileManifest, { from: 'BLUEPRINT' });
+
+    assert.equal((await executor.approve(runId)).success, true);
+  });
+
+  it('refuses rewinds past the gate and decisions for runs that are not paused', async () => {
+    const { executor } = gated();
+    await assert.rejects(executor.approve(null), { code: 'NO_PENDING_APPROVAL' });
+
+    const { runId } = await executor.run({ userInput: 'x' });
+    const refused = await executor.reject(runId, 'no', { rewindTo: 'GENERATE' });
+    assert.match(refused.errors[0].message, /Cannot rewind to "GENERATE"/);
+    assert.equal(refused.pendingApproval.phaseId, 'BLUEPRINT', 'still paused');
+  });
+
+  it('persists the pending decision so another process can approve it', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    const first = gated({ runStore: store });
+    const { runId } = await first.executor.run({ userInput: 'x' });
+    assert.equal(store.load(runId).pendingApproval.phaseId, 'BLUEPRINT');
+
+    const second = gated({ runStore: store });
+    const done = await second.executor.approve(runId, 'ok');
+    assert.equal(done.success, true);
+    assert.deepEqual(second.calls, ['GENERATE', 'INTEGRATE']);
+    assert.equal(store.load(runId).currentState, OrchestratorState.COMPLETE);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import { mkdtemp, rm, writeFile, access } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { runCli, ExitCode } from '../.clawos/cli/index.js';
+import { getEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+
+/**
+ * Run the CLI with captured output streams.
+ *
+ * @param {string[]} argv
+ * @returns {Promise<{ code: number, stdout: string, stderr: string }>}
+ */
+async function cli(argv) {
+  const out = { stdout: '', stderr: '' };
+  const sink = (key) => new Writable({
+    write(chunk, encoding, callback) {
+      out[key] += chunk;
+      callback();
+    },
+  });
+  const code = await runCli(argv, { stdout: sink('stdout'), stderr: sink('stderr') });
+  return { code, ...out };
+}
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+describe('clawos CLI', () => {
+  const cwd = process.cwd();
+  let dir;
+
+  // Runs checkpoint into ./.clawos/runs; keep them out of the repository.
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'clawos-cli-'));
+    process.chdir(dir);
+  });
+  after(async () => {
+    process.chdir(cwd);
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('prints usage and rejects unknown commands', async () => {
+    const help = await cli(['--help']);
+    assert.equal(help.code, ExitCode.SUCCESS);
+    assert.match(help.stdout, /--out <dir> +Output root \(init, generate\)/);
+
+    const unknown = await cli(['nope']);
+    assert.equal(unknown.code, ExitCode.USAGE);
+    assert.match(unknown.stderr, /Unknown command "nope"/);
+
+    assert.equal((await cli(['generate'])).code, ExitCode.USAGE);
+  });
+
+  it('writes to <out>/<name> for both init and generate', async () => {
+    const profile = path.join(dir, 'profile.json');
+    await writeFile(profile, JSON.stringify({ name: 'from-profile', domain: 'api', description: 'A REST API' }));
+
+    const generated = await cli(['generate', '--profile', profile, '--out', 'gen', '--json']);
+    assert.equal(generated.code, ExitCode.SUCCESS, generated.stderr);
+    const fromProfile = JSON.parse(generated.stdout).data.finalReport;
+    assert.equal(fromProfile.outputPath, path.join(dir, 'gen', 'from-profile'));
+
+    const init = await cli(['init', 'A REST API for a todo list', '--yes', '--out', 'init', '--json']);
+    assert.equal(init.code, ExitCode.SUCCESS, init.stderr);
+    const fromInit = JSON.parse(init.stdout).data.finalReport;
+    assert.equal(path.dirname(fromInit.outputPath), path.join(dir, 'init'));
+    assert.ok(await exists(path.join(fromInit.outputPath, 'CLAUDE.md')));
+  });
+
+  it('publishes the checks of validate on the event bus', async () => {
+    const seen = [];
+    const record = (data) => seen.push([data.validator, data.outputPath]);
+    getEventBus().on(ClawEvent.VALIDATION_COMPLETE, record);
+    try {
+      await cli(['validate', 'missing', '--json']);
+    } finally {
+      getEventBus().off(ClawEvent.VALIDATION_COMPLETE, record);
+    }
+    assert.deepEqual(seen, [['structure', 'missing'], ['integrity', 'missing']]);
+  });
+});
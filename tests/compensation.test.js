@@ -0,0 +1,128 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { readFile, readdir, access } from 'node:fs/promises';
+import path from 'node:path';
+
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { PhaseManager, OrchestratorState } from '../.clawos/core/orchestrator/phase-manager.js';
+import { LOCKFILE_NAME } from '../.clawos/core/generator/lockfile.js';
+import { tempDir, createTestOrchestrator } from './helpers.js';
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+describe('compensating rollback', () => {
+  it('runs compensations in reverse order when a later phase fails', async () => {
+    const undone = [];
+    const orchestrator = createTestOrchestrator({
+      handlers: {
+        BLUEPRINT: async (ctx, control) => {
+          control.compensate('undo blueprint', () => undone.push('BLUEPRINT'));
+          return { architecturePattern: {}, directoryStructure: [], dependencyGraph: [], configTemplates: {}, fileManifest: [] };
+        },
+        GENERATE: async (ctx, control) => {
+          control.compensate('undo generate', () => undone.push('GENERATE'));
+          return { generatedFiles: [], generationReport: {} };
+        },
+        INTEGRATE: async () => {
+          throw new Error('integration broke');
+        },
+      },
+    });
+
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), /integration broke/);
+    assert.deepEqual(undone, ['GENERATE', 'BLUEPRINT']);
+    assert.equal(orchestrator.state, OrchestratorState.ERROR);
+
+    const { rollback } = orchestrator.context;
+    assert.equal(rollback.trigger.phase, 'INTEGRATE');
+    assert.match(rollback.trigger.message, /integration broke/);
+    assert.deepEqual(rollback.undone.map((a) => a.description), ['undo generate', 'undo blueprint']);
+    assert.deepEqual(rollback.failed, []);
+    assert.deepEqual(rollback.rewoundPhases.sort(), ['BLUEPRINT', 'GENERATE']);
+    assert.ok(!orchestrator.context.completedPhases.includes('GENERATE'));
+  });
+
+  it('reports failing compensations and keeps going', async () => {
+    const undone = [];
+    const orchestrator = createTestOrchestrator({
+      handlers: {
+        DISCOVER: async (ctx, control) => {
+          control.compensate('first', () => undone.push('first'));
+          control.compensate('broken', () => {
+            throw new Error('cannot undo');
+          });
+          return { domain: 'x', constraints: {}, requirements: {}, detectedPatterns: {} };
+        },
+        ELICIT: async () => {
+          throw new Error('boom');
+        },
+      },
+    });
+
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), /boom/);
+    const { rollback } = orchestrator.context;
+    assert.deepEqual(undone, ['first']);
+    assert.deepEqual(rollback.failed.map((a) => [a.description, a.error]), [['broken', 'cannot undo']]);
+  });
+
+  it('drops compensations of a successful run', async () => {
+    let undone = 0;
+    const orchestrator = createTestOrchestrator({
+      handlers: {
+        DISCOVER: async (ctx, control) => {
+          control.compensate('undo', () => undone++);
+          return { domain: 'x', constraints: {}, requirements: {}, detectedPatterns: {} };
+        },
+      },
+    });
+
+    const context = await orchestrator.start({ userInput: 'x' });
+    assert.equal(context.currentState, OrchestratorState.COMPLETE);
+    assert.equal(context.rollback, null);
+    assert.equal(undone, 0);
+  });
+
+  it('undoes the INTEGRATE writes of the built-in handlers', async (t) => {
+    const dir = await tempDir(t);
+    const phaseManager = new PhaseManager();
+    phaseManager.definePhase({ id: 'PUBLISH', requiredInputKeys: ['finalReport'] });
+    const orchestrator = new MasterOrchestrator({
+      phaseManager,
+      runStore: false,
+      eventBus: false,
+      defaultHandlers: { outputDir: dir },
+      handlers: {
+        PUBLISH: async () => {
+          throw new Error('publish failed');
+        },
+      },
+    });
+
+    let generated = null;
+    // Read synchronously: INTEGRATE starts as soon as the listener returns.
+    orchestrator.on('phase:completed', ({ phaseId }) => {
+      if (phaseId !== 'GENERATE') return;
+      const root = orchestrator.data.generationReport.outputPath;
+      generated = {
+        root,
+        claudeMd: readFileSync(path.join(root, 'CLAUDE.md'), 'utf-8'),
+        lock: readFileSync(path.join(root, LOCKFILE_NAME), 'utf-8'),
+      };
+    });
+
+    await assert.rejects(orchestrator.start({ userInput: 'A REST API for a todo list' }), /publish failed/);
+
+    const { root } = generated;
+    const { rollback } = orchestrator.context;
+    assert.deepEqual(rollback.failed, []);
+    assert.ok(rollback.undone.some((a) => a.description === `restore ${LOCKFILE_NAME}`));
+    assert.equal(await readFile(path.join(root, 'CLAUDE.md'), 'utf-8'), generated.claudeMd);
+    assert.equal(await readFile(path.join(root, LOCKFILE_NAME), 'utf-8'), generated.lock);
+    // GENERATE scaffolds .claude/commands; INTEGRATE only adds files to it.
+    assert.deepEqual(await readdir(path.join(root, '.claude', 'commands')), []);
+    assert.equal(await exists(path.join(root, '.claude', 'mcp.json')), false);
+    assert.ok((await readdir(root)).includes('package.json'), 'GENERATE output is kept');
+    assert.deepEqual(rollback.rewoundPhases, ['INTEGRATE']);
+  });
+});
@@ -0,0 +1,155 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, mkdir, writeFile, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { ConfigResolver, ConfigLayer } from '../.clawos/core/config/config-resolver.js';
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+
+describe('ConfigResolver layers', () => {
+  const home = process.env.HOME;
+  let dir;
+  let project;
+
+  // The user layer lives under the home directory; point it at a sandbox.
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'clawos-config-'));
+    process.env.HOME = path.join(dir, 'home');
+    project = path.join(dir, 'project');
+    await mkdir(path.join(dir, 'home', '.clawos'), { recursive: true });
+    await mkdir(project);
+    await writeFile(path.join(project, '.clawos-config.yaml'), [
+      'generation:',
+      '  language: typescript',
+      '  includeDocs: false',
+      'output:',
+      '  baseDir: ./out',
+    ].join('\n'));
+    await writeFile(path.join(dir, 'home', '.clawos', 'preferences.yaml'), 'generation:\n  includeTests: false\n');
+  });
+  after(async () => {
+    process.env.HOME = home;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  it('merges L1 < L2 < L3 < L4 < L5 and explains each value', () => {
+    const resolver = new ConfigResolver({
+      projectRoot: project,
+      env: { CLAWOS_GENERATION__INCLUDE_DOCS: 'yes', CLAWOS_OUTPUT__BASE_DIR: './env-out' },
+    });
+    const { config, validation } = resolver.resolve({ 'output.baseDir': './cli-out' });
+
+    assert.equal(validation.valid, true);
+    assert.equal(config.generation.language, 'typescript');
+    assert.equal(config.generation.includeTests, false);
+    assert.equal(config.generation.includeDocs, true);
+    assert.equal(config.output.baseDir, './cli-out');
+
+    const [docs] = resolver.explain('generation.includeDocs');
+    assert.equal(docs.layer, ConfigLayer.ENV);
+    assert.equal(docs.source, 'CLAWOS_GENERATION__INCLUDE_DOCS');
+    assert.deepEqual(docs.layers.map((l) => [l.layer, l.value]), [
+      [ConfigLayer.FRAMEWORK, true],
+      [ConfigLayer.PROJECT, false],
+      [ConfigLayer.ENV, true],
+    ]);
+
+    const [baseDir] = resolver.explain('output.baseDir');
+    assert.equal(baseDir.layer, ConfigLayer.OVERRIDE);
+    assert.deepEqual(baseDir.layers.map((l) => l.layer), ['L1', 'L2', 'L4', 'L5']);
+
+    assert.equal(resolver.explain('generation.includeTests')[0].layer, ConfigLayer.USER);
+    assert.deepEqual(resolver.explain('no.such.path'), []);
+  });
+
+  it('skips environment variables it cannot map or coerce', () => {
+    const resolver = new ConfigResolver({
+      projectRoot: project,
+      env: {
+        CLAWOS_GENERATION__INCLUDE_TESTS: 'maybe',
+        CLAWOS_NOPE: '1',
+        CLAWOS_CLAUDE_CODE__GENERATE_MCP: 'off',
+        OTHER: 'ignored',
+      },
+    });
+    const { config, warnings } = resolver.resolve();
+    assert.equal(config.claudeCode.generateMcp, false);
+    assert.equal(config.generation.includeTests, false, 'user layer value kept');
+    assert.ok(warnings.some((w) => /CLAWOS_GENERATION__INCLUDE_TESTS.*not a boolean/.test(w)));
+    assert.ok(warnings.some((w) => /CLAWOS_NOPE.*does not match/.test(w)));
+  });
+
+  it('keeps set() overrides across reloads and clears them with resolve({})', () => {
+    const resolver = new ConfigResolver({ projectRoot: project, env: {} });
+    resolver.set('generation.language', 'javascript');
+    resolver.reload();
+    assert.equal(resolver.get('generation.language'), 'javascript');
+    assert.equal(resolver.explain('generation.language')[0].source, 'programmatic override');
+
+    resolver.resolve({});
+    assert.equal(resolver.get('generation.language'), 'typescript');
+  });
+});
+
+describe('ConfigResolver hot reload', () => {
+  const home = process.env.HOME;
+  let dir;
+
+  before(async () => {
+    dir = await mkdtemp(path.join(os.tmpdir(), 'clawos-watch-'));
+    process.env.HOME = path.join(dir, 'home');
+  });
+  after(async () => {
+    process.env.HOME = home;
+    await rm(dir, { recursive: true, force: true });
+  });
+
+  /**
+   * Resolves with the payload of the next `event`, or rejects after 5s.
+   *
+   * @param {ConfigResolver} resolver
+   * @param {string} event
+   */
+  const next = (resolver, event) => new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`no ${event} within 5s`)), 5_000);
+    resolver.once(event, (payload) => {
+      clearTimeout(timer);
+      resolve(payload);
+    });
+  });
+
+  it('activates valid edits and rejects invalid ones', async (t) => {
+    const project = await mkdtemp(path.join(dir, 'project-'));
+    const file = path.join(project, '.clawos-config.yaml');
+    await writeFile(file, 'generation:\n  language: javascript\n');
+
+    const bus = new ClawEventBus();
+    const resolver = new ConfigResolver({ projectRoot: project, env: {} });
+    t.after(() => resolver.unwatch());
+    resolver.watch({ debounceMs: 50, persistent: false, eventBus: bus });
+    assert.equal(resolver.watching, true);
+
+    const changed = next(resolver, 'config:changed');
+    await writeFile(file, 'generation:\n  language: typescript\n');
+    const { files, changes } = await changed;
+    assert.deepEqual(files, [file]);
+    assert.deepEqual(changes, [{ path: 'generation.language', before: 'javascript', after: 'typescript' }]);
+    assert.equal(resolver.get('generation.language'), 'typescript');
+    assert.equal(bus.getHistory({ event: ClawEvent.CONFIG_CHANGED }).length, 1);
+
+    const rejected = next(resolver, 'config:rejected');
+    await writeFile(file, 'generation:\n  language: cobol\n');
+    const { errors } = await rejected;
+    assert.deepEqual(errors.map((e) => e.path), ['generation.language']);
+    assert.equal(resolver.get('generation.language'), 'typescript', 'last good config stays active');
+
+    const unreadable = next(resolver, 'config:rejected');
+    await writeFile(file, 'generation: [unclosed\n');
+    assert.ok((await unreadable).warnings.some((w) => /Failed to read project config/.test(w)));
+    assert.equal(bus.getHistory({ event: ClawEvent.CONFIG_REJECTED }).length, 2);
+
+    resolver.unwatch();
+    assert.equal(resolver.watching, false);
+  });
+});
@@ -0,0 +1,71 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  CONFIG_SCHEMA,
+  getDefaults,
+  validateConfig,
+  toJsonSchema,
+  JSON_SCHEMA_DIALECT,
+} from '../.clawos/core/config/config-schema.js';
+
+describe('validateConfig', () => {
+  it('accepts the schema defaults', () => {
+    assert.deepEqual(validateConfig(getDefaults()), { valid: true, errors: [] });
+  });
+
+  it('reports type errors with their path and JSON pointer', () => {
+    const { valid, errors } = validateConfig({ generation: { includeTests: 'yes' } });
+    assert.equal(valid, false);
+    assert.deepEqual(errors, [{
+      path: 'generation.includeTests',
+      pointer: '/generation/includeTests',
+      message: 'Expected type "boolean" for "generation.includeTests", got "string".',
+      type: 'type',
+      expected: 'boolean',
+      actual: 'string',
+      value: 'yes',
+    }]);
+  });
+
+  it('distinguishes null and arrays from objects', () => {
+    const [error] = validateConfig({ generation: [] }).errors;
+    assert.equal(error.actual, 'array');
+    assert.equal(validateConfig({ generation: null }).valid, true, 'null means absent');
+  });
+
+  it('suggests the closest enum value and key for typos', () => {
+    const { errors } = validateConfig({ generation: { language: 'typescirpt' }, genration: {} });
+    const byType = Object.fromEntries(errors.map((e) => [e.type, e]));
+
+    assert.equal(byType.enum.suggestion, 'typescript');
+    assert.deepEqual(byType.enum.expected, ['javascript', 'typescript']);
+    assert.match(byType.enum.message, /Did you mean "typescript"\?$/);
+    assert.equal(byType.unknown.path, 'genration');
+    assert.equal(byType.unknown.suggestion, 'generation');
+  });
+
+  it('runs custom validators', () => {
+    const [error] = validateConfig({ output: { baseDir: '' } }).errors;
+    assert.equal(error.type, 'custom');
+    assert.equal(error.pointer, '/output/baseDir');
+  });
+});
+
+describe('toJsonSchema', () => {
+  it('exports every field with types, enums, defaults and closed objects', () => {
+    const schema = toJsonSchema({ id: 'urn:example:clawos-config' });
+    assert.equal(schema.$schema, JSON_SCHEMA_DIALECT);
+    assert.equal(schema.$id, 'urn:example:clawos-config');
+    assert.equal(schema.additionalProperties, false);
+    assert.deepEqual(Object.keys(schema.properties), Object.keys(CONFIG_SCHEMA));
+
+    const generation = schema.properties.generation;
+    assert.equal(generation.type, 'object');
+    assert.equal(generation.additionalProperties, false);
+    assert.deepEqual(generation.properties.language.enum, ['javascript', 'typescript']);
+    assert.equal(generation.properties.includeTests.default, getDefaults().generation.includeTests);
+    assert.equal(schema.properties.output.properties.baseDir.minLength, 1);
+    assert.ok(!('$id' in toJsonSchema()));
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdir, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+
+import { PipelineExecutor } from '../.clawos/core/orchestrator/pipeline-executor.js';
+import { PhaseManager } from '../.clawos/core/orchestrator/phase-manager.js';
+import { createLockfile, writeLockfile } from '../.clawos/core/generator/lockfile.js';
+import { createTestOrchestrator, tempDir } from './helpers.js';
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+/**
+ * A dry-run executor over an orchestrator whose handlers record their calls.
+ *
+ * @param {string} outputDir
+ * @param {Object} [options] - Extra PipelineExecutor options.
+ */
+function dryRunExecutor(outputDir, options = {}) {
+  const calls = [];
+  const executor = new PipelineExecutor({
+    orchestrator: createTestOrchestrator({ calls, phaseManager: options.phaseManager }),
+    dryRun: true,
+    handlerOptions: { outputDir },
+    ...options,
+  });
+  return { executor, calls };
+}
+
+describe('dry-run preview', () => {
+  it('runs the built-in phases against a virtual file system', async (t) => {
+    const dir = await tempDir(t);
+    const { executor, calls } = dryRunExecutor(dir);
+
+    const result = await executor.run({ userInput: 'a REST api for todos' });
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, [], 'the orchestrator handlers are never called');
+    assert.deepEqual(result.timing.map((e) => e.status), Array(5).fill('previewed'));
+
+    const { preview } = result;
+    assert.equal(path.dirname(preview.outputPath), dir, 'written to <outputDir>/<name>');
+    for (const file of ['CLAUDE.md', 'package.json', '.claude/mcp.json', '.gitignore']) {
+      assert.ok(preview.files.has(file), file);
+    }
+    assert.equal(await exists(preview.outputPath), false, 'nothing is written');
+    assert.equal(preview.diff.targetExists, false);
+    assert.deepEqual(preview.diff.added, [...preview.files.keys()]);
+    assert.equal(preview.validation.valid, true);
+  });
+
+  it('diffs the preview against an existing target directory', async (t) => {
+    const dir = await tempDir(t);
+    const input = { userInput: 'a REST api for todos' };
+    const { preview: first } = await dryRunExecutor(dir).executor.run(input);
+
+    const target = first.outputPath;
+    await mkdir(target, { recursive: true });
+    await writeFile(path.join(target, 'README.md'), first.files.get('README.md'));
+    await writeFile(path.join(target, 'package.json'), '{}\n');
+    // A previous real run also produced a file the next one no longer would.
+    await writeLockfile(target, createLockfile({
+      files: { 'README.md': first.files.get('README.md'), 'src/legacy.js': 'export {};\n' },
+    }));
+
+    const { preview } = await dryRunExecutor(dir).executor.run(input);
+    assert.equal(preview.diff.targetExists, true);
+    assert.ok(preview.diff.unchanged.includes('README.md'));
+    assert.deepEqual(preview.diff.modified, ['package.json']);
+    assert.deepEqual(preview.diff.removed, ['src/legacy.js']);
+    assert.ok(preview.diff.added.includes('CLAUDE.md'));
+  });
+
+  it('gives defined phases placeholder outputs', async (t) => {
+    const phaseManager = new PhaseManager();
+    phaseManager.definePhase({ id: 'AUDIT', outputKeys: ['auditReport'] }, { after: 'GENERATE' });
+    const { executor, calls } = dryRunExecutor(await tempDir(t), { phaseManager });
+
+    const result = await executor.run({ userInput: 'a cli tool' });
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, []);
+    assert.equal(result.data.auditReport, '[dry-run placeholder for auditReport]');
+    assert.equal(result.timing.find((e) => e.phase === 'AUDIT').status, 'simulated');
+    assert.ok(result.preview.files.size > 0);
+  });
+
+  it('uses placeholders for every phase in simulate mode', async (t) => {
+    const { executor } = dryRunExecutor(await tempDir(t), { dryRun: 'simulate' });
+    const result = await executor.run({ userInput: 'x' });
+    assert.equal(result.dryRun, true);
+    assert.equal(result.preview, null);
+    assert.equal(result.data.fileManifest, '[dry-run placeholder for fileManifest]');
+  });
+});
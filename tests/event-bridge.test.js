@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { bridgeOrchestrator, bridgeGenerator, describeError } from '../.clawos/core/events/event-bridge.js';
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { GeneratorEngine } from '../.clawos/core/generator/generator-engine.js';
+import { createTestOrchestrator, tempDir, sampleBlueprint, sampleProfile } from './helpers.js';
+
+describe('event bridge', () => {
+  it('publishes a whole run with the built-in handlers under one runId', async (t) => {
+    const bus = new ClawEventBus();
+    const orchestrator = new MasterOrchestrator({
+      runStore: false,
+      eventBus: bus,
+      defaultHandlers: { outputDir: await tempDir(t) },
+    });
+    await orchestrator.start({ userInput: 'a cli tool' });
+
+    const history = bus.getHistory();
+    assert.equal(history[0].event, ClawEvent.PIPELINE_START);
+    assert.equal(history.at(-1).event, ClawEvent.PIPELINE_COMPLETE);
+    assert.ok(history.every((r) => r.data.runId === orchestrator.runId && typeof r.data.timestamp === 'number'));
+    assert.equal(bus.getHistory({ runId: orchestrator.runId }).length, history.length);
+
+    const phases = bus.getHistory({ event: ClawEvent.PHASE_COMPLETE }).map((r) => r.data.phase);
+    assert.deepEqual(phases, ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'GENERATE', 'INTEGRATE']);
+    for (const event of [ClawEvent.ELICITATION_COMPLETE, ClawEvent.BLUEPRINT_COMPOSED, ClawEvent.INTEGRATION_COMPLETE]) {
+      assert.equal(bus.getHistory({ event }).length, 1, event);
+    }
+
+    const files = bus.getHistory({ event: ClawEvent.FILE_GENERATED });
+    assert.ok(files.length > 0);
+    assert.ok(files.every((r) => r.data.phase === 'GENERATE' && typeof r.data.path === 'string'));
+  });
+
+  it('publishes the structure validation of a real run', async (t) => {
+    const bus = new ClawEventBus();
+    const orchestrator = new MasterOrchestrator({
+      runStore: false,
+      eventBus: bus,
+      defaultHandlers: { outputDir: await tempDir(t) },
+    });
+    const context = await orchestrator.start({ userInput: 'a cli tool' });
+
+    const events = bus.getHistory().map((r) => r.event);
+    const start = events.indexOf(ClawEvent.VALIDATION_START);
+    assert.ok(start > events.lastIndexOf(ClawEvent.PHASE_COMPLETE));
+    assert.ok(events.indexOf(ClawEvent.VALIDATION_COMPLETE) < events.indexOf(ClawEvent.PIPELINE_COMPLETE));
+
+    const [complete] = bus.getHistory({ event: ClawEvent.VALIDATION_COMPLETE }).map((r) => r.data);
+    assert.equal(complete.runId, orchestrator.runId);
+    assert.equal(complete.outputPath, context.data.generationReport.outputPath);
+    assert.equal(complete.validator, 'structure');
+    assert.equal(complete.dryRun, undefined);
+    assert.equal(complete.errors, bus.getHistory({ event: ClawEvent.VALIDATION_ERROR }).length);
+  });
+
+  it('publishes phase and pipeline errors with serialisable errors', async () => {
+    const bus = new ClawEventBus();
+    const failure = Object.assign(new Error('disk full'), { code: 'ENOSPC' });
+    const orchestrator = createTestOrchestrator({
+      eventBus: bus,
+      handlers: { BLUEPRINT: async () => { throw failure; } },
+    });
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), /disk full/);
+
+    const [phaseError] = bus.getHistory({ event: ClawEvent.PHASE_ERROR });
+    assert.equal(phaseError.data.phase, 'BLUEPRINT');
+    assert.deepEqual(phaseError.data.error, { message: 'disk full', code: 'ENOSPC' });
+    const [pipelineError] = bus.getHistory({ event: ClawEvent.PIPELINE_ERROR });
+    assert.equal(pipelineError.data.phase, 'BLUEPRINT');
+    assert.deepEqual(describeError('plain'), { message: 'plain', code: null });
+  });
+
+  it('returns a function that removes the orchestrator bridge', () => {
+    const bus = new ClawEventBus();
+    const emitter = new EventEmitter();
+    const unbridge = bridgeOrchestrator(emitter, bus);
+
+    emitter.emit('phase:skipped', { runId: 'run_1', phaseId: 'ELICIT' });
+    unbridge();
+    emitter.emit('phase:skipped', { runId: 'run_1', phaseId: 'BLUEPRINT' });
+
+    const skipped = bus.getHistory({ event: ClawEvent.PHASE_SKIP });
+    assert.deepEqual(skipped.map((r) => [r.data.runId, r.data.phase]), [['run_1', 'ELICIT']]);
+    assert.equal(emitter.listenerCount('phase:skipped'), 0);
+  });
+
+  it('tags generator events with the given run and phase', async (t) => {
+    const bus = new ClawEventBus();
+    const engine = new GeneratorEngine();
+    const unbridge = bridgeGenerator(engine, { runId: 'run_g', phase: 'GENERATE' }, bus);
+    const manifest = await engine.generate(sampleBlueprint(), sampleProfile(), await tempDir(t));
+    unbridge();
+
+    const files = bus.getHistory({ event: ClawEvent.FILE_GENERATED });
+    assert.equal(files.length, manifest.files.length);
+    assert.ok(files.every((r) => r.data.runId === 'run_g' && r.data.phase === 'GENERATE'));
+    const [last] = bus.getHistory({ event: ClawEvent.GENERATION_PROGRESS, limit: 1 });
+    assert.equal(last.data.percentage, 100);
+  });
+});
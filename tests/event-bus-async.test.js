@@ -0,0 +1,108 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { delay, defer } from './helpers.js';
+
+describe('ClawEventBus.emitAsync', () => {
+  it('awaits listeners one after another in serial mode', async () => {
+    const bus = new ClawEventBus();
+    const order = [];
+    bus.on(ClawEvent.PIPELINE_COMPLETE, async () => {
+      await delay(10);
+      order.push('slow');
+    });
+    bus.on(ClawEvent.PIPELINE_COMPLETE, () => order.push('fast'));
+    bus.onAny('PIPELINE:*', async (event) => order.push(`any:${event}`));
+
+    assert.equal(await bus.emitAsync(ClawEvent.PIPELINE_COMPLETE, {}), true);
+    assert.deepEqual(order, ['slow', 'fast', 'any:PIPELINE_COMPLETE']);
+    assert.equal(await bus.emitAsync(ClawEvent.PIPELINE_START, {}), false, 'no direct listeners');
+  });
+
+  it('runs listeners side by side in parallel mode', { timeout: 2_000 }, async () => {
+    const bus = new ClawEventBus();
+    // The first listener only settles once the second has run.
+    const gate = defer();
+    bus.on(ClawEvent.PHASE_START, () => gate.promise);
+    bus.on(ClawEvent.PHASE_START, () => gate.resolve());
+    await bus.emitAsync(ClawEvent.PHASE_START, {}, { mode: 'parallel' });
+  });
+
+  it('aggregates listener errors, or stops at the first with failFast', async () => {
+    const bus = new ClawEventBus();
+    const calls = [];
+    bus.on(ClawEvent.PHASE_ERROR, async () => { calls.push(1); throw new Error('first'); });
+    bus.on(ClawEvent.PHASE_ERROR, async () => { calls.push(2); throw new Error('second'); });
+
+    await assert.rejects(bus.emitAsync(ClawEvent.PHASE_ERROR, {}), (err) => {
+      assert.ok(err instanceof AggregateError);
+      assert.equal(err.code, 'EVENT_LISTENERS_FAILED');
+      assert.equal(err.event, ClawEvent.PHASE_ERROR);
+      assert.deepEqual(err.errors.map((e) => e.message), ['first', 'second']);
+      return true;
+    });
+
+    calls.length = 0;
+    await assert.rejects(bus.emitAsync(ClawEvent.PHASE_ERROR, {}, { failFast: true }),
+      (err) => err.errors.length === 1 && err.errors[0].message === 'first');
+    assert.deepEqual(calls, [1]);
+
+    await assert.rejects(bus.emitAsync(ClawEvent.PHASE_ERROR, {}, { mode: 'parallel' }),
+      (err) => err.errors.length === 2);
+    await assert.rejects(bus.emitAsync(ClawEvent.PHASE_ERROR, {}, { mode: 'eager' }), TypeError);
+  });
+
+  it('calls once() listeners a single time', async () => {
+    const bus = new ClawEventBus();
+    let count = 0;
+    bus.once(ClawEvent.PIPELINE_START, async () => { count++; });
+    await bus.emitAsync(ClawEvent.PIPELINE_START, {});
+    await bus.emitAsync(ClawEvent.PIPELINE_START, {});
+    assert.equal(count, 1);
+  });
+});
+
+describe('ClawEventBus interceptors', () => {
+  it('enrich, redact and drop events before history and listeners', () => {
+    const bus = new ClawEventBus();
+    const seen = [];
+    bus.on(ClawEvent.CONFIG_CHANGED, (data) => seen.push(data));
+    bus.use((event, data, next) => next({ ...data, host: 'ci' }));
+    bus.use((event, data, next) => next(data.authorization ? { ...data, authorization: '[redacted]' } : data));
+    const removeDrop = bus.use((event, data, next) => { if (!data.noisy) next(); });
+
+    assert.equal(bus.emit(ClawEvent.CONFIG_CHANGED, { authorization: 'Bearer abc' }), true);
+    assert.equal(bus.emit(ClawEvent.CONFIG_CHANGED, { noisy: true }), false);
+    assert.deepEqual(seen, [{ authorization: '[redacted]', host: 'ci' }]);
+    assert.deepEqual(bus.getHistory().map((r) => r.data), [{ authorization: '[redacted]', host: 'ci' }]);
+
+    removeDrop();
+    bus.emit(ClawEvent.CONFIG_CHANGED, { noisy: true });
+    assert.equal(seen.length, 2);
+  });
+
+  it('may be async only with emitAsync', async () => {
+    const bus = new ClawEventBus();
+    bus.use(async (event, data, next) => {
+      await delay(1);
+      next({ ...data, enriched: true });
+    });
+
+    let received;
+    bus.on(ClawEvent.PIPELINE_START, (data) => { received = data; });
+    await bus.emitAsync(ClawEvent.PIPELINE_START, {});
+    assert.deepEqual(received, { enriched: true });
+    assert.throws(() => bus.emit(ClawEvent.PIPELINE_START, {}), /async interceptors require emitAsync/);
+    assert.throws(() => bus.use('nope'), TypeError);
+  });
+
+  it('are not applied again on replay', () => {
+    const bus = new ClawEventBus();
+    let calls = 0;
+    bus.use((event, data, next) => { calls++; next(); });
+    bus.emit(ClawEvent.PIPELINE_START, {});
+    bus.replay(0);
+    assert.equal(calls, 1);
+  });
+});
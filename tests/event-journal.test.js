@@ -0,0 +1,90 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, appendFileSync, statSync } from 'node:fs';
+import path from 'node:path';
+
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { EventJournal } from '../.clawos/core/events/event-journal.js';
+import { tempDir } from './helpers.js';
+
+describe('event journal', () => {
+  it('appends every event as a JSONL record with its sequence number', async (t) => {
+    const file = path.join(await tempDir(t), 'logs', 'events.jsonl');
+    const bus = new ClawEventBus({ journal: file });
+    assert.equal(bus.journalPath, file);
+
+    bus.emit(ClawEvent.PIPELINE_START, { runId: 'run_1' });
+    bus.emit(ClawEvent.PHASE_START, { runId: 'run_1', phase: 'DISCOVER' });
+
+    const lines = readFileSync(file, 'utf-8').trimEnd().split('\n').map((line) => JSON.parse(line));
+    assert.deepEqual(lines.map((r) => [r.event, r.sequence]), [
+      [ClawEvent.PIPELINE_START, 0],
+      [ClawEvent.PHASE_START, 1],
+    ]);
+    assert.deepEqual(lines, bus.getHistory());
+  });
+
+  it('rebuilds history in another bus for getHistory and replay', async (t) => {
+    const file = path.join(await tempDir(t), 'events.jsonl');
+    const original = new ClawEventBus({ journal: file });
+    original.emit(ClawEvent.PIPELINE_START, { runId: 'run_a' });
+    original.emit(ClawEvent.PIPELINE_START, { runId: 'run_b' });
+    original.emit(ClawEvent.PIPELINE_ERROR, { runId: 'run_b', error: { message: 'boom' } });
+
+    const restored = ClawEventBus.fromJournal(file);
+    assert.deepEqual(restored.getHistory(), original.getHistory());
+    assert.equal(restored.getHistory({ runId: 'run_b' }).length, 2);
+    assert.equal(restored.journalPath, null, 'does not write unless asked');
+
+    const replayed = [];
+    restored.on(ClawEvent.PIPELINE_ERROR, (data) => replayed.push(data.runId));
+    assert.equal(restored.replay(1), 2);
+    assert.deepEqual(replayed, ['run_b']);
+    assert.equal(restored.historySize, 3, 'replayed events are not recorded again');
+    assert.equal(restored.currentSequence, 3);
+  });
+
+  it('continues the sequence of an existing journal', async (t) => {
+    const file = path.join(await tempDir(t), 'events.jsonl');
+    new ClawEventBus({ journal: file }).emit(ClawEvent.PIPELINE_START, {});
+    const second = new ClawEventBus({ journal: file });
+    second.emit(ClawEvent.PIPELINE_COMPLETE, {});
+
+    assert.deepEqual(EventJournal.read(file).map((r) => r.sequence), [0, 1]);
+  });
+
+  it('rotates by size and drops files beyond maxFiles', async (t) => {
+    const file = path.join(await tempDir(t), 'events.jsonl');
+    const bus = new ClawEventBus({ journal: { path: file, maxBytes: 300, maxFiles: 3 } });
+    for (let i = 0; i < 30; i++) bus.emit(ClawEvent.FILE_GENERATED, { path: `src/file-${i}.js` });
+
+    const files = EventJournal.files(file);
+    assert.deepEqual(files, [`${file}.2`, `${file}.1`, file]);
+    for (const f of files) assert.ok(statSync(f).size <= 300, f);
+
+    const sequences = EventJournal.read(file).map((r) => r.sequence);
+    assert.equal(sequences.at(-1), 29);
+    assert.deepEqual(sequences, sequences.map((_, i) => sequences[0] + i), 'contiguous, oldest first');
+    assert.ok(sequences[0] > 0, 'the oldest events were dropped');
+  });
+
+  it('skips a truncated last line and starts the next record on a new line', async (t) => {
+    const file = path.join(await tempDir(t), 'events.jsonl');
+    new ClawEventBus({ journal: file }).emit(ClawEvent.PIPELINE_START, {});
+    appendFileSync(file, '{"event":"PHASE_ST');
+
+    const bus = new ClawEventBus({ journal: file });
+    bus.emit(ClawEvent.PIPELINE_COMPLETE, {});
+    assert.deepEqual(EventJournal.read(file).map((r) => [r.event, r.sequence]), [
+      [ClawEvent.PIPELINE_START, 0],
+      [ClawEvent.PIPELINE_COMPLETE, 1],
+    ]);
+  });
+
+  it('rejects bad options and missing journals', async (t) => {
+    const dir = await tempDir(t);
+    assert.throws(() => new EventJournal({}), TypeError);
+    assert.throws(() => new EventJournal({ path: path.join(dir, 'e.jsonl'), maxBytes: 0 }), /maxBytes/);
+    assert.throws(() => ClawEventBus.fromJournal(path.join(dir, 'none.jsonl')), { code: 'ENOENT' });
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import {
+  EVENT_SCHEMAS,
+  validatePayload,
+  unregisterEventSchema,
+  toTypeScript,
+} from '../.clawos/core/events/event-schemas.js';
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { tempDir } from './helpers.js';
+
+const envelope = () => ({ runId: 'run_1', phase: 'GENERATE', timestamp: Date.now() });
+
+describe('event payload schemas', () => {
+  it('has a schema for every ClawEvent', () => {
+    assert.deepEqual(Object.keys(EVENT_SCHEMAS).sort(), Object.values(ClawEvent).sort());
+  });
+
+  it('reports missing, mistyped and non-object payloads', () => {
+    assert.equal(validatePayload(ClawEvent.FILE_GENERATED, { ...envelope(), path: 'a.js', size: 1 }).valid, true);
+    assert.equal(validatePayload(ClawEvent.FILE_GENERATED, { ...envelope(), runId: null, path: 'a.js', size: 1 }).valid, true);
+
+    const { errors } = validatePayload(ClawEvent.FILE_GENERATED, { ...envelope(), path: 42 });
+    assert.deepEqual(errors.map((e) => [e.path, e.type]), [['path', 'type'], ['size', 'required']]);
+    assert.equal(validatePayload(ClawEvent.FILE_GENERATED, 'a.js').errors[0].path, '');
+    assert.equal(validatePayload('UNKNOWN_EVENT', 1).valid, true, 'events without a schema pass');
+  });
+
+  it('matches the checked-in TypeScript declarations', () => {
+    const declarations = readFileSync(new URL('../.clawos/core/events/event-payloads.d.ts', import.meta.url), 'utf-8');
+    assert.equal(toTypeScript({ includeCustom: false }), declarations, 'run `npm run types:events`');
+  });
+});
+
+describe('strict mode', () => {
+  it('rejects malformed payloads without recording them', () => {
+    const bus = new ClawEventBus({ strict: 'reject' });
+    assert.throws(
+      () => bus.emit(ClawEvent.FILE_GENERATED, { path: 'a.js' }),
+      (err) => err.code === 'INVALID_EVENT_PAYLOAD' && err.event === ClawEvent.FILE_GENERATED && err.errors.length > 0,
+    );
+    assert.equal(bus.historySize, 0);
+    assert.throws(() => bus.setStrict('loud'), TypeError);
+  });
+
+  it('warns once per event in warn mode and still emits', async () => {
+    const bus = new ClawEventBus({ strict: 'warn' });
+    const warnings = [];
+    const onWarning = (warning) => {
+      if (warning.name === 'ClawEventPayloadWarning') warnings.push(warning.message);
+    };
+    process.on('warning', onWarning);
+    try {
+      bus.emit(ClawEvent.FILE_GENERATED, { path: 'a.js' });
+      bus.emit(ClawEvent.FILE_GENERATED, { path: 'b.js' });
+      await new Promise((resolve) => setImmediate(resolve));
+    } finally {
+      process.off('warning', onWarning);
+    }
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /Invalid payload for "FILE_GENERATED"/);
+    assert.equal(bus.historySize, 2);
+  });
+
+  it('accepts everything a run with the built-in handlers publishes', async (t) => {
+    const bus = new ClawEventBus({ strict: 'reject' });
+    const orchestrator = new MasterOrchestrator({
+      runStore: false,
+      eventBus: bus,
+      defaultHandlers: { outputDir: await tempDir(t) },
+    });
+    const context = await orchestrator.start({ userInput: 'x' });
+    assert.equal(context.currentState, 'COMPLETE');
+    assert.ok(bus.historySize > 0);
+  });
+});
+
+describe('custom event schemas', () => {
+  it('registers a plugin event and validates its payloads', (t) => {
+    t.after(() => unregisterEventSchema('LINTER_REPORT'));
+    const schema = {
+      description: 'The linter plugin checked the generated files.',
+      properties: { problems: { type: 'number', required: true, description: 'Problems found.' } },
+    };
+
+    assert.equal(ClawEventBus.isValidEvent('LINTER_REPORT'), false);
+    ClawEventBus.registerEventSchema('LINTER_REPORT', schema);
+    assert.equal(ClawEventBus.isValidEvent('LINTER_REPORT'), true);
+    assert.ok(ClawEventBus.getEventTypes().includes('LINTER_REPORT'));
+    assert.match(toTypeScript(), /export interface LinterReportPayload/);
+
+    const bus = new ClawEventBus({ strict: 'reject' });
+    assert.throws(() => bus.emit('LINTER_REPORT', { problems: 'many' }), { code: 'INVALID_EVENT_PAYLOAD' });
+    bus.emit('LINTER_REPORT', { problems: 0 });
+
+    assert.throws(() => ClawEventBus.registerEventSchema('LINTER_REPORT', schema), { code: 'EVENT_SCHEMA_CONFLICT' });
+    assert.throws(() => ClawEventBus.registerEventSchema(ClawEvent.FILE_GENERATED, schema), { code: 'EVENT_SCHEMA_CONFLICT' });
+    assert.throws(() => ClawEventBus.registerEventSchema('linter-report', schema), TypeError);
+    ClawEventBus.registerEventSchema('LINTER_REPORT', schema, { replace: true });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { createTestOrchestrator } from './helpers.js';
+
+describe('ClawEventBus.scope', () => {
+  it('tags events emitted on the scope and forwards them to the parent once', () => {
+    const parent = new ClawEventBus();
+    parent.emit(ClawEvent.PIPELINE_START, { runId: 'other' });
+    const scope = parent.scope({ runId: 'run_a' });
+    const received = [];
+    parent.on(ClawEvent.PHASE_START, (data) => received.push(data));
+
+    assert.equal(scope.parent, parent);
+    assert.deepEqual(scope.scopeTags, { runId: 'run_a' });
+    scope.emit(ClawEvent.PHASE_START, { phase: 'DISCOVER', runId: 'spoofed' });
+
+    assert.deepEqual(received, [{ phase: 'DISCOVER', runId: 'run_a' }]);
+    assert.deepEqual(scope.getHistory().map((r) => [r.event, r.sequence]), [[ClawEvent.PHASE_START, 0]]);
+    assert.equal(parent.historySize, 2);
+  });
+
+  it('receives parent events carrying its tags only', () => {
+    const parent = new ClawEventBus();
+    const a = parent.scope({ runId: 'run_a' });
+    const b = parent.scope({ runId: 'run_b' });
+
+    parent.emit(ClawEvent.PHASE_COMPLETE, { runId: 'run_b', phase: 'ELICIT' });
+    parent.emit(ClawEvent.PHASE_COMPLETE, { runId: 'run_a', phase: 'DISCOVER' });
+    parent.emit(ClawEvent.PHASE_COMPLETE, { phase: 'untagged' });
+
+    assert.deepEqual(a.getHistory().map((r) => r.data.phase), ['DISCOVER']);
+    assert.deepEqual(b.getHistory().map((r) => r.data.phase), ['ELICIT']);
+    assert.equal(a.replay(0), 1, 'the replay window is the scope history');
+  });
+
+  it('receives parent events built from a copy of its own payload', () => {
+    const parent = new ClawEventBus();
+    const scope = parent.scope({ runId: 'run_a' });
+    parent.on(ClawEvent.PHASE_START, (data) => parent.emit(ClawEvent.PHASE_COMPLETE, { ...data, durationMs: 1 }));
+
+    scope.emit(ClawEvent.PHASE_START, { phase: 'DISCOVER' });
+    assert.deepEqual(scope.getHistory().map((r) => r.event), [ClawEvent.PHASE_START, ClawEvent.PHASE_COMPLETE]);
+  });
+
+  it('is not handed its own events back when a parent interceptor copies them', async () => {
+    const parent = new ClawEventBus();
+    parent.use((event, data, next) => next({ ...data, host: 'ci' }));
+    const scope = parent.scope({ runId: 'run_a' });
+    const nested = scope.scope({ worker: 1 });
+    let calls = 0;
+    scope.on(ClawEvent.PHASE_START, () => calls++);
+
+    scope.emit(ClawEvent.PHASE_START, { phase: 'DISCOVER' });
+    await scope.emitAsync(ClawEvent.PHASE_START, { phase: 'ELICIT' });
+    nested.emit(ClawEvent.PHASE_START, { phase: 'BLUEPRINT' });
+
+    assert.equal(calls, 3);
+    assert.equal(scope.historySize, 3);
+    assert.equal(nested.historySize, 1);
+    assert.deepEqual(parent.getHistory().map((r) => r.data.host), ['ci', 'ci', 'ci']);
+  });
+
+  it('lets waitFor resolve on the events of its own run', async () => {
+    const parent = new ClawEventBus();
+    const orchestrator = createTestOrchestrator({ eventBus: parent, runId: 'run_mine' });
+    const mine = parent.scope({ runId: orchestrator.runId });
+    const done = mine.waitFor(ClawEvent.PIPELINE_COMPLETE, 5_000);
+
+    parent.emit(ClawEvent.PIPELINE_COMPLETE, { runId: 'run_theirs' });
+    await orchestrator.start({ userInput: 'x' });
+    assert.equal((await done).runId, 'run_mine');
+  });
+
+  it('combines the tags of nested scopes and inherits the strict mode', () => {
+    const parent = new ClawEventBus({ strict: 'reject' });
+    const nested = parent.scope({ runId: 'run_a' }).scope({ worker: 2 });
+    assert.deepEqual(nested.scopeTags, { runId: 'run_a', worker: 2 });
+    assert.equal(nested.strictMode, 'reject');
+
+    const seen = [];
+    parent.onAny('*', (event, data) => seen.push(data));
+    nested.emit('CUSTOM_TICK', { n: 1 });
+    assert.deepEqual(seen, [{ n: 1, runId: 'run_a', worker: 2 }]);
+    assert.throws(() => parent.scope({}), TypeError);
+  });
+
+  it('detaches every listener on dispose and keeps the history readable', () => {
+    const parent = new ClawEventBus();
+    const scope = parent.scope({ runId: 'run_a' });
+    const child = scope.scope({ step: 1 });
+    let calls = 0;
+    scope.on(ClawEvent.PHASE_START, () => calls++);
+    scope.onAny('*', () => calls++);
+    scope.emit(ClawEvent.PHASE_START, {});
+    assert.equal(calls, 2);
+
+    scope.dispose();
+    assert.equal(scope.isDisposed, true);
+    assert.equal(child.isDisposed, true, 'nested scopes are disposed too');
+    assert.equal(scope.listenerCount(ClawEvent.PHASE_START), 0);
+    parent.emit(ClawEvent.PHASE_START, { runId: 'run_a' });
+    assert.equal(calls, 2);
+    assert.equal(scope.historySize, 1);
+    assert.throws(() => scope.emit(ClawEvent.PHASE_START, {}), { code: 'BUS_DISPOSED' });
+    assert.throws(() => scope.scope({ x: 1 }), { code: 'BUS_DISPOSED' });
+  });
+});
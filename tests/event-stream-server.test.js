@@ -0,0 +1,136 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+
+import { ClawEventBus } from '../.clawos/core/events/event-bus.js';
+import { EventStreamServer } from '../.clawos/core/events/event-stream-server.js';
+
+/**
+ * GET a path and collect the body. Streams are read until `until` matches
+ * the received text, then the connection is dropped.
+ *
+ * @param {string} base
+ * @param {string} path
+ * @param {{ headers?: Object, until?: (text: string) => boolean }} [options]
+ * @returns {Promise<{ status: number, headers: Object, body: string }>}
+ */
+function get(base, path, { headers = {}, until } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get(`${base}${path}`, { headers }, (res) => {
+      let body = '';
+      const done = () => resolve({ status: res.statusCode, headers: res.headers, body });
+      res.setEncoding('utf-8');
+      res.on('data', (chunk) => {
+        body += chunk;
+        if (until?.(body)) {
+          req.destroy();
+          done();
+        }
+      });
+      res.on('end', done);
+    });
+    req.setTimeout(5_000, () => req.destroy(new Error(`GET ${path} timed out`)));
+    req.on('error', (err) => (err.code === 'ECONNRESET' ? undefined : reject(err)));
+  });
+}
+
+/** @param {string} body @returns {number[]} */
+const ids = (body) => [...body.matchAll(/^id: (\d+)$/gm)].map((m) => Number(m[1]));
+
+describe('EventStreamServer', () => {
+  /** @type {ClawEventBus} */
+  let bus;
+  /** @type {EventStreamServer} */
+  let server;
+  /** @type {string} */
+  let base;
+
+  beforeEach(async () => {
+    bus = new ClawEventBus();
+    server = new EventStreamServer({ bus, heartbeatMs: 0 });
+    ({ url: base } = await server.listen());
+    bus.emit('demo:one', { runId: 'run_a', n: 1 });
+    bus.emit('demo:two', { runId: 'run_b', n: 2 });
+    bus.emit('demo:three', { runId: 'run_a', n: 3 });
+  });
+
+  afterEach(() => server.close());
+
+  it('serves filtered history snapshots', async () => {
+    const all = await get(base, '/history');
+    assert.equal(all.status, 200);
+    assert.deepEqual(JSON.parse(all.body).map((r) => r.data.n), [1, 2, 3]);
+
+    const run = await get(base, '/runs/run_a/history?limit=1');
+    assert.deepEqual(JSON.parse(run.body).map((r) => r.data.n), [3]);
+  });
+
+  it('answers 400 for bad query parameters and malformed paths', async () => {
+    assert.equal((await get(base, '/history?limit=many')).status, 400);
+
+    const malformed = await get(base, '/runs/%E0%A4%A/history');
+    assert.equal(malformed.status, 400);
+    assert.match(JSON.parse(malformed.body).error, /Malformed path segment/);
+
+    // The server is still up.
+    assert.equal((await get(base, '/history')).status, 200);
+  });
+
+  it('answers 404 for unknown routes and 405 for other methods', async () => {
+    assert.equal((await get(base, '/nope')).status, 404);
+    const status = await new Promise((resolve, reject) => {
+      http.request(`${base}/history`, { method: 'POST' }, (res) => {
+        res.resume();
+        resolve(res.statusCode);
+      }).on('error', reject).end();
+    });
+    assert.equal(status, 405);
+  });
+
+  it('replays missed events after Last-Event-ID, then streams live ones', async () => {
+    const [first] = bus.getHistory();
+    const pending = get(base, '/runs/run_a/events', {
+      headers: { 'Last-Event-ID': String(first.sequence) },
+      until: (text) => text.includes('demo:four'),
+    });
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.equal(server.clientCount, 1);
+    bus.emit('demo:skipped', { runId: 'run_b' });
+    bus.emit('demo:four', { runId: 'run_a', n: 4 });
+
+    const { status, headers, body } = await pending;
+    assert.equal(status, 200);
+    assert.match(headers['content-type'], /text\/event-stream/);
+    assert.match(body, /^retry: \d+/);
+    assert.match(body, /event: demo:three\ndata: {"runId":"run_a","n":3}/);
+    assert.doesNotMatch(body, /demo:one|demo:skipped/);
+    assert.deepEqual(ids(body), [first.sequence + 2, first.sequence + 4]);
+  });
+
+  it('accepts ?lastEventId= and treats an empty id as absent', async () => {
+    const [first] = bus.getHistory();
+    const resumed = await get(base, `/events?lastEventId=${first.sequence + 1}`, {
+      until: (text) => text.includes('demo:three'),
+    });
+    assert.deepEqual(ids(resumed.body), [first.sequence + 2]);
+
+    for (const query of ['?lastEventId=', '']) {
+      const headers = query ? {} : { 'Last-Event-ID': '' };
+      const pending = get(base, `/events${query}`, { headers, until: (text) => text.includes('demo:live') });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      bus.emit('demo:live', { runId: 'run_a' });
+      const { body } = await pending;
+      assert.deepEqual(ids(body), [bus.currentSequence - 1], `replayed history for ${query || 'empty header'}`);
+    }
+  });
+
+  it('ends open streams and unsubscribes on close', async () => {
+    const pending = get(base, '/events');
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    await server.close();
+    const { body } = await pending;
+    assert.match(body, /^retry:/);
+    assert.equal(server.url, null);
+    assert.equal(server.clientCount, 0);
+  });
+});
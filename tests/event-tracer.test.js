@@ -0,0 +1,113 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'node:events';
+
+import { EventTracer, SpanKind } from '../.clawos/core/events/event-tracer.js';
+import { ClawEventBus } from '../.clawos/core/events/event-bus.js';
+import { PipelineExecutor } from '../.clawos/core/orchestrator/pipeline-executor.js';
+import { createTestOrchestrator } from './helpers.js';
+
+/**
+ * An executor over stub handlers that publishes on `bus`.
+ *
+ * @param {ClawEventBus} bus
+ * @returns {PipelineExecutor}
+ */
+function createExecutor(bus) {
+  return new PipelineExecutor({ orchestrator: createTestOrchestrator({ eventBus: bus }) });
+}
+
+describe('EventTracer', () => {
+  it('nests phase and hook spans under their run', async () => {
+    const bus = new ClawEventBus();
+    const tracer = new EventTracer({ bus }).start();
+    const executor = createExecutor(bus);
+    executor.before('ELICIT', async function checkInput() {});
+    tracer.attachExecutor(executor);
+
+    const result = await executor.run({ userInput: 'x' });
+    tracer.stop();
+    assert.equal(tracer.isListening, false);
+
+    const spans = tracer.spans;
+    const run = spans.find((s) => s.kind === SpanKind.RUN);
+    const elicit = spans.find((s) => s.kind === SpanKind.PHASE && s.name.includes('ELICIT'));
+    const hook = spans.find((s) => s.kind === SpanKind.HOOK);
+
+    assert.equal(run.runId, result.runId);
+    assert.equal(run.status, 'ok');
+    assert.equal(elicit.parentId, run.spanId);
+    assert.equal(hook.parentId, elicit.spanId);
+    assert.equal(hook.name, 'before hook checkInput');
+    assert.ok(spans.every((s) => s.traceId === run.traceId && s.endTime !== null));
+  });
+
+  it('closes the failing hook span with an error', async () => {
+    const bus = new ClawEventBus();
+    const tracer = new EventTracer({ bus }).start();
+    const executor = createExecutor(bus);
+    const errors = [];
+    executor.on('hook:error', (payload) => errors.push(payload));
+    executor.after('DISCOVER', async () => {
+      throw new Error('hook broke');
+    });
+    tracer.attachExecutor(executor);
+
+    const result = await executor.run({ userInput: 'x' });
+    assert.equal(result.success, false);
+    assert.deepEqual(errors.map(({ kind, phaseId, runId }) => ({ kind, phaseId, runId })), [
+      { kind: 'after', phaseId: 'DISCOVER', runId: result.runId },
+    ]);
+
+    const hook = tracer.spans.find((s) => s.kind === SpanKind.HOOK);
+    assert.equal(hook.status, 'error');
+    assert.equal(hook.statusMessage, 'hook broke');
+    tracer.stop();
+  });
+
+  it('matches hook errors to spans by the runId of the event', () => {
+    const tracer = new EventTracer({ bus: new ClawEventBus() });
+    // The executor's orchestrator has moved on to another run.
+    const executor = Object.assign(new EventEmitter(), { orchestrator: { runId: 'run_next' } });
+    const detach = tracer.attachExecutor(executor);
+
+    const info = { kind: 'before', phaseId: 'DISCOVER', runId: 'run_a', index: 0, name: null };
+    executor.emit('hook:start', info);
+    executor.emit('hook:error', { kind: 'before', phaseId: 'DISCOVER', runId: 'run_a', error: new Error('x') });
+
+    const [run, hook] = tracer.spans;
+    assert.equal(run.runId, 'run_a');
+    assert.equal(hook.status, 'error');
+    assert.notEqual(hook.endTime, null);
+
+    detach();
+    assert.equal(executor.listenerCount('hook:start'), 0);
+  });
+
+  it('traces only the requested run', () => {
+    const bus = new ClawEventBus();
+    const tracer = new EventTracer({ bus, runId: 'run_a' }).start();
+    bus.emit('PIPELINE_START', { runId: 'run_b' });
+    bus.emit('PIPELINE_START', { runId: 'run_a' });
+    tracer.stop();
+    assert.deepEqual(tracer.spans.map((s) => s.runId), ['run_a']);
+  });
+
+  it('exports Chrome trace events and OTLP spans', async () => {
+    const bus = new ClawEventBus();
+    const tracer = new EventTracer({ bus, serviceName: 'test' }).start();
+    await createExecutor(bus).run({ userInput: 'x' });
+    tracer.stop();
+
+    const { traceEvents } = tracer.toChromeTrace();
+    assert.ok(traceEvents.some((e) => e.ph === 'X' && e.name.includes('DISCOVER')));
+
+    const otlp = tracer.toOTLP();
+    const [resourceSpans] = otlp.resourceSpans;
+    const service = resourceSpans.resource.attributes.find((a) => a.key === 'service.name');
+    assert.equal(service.value.stringValue, 'test');
+    const spans = resourceSpans.scopeSpans[0].spans;
+    assert.equal(spans.length, tracer.spans.length);
+    assert.ok(spans.every((s) => /^[0-9a-f]{32}$/.test(s.traceId) && /^\d+$/.test(s.startTimeUnixNano)));
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * @fileoverview Shared fixtures for the node:test suites.
+ *
+ * Not a test file itself: `node --test tests/` only picks up `*.test.js`.
+ */
+
+import { mkdtemp, rm } from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { PhaseManager } from '../.clawos/core/orchestrator/phase-manager.js';
+
+/**
+ * Create a temporary directory that is removed when the suite ends.
+ *
+ * @param {import('node:test').TestContext|{ after: Function }} t - Test context (or suite hooks).
+ * @returns {Promise<string>}
+ */
+export async function tempDir(t) {
+  const dir = await mkdtemp(path.join(os.tmpdir(), 'clawos-test-'));
+  t.after(() => rm(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+/**
+ * Minimal blueprint accepted by GeneratorEngine.
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function sampleBlueprint(overrides = {}) {
+  return {
+    name: 'demo',
+    archetype: 'library',
+    domain: 'general',
+    modules: [
+      { name: 'Core', description: 'Core module' },
+      { name: 'Utils', description: 'Helpers', dependsOn: ['Core'] },
+    ],
+    ...overrides,
+  };
+}
+
+/**
+ * Minimal requirements profile accepted by GeneratorEngine.
+ *
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+export function sampleProfile(overrides = {}) {
+  return {
+    name: 'demo',
+    description: 'A demo framework',
+    language: 'javascript',
+    ...overrides,
+  };
+}
+
+/**
+ * Resolve after `ms` milliseconds.
+ *
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+export function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Handlers for every phase of a PhaseManager that return placeholder values
+ * for the phase's output keys. Entries in `overrides` replace a stub.
+ *
+ * @param {PhaseManager} phaseManager
+ * @param {Record<string, Function>} [overrides]
+ * @param {string[]} [calls] - Receives the id of every phase run, in order.
+ * @returns {Record<string, Function>}
+ */
+export function stubHandlers(phaseManager, overrides = {}, calls = []) {
+  const handlers = {};
+  for (const { id: phaseId, outputKeys } of phaseManager.getOrderedDefinitions()) {
+    const stub = async () => Object.fromEntries(outputKeys.map((key) => [key, { from: phaseId }]));
+    const handler = overrides[phaseId] ?? stub;
+    handlers[phaseId] = async (ctx, control) => {
+      calls.push(phaseId);
+      return handler(ctx, control);
+    };
+  }
+  return handlers;
+}
+
+/**
+ * An orchestrator with its own PhaseManager, no checkpoints, no event bus and
+ * stub handlers (see {@link stubHandlers}).
+ *
+ * @param {Object} [options] - MasterOrchestrator options; `handlers` are
+ *   overrides of the stubs, `calls` collects the phases run.
+ * @returns {MasterOrchestrator}
+ */
+export function createTestOrchestrator({ handlers, calls, ...options } = {}) {
+  const phaseManager = options.phaseManager ?? new PhaseManager();
+  return new MasterOrchestrator({
+    runStore: false,
+    eventBus: false,
+    defaultHandlers: false,
+    ...options,
+    phaseManager,
+    handlers: stubHandlers(phaseManager, handlers, calls),
+  });
+}
+
+/**
+ * A promise with its resolve function exposed.
+ *
+ * @returns {{ promise: Promise<*>, resolve: (value?: *) => void }}
+ */
+export function defer() {
+  let resolve;
+  const promise = new Promise((r) => { resolve = r; });
+  return { promise, resolve };
+}
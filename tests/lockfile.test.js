@@ -0,0 +1,154 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, unlink } from 'node:fs/promises';
+import path from 'node:path';
+
+import { GeneratorEngine } from '../.clawos/core/generator/generator-engine.js';
+import {
+  LOCKFILE_NAME,
+  createLockfile,
+  serializeLockfile,
+  readLockfile,
+  writeLockfile,
+  recordFiles,
+  classifyFiles,
+  hashContent,
+  stableStringify,
+} from '../.clawos/core/generator/lockfile.js';
+import { IntegrityChecker } from '../.clawos/core/validator/integrity-checker.js';
+import { tempDir, sampleBlueprint, sampleProfile } from './helpers.js';
+
+describe('lockfile', () => {
+  it('stableStringify ignores key order and undefined values', () => {
+    assert.equal(
+      stableStringify({ b: 1, a: [{ d: 2, c: undefined }] }),
+      stableStringify({ a: [{ d: 2 }], b: 1 }),
+    );
+  });
+
+  it('createLockfile hashes every file and keeps foreign entries', () => {
+    const previous = createLockfile({ files: { 'CLAUDE.md': 'old' } });
+    previous.files['CLAUDE.md'].source = 'integration';
+    previous.files['stale.js'] = { hash: hashContent('x'), size: 1 };
+
+    const lock = createLockfile({
+      blueprint: sampleBlueprint(),
+      profile: sampleProfile(),
+      files: new Map([['src/index.js', 'export {};\n']]),
+      previous,
+    });
+
+    assert.deepEqual(Object.keys(lock.files), ['CLAUDE.md', 'src/index.js']);
+    assert.equal(lock.files['src/index.js'].hash, hashContent('export {};\n'));
+    assert.equal(lock.files['CLAUDE.md'].source, 'integration');
+  });
+
+  it('readLockfile returns null when absent and rejects unknown versions', async (t) => {
+    const dir = await tempDir(t);
+    assert.equal(await readLockfile(dir), null);
+
+    await writeFile(path.join(dir, LOCKFILE_NAME), '{"lockfileVersion":99,"files":{}}');
+    await assert.rejects(readLockfile(dir), { code: 'LOCKFILE_INVALID' });
+
+    await writeFile(path.join(dir, LOCKFILE_NAME), 'not json');
+    await assert.rejects(readLockfile(dir), { code: 'LOCKFILE_INVALID' });
+  });
+
+  it('classifyFiles reports unchanged, modified, missing and stale files', async (t) => {
+    const dir = await tempDir(t);
+    await writeFile(path.join(dir, 'a.txt'), 'a');
+    await writeFile(path.join(dir, 'b.txt'), 'b');
+    const lock = createLockfile({ files: { 'a.txt': 'a', 'b.txt': 'original', 'c.txt': 'c' } });
+
+    const status = classifyFiles(dir, lock, ['a.txt', 'b.txt']);
+    assert.deepEqual(status, {
+      unchanged: ['a.txt'],
+      modified: ['b.txt'],
+      missing: ['c.txt'],
+      stale: ['c.txt'],
+    });
+  });
+
+  it('recordFiles re-hashes files written after the lock', async (t) => {
+    const dir = await tempDir(t);
+    assert.equal(await recordFiles(dir, ['x.md'], 'integration'), null);
+
+    await writeLockfile(dir, createLockfile({ files: {} }));
+    await writeFile(path.join(dir, 'x.md'), 'late');
+    const lock = await recordFiles(dir, ['x.md'], 'integration');
+    assert.deepEqual(lock.files['x.md'], { hash: hashContent('late'), size: 4, source: 'integration' });
+    assert.deepEqual((await readLockfile(dir)).files, lock.files);
+  });
+
+  it('serializeLockfile ends with a newline', () => {
+    assert.ok(serializeLockfile(createLockfile({ files: {} })).endsWith('}\n'));
+  });
+});
+
+describe('GeneratorEngine lockfile integration', () => {
+  it('writes a lock entry for every generated file', async (t) => {
+    const dir = await tempDir(t);
+    const manifest = await new GeneratorEngine().generate(sampleBlueprint(), sampleProfile(), dir);
+    const lock = await readLockfile(dir);
+
+    assert.equal(manifest.lockfile, LOCKFILE_NAME);
+    for (const file of manifest.files) {
+      const content = await readFile(path.join(dir, file), 'utf-8');
+      assert.equal(lock.files[file.split(path.sep).join('/')].hash, hashContent(content), file);
+    }
+  });
+
+  it('reports user-modified and stale files from the previous lock', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine({ conflictStrategy: 'skip' });
+    await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+    await writeFile(path.join(dir, 'README.md'), 'mine\n');
+
+    const manifest = await engine.generate(
+      sampleBlueprint({ modules: [{ name: 'Core', description: 'Core module' }] }),
+      sampleProfile(),
+      dir,
+    );
+    assert.deepEqual(manifest.userModifiedFiles, ['README.md']);
+    assert.ok(manifest.staleFiles.includes('src/core/utils.js'));
+  });
+
+  it('replaces files the user never touched without conflicts', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine({ conflictStrategy: 'merge' });
+    await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+    // Without a merge base the fast path is the only way to avoid a conflict.
+    await unlink(path.join(dir, '.clawos', 'base', 'README.md'));
+
+    const manifest = await engine.generate(sampleBlueprint(), sampleProfile({ description: 'New' }), dir);
+    assert.deepEqual(manifest.conflicts, []);
+    assert.match(await readFile(path.join(dir, 'README.md'), 'utf-8'), /> New/);
+  });
+
+  it('keeps hand edits and conflict markers across repeated merges', async (t) => {
+    const dir = await tempDir(t);
+    const readme = path.join(dir, 'README.md');
+    await new GeneratorEngine().generate(sampleBlueprint(), sampleProfile(), dir);
+
+    await writeFile(readme, `${await readFile(readme, 'utf-8')}\nhand edit\n`);
+    const engine = new GeneratorEngine({ conflictStrategy: 'merge' });
+    await engine.generate(sampleBlueprint(), sampleProfile({ description: 'Changed' }), dir);
+
+    await writeFile(readme, (await readFile(readme, 'utf-8')).replace('Changed', 'MINE'));
+    const conflicted = await engine.generate(sampleBlueprint(), sampleProfile({ description: 'Theirs' }), dir);
+    assert.deepEqual(conflicted.conflicts.map((c) => c.path), ['README.md']);
+
+    const again = await engine.generate(sampleBlueprint(), sampleProfile({ description: 'Theirs' }), dir);
+    const text = await readFile(readme, 'utf-8');
+    assert.ok(text.includes('MINE'), 'conflicting edit kept');
+    assert.ok(text.includes('hand edit'), 'earlier hand edit kept');
+    assert.ok(text.includes('<<<<<<<'), 'conflict markers kept');
+    assert.ok(again.userModifiedFiles.includes('README.md'));
+
+    const lock = await readLockfile(dir);
+    assert.notEqual(lock.files['README.md'].hash, hashContent(text));
+
+    const report = new IntegrityChecker().check(dir);
+    assert.ok(report.stats.modifiedFiles >= 1);
+  });
+});
@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { readLockfile, hashContent } from '../.clawos/core/generator/lockfile.js';
+import { tempDir } from './helpers.js';
+
+const INPUT = { userInput: 'A REST API for a todo list' };
+
+/**
+ * Run the built-in pipeline into `dir`.
+ *
+ * @param {string} dir
+ * @param {Object} [handlerOptions] - Extra DefaultHandlerOptions.
+ * @returns {Promise<Object>} The accumulated run data.
+ */
+async function run(dir, handlerOptions = {}) {
+  const orchestrator = new MasterOrchestrator({
+    runStore: false,
+    eventBus: false,
+    defaultHandlers: { outputDir: dir, ...handlerOptions },
+  });
+  await orchestrator.start(INPUT);
+  return orchestrator.data;
+}
+
+describe('INTEGRATE conflict handling', () => {
+  it('rewrites integration files the user did not touch', async (t) => {
+    const dir = await tempDir(t);
+    const first = await run(dir, { conflictStrategy: 'skip' });
+    const { outputPath } = first.finalReport;
+    const claudeMd = path.join(outputPath, 'CLAUDE.md');
+    assert.ok(first.finalReport.integrationFiles.includes('CLAUDE.md'));
+    assert.doesNotMatch(await readFile(claudeMd, 'utf-8'), /^mine$/m);
+
+    const second = await run(dir, { conflictStrategy: 'skip' });
+    assert.deepEqual(second.finalReport.skipped, []);
+    assert.deepEqual(second.generationReport.conflicts, []);
+    assert.deepEqual(second.finalReport.integrationFiles, first.finalReport.integrationFiles);
+  });
+
+  it('leaves user-modified files alone with "skip"', async (t) => {
+    const dir = await tempDir(t);
+    const { finalReport } = await run(dir);
+    const claudeMd = path.join(finalReport.outputPath, 'CLAUDE.md');
+    const mcpJson = path.join(finalReport.outputPath, '.claude', 'mcp.json');
+    await writeFile(claudeMd, 'mine\n');
+    await writeFile(mcpJson, '{}\n');
+
+    const bus = new ClawEventBus();
+    const orchestrator = new MasterOrchestrator({
+      runStore: false,
+      eventBus: bus,
+      defaultHandlers: { outputDir: dir, conflictStrategy: 'skip', eventBus: bus },
+    });
+    await orchestrator.start(INPUT);
+    const report = orchestrator.data.finalReport;
+
+    assert.equal(await readFile(claudeMd, 'utf-8'), 'mine\n', 'neither GENERATE nor INTEGRATE touched it');
+    assert.equal(await readFile(mcpJson, 'utf-8'), '{}\n');
+    assert.deepEqual(report.skipped.sort(), [path.join('.claude', 'mcp.json'), 'CLAUDE.md']);
+    assert.ok(!report.integrationFiles.includes('CLAUDE.md'));
+    assert.deepEqual(
+      bus.getHistory({ event: ClawEvent.FILE_SKIPPED }).map((r) => r.data.path).filter((p) => p === claudeMd),
+      [claudeMd],
+    );
+  });
+
+  it('keeps hand edits with "merge" and locks the generated content', async (t) => {
+    const dir = await tempDir(t);
+    const { finalReport } = await run(dir);
+    const claudeMd = path.join(finalReport.outputPath, 'CLAUDE.md');
+    const generated = await readFile(claudeMd, 'utf-8');
+    await writeFile(claudeMd, `${generated}\n## Team notes\n\nhand edit\n`);
+
+    const merged = await run(dir, { conflictStrategy: 'merge' });
+    const text = await readFile(claudeMd, 'utf-8');
+    assert.ok(text.includes('hand edit'));
+    assert.deepEqual(merged.generationReport.conflicts, [], 'GENERATE left CLAUDE.md to INTEGRATE');
+    assert.deepEqual(merged.finalReport.conflicts, []);
+
+    const lock = await readLockfile(finalReport.outputPath);
+    assert.equal(lock.files['CLAUDE.md'].source, 'integration');
+    assert.notEqual(lock.files['CLAUDE.md'].hash, hashContent(text));
+
+    await run(dir, { conflictStrategy: 'merge' });
+    assert.equal(await readFile(claudeMd, 'utf-8'), text, 'stable across repeated merges');
+  });
+
+  it('replaces user-modified files with "overwrite"', async (t) => {
+    const dir = await tempDir(t);
+    const { finalReport } = await run(dir);
+    const claudeMd = path.join(finalReport.outputPath, 'CLAUDE.md');
+    const generated = await readFile(claudeMd, 'utf-8');
+    await writeFile(claudeMd, 'mine\n');
+
+    const again = await run(dir, { conflictStrategy: 'overwrite' });
+    assert.equal(await readFile(claudeMd, 'utf-8'), generated);
+    assert.deepEqual(again.finalReport.skipped, []);
+  });
+});
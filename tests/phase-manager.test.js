@@ -0,0 +1,93 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  PhaseManager,
+  OrchestratorState,
+  PHASE_ORDER,
+} from '../.clawos/core/orchestrator/phase-manager.js';
+import { PipelineExecutor } from '../.clawos/core/orchestrator/pipeline-executor.js';
+import { createTestOrchestrator } from './helpers.js';
+
+describe('PhaseManager.definePhase', () => {
+  it('inserts a phase after another and wires its transitions', () => {
+    const manager = new PhaseManager();
+    const defined = [];
+    manager.on('phase:defined', (info) => defined.push(info));
+
+    const stored = manager.definePhase(
+      { id: 'SECURITY_AUDIT', requiredInputKeys: ['fileManifest'], outputKeys: ['auditReport'] },
+      { after: 'BLUEPRINT' },
+    );
+
+    assert.equal(stored.state, 'SECURITY_AUDIT_ACTIVE');
+    assert.equal(stored.label, 'SECURITY_AUDIT');
+    assert.deepEqual(manager.getPhaseOrder(), ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'SECURITY_AUDIT', 'GENERATE', 'INTEGRATE']);
+    assert.deepEqual(manager.getOrderedDefinitions().map((d) => d.order), [0, 1, 2, 3, 4, 5]);
+    assert.deepEqual(defined, [{ phaseId: 'SECURITY_AUDIT', after: 'BLUEPRINT', order: 3, state: 'SECURITY_AUDIT_ACTIVE' }]);
+
+    assert.equal(manager.getStates().SECURITY_AUDIT_ACTIVE, 'SECURITY_AUDIT_ACTIVE');
+    assert.ok(manager.isValidTransition(OrchestratorState.BLUEPRINTING, 'SECURITY_AUDIT_ACTIVE'));
+    assert.ok(manager.isValidTransition('SECURITY_AUDIT_ACTIVE', OrchestratorState.GENERATING));
+    assert.ok(manager.isValidTransition(OrchestratorState.BLUEPRINTING, OrchestratorState.GENERATING), 'still skippable');
+    assert.ok(manager.getDefinition('GENERATE').allowedPreviousStates.includes('SECURITY_AUDIT_ACTIVE'));
+    assert.equal(manager.getNextPhase('BLUEPRINT'), 'SECURITY_AUDIT');
+  });
+
+  it('appends after the last phase by default and can complete the run from it', () => {
+    const manager = new PhaseManager();
+    manager.definePhase({ id: 'PUBLISH', state: 'PUBLISHING' });
+    assert.equal(manager.isLastPhase('PUBLISH'), true);
+    assert.ok(manager.isValidTransition('PUBLISHING', OrchestratorState.COMPLETE));
+    assert.deepEqual(PHASE_ORDER, ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'GENERATE', 'INTEGRATE'], 'module constant untouched');
+    assert.deepEqual(new PhaseManager().getPhaseOrder(), [...PHASE_ORDER], 'other managers untouched');
+  });
+
+  it('rejects invalid and duplicate definitions', () => {
+    const manager = new PhaseManager();
+    assert.throws(() => manager.definePhase({ id: 'lower' }), { code: 'PHASE_DEFINITION_INVALID' });
+    assert.throws(() => manager.definePhase({ id: 'GENERATE' }), { code: 'PHASE_EXISTS' });
+    assert.throws(() => manager.definePhase({ id: 'X' }, { after: 'NOPE' }), { code: 'PHASE_DEFINITION_INVALID' });
+    assert.throws(() => manager.definePhase({ id: 'X', state: 'GENERATING' }), /already in use/);
+    assert.throws(() => manager.definePhase({ id: 'X', outputKeys: 'a' }), /array of strings/);
+    assert.throws(() => manager.definePhase({ id: 'X', allowedPreviousStates: ['NOWHERE'] }), /unknown previous state/);
+  });
+
+  it('validates the data contract of a defined phase', () => {
+    const manager = new PhaseManager();
+    manager.definePhase({ id: 'AUDIT', requiredInputKeys: ['fileManifest'], outputKeys: ['auditReport'] });
+    assert.equal(manager.validatePhaseInput('AUDIT', {}).valid, false);
+    assert.equal(manager.validatePhaseOutput('AUDIT', { auditReport: {} }).valid, true);
+  });
+});
+
+describe('custom phases in a run', () => {
+  it('runs a defined phase in order with hooks and its outputs in the context', async () => {
+    const calls = [];
+    const phaseManager = new PhaseManager();
+    phaseManager.definePhase(
+      { id: 'AUDIT', requiredInputKeys: ['fileManifest'], outputKeys: ['auditReport'] },
+      { after: 'BLUEPRINT' },
+    );
+    const orchestrator = createTestOrchestrator({
+      phaseManager,
+      calls,
+      handlers: { AUDIT: async (ctx) => ({ auditReport: { files: ctx.fileManifest } }) },
+    });
+
+    const executor = new PipelineExecutor({ orchestrator });
+    const seen = [];
+    executor.before('AUDIT', async (ctx) => seen.push(ctx.phaseId));
+
+    const result = await executor.run({ userInput: 'x' });
+    assert.equal(result.success, true);
+    assert.deepEqual(calls, ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'AUDIT', 'GENERATE', 'INTEGRATE']);
+    assert.deepEqual(seen, ['AUDIT']);
+    assert.deepEqual(result.data.auditReport, { files: { from: 'BLUEPRINT' } });
+  });
+
+  it('rejects hooks for phases that do not exist', () => {
+    const executor = new PipelineExecutor({ orchestrator: createTestOrchestrator() });
+    assert.throws(() => executor.before('AUDIT', async () => {}));
+  });
+});
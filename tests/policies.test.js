@@ -0,0 +1,141 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PipelineExecutor } from '../.clawos/core/orchestrator/pipeline-executor.js';
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { OrchestratorState } from '../.clawos/core/orchestrator/phase-manager.js';
+import { createTestOrchestrator, delay } from './helpers.js';
+
+const elicitOutput = { refinedRequirements: {}, userPreferences: {}, clarifications: {} };
+
+/**
+ * An ELICIT handler that throws for its first `failures` attempts.
+ *
+ * @param {number} failures
+ * @param {Error} [error]
+ */
+function flaky(failures, error = new Error('socket hang up')) {
+  return async () => {
+    if (failures-- > 0) throw error;
+    return elicitOutput;
+  };
+}
+
+/** A handler that never finishes on its own and rejects once its signal aborts. */
+const hanging = async (ctx, { signal }) => new Promise((resolve, reject) => {
+  signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+});
+
+describe('phase policies', () => {
+  it('retries with fixed or exponential backoff', async () => {
+    for (const [backoff, delays] of [['fixed', [1, 1]], ['exponential', [1, 2]]]) {
+      const orchestrator = createTestOrchestrator({
+        handlers: { ELICIT: flaky(2) },
+        policies: { ELICIT: { retries: 2, backoff, delayMs: 1 } },
+      });
+      const retrying = [];
+      orchestrator.on('phase:retrying', ({ attempt, delayMs }) => retrying.push([attempt, delayMs]));
+
+      const context = await orchestrator.start({ userInput: 'x' });
+      assert.equal(context.currentState, OrchestratorState.COMPLETE);
+      assert.deepEqual(retrying, delays.map((ms, i) => [i + 1, ms]), backoff);
+      assert.equal(context.timing.find((t) => t.phase === 'ELICIT').attempts, 3);
+    }
+  });
+
+  it('gives up when retryOn declines or the retries run out', async () => {
+    const fatal = Object.assign(new Error('bad input'), { code: 'EINVAL' });
+    const declined = createTestOrchestrator({
+      handlers: { ELICIT: flaky(1, fatal) },
+      policies: { ELICIT: { retries: 3, delayMs: 0, retryOn: (err) => err.code !== 'EINVAL' } },
+    });
+    await assert.rejects(declined.start({ userInput: 'x' }), /bad input/);
+
+    const exhausted = createTestOrchestrator({
+      handlers: { ELICIT: flaky(3) },
+      policies: { '*': { retries: 2, delayMs: 0 } },
+    });
+    await assert.rejects(exhausted.start({ userInput: 'x' }), /socket hang up/);
+    assert.equal(exhausted.state, OrchestratorState.ERROR);
+  });
+
+  it('aborts an attempt that exceeds timeoutMs', async () => {
+    let seen;
+    const orchestrator = createTestOrchestrator({
+      handlers: {
+        ELICIT: async (ctx, control) => {
+          seen = control.signal;
+          return hanging(ctx, control);
+        },
+      },
+      policies: { ELICIT: { timeoutMs: 20 } },
+    });
+
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), { code: 'PHASE_TIMEOUT' });
+    assert.equal(seen.aborted, true);
+  });
+
+  it('fails the phase, without retrying it, when a bridged PHASE_START listener throws', async () => {
+    const bus = new ClawEventBus();
+    bus.on(ClawEvent.PHASE_START, (data) => {
+      if (data.phase === 'ELICIT') throw new Error('listener broke');
+    });
+    const orchestrator = createTestOrchestrator({ eventBus: bus, policies: { ELICIT: { retries: 2 } } });
+    const failed = [];
+    orchestrator.on('phase:failed', ({ phaseId }) => failed.push(phaseId));
+
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), /listener broke/);
+    const timing = orchestrator.context.timing.find((t) => t.phase === 'ELICIT');
+    assert.equal(timing.status, 'failed');
+    assert.equal(timing.attempts, undefined, 'the handler never ran');
+    assert.deepEqual(failed, ['ELICIT']);
+    assert.equal(bus.getHistory({ event: ClawEvent.PHASE_ERROR }).length, 1);
+  });
+
+  it('rejects malformed policies', () => {
+    const orchestrator = createTestOrchestrator();
+    assert.throws(() => orchestrator.setPhasePolicy('ELICIT', { timeoutMs: 0 }), TypeError);
+    assert.throws(() => orchestrator.setPhasePolicy('ELICIT', { retries: -1 }), TypeError);
+    assert.throws(() => orchestrator.setPhasePolicy('ELICIT', { backoff: 'linear' }), /backoff must be one of/);
+    assert.throws(() => orchestrator.setPhasePolicy('ELICIT', { retryOn: true }), TypeError);
+    assert.throws(() => orchestrator.setPhasePolicy('NOPE', {}));
+  });
+
+  it('accepts policies through PipelineExecutor', async () => {
+    const executor = new PipelineExecutor({
+      orchestrator: createTestOrchestrator({ handlers: { ELICIT: flaky(1) } }),
+      policies: { ELICIT: { retries: 1, delayMs: 0 } },
+    });
+    assert.equal((await executor.run({ userInput: 'x' })).success, true);
+  });
+});
+
+describe('MasterOrchestrator.cancel', () => {
+  it('aborts the running phase and moves the run to ERROR', async () => {
+    const orchestrator = createTestOrchestrator({ handlers: { ELICIT: hanging } });
+    const cancelled = [];
+    orchestrator.on('run:cancelled', ({ reason }) => cancelled.push(reason));
+
+    const run = orchestrator.start({ userInput: 'x' });
+    await delay(10);
+    assert.equal(await orchestrator.cancel('user pressed ^C'), true);
+
+    await assert.rejects(run, (err) => err.code === 'CANCELLED' && err.reason === 'user pressed ^C');
+    assert.equal(orchestrator.state, OrchestratorState.ERROR);
+    assert.deepEqual(cancelled, ['user pressed ^C']);
+    assert.equal(await orchestrator.cancel(), false, 'nothing left to cancel');
+  });
+
+  it('interrupts a retry backoff and is never retried itself', async () => {
+    const orchestrator = createTestOrchestrator({
+      handlers: { ELICIT: flaky(1) },
+      policies: { ELICIT: { retries: 5, delayMs: 60_000 } },
+    });
+    const run = orchestrator.start({ userInput: 'x' });
+    await new Promise((resolve) => orchestrator.once('phase:retrying', resolve));
+
+    await orchestrator.cancel();
+    await assert.rejects(run, { code: 'CANCELLED' });
+    assert.equal(orchestrator.context.timing.find((t) => t.phase === 'ELICIT').attempts, 1);
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile, access } from 'node:fs/promises';
+import path from 'node:path';
+
+import { GeneratorEngine, MERGE_BASE_DIR } from '../.clawos/core/generator/generator-engine.js';
+import { readLockfile, recordFiles, hashContent } from '../.clawos/core/generator/lockfile.js';
+import { tempDir, sampleBlueprint, sampleProfile } from './helpers.js';
+
+const exists = (file) => access(file).then(() => true, () => false);
+
+describe('GeneratorEngine.regenerate', () => {
+  it('rewrites only the files a profile field affects', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine();
+    const previous = await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+    const written = [];
+    engine.on('file:created', ({ path: file }) => written.push(path.relative(dir, file)));
+
+    const manifest = await engine.regenerate(previous, sampleBlueprint(), sampleProfile({ author: 'Ada' }));
+    const { changeset } = manifest;
+    assert.deepEqual(changeset.changedFields, ['author']);
+    assert.deepEqual(changeset.modified, ['package.json']);
+    assert.deepEqual(changeset.added, []);
+    assert.deepEqual(written, ['package.json']);
+    assert.ok(changeset.unchanged.includes('README.md'));
+    assert.match(await readFile(path.join(dir, 'package.json'), 'utf-8'), /Ada/);
+
+    const lock = await readLockfile(dir);
+    const pkg = await readFile(path.join(dir, 'package.json'), 'utf-8');
+    assert.equal(lock.files['package.json'].hash, hashContent(pkg));
+  });
+
+  it('adds new modules and removes dropped ones', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine();
+    const previous = await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+
+    const blueprint = sampleBlueprint({
+      modules: [
+        { name: 'Core', description: 'Core module' },
+        { name: 'Api', description: 'HTTP layer', dependsOn: ['Core'] },
+      ],
+    });
+    const { changeset } = await engine.regenerate(previous, blueprint, sampleProfile());
+
+    assert.deepEqual(changeset.added, ['src/core/api.js', 'tests/api.test.js']);
+    assert.deepEqual(changeset.removed, ['src/core/utils.js', 'tests/utils.test.js']);
+    assert.ok(changeset.modified.includes('src/index.js'), 'the module list changed');
+    assert.ok(!changeset.modified.includes('src/core/core.js'), 'unchanged module left alone');
+    assert.equal(await exists(path.join(dir, 'src', 'core', 'utils.js')), false);
+    assert.equal(await exists(path.join(dir, MERGE_BASE_DIR, 'src', 'core', 'utils.js')), false);
+  });
+
+  it('keeps removed files the user edited with "skip"', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine({ conflictStrategy: 'skip' });
+    const previous = await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+    const edited = path.join(dir, 'src', 'core', 'utils.js');
+    await writeFile(edited, 'export const mine = true;\n');
+
+    const { changeset } = await engine.regenerate(
+      previous,
+      sampleBlueprint({ modules: [{ name: 'Core', description: 'Core module' }] }),
+      sampleProfile(),
+    );
+    assert.deepEqual(changeset.preserved, ['src/core/utils.js']);
+    assert.deepEqual(changeset.removed, ['tests/utils.test.js']);
+    assert.equal(await readFile(edited, 'utf-8'), 'export const mine = true;\n');
+  });
+
+  it('leaves files another writer recorded in the lock to that writer', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine();
+    const previous = await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+    const claudeMd = path.join(dir, 'CLAUDE.md');
+    await writeFile(claudeMd, '# Completed by INTEGRATE\n');
+    await recordFiles(dir, ['CLAUDE.md'], 'integration');
+
+    const { changeset } = await engine.regenerate(previous, sampleBlueprint(), sampleProfile({ description: 'New' }));
+    assert.ok(changeset.unchanged.includes('CLAUDE.md'));
+    assert.ok(changeset.modified.includes('README.md'));
+    assert.equal(await readFile(claudeMd, 'utf-8'), '# Completed by INTEGRATE\n');
+    assert.equal((await readLockfile(dir)).files['CLAUDE.md'].source, 'integration');
+  });
+
+  it('rewrites everything when a field without a known dependency changes', async (t) => {
+    const dir = await tempDir(t);
+    const engine = new GeneratorEngine();
+    const previous = await engine.generate(sampleBlueprint(), sampleProfile(), dir);
+
+    const { changeset } = await engine.regenerate(previous, sampleBlueprint(), sampleProfile({ language: 'typescript' }));
+    assert.deepEqual(changeset.changedFields, ['language']);
+    assert.ok(changeset.added.length + changeset.modified.length > 1);
+  });
+
+  it('needs the manifest of a real generation', async () => {
+    const engine = new GeneratorEngine();
+    const { manifest } = await engine.dryRun(sampleBlueprint(), sampleProfile());
+    await assert.rejects(engine.regenerate(manifest, sampleBlueprint(), sampleProfile()), /previous non-dry-run/);
+    await assert.rejects(engine.regenerate(null, sampleBlueprint(), sampleProfile()), /previous non-dry-run/);
+  });
+});
@@ -0,0 +1,238 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RunManager, RunStatus, createRunManager } from '../.clawos/core/orchestrator/run-manager.js';
+import { PhaseManager } from '../.clawos/core/orchestrator/phase-manager.js';
+import { ClawEventBus, ClawEvent } from '../.clawos/core/events/event-bus.js';
+import { stubHandlers, defer, delay } from './helpers.js';
+
+/**
+ * A RunManager whose runs use stub handlers. DISCOVER waits for the gate
+ * registered under the run's `userInput`, if any, and tracks how many runs
+ * are inside a phase at once.
+ */
+function createManager(options = {}) {
+  const gates = new Map();
+  const stats = { inFlight: 0, maxInFlight: 0, discovered: [] };
+  const handlers = stubHandlers(new PhaseManager(), {
+    DISCOVER: async (ctx) => {
+      stats.inFlight++;
+      stats.maxInFlight = Math.max(stats.maxInFlight, stats.inFlight);
+      stats.discovered.push(ctx.userInput);
+      await gates.get(ctx.userInput)?.promise;
+      stats.inFlight--;
+      return { domain: 'x', constraints: {}, requirements: {}, detectedPatterns: {} };
+    },
+  });
+
+  const manager = new RunManager({
+    ...options,
+    orchestratorOptions: {
+      runStore: false,
+      eventBus: false,
+      defaultHandlers: false,
+      handlers,
+      ...options.orchestratorOptions,
+    },
+  });
+
+  /** Registers a gate that holds the named run in DISCOVER until released. */
+  const hold = (name) => {
+    const gate = defer();
+    gates.set(name, gate);
+    return gate.resolve;
+  };
+
+  return { manager, stats, hold };
+}
+
+describe('RunManager', () => {
+  it('runs at most maxConcurrent runs and queues the rest in order', async () => {
+    const { manager, stats, hold } = createManager({ maxConcurrent: 2 });
+    const release = ['a', 'b', 'c'].map(hold);
+
+    const ids = ['a', 'b', 'c'].map((userInput) => manager.submit({ userInput }, { meta: { userInput } }));
+    await delay(10);
+    assert.deepEqual(manager.list().map((r) => r.status), ['running', 'running', 'queued']);
+    assert.deepEqual(manager.list({ status: 'queued' }).map((r) => r.meta), [{ userInput: 'c' }]);
+
+    release.forEach((fn) => fn());
+    const results = await Promise.all(ids.map((id) => manager.wait(id)));
+    assert.ok(results.every((r) => r.success));
+    assert.equal(stats.maxInFlight, 2);
+    assert.deepEqual(stats.discovered, ['a', 'b', 'c']);
+    assert.deepEqual(manager.counts, { ...manager.counts, completed: 3, running: 0, queued: 0 });
+    assert.equal(manager.get(ids[0]).id, ids[0]);
+  });
+
+  it('queues approved and rejected runs instead of exceeding the limit', async () => {
+    const { manager, stats, hold } = createManager({ maxConcurrent: 1 });
+    const gated = manager.submit({ userInput: 'gated' }, {
+      configure: (executor) => executor.requireApproval('DISCOVER'),
+    });
+    const paused = await manager.wait(gated);
+    assert.equal(paused.pendingApproval.phaseId, 'DISCOVER');
+    assert.equal(manager.get(gated).status, RunStatus.PAUSED);
+
+    const releaseBusy = hold('busy');
+    const busy = manager.submit({ userInput: 'busy' });
+    await delay(10);
+    assert.equal(manager.get(busy).status, RunStatus.RUNNING);
+
+    const approved = manager.approve(gated, 'looks good');
+    assert.equal(manager.get(gated).status, RunStatus.QUEUED);
+    await delay(10);
+    assert.equal(manager.get(gated).status, RunStatus.QUEUED, 'waits for the busy run');
+
+    releaseBusy();
+    assert.equal((await approved).success, true);
+    assert.equal(manager.get(gated).status, RunStatus.COMPLETED);
+    assert.equal(stats.maxInFlight, 1);
+
+    // Rejections are queued the same way.
+    const second = manager.submit({ userInput: 'second' }, {
+      configure: (executor) => executor.requireApproval('ELICIT'),
+    });
+    await manager.wait(second);
+    const releaseOther = hold('other');
+    const other = manager.submit({ userInput: 'other' });
+    await delay(10);
+    const rejected = manager.reject(second, 'try again');
+    assert.equal(manager.get(second).status, RunStatus.QUEUED);
+    releaseOther();
+    await manager.wait(other);
+    const afterReject = await rejected;
+    assert.equal(afterReject.pendingApproval.phaseId, 'ELICIT', 'paused again after the re-run');
+  });
+
+  it('rejects approve() for runs that are not paused', async () => {
+    const { manager } = createManager();
+    const id = manager.submit({ userInput: 'a' });
+    await manager.wait(id);
+    assert.throws(() => manager.approve(id), { code: 'NO_PENDING_APPROVAL' });
+    assert.throws(() => manager.wait('run_missing'), { code: 'RUN_NOT_FOUND' });
+  });
+
+  it('cancels queued, paused and queued continuation runs', async () => {
+    const { manager, hold } = createManager({ maxConcurrent: 1 });
+    const release = hold('first');
+    const first = manager.submit({ userInput: 'first' });
+    const queued = manager.submit({ userInput: 'queued' });
+
+    assert.equal(await manager.cancel(queued), true);
+    assert.equal(await manager.wait(queued), null);
+    assert.equal(manager.get(queued).status, RunStatus.CANCELLED);
+    release();
+    await manager.wait(first);
+
+    const paused = manager.submit({ userInput: 'paused' }, {
+      configure: (executor) => executor.requireApproval('DISCOVER'),
+    });
+    await manager.wait(paused);
+    const releaseBusy = hold('busy');
+    const busy = manager.submit({ userInput: 'busy' });
+    await delay(10);
+    const continuation = manager.approve(paused);
+    assert.equal(await manager.cancel(paused), true);
+    await continuation;
+    assert.equal(manager.get(paused).status, RunStatus.CANCELLED);
+    releaseBusy();
+    assert.equal((await manager.wait(busy)).success, true);
+    assert.equal(await manager.cancel(busy), false, 'already finished');
+  });
+
+  it('cancels a run that has not reached its first phase yet without leaking a listener', async () => {
+    const { manager } = createManager();
+    // No userInput: the run fails input validation before any phase starts.
+    const id = manager.submit({});
+    const { orchestrator } = manager.getExecutor(id);
+    const before = orchestrator.listenerCount('phase:starting');
+
+    await manager.cancel(id);
+    assert.notEqual(manager.get(id).status, RunStatus.RUNNING);
+    assert.equal(orchestrator.listenerCount('phase:starting'), before);
+
+    const started = manager.submit({ userInput: 'x' });
+    assert.equal(await manager.cancel(started), true);
+    assert.equal(manager.get(started).status, RunStatus.CANCELLED);
+  });
+
+  it('prunes finished runs and trims beyond maxFinished', async () => {
+    const { manager } = createManager({ maxFinished: 2 });
+    const ids = ['a', 'b', 'c'].map((userInput) => manager.submit({ userInput }));
+    await Promise.all(ids.map((id) => manager.wait(id).catch(() => null)));
+    await delay(0);
+    assert.deepEqual(manager.list().map((r) => r.id), ids.slice(1));
+
+    const pruned = [];
+    manager.on('run:pruned', ({ ids: removed }) => pruned.push(...removed));
+    assert.deepEqual(manager.prune({ status: RunStatus.FAILED }), []);
+    assert.deepEqual(manager.prune(), ids.slice(1));
+    assert.deepEqual(pruned, ids.slice(1));
+    assert.throws(() => manager.get(ids[1]), { code: 'RUN_NOT_FOUND' });
+  });
+
+  it('publishes each run on its own scoped bus and disposes it when the run finishes', async () => {
+    const parent = new ClawEventBus();
+    const { manager, hold } = createManager({ orchestratorOptions: { eventBus: parent } });
+    const release = hold('a');
+    const a = manager.submit({ userInput: 'a' });
+    const b = manager.submit({ userInput: 'b' });
+    const busA = manager.getBus(a);
+
+    assert.deepEqual(busA.scopeTags, { runId: a });
+    assert.equal(busA.parent, parent);
+    await manager.wait(b);
+    assert.equal(manager.getBus(b).isDisposed, true);
+    assert.equal(busA.isDisposed, false, 'still running');
+
+    release();
+    await manager.wait(a);
+    assert.equal(busA.isDisposed, true);
+
+    const runIds = (bus) => new Set(bus.getHistory().map((r) => r.data.runId));
+    assert.deepEqual(runIds(busA), new Set([a]));
+    assert.deepEqual(runIds(manager.getBus(b)), new Set([b]));
+    assert.deepEqual(runIds(parent), new Set([a, b]));
+    assert.equal(busA.getHistory({ event: ClawEvent.PIPELINE_COMPLETE }).length, 1);
+
+    const size = busA.historySize;
+    parent.emit(ClawEvent.PIPELINE_START, { runId: a });
+    assert.equal(busA.historySize, size, 'detached from the parent');
+  });
+
+  it('disposes the scoped bus of a run whose configure() throws', () => {
+    const parent = new ClawEventBus();
+    const scopes = [];
+    const scope = parent.scope.bind(parent);
+    parent.scope = (tags) => {
+      scopes.push(scope(tags));
+      return scopes.at(-1);
+    };
+    const { manager } = createManager({ orchestratorOptions: { eventBus: parent } });
+
+    assert.throws(
+      () => manager.submit({ userInput: 'a' }, { configure: (executor) => executor.requireApproval('NOPE') }),
+      /NOPE/,
+    );
+    assert.equal(scopes.length, 1);
+    assert.equal(scopes[0].isDisposed, true);
+    assert.deepEqual(manager.list(), []);
+  });
+
+  it('publishes nothing with eventBus: false', async () => {
+    const { manager } = createManager();
+    const id = manager.submit({ userInput: 'a' });
+    assert.equal(manager.getBus(id), null);
+    assert.equal(manager.getExecutor(id).orchestrator.eventBus, null);
+    await manager.wait(id);
+  });
+
+  it('validates its limits and shares a factory instance', () => {
+    assert.throws(() => new RunManager({ maxConcurrent: 0 }), TypeError);
+    assert.throws(() => new RunManager({ maxFinished: -1 }), TypeError);
+    const shared = createRunManager({ fresh: true, maxConcurrent: 3 });
+    assert.equal(createRunManager(), shared);
+    assert.equal(shared.maxConcurrent, 3);
+  });
+});
@@ -0,0 +1,130 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { writeFile, readdir } from 'node:fs/promises';
+
+import { RunStore, CHECKPOINT_VERSION } from '../.clawos/core/orchestrator/run-store.js';
+import { MasterOrchestrator } from '../.clawos/core/orchestrator/master-orchestrator.js';
+import { PhaseManager, OrchestratorState } from '../.clawos/core/orchestrator/phase-manager.js';
+import { tempDir, stubHandlers } from './helpers.js';
+
+describe('RunStore', () => {
+  it('saves, loads, lists and removes checkpoints', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    assert.deepEqual(store.list(), []);
+
+    const file = await store.save({ runId: 'run_b', currentState: 'IDLE', data: { n: 1 } });
+    await store.save({ runId: 'run_a', currentState: 'IDLE', data: {} });
+    assert.equal(file, store.pathFor('run_b'));
+    assert.deepEqual(store.list(), ['run_a', 'run_b']);
+    assert.deepEqual(await readdir(store.dir), ['run_a.json', 'run_b.json'], 'no temporary files left');
+
+    const loaded = store.load('run_b');
+    assert.equal(loaded.version, CHECKPOINT_VERSION);
+    assert.deepEqual(loaded.data, { n: 1 });
+    assert.equal(typeof loaded.updatedAt, 'number');
+
+    assert.equal(await store.remove('run_b'), true);
+    assert.equal(await store.remove('run_b'), false);
+    assert.equal(store.has('run_b'), false);
+  });
+
+  it('rejects unknown runs and ids outside the allowed characters', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    assert.throws(() => store.load('run_x'), { code: 'RUN_NOT_FOUND' });
+    assert.throws(() => store.pathFor('../escape'), /Invalid run id/);
+    await assert.rejects(store.save({ runId: 'a/b' }), /Invalid run id/);
+  });
+
+  it('flags broken and foreign checkpoint files', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    await store.save({ runId: 'run_ok' });
+
+    await writeFile(store.pathFor('run_broken'), '{', 'utf-8');
+    assert.throws(() => store.load('run_broken'), { code: 'CHECKPOINT_INVALID' });
+
+    await writeFile(store.pathFor('run_old'), JSON.stringify({ version: 0, runId: 'run_old' }), 'utf-8');
+    assert.throws(() => store.load('run_old'), { code: 'CHECKPOINT_INVALID' });
+
+    await writeFile(store.pathFor('run_moved'), JSON.stringify({ version: CHECKPOINT_VERSION, runId: 'run_ok' }), 'utf-8');
+    assert.throws(() => store.load('run_moved'), { code: 'CHECKPOINT_INVALID' });
+  });
+});
+
+describe('MasterOrchestrator checkpoints', () => {
+  /**
+   * An orchestrator over stub handlers that checkpoints into `store`.
+   * ELICIT fails while `failures.elicit` is positive.
+   */
+  function create(store, calls, failures = { elicit: 0 }) {
+    const phaseManager = new PhaseManager();
+    return {
+      phaseManager,
+      handlers: stubHandlers(phaseManager, {
+        ELICIT: async () => {
+          if (failures.elicit-- > 0) throw new Error('terminal closed');
+          return { refinedRequirements: {}, userPreferences: {}, clarifications: {} };
+        },
+      }, calls),
+      runStore: store,
+      eventBus: false,
+      defaultHandlers: false,
+    };
+  }
+
+  it('restores a failed run in a new orchestrator and resumes after the last completed phase', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    const calls = [];
+    const first = new MasterOrchestrator(create(store, calls, { elicit: 1 }));
+
+    await assert.rejects(first.start({ userInput: 'x' }), /terminal closed/);
+    const { runId } = first;
+    const saved = store.load(runId);
+    assert.equal(saved.currentState, OrchestratorState.ERROR);
+    assert.deepEqual(saved.completedPhases, ['DISCOVER']);
+    assert.equal(saved.errors[0].message, 'terminal closed');
+
+    calls.length = 0;
+    const restored = MasterOrchestrator.restore(runId, create(store, calls));
+    assert.equal(restored.runId, runId);
+    assert.equal(restored.currentPhase, 'ELICIT');
+    assert.deepEqual(restored.canResume(), { canResume: true });
+
+    const context = await restored.resume();
+    assert.equal(context.currentState, OrchestratorState.COMPLETE);
+    assert.deepEqual(calls, ['ELICIT', 'BLUEPRINT', 'GENERATE', 'INTEGRATE']);
+    assert.equal(context.retryCount, 1);
+    assert.equal(store.load(runId).currentState, OrchestratorState.COMPLETE);
+    assert.equal(restored.canResume().canResume, false);
+  });
+
+  it('re-runs a phase that was interrupted by a crash', async (t) => {
+    const store = new RunStore({ dir: await tempDir(t) });
+    const calls = [];
+    const orchestrator = new MasterOrchestrator(create(store, calls));
+    await orchestrator.start({ userInput: 'x' });
+
+    // Rewrite the checkpoint as if the process died inside BLUEPRINT.
+    const checkpoint = store.load(orchestrator.runId);
+    await store.save({
+      ...checkpoint,
+      currentState: OrchestratorState.BLUEPRINTING,
+      completedPhases: ['DISCOVER', 'ELICIT'],
+      timing: [...checkpoint.timing.slice(0, 2), { phase: 'BLUEPRINT', status: 'running', startedAt: Date.now() }],
+    });
+
+    calls.length = 0;
+    const restored = MasterOrchestrator.restore(orchestrator.runId, create(store, calls));
+    assert.equal(restored.state, OrchestratorState.ERROR);
+    assert.equal(restored.context.timing.at(-1).error, 'Interrupted');
+
+    await restored.resume();
+    assert.deepEqual(calls, ['BLUEPRINT', 'GENERATE', 'INTEGRATE']);
+  });
+
+  it('throws RUN_STORE_DISABLED when loading or restoring without a store', () => {
+    const options = { runStore: false, eventBus: false, defaultHandlers: false };
+    const orchestrator = new MasterOrchestrator(options);
+    assert.throws(() => orchestrator.load('run_x'), { code: 'RUN_STORE_DISABLED' });
+    assert.throws(() => MasterOrchestrator.restore('run_x', options), { code: 'RUN_STORE_DISABLED' });
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PhaseManager } from '../.clawos/core/orchestrator/phase-manager.js';
+import { createTestOrchestrator, defer, delay } from './helpers.js';
+
+/**
+ * A PhaseManager with two phases after BLUEPRINT that only need its output,
+ * so they are independent of each other and of GENERATE.
+ *
+ * @returns {PhaseManager}
+ */
+function branchingPhases() {
+  const phaseManager = new PhaseManager();
+  phaseManager.definePhase(
+    { id: 'LINT', requiredInputKeys: ['fileManifest'], outputKeys: ['summary'] },
+    { after: 'BLUEPRINT' },
+  );
+  phaseManager.definePhase(
+    { id: 'DOCS', requiredInputKeys: ['fileManifest'], outputKeys: ['summary'] },
+    { after: 'LINT' },
+  );
+  return phaseManager;
+}
+
+describe('PhaseManager.getDependencyGraph', () => {
+  it('derives edges from input and output keys', () => {
+    const graph = branchingPhases().getDependencyGraph();
+    assert.deepEqual(graph.DISCOVER, []);
+    assert.deepEqual(graph.LINT, ['BLUEPRINT']);
+    assert.deepEqual(graph.DOCS, ['BLUEPRINT'], 'a shared output key is not an edge');
+    assert.deepEqual(graph.GENERATE, ['ELICIT', 'BLUEPRINT']);
+  });
+});
+
+describe('MasterOrchestrator scheduling', () => {
+  it('rejects an invalid concurrency', () => {
+    for (const concurrency of [0, 1.5, -1, '2']) {
+      assert.throws(() => createTestOrchestrator({ concurrency }), TypeError);
+    }
+    assert.doesNotThrow(() => createTestOrchestrator({ concurrency: Infinity }));
+  });
+
+  it('runs one phase at a time in pipeline order by default', async () => {
+    const calls = [];
+    let inFlight = 0;
+    let maxInFlight = 0;
+    const tracked = (phaseId) => async () => {
+      maxInFlight = Math.max(maxInFlight, ++inFlight);
+      await delay(5);
+      inFlight--;
+      return { summary: phaseId };
+    };
+    const orchestrator = createTestOrchestrator({
+      phaseManager: branchingPhases(),
+      calls,
+      handlers: { LINT: tracked('LINT'), DOCS: tracked('DOCS') },
+    });
+
+    const context = await orchestrator.start({ userInput: 'x' });
+    assert.equal(maxInFlight, 1);
+    assert.deepEqual(calls, ['DISCOVER', 'ELICIT', 'BLUEPRINT', 'LINT', 'DOCS', 'GENERATE', 'INTEGRATE']);
+    assert.equal(context.data.summary, 'DOCS');
+  });
+
+  it('runs independent phases side by side and merges outputs in pipeline order', async () => {
+    const lintGate = defer();
+    const started = [];
+    const orchestrator = createTestOrchestrator({
+      phaseManager: branchingPhases(),
+      concurrency: 2,
+      handlers: {
+        // LINT only finishes once DOCS has started, so the two must overlap.
+        LINT: async () => {
+          started.push('LINT');
+          await lintGate.promise;
+          return { summary: 'LINT' };
+        },
+        DOCS: async () => {
+          started.push('DOCS');
+          lintGate.resolve();
+          return { summary: 'DOCS' };
+        },
+      },
+    });
+
+    const context = await orchestrator.start({ userInput: 'x' });
+    assert.deepEqual(started, ['LINT', 'DOCS']);
+    assert.equal(context.currentState, 'COMPLETE');
+    assert.equal(context.data.summary, 'DOCS', 'DOCS follows LINT in the pipeline even though it finished first');
+  });
+
+  it('stops starting phases after a failure and rethrows it', async () => {
+    const calls = [];
+    const orchestrator = createTestOrchestrator({
+      phaseManager: branchingPhases(),
+      concurrency: Infinity,
+      calls,
+      handlers: {
+        LINT: async () => { throw new Error('lint failed'); },
+        DOCS: async () => {
+          await delay(5);
+          return { summary: 'DOCS' };
+        },
+      },
+    });
+
+    await assert.rejects(orchestrator.start({ userInput: 'x' }), /lint failed/);
+    assert.ok(!calls.includes('INTEGRATE'), 'phases depending on the failed branch never start');
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { PhaseManager, OrchestratorState } from '../.clawos/core/orchestrator/phase-manager.js';
+import { createTestOrchestrator } from './helpers.js';
+
+const { IDLE, DISCOVERING, ELICITING, BLUEPRINTING, GENERATING, INTEGRATING, AWAITING_APPROVAL, COMPLETE, ERROR } =
+  OrchestratorState;
+
+/**
+ * Finds a transition of a state graph.
+ *
+ * @param {import('../.clawos/core/orchestrator/phase-manager.js').StateGraph} graph
+ * @param {string} from
+ * @param {string} to
+ */
+const edge = (graph, from, to) => graph.transitions.find((t) => t.from === from && t.to === to);
+
+describe('PhaseManager.toJSON', () => {
+  it('describes states, phases and the transition matrix', () => {
+    const manager = new PhaseManager();
+    const graph = manager.toJSON();
+
+    assert.equal(graph.initial, IDLE);
+    assert.equal(graph.final, COMPLETE);
+    assert.deepEqual(graph.states.slice(0, 6).map((s) => s.id), [IDLE, DISCOVERING, ELICITING, BLUEPRINTING, GENERATING, INTEGRATING]);
+    assert.deepEqual(graph.states.find((s) => s.id === ERROR), { id: ERROR, kind: 'error', phase: null, custom: false, visits: 0 });
+    assert.equal(graph.phaseToState.BLUEPRINT, BLUEPRINTING);
+    assert.ok(edge(graph, IDLE, DISCOVERING).allowed);
+    assert.equal(edge(graph, BLUEPRINTING, AWAITING_APPROVAL).approvalGate, false);
+    assert.equal(graph.path, null);
+    assert.deepEqual(JSON.parse(JSON.stringify(manager)), JSON.parse(JSON.stringify(graph)));
+  });
+
+  it('marks custom phases and approval gates', () => {
+    const manager = new PhaseManager();
+    manager.definePhase({ id: 'AUDIT', state: 'AUDITING' }, { after: 'GENERATE' });
+    const graph = manager.toJSON({ approvalGates: ['BLUEPRINT', { phaseId: 'AUDIT' }] });
+
+    assert.deepEqual(graph.states.find((s) => s.id === 'AUDITING'), {
+      id: 'AUDITING', kind: 'phase', phase: 'AUDIT', custom: true, visits: 0,
+    });
+    assert.equal(graph.phases.find((p) => p.id === 'AUDIT').custom, true);
+    assert.deepEqual(graph.approvalGates, ['BLUEPRINT', 'AUDIT']);
+    assert.equal(edge(graph, BLUEPRINTING, AWAITING_APPROVAL).approvalGate, true);
+    assert.equal(edge(graph, 'AUDITING', AWAITING_APPROVAL).approvalGate, true);
+    assert.throws(() => manager.toJSON({ approvalGates: ['NOPE'] }));
+  });
+});
+
+describe('run paths', () => {
+  it('follows a run through an approval pause to COMPLETE', async () => {
+    const orchestrator = createTestOrchestrator();
+    orchestrator.requireApproval('BLUEPRINT');
+    await orchestrator.start({ userInput: 'x' });
+
+    const paused = orchestrator.phaseManager.toJSON({ run: orchestrator.context });
+    assert.deepEqual(paused.path.states, [IDLE, DISCOVERING, ELICITING, BLUEPRINTING, AWAITING_APPROVAL]);
+
+    await orchestrator.approve();
+    const graph = orchestrator.phaseManager.toJSON({
+      run: orchestrator.context,
+      approvalGates: orchestrator.getApprovalGates(),
+    });
+    assert.equal(graph.path.runId, orchestrator.runId);
+    assert.deepEqual(graph.path.states, [
+      IDLE, DISCOVERING, ELICITING, BLUEPRINTING, AWAITING_APPROVAL, GENERATING, INTEGRATING, COMPLETE,
+    ]);
+    assert.deepEqual(edge(graph, AWAITING_APPROVAL, GENERATING).steps, [5]);
+    assert.equal(graph.states.find((s) => s.id === BLUEPRINTING).visits, 1);
+  });
+
+  it('leaves out skipped phases and ends a failed run in ERROR', () => {
+    const manager = new PhaseManager();
+    const timing = [
+      { phase: 'DISCOVER', status: 'completed', startedAt: 1, endedAt: 2 },
+      { phase: 'ELICIT', status: 'skipped', startedAt: 3, endedAt: 3 },
+      { phase: 'BLUEPRINT', status: 'failed', startedAt: 4, endedAt: 5 },
+    ];
+    const graph = manager.toJSON({ run: timing });
+    assert.deepEqual(graph.path, { runId: null, states: [IDLE, DISCOVERING, BLUEPRINTING, ERROR] });
+
+    const shortcut = edge(graph, DISCOVERING, BLUEPRINTING);
+    assert.equal(shortcut.allowed, false, 'a step outside the matrix is kept but flagged');
+    assert.deepEqual(shortcut.steps, [2]);
+    const line = manager.toDot({ run: timing }).split('\n').find((l) => l.includes('"DISCOVERING" -> "BLUEPRINTING"'));
+    assert.ok(line.includes('style="dotted"'), line);
+  });
+});
+
+describe('diagram exporters', () => {
+  it('renders Mermaid with phase labels and styled classes', () => {
+    const manager = new PhaseManager();
+    manager.definePhase({ id: 'AUDIT', state: 'AUDITING' });
+    const run = [{ phase: 'DISCOVER', status: 'completed', startedAt: 1, endedAt: 2 }];
+    const mermaid = manager.toMermaid({ run, approvalGates: ['BLUEPRINT'] });
+
+    assert.ok(mermaid.startsWith('stateDiagram-v2\n  [*] --> IDLE\n'));
+    assert.ok(mermaid.includes('\n  AUDITING : AUDITING (AUDIT)\n'));
+    assert.match(mermaid, /\n {2}IDLE --> DISCOVERING : 1\n/);
+    assert.match(mermaid, /\n {2}BLUEPRINTING --> AWAITING_APPROVAL : approval gate\n/);
+    assert.match(mermaid, /\n {2}class AUDITING custom\n/);
+    assert.match(mermaid, /\n {2}class AWAITING_APPROVAL approval\n/);
+    assert.match(mermaid, /\n {2}class IDLE,DISCOVERING path\n/);
+    assert.ok(mermaid.endsWith('  COMPLETE --> [*]\n  classDef custom stroke-dasharray: 5 5\n  class AUDITING custom\n'
+      + '  classDef approval fill:#fff3e0,stroke:#ef6c00\n  class AWAITING_APPROVAL approval\n'
+      + '  classDef path fill:#e8f5e9,stroke:#2e7d32,stroke-width:2px\n  class IDLE,DISCOVERING path\n'));
+  });
+
+  it('renders Graphviz DOT with quoted ids and path styling', () => {
+    const manager = new PhaseManager();
+    manager.definePhase({ id: 'AUDIT', state: 'AUDITING' });
+    const dot = manager.toDot({ run: [{ phase: 'DISCOVER', status: 'failed', startedAt: 1, endedAt: 2 }] });
+
+    const lines = dot.split('\n');
+    assert.equal(lines[0], 'digraph PhaseStateMachine {');
+    assert.ok(dot.endsWith('}\n'));
+    assert.ok(lines.includes('  "AUDITING" [label="AUDITING\\nAUDIT", style="rounded,dashed"];'));
+    assert.ok(lines.includes('  "COMPLETE" [shape="doubleoctagon"];'));
+    const failed = lines.find((l) => l.startsWith('  "DISCOVERING" -> "ERROR" [label="2", color='));
+    assert.ok(failed.endsWith(', penwidth=2.5];'), failed);
+  });
+});
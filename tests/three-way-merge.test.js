@@ -0,0 +1,104 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+
+import { threeWayMerge, diffLines } from '../.clawos/core/generator/three-way-merge.js';
+import { GeneratorEngine, MERGE_BASE_DIR } from '../.clawos/core/generator/generator-engine.js';
+import { tempDir, sampleBlueprint, sampleProfile } from './helpers.js';
+
+const text = (...lines) => `${lines.join('\n')}\n`;
+
+describe('threeWayMerge', () => {
+  it('diffs lines into hunks against the base', () => {
+    assert.deepEqual(diffLines(['a', 'b', 'c'], ['a', 'x', 'c', 'd']), [
+      { start: 1, end: 2, lines: ['x'] },
+      { start: 3, end: 3, lines: ['d'] },
+    ]);
+    assert.deepEqual(diffLines(['a'], ['a']), []);
+  });
+
+  it('applies changes to disjoint lines from both sides', () => {
+    const result = threeWayMerge(
+      text('one', 'two', 'three', 'four'),
+      text('ONE', 'two', 'three', 'four'),
+      text('one', 'two', 'three', 'FOUR'),
+    );
+    assert.deepEqual(result, { content: text('ONE', 'two', 'three', 'FOUR'), clean: true, conflicts: [] });
+  });
+
+  it('takes identical changes once', () => {
+    const result = threeWayMerge(text('a', 'b'), text('a', 'B'), text('a', 'B'));
+    assert.equal(result.content, text('a', 'B'));
+    assert.equal(result.clean, true);
+  });
+
+  it('writes conflict markers for overlapping changes', () => {
+    const result = threeWayMerge(
+      text('a', 'b', 'c'),
+      text('a', 'mine', 'c'),
+      text('a', 'theirs', 'c'),
+      { ours: 'disk' },
+    );
+    assert.equal(result.clean, false);
+    assert.equal(result.content, text('a', '<<<<<<< disk', 'mine', '=======', 'theirs', '>>>>>>> generated', 'c'));
+    assert.deepEqual(result.conflicts, [{ startLine: 2, endLine: 6 }]);
+  });
+
+  it('keeps a region too large to diff as one hunk', () => {
+    // Every 500th line is kept, which a full LCS would split hunks at.
+    const lines = (tag) => Array.from({ length: 2500 }, (_, i) => (i % 500 === 250 ? `kept ${i}` : `${tag} ${i}`));
+    const base = ['head', ...lines('base'), 'tail'];
+    const generated = ['head', ...lines('new'), 'tail'];
+    assert.deepEqual(diffLines(base, generated), [{ start: 1, end: 2501, lines: lines('new') }]);
+
+    const ours = [...base];
+    ours[1] = 'edited';
+    const result = threeWayMerge(text(...base), text(...ours), text(...generated));
+    assert.equal(result.clean, false);
+    assert.equal(result.conflicts.length, 1);
+  });
+
+  it('treats an empty base as one conflict when the sides differ', () => {
+    const result = threeWayMerge('', text('mine'), text('theirs'));
+    assert.equal(result.clean, false);
+    assert.equal(result.conflicts.length, 1);
+  });
+});
+
+describe('GeneratorEngine merge strategy', () => {
+  it('keeps hand edits and reports overlapping changes as conflicts', async (t) => {
+    const dir = await tempDir(t);
+    const readme = path.join(dir, 'README.md');
+    await new GeneratorEngine().generate(sampleBlueprint(), sampleProfile(), dir);
+    assert.equal(
+      await readFile(path.join(dir, MERGE_BASE_DIR, 'README.md'), 'utf-8'),
+      await readFile(readme, 'utf-8'),
+    );
+
+    await writeFile(readme, `${await readFile(readme, 'utf-8')}\nhand edit\n`);
+    const engine = new GeneratorEngine({ conflictStrategy: 'merge' });
+    const events = [];
+    engine.on('conflict', (payload) => events.push(payload));
+
+    const clean = await engine.generate(sampleBlueprint(), sampleProfile({ description: 'Changed' }), dir);
+    assert.deepEqual(clean.conflicts, []);
+    const merged = await readFile(readme, 'utf-8');
+    assert.match(merged, /> Changed/);
+    assert.match(merged, /hand edit/);
+
+    await writeFile(readme, merged.replace('Changed', 'Mine'));
+    const conflicted = await engine.generate(sampleBlueprint(), sampleProfile({ description: 'Theirs' }), dir);
+    assert.deepEqual(conflicted.conflicts.map((c) => c.path), ['README.md']);
+    assert.equal(events.at(-1).strategy, 'merge');
+    assert.deepEqual(events.at(-1).regions, conflicted.conflicts[0].regions);
+    assert.match(await readFile(readme, 'utf-8'), /<<<<<<< local\n.*Mine[\s\S]*=======\n.*Theirs[\s\S]*>>>>>>> generated/);
+  });
+
+  it('ignores the merge bases in the generated .gitignore', async (t) => {
+    const dir = await tempDir(t);
+    await new GeneratorEngine().generate(sampleBlueprint(), sampleProfile(), dir);
+    const ignored = (await readFile(path.join(dir, '.gitignore'), 'utf-8')).split('\n');
+    assert.ok(ignored.includes(`${MERGE_BASE_DIR.split(path.sep).join('/')}/`));
+  });
+});
@@ -0,0 +1,147 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  parseYaml,
+  parseAllYaml,
+  stringifyYaml,
+  resolvePlainScalar,
+  YamlError,
+} from '../.clawos/core/config/yaml.js';
+import { parseSimpleYaml } from '../.clawos/core/config/config-resolver.js';
+
+describe('parseYaml', () => {
+  it('resolves plain scalars with the YAML 1.2 core schema', () => {
+    assert.equal(resolvePlainScalar('~'), null);
+    assert.equal(resolvePlainScalar('True'), true);
+    assert.equal(resolvePlainScalar('0x1F'), 31);
+    assert.equal(resolvePlainScalar('0o17'), 15);
+    assert.equal(resolvePlainScalar('-.inf'), -Infinity);
+    assert.ok(Number.isNaN(resolvePlainScalar('.nan')));
+    assert.equal(resolvePlainScalar('1.5e3'), 1500);
+    for (const word of ['on', 'yes', 'no', 'off']) {
+      assert.equal(resolvePlainScalar(word), word);
+    }
+  });
+
+  it('parses nested block and flow collections', () => {
+    const doc = parseYaml([
+      'name: demo',
+      'ports: [80, 443]',
+      'env: { NODE_ENV: production, DEBUG: false }',
+      'services:',
+      '  - name: api',
+      '    replicas: 2',
+      '  - name: worker',
+      'matrix:',
+      '  node:',
+      '    - 18',
+      '    - 20',
+    ].join('\n'));
+
+    assert.deepEqual(doc, {
+      name: 'demo',
+      ports: [80, 443],
+      env: { NODE_ENV: 'production', DEBUG: false },
+      services: [{ name: 'api', replicas: 2 }, { name: 'worker' }],
+      matrix: { node: [18, 20] },
+    });
+  });
+
+  it('handles quoting, escapes and block scalars', () => {
+    const doc = parseYaml([
+      "single: 'it''s'",
+      'double: "tab\\there \\u00e9"',
+      'literal: |',
+      '  line one',
+      '  line two',
+      'folded: >-',
+      '  folded',
+      '  text',
+      'kept: |+',
+      '  end',
+      '',
+      'next: 1',
+    ].join('\n'));
+
+    assert.equal(doc.single, "it's");
+    assert.equal(doc.double, 'tab\there é');
+    assert.equal(doc.literal, 'line one\nline two\n');
+    assert.equal(doc.folded, 'folded text');
+    assert.equal(doc.kept, 'end\n\n');
+    assert.equal(doc.next, 1);
+  });
+
+  it('expands anchors, aliases and merge keys', () => {
+    const doc = parseYaml([
+      'base: &base',
+      '  retries: 3',
+      '  timeout: 10',
+      'job:',
+      '  <<: *base',
+      '  timeout: 30',
+      'copy: *base',
+    ].join('\n'));
+    assert.deepEqual(doc.job, { retries: 3, timeout: 30 });
+    assert.deepEqual(doc.copy, { retries: 3, timeout: 10 });
+  });
+
+  it('applies core schema tags', () => {
+    const doc = parseYaml('a: !!str 42\nb: !!int "7"\nc: !!float 1\nd: !!bool "true"\ne: !!null ""');
+    assert.deepEqual(doc, { a: '42', b: 7, c: 1, d: true, e: null });
+  });
+
+  it('reads multi-document streams', () => {
+    const text = '%YAML 1.2\n---\na: 1\n...\n---\nb: 2\n';
+    assert.deepEqual(parseAllYaml(text), [{ a: 1 }, { b: 2 }]);
+    assert.throws(() => parseYaml(text), { code: 'YAML_MULTI_DOCUMENT' });
+    assert.deepEqual(parseAllYaml(''), []);
+    assert.equal(parseYaml(''), null);
+  });
+
+  it('reports the line and column of malformed input', () => {
+    assert.throws(
+      () => parseYaml('a: 1\nb: *missing\n', { filename: 'config.yaml' }),
+      (err) => {
+        assert.ok(err instanceof YamlError);
+        assert.equal(err.code, 'YAML_PARSE_ERROR');
+        assert.equal(err.line, 2);
+        assert.equal(err.column, 4);
+        assert.match(err.message, /\(config\.yaml:2:4\)$/);
+        return true;
+      },
+    );
+    assert.throws(() => parseYaml('a: [1, 2'), YamlError);
+    assert.throws(() => parseYaml(42), TypeError);
+  });
+});
+
+describe('stringifyYaml', () => {
+  it('round-trips values that need quoting', () => {
+    const value = {
+      name: 'demo',
+      flags: ['yes', 'no', '123', '', 'a: b', '#x'],
+      nested: { empty: {}, list: [], text: 'one\ntwo\n', nothing: null },
+      items: [{ id: 1, tags: ['x'] }, [true, 1.5]],
+    };
+    const text = stringifyYaml(value);
+    assert.ok(text.endsWith('\n'));
+    assert.deepEqual(parseYaml(text), value);
+  });
+
+  it('validates the indent and rejects circular structures', () => {
+    assert.match(stringifyYaml({ a: { b: 1 } }, { indent: 4 }), /^a:\n {4}b: 1\n$/);
+    assert.throws(() => stringifyYaml({}, { indent: 0 }), RangeError);
+    const circular = {};
+    circular.self = circular;
+    assert.throws(() => stringifyYaml(circular), { code: 'YAML_CIRCULAR' });
+  });
+});
+
+describe('parseSimpleYaml', () => {
+  it('delegates to parseYaml and returns {} for empty input', () => {
+    assert.deepEqual(parseSimpleYaml(''), {});
+    assert.deepEqual(parseSimpleYaml('# only a comment\n'), {});
+    assert.deepEqual(parseSimpleYaml('a:\n  - 1\n'), { a: [1] });
+  });
+});